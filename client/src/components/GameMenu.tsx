@@ -1,3 +1,6 @@
+import { useState } from 'react';
+import LeaderboardModal from './LeaderboardModal';
+
 interface GameMenuProps {
   onStartGame: () => void;
   onShowInstructions: () => void;
@@ -7,6 +10,8 @@ export default function GameMenu({
   onStartGame, 
   onShowInstructions
 }: GameMenuProps) {
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+
   return (
     <div className="flex flex-col space-y-2 md:flex-row md:space-y-0 md:space-x-3">
       <button 
@@ -22,6 +27,18 @@ export default function GameMenu({
       >
         INSTRUCTIONS
       </button>
+      
+      <button 
+        className="font-pixel text-white bg-pipe-green px-4 py-2 rounded hover:bg-green-700 transition"
+        onClick={() => setShowLeaderboard(true)}
+      >
+        LEADERBOARD
+      </button>
+
+      <LeaderboardModal
+        isOpen={showLeaderboard}
+        onClose={() => setShowLeaderboard(false)}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from './ui/dialog';
+import { Button } from './ui/button';
+import { Tabs, TabsList, TabsTrigger } from './ui/tabs';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from './ui/table';
+import { PLAYABLE_CHARACTERS, getPlayableCharacter } from '@shared/characters';
+import type { LeaderboardEntry, LeaderboardPeriod } from '@shared/leaderboard';
+
+interface LeaderboardModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface LeaderboardResponse {
+  period: LeaderboardPeriod;
+  character: string | null;
+  entries: LeaderboardEntry[];
+}
+
+const PERIOD_LABELS: Record<LeaderboardPeriod, string> = {
+  all: 'ALL TIME',
+  weekly: 'THIS WEEK',
+  daily: 'TODAY'
+};
+
+const ALL_CHARACTERS = 'all';
+
+export default function LeaderboardModal({ isOpen, onClose }: LeaderboardModalProps) {
+  const [period, setPeriod] = useState<LeaderboardPeriod>('all');
+  const [character, setCharacter] = useState(ALL_CHARACTERS);
+
+  const params = new URLSearchParams({ period });
+  if (character !== ALL_CHARACTERS) {
+    params.set('character', character);
+  }
+  const { data, isLoading, isError } = useQuery<LeaderboardResponse>({
+    queryKey: [`/api/leaderboard?${params}`],
+    enabled: isOpen,
+    staleTime: 30 * 1000 // scores change while people play
+  });
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="bg-gray-900 border-mario-red max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-mario-red font-pixel text-2xl">
+            Leaderboard
+          </DialogTitle>
+          <DialogDescription className="text-gray-300">
+            Each player's best score, overall or with one character
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs value={period} onValueChange={value => setPeriod(value as LeaderboardPeriod)}>
+          <TabsList className="grid grid-cols-3">
+            {(Object.keys(PERIOD_LABELS) as LeaderboardPeriod[]).map(value => (
+              <TabsTrigger key={value} value={value} className="font-pixel">
+                {PERIOD_LABELS[value]}
+              </TabsTrigger>
+            ))}
+          </TabsList>
+        </Tabs>
+
+        <Tabs value={character} onValueChange={setCharacter}>
+          <TabsList className="grid grid-cols-5">
+            <TabsTrigger value={ALL_CHARACTERS}>All</TabsTrigger>
+            {PLAYABLE_CHARACTERS.map(option => (
+              <TabsTrigger key={option.id} value={option.id}>{option.name}</TabsTrigger>
+            ))}
+          </TabsList>
+        </Tabs>
+
+        <div className="max-h-96 overflow-y-auto text-white">
+          {isLoading && <p className="text-center text-gray-400 py-6">Loading scores...</p>}
+          {isError && <p className="text-center text-red-400 py-6">Couldn't load the leaderboard.</p>}
+          {data && data.entries.length === 0 && (
+            <p className="text-center text-gray-400 py-6">No scores yet. Be the first!</p>
+          )}
+          {data && data.entries.length > 0 && (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-12">#</TableHead>
+                  <TableHead>Player</TableHead>
+                  <TableHead>Character</TableHead>
+                  <TableHead className="text-right">Score</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.entries.map(entry => (
+                  <TableRow key={entry.userId}>
+                    <TableCell className="font-pixel text-coin-yellow">{entry.rank}</TableCell>
+                    <TableCell>{entry.username}</TableCell>
+                    <TableCell>{getPlayableCharacter(entry.characterId)?.name ?? entry.characterId}</TableCell>
+                    <TableCell className="text-right font-bold">{entry.score}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button
+            onClick={onClose}
+            className="bg-mario-red hover:bg-red-700 font-pixel"
+          >
+            CLOSE
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,20 +1,27 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { Button } from './ui/button';
 import { Card } from './ui/card';
+import { Input } from './ui/input';
 import { toast } from "@/hooks/use-toast";
-import { getWebSocketURL } from '../env';
+import { getWebSocketURL, NET_ENCODING } from '../env';
+import { getQueryFn } from '@/lib/queryClient';
+import { PLAYABLE_CHARACTERS } from '@shared/characters';
+import { displayNameSchema } from '@shared/protocol';
+import type { Character } from '@shared/schema';
 import { useIsMobile } from '@/hooks/use-mobile';
 import MobileControls from './MobileControls';
 // Import Three.js directly here to make sure it's loaded before our game
 import * as THREE from 'three';
 
-// Character interface definition (moved from engine.ts)
-interface Character {
-  id: string;
-  name: string;
-  sprite: string;
-  speed: number;
-  jump: number;
+
+// A logged-in player's saved stats for one character, from /api/stats
+interface CharacterStats {
+  characterId: string;
+  highScore: number;
+  coinsCollected: number;
+  levelsCompleted: number;
+  playTime: number; // seconds
 }
 
 export default function MultiplayerGameContainer() {
@@ -26,12 +33,24 @@ export default function MultiplayerGameContainer() {
   const [selectedCharacter, setSelectedCharacter] = useState<Character | null>(null);
   const [showTitle, setShowTitle] = useState(true);
   const isMobile = useIsMobile();
-  const [characters, setCharacters] = useState<Character[]>([
-    { id: '1', name: 'Atlas', sprite: 'hero_red.png', speed: 5, jump: 10 },
-    { id: '2', name: 'Nova', sprite: 'hero_blue.png', speed: 6, jump: 11 },
-    { id: '3', name: 'Orion', sprite: 'hero_green.png', speed: 4, jump: 8 },
-    { id: '4', name: 'Luna', sprite: 'hero_purple.png', speed: 7, jump: 7 }
-  ]);
+  const [characters, setCharacters] = useState<Character[]>(PLAYABLE_CHARACTERS);
+
+  // Logged-in players play under their username; guests may choose a name
+  const { data: user } = useQuery<{ id: number; username: string } | null>({
+    queryKey: ['/api/user'],
+    queryFn: getQueryFn({ on401: 'returnNull' }),
+  });
+  const [guestName, setGuestName] = useState('');
+  const displayName = user ? undefined : guestName.trim() || undefined;
+  const nameCheck = displayName === undefined ? null : displayNameSchema.safeParse(displayName);
+  const nameError = nameCheck && !nameCheck.success ? nameCheck.error.issues[0].message : null;
+
+  // Returning players see their bests; anonymous players get null
+  const { data: savedStats } = useQuery<CharacterStats[] | null>({
+    queryKey: ['/api/stats'],
+    queryFn: getQueryFn({ on401: 'returnNull' }),
+  });
+  const statsByCharacter = new Map((savedStats ?? []).map(stats => [stats.characterId, stats]));
 
   useEffect(() => {
     if (containerRef.current && !gameRef.current) {
@@ -51,7 +70,18 @@ export default function MultiplayerGameContainer() {
           // Create an instance of the game class with the container and WebSocket URL
           if (containerRef.current) {
             // Use type assertion to treat containerRef.current as HTMLElement
-            gameRef.current = new MultiplayerPlatformerClass(containerRef.current as HTMLElement, wsUrl);
+            gameRef.current = new MultiplayerPlatformerClass(containerRef.current as HTMLElement, wsUrl, {
+              netEncoding: NET_ENCODING,
+              // Back to character select to pick another name
+              onNameRejected: (message: string) => {
+                setIsGameStarted(false);
+                toast({
+                  title: "Name Taken",
+                  description: message,
+                  variant: "destructive",
+                });
+              }
+            });
           } else {
             throw new Error("Container element is not available");
           }
@@ -147,6 +177,10 @@ export default function MultiplayerGameContainer() {
     
     if (gameRef.current) {
       try {
+        // The name may have changed since the character was picked
+        if (gameRef.current.displayName !== displayName) {
+          gameRef.current.selectCharacter(selectedCharacter, displayName);
+        }
         gameRef.current.startGame();
         setIsGameStarted(true);
         setShowTitle(false);
@@ -163,7 +197,7 @@ export default function MultiplayerGameContainer() {
         });
       }
     }
-  }, [selectedCharacter]);
+  }, [selectedCharacter, displayName]);
 
   const restartGame = useCallback(() => {
     if (gameRef.current) {
@@ -190,7 +224,7 @@ export default function MultiplayerGameContainer() {
     setSelectedCharacter(character);
     if (gameRef.current) {
       try {
-        gameRef.current.selectCharacter(character);
+        gameRef.current.selectCharacter(character, displayName);
         toast({
           title: "Character Selected",
           description: `${character.name} selected! Speed: ${character.speed}, Jump: ${character.jump}`,
@@ -204,7 +238,7 @@ export default function MultiplayerGameContainer() {
         });
       }
     }
-  }, []);
+  }, [displayName]);
 
   // Mobile control handlers
   const handleTouchStart = useCallback((control: string) => {
@@ -253,22 +287,43 @@ export default function MultiplayerGameContainer() {
         <div className="absolute inset-0 flex items-center justify-center z-20 bg-black bg-opacity-50">
           <Card className="w-full max-w-md p-6 bg-white bg-opacity-90 shadow-xl rounded-xl">
             <h2 className="text-2xl font-bold text-center mb-4">Choose Your Character</h2>
+            {user ? (
+              <p className="text-center mb-4">Playing as <span className="font-semibold">{user.username}</span></p>
+            ) : (
+              <div className="mb-4">
+                <Input
+                  value={guestName}
+                  onChange={event => setGuestName(event.target.value)}
+                  placeholder="Your name (optional)"
+                  maxLength={20}
+                />
+                {nameError && <p className="text-sm text-red-600 mt-1">{nameError}</p>}
+              </div>
+            )}
             <div className="grid grid-cols-2 gap-4 mb-6">
-              {characters.map(character => (
-                <Button
-                  key={character.id}
-                  onClick={() => selectCharacter(character)}
-                  className={`h-16 ${selectedCharacter?.id === character.id ? 'bg-green-500 border-2 border-white' : 'bg-blue-500'}`}
-                >
-                  {character.name}
-                </Button>
-              ))}
+              {characters.map(character => {
+                const stats = statsByCharacter.get(character.id);
+                return (
+                  <Button
+                    key={character.id}
+                    onClick={() => selectCharacter(character)}
+                    className={`h-16 flex flex-col ${selectedCharacter?.id === character.id ? 'bg-green-500 border-2 border-white' : 'bg-blue-500'}`}
+                  >
+                    <span>{character.name}</span>
+                    {stats && (
+                      <span className="text-xs font-normal opacity-80">
+                        Best {stats.highScore} · {stats.coinsCollected} coins · {Math.floor(stats.playTime / 60)} min
+                      </span>
+                    )}
+                  </Button>
+                );
+              })}
             </div>
             
             <Button 
               onClick={startGame} 
               className="w-full h-12 bg-red-500 hover:bg-red-600 text-white font-bold"
-              disabled={!selectedCharacter}
+              disabled={!selectedCharacter || nameError !== null}
             >
               Start Game
             </Button>
@@ -19,6 +19,9 @@ export const getWebSocketURL = (): string => {
   return `${protocol}//${window.location.host}/ws`;
 };
 
+// Encoding for player state and input; set VITE_NET_ENCODING=json to read them in devtools
+export const NET_ENCODING: 'binary' | 'json' = import.meta.env.VITE_NET_ENCODING === 'json' ? 'json' : 'binary';
+
 // WebSocket configuration options
 export const webSocketOptions = {
   reconnectionAttempts: 5,
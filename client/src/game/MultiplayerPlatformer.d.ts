@@ -6,6 +6,11 @@ export interface ParallaxLayer {
   originalZ: number;
 }
 
+export interface MultiplayerPlatformerOptions {
+  netEncoding?: 'binary' | 'json';
+  onNameRejected?: (message: string) => void; // the server refused the guest name
+}
+
 export interface MultiplayerPlatformerInterface {
   isRunning: boolean;
   score: number;
@@ -16,13 +21,14 @@ export interface MultiplayerPlatformerInterface {
   socket: any;
   playerMesh: any;
   characterData: Character | null;
+  displayName: string | undefined;
   isAttacking: boolean;
   attackCooldown: number;
   parallaxLayers: ParallaxLayer[];
   themeChanged: boolean;
   currentTheme: string;
   
-  selectCharacter(character: Character): void;
+  selectCharacter(character: Character, displayName?: string): void;
   startGame(): void;
   gameOver(): void;
   restartGame(): void;
@@ -59,7 +65,7 @@ export interface MultiplayerPlatformerInterface {
 }
 
 declare class MultiplayerPlatformer implements MultiplayerPlatformerInterface {
-  constructor(container: HTMLElement, wsUrl?: string);
+  constructor(container: HTMLElement, wsUrl?: string, options?: MultiplayerPlatformerOptions);
   
   isRunning: boolean;
   score: number;
@@ -70,13 +76,14 @@ declare class MultiplayerPlatformer implements MultiplayerPlatformerInterface {
   socket: any;
   playerMesh: any;
   characterData: Character | null;
+  displayName: string | undefined;
   isAttacking: boolean;
   attackCooldown: number;
   parallaxLayers: ParallaxLayer[];
   themeChanged: boolean;
   currentTheme: string;
   
-  selectCharacter(character: Character): void;
+  selectCharacter(character: Character, displayName?: string): void;
   startGame(): void;
   gameOver(): void;
   restartGame(): void;
@@ -1,20 +1,68 @@
 import * as THREE from "three";
+import {
+  PLAYER_PHYSICS,
+  SPEED_BOOST,
+  JUMP_BOOST,
+  getCharacterSpeedBonus,
+  resolvePlatformCollisions,
+  stepPlayer,
+} from "@shared/playerPhysics";
+import {
+  StateFrameDecoder,
+  encodePlayerInput,
+  quantizePlayerInput,
+} from "@shared/binaryProtocol";
+import { COMBAT, getNpcHitPoints } from "@shared/combat";
+import { getEquipmentSlot, getEquipmentStats, getGear } from "@shared/equipment";
+import { INVENTORY_SIZE } from "@shared/loot";
+import { getNpcKind } from "@shared/npcs";
+import { hasMetPrerequisites } from "@shared/quests";
+import { getSellPrice } from "@shared/shops";
+import {
+  CHAT_MAX_LENGTH,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  parseClientMessage,
+  parseServerMessage,
+} from "@shared/protocol";
+import { createRandom, forkRandom, hashSeed } from "@shared/random";
+import { COIN_SCORE, SCORE_BOOST_MULTIPLIER } from "@shared/scoring";
+import {
+  COIN_PICKUP_RADIUS,
+  COIN_RESPAWN_DELAY,
+  VISIBLE_RADIUS,
+  ZONE_SIZE,
+  generateZoneCoins,
+  generateZonePlatforms,
+} from "@shared/world";
 // Using native WebSockets instead of Socket.io
 // import { io } from 'socket.io-client';
 
 // Make sure WebSocket is available
 const WebSocket = window.WebSocket || globalThis.WebSocket;
 
+// Worn gear is drawn in the color of its rarity
+const GEAR_COLORS = {
+  common: 0xaaaaaa,
+  uncommon: 0x1eff1e,
+  rare: 0x1e90ff,
+  epic: 0x9370db,
+  legendary: 0xffa500,
+};
+
 export default class MultiplayerPlatformer {
   /**
    * Initialize the multiplayer platformer game
    * @param {HTMLElement} container - The container element for the game
    * @param {string} [wsUrl] - Optional WebSocket URL for multiplayer features
+   * @param {{netEncoding?: "binary" | "json", onNameRejected?: (message: string) => void}} [options] -
+   *   Network options (JSON is easier to debug), and what to do when the server refuses our display name
    */
-  constructor(container, wsUrl) {
+  constructor(container, wsUrl, options = {}) {
     // Save references to constructor params
     this.container = container;
     this.wsUrl = wsUrl;
+    this.netEncoding = options.netEncoding || "json"; // Encoding we ask the server for
+    this.onNameRejected = options.onNameRejected || null;
     
     // Make sure THREE is available
     if (!THREE) {
@@ -37,28 +85,45 @@ export default class MultiplayerPlatformer {
     // Store the WebSocket URL if provided
     this.wsUrl = wsUrl;
 
-    // Initialize noise parameters for procedural generation
+    // Initialize noise parameters for procedural generation. The world is
+    // generated from a seed the server sends when we join a world.
     this.noiseScale = 0.1;
-    this.noiseSeed = Math.floor(Math.random() * 10000);
+    this.worldSeed = null;
+    this.noiseSeed = 0;
 
     // Inventory system
     this.inventory = {
       items: [],
-      maxSize: 10,
+      maxSize: INVENTORY_SIZE,
       activeItemIndex: -1,
+      gold: 0, // kept by the server, spent at merchants
+      equipment: {}, // ids of the items worn, by slot; also kept by the server
     };
 
+    // The merchant shop shown in the shop panel, if any
+    this.shop = null;
+
+    // The conversation shown in the dialogue box, if any
+    this.dialogue = null;
+
     // Quest system
+    this.questCatalog = new Map(); // every quest on offer, by id, as the server defines them
     this.quests = [];
     this.activeQuest = null;
     this.completedQuests = [];
 
+    // Chests placed by the server, by id
+    this.chests = new Map();
+
+    // Townspeople the server placed in the hub, by id
+    this.friendlyNpcs = new Map();
+
     // 360-degree world exploration
     this.exploredZones = new Set(); // Track which grid zones we've generated
-    this.zoneSize = 50; // Size of each zone grid (50x50 units)
+    this.zoneSize = ZONE_SIZE; // Size of each zone grid (50x50 units)
     this.generationRadius = 3; // Generate zones 3 spaces out in each direction initially
     this.unloadDistance = 150; // Distance before unloading objects (increased for better visibility)
-    this.visibleRadius = 100; // How far the player can see interactive objects
+    this.visibleRadius = VISIBLE_RADIUS; // How far the player can see interactive objects
 
     // UI elements
     this.uiContainer = document.createElement("div");
@@ -83,8 +148,33 @@ export default class MultiplayerPlatformer {
     this.playerCountDisplay.style.fontFamily = "Arial, sans-serif";
     this.playerCountDisplay.style.zIndex = "1000";
     this.playerCountDisplay.innerHTML = "<span>👥 Players: 1</span>";
+    this.playerCountDisplay.style.pointerEvents = "auto";
+    this.playerCountDisplay.style.cursor = "pointer";
+    this.playerCountDisplay.title = "Show players (Tab)";
+    this.playerCountDisplay.addEventListener("click", () => this.toggleRosterDisplay());
     this.uiContainer.appendChild(this.playerCountDisplay);
 
+    // Roster of everyone in the room, from the server's roster messages
+    this.roster = [];
+    this.minimapFocusId = null; // player highlighted on the minimap
+    this.rosterDisplay = document.createElement("div");
+    this.rosterDisplay.className = "roster-display";
+    this.rosterDisplay.style.position = "absolute";
+    this.rosterDisplay.style.top = "50px";
+    this.rosterDisplay.style.left = "50%";
+    this.rosterDisplay.style.transform = "translateX(-50%)";
+    this.rosterDisplay.style.minWidth = "420px";
+    this.rosterDisplay.style.color = "white";
+    this.rosterDisplay.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    this.rosterDisplay.style.padding = "10px";
+    this.rosterDisplay.style.borderRadius = "5px";
+    this.rosterDisplay.style.fontFamily = "Arial, sans-serif";
+    this.rosterDisplay.style.fontSize = "13px";
+    this.rosterDisplay.style.zIndex = "1001";
+    this.rosterDisplay.style.pointerEvents = "auto";
+    this.rosterDisplay.style.display = "none"; // Toggled with Tab
+    this.uiContainer.appendChild(this.rosterDisplay);
+
     // Create inventory display
     this.inventoryDisplay = document.createElement("div");
     this.inventoryDisplay.className = "inventory-display";
@@ -103,7 +193,7 @@ export default class MultiplayerPlatformer {
     this.inventoryDisplay.style.minWidth = "150px";
     this.inventoryDisplay.style.pointerEvents = "auto"; // Allow interaction
     this.inventoryDisplay.innerHTML =
-      '<h3 style="margin: 0 0 5px 0; text-align: center;">Inventory</h3><div class="inventory-slots"></div>';
+      '<h3 style="margin: 0 0 5px 0; text-align: center;">Inventory</h3><div class="inventory-gold" style="text-align: center; color: #ffd700;"></div><div class="inventory-stats" style="text-align: center; font-size: 12px;"></div><div class="inventory-slots"></div>';
     this.uiContainer.appendChild(this.inventoryDisplay);
 
     // Create inventory slots
@@ -150,6 +240,9 @@ export default class MultiplayerPlatformer {
       '<h3 style="margin: 0 0 5px 0;">Current Quest</h3><div class="quest-info">No active quest</div><div class="quest-progress"></div>';
     this.uiContainer.appendChild(this.questDisplay);
 
+    // Create chat overlay
+    this.createChatOverlay();
+
     // Create minimap
     this.minimapDisplay = document.createElement("div");
     this.minimapDisplay.className = "minimap-display";
@@ -445,8 +538,6 @@ export default class MultiplayerPlatformer {
     this.camera.lookAt(0, 0, 0);
 
     // Player-related properties
-    this.playerSpeed = 0.25; // Increased for more responsive movement
-    this.jumpForce = 0.5; // Increased jump force for better jumping
     this.gravity = 0.008; // Reduced gravity for better jump/fly balance
     this.isJumping = false;
     this.isGrounded = false; // Track if player is on ground
@@ -454,8 +545,40 @@ export default class MultiplayerPlatformer {
     this.coyoteTime = 0; // Small window to jump after leaving platform
     this.terminalVelocity = -0.5; // Maximum falling speed to prevent too fast falling
     this.velocity = new THREE.Vector3(0, 0, 0);
+    this.inputSequence = 0; // Sequence number of the next input sent to the server
+
+    // Client-side prediction and server reconciliation
+    this.playerId = null; // Our id on the server, assigned in the welcome message
+    this.protocolVersion = null; // Message protocol version agreed with the server
+    this.resumeToken = null; // Lets a reconnect take our session back over
+    this.lastProgressReport = null; // Progress last sent to the server, as JSON
+    this.lastProgressReportTime = 0;
+    this.progressReportInterval = 2000; // Report changed progress at most this often (ms)
+    this.runStartTime = null; // When the current run started, null between runs
+    this.coinsCollected = 0; // Coins picked up this run
+    this.lastStatsReportTime = 0;
+    this.statsReportInterval = 30000; // Save the run's stats this often while playing (ms)
+    this.activeEncoding = "json"; // Encoding the server agreed to for state and input
+    this.netIdToPlayerId = new Map(); // Compact player ids used in binary state frames
+    this.worldId = null; // Game world (server room) we are currently in
+    this.pendingInputs = []; // Inputs applied locally but not yet acknowledged
+    this.speedBoostMs = 0; // Input time left on a speed potion's boost, as on the server
+    this.jumpBoostMs = 0; // Input time left on a jump potion's boost, as on the server
+    this.maxPendingInputs = 120; // About 2 seconds of input at 60fps
+    this.respawnSeq = -1; // Server states acknowledging older inputs predate our last respawn
+    this.reconciliationError = new THREE.Vector3(); // Correction still to be eased in
+    this.reconciliationSmoothing = 0.15; // Fraction of the correction applied per frame
+    this.reconciliationSnapDistance = 5; // Larger errors are corrected instantly
+
+    // Remote player snapshot interpolation
+    this.interpolationDelay = 100; // Render remote players this far in the past (ms)
+    this.maxExtrapolation = 250; // Keep moving late players along their velocity this long (ms)
+    this.maxSnapshots = 30; // Snapshots kept per remote player
+    this.serverTimeOffset = null; // Estimated server clock minus local clock (ms)
+    this.remoteStaleTimeout = 2500; // Hide remote players the server stopped sending (out of range)
     this.playerMesh = null;
     this.characterData = null;
+    this.displayName = undefined; // a guest's chosen name, sent with the character
     this.isAttacking = false;
     this.attackCooldown = 0;
     this.collisionRadius = 0.5; // Player collision radius
@@ -469,11 +592,10 @@ export default class MultiplayerPlatformer {
     this.generatedZ = 0; // How far we've generated so far
     this.respawnDistance = -50; // Distance behind player to respawn objects
     this.distanceTraveled = 0; // Total distance traveled
-    this.npcRespawnPool = []; // Pool of NPCs to be respawned
-    this.coinRespawnPool = []; // Pool of coins to be respawned
     this.platforms = []; // All platforms in the world
     this.groundSegments = []; // Ground segments
     this.decorations = []; // Decorative elements
+    this.worldExtras = []; // Generated objects no other list keeps track of
 
     // World themes and properties
     this.worldThemes = ["grassland", "desert", "snow", "lava"]; // Different world themes
@@ -564,6 +686,18 @@ export default class MultiplayerPlatformer {
   /**
    * Create a WebSocket connection using the provided URL or a dummy placeholder
    */
+  // Connection URL carrying the handshake: the protocol versions we speak,
+  // the encoding we would like and the session we want back, if any
+  getConnectionUrl() {
+    const url = new URL(this.wsUrl, window.location.href);
+    url.searchParams.set("protocol", SUPPORTED_PROTOCOL_VERSIONS.join(","));
+    url.searchParams.set("encoding", this.netEncoding);
+    if (this.resumeToken) {
+      url.searchParams.set("resume", this.resumeToken);
+    }
+    return url.toString();
+  }
+
   createDummySocket() {
     // If WebSocket URL is provided, create a real WebSocket
     if (this.wsUrl) {
@@ -571,10 +705,19 @@ export default class MultiplayerPlatformer {
         console.log(`Connecting to WebSocket server at ${this.wsUrl}`);
 
         // Create native WebSocket
-        const ws = new WebSocket(this.wsUrl);
+        const ws = new WebSocket(this.getConnectionUrl());
+        ws.binaryType = "arraybuffer";
+        this.activeEncoding = "json"; // Until the server's welcome says otherwise
+
+        // Binary state frames are deltas against frames we acknowledge
+        const stateDecoder = new StateFrameDecoder();
 
-        // Event handlers and callback storage
-        const eventHandlers = new Map();
+        // Event handlers and callback storage, kept across reconnects so
+        // handlers registered once keep working on the new connection
+        if (!this.socketEventHandlers) {
+          this.socketEventHandlers = new Map();
+        }
+        const eventHandlers = this.socketEventHandlers;
 
         // Reconnection settings
         let reconnectAttempts = 0;
@@ -624,9 +767,27 @@ export default class MultiplayerPlatformer {
 
         ws.onmessage = (event) => {
           try {
-            // Parse message data
-            const data = JSON.parse(event.data);
-            const type = data.type;
+            if (event.data instanceof ArrayBuffer) {
+              // A binary state frame: hand each player to the playerMove handlers
+              const frame = stateDecoder.decode(new Uint8Array(event.data));
+              const handlers = eventHandlers.get("playerMove") || [];
+              frame.players.forEach(({ netId, state }) => {
+                const id = this.netIdToPlayerId.get(netId);
+                if (id === undefined) return;
+                const data = { id, ...state, timestamp: frame.timestamp };
+                handlers.forEach((callback) => callback(data));
+              });
+              return;
+            }
+
+            // Parse message data, ignoring anything outside the protocol
+            const { type, ...payload } = JSON.parse(event.data);
+            const parsed = parseServerMessage(type, payload);
+            if (!parsed.success) {
+              console.warn(`Ignoring server message: ${parsed.message}`, parsed.issues || "");
+              return;
+            }
+            const data = parsed.data;
 
             // Call handlers for this message type
             if (eventHandlers.has(type)) {
@@ -637,7 +798,7 @@ export default class MultiplayerPlatformer {
             if (eventHandlers.has("message")) {
               eventHandlers
                 .get("message")
-                .forEach((callback) => callback(data));
+                .forEach((callback) => callback({ type, ...data }));
             }
           } catch (error) {
             console.error("Error processing WebSocket message:", error);
@@ -648,6 +809,8 @@ export default class MultiplayerPlatformer {
           console.log(
             `WebSocket disconnected with code: ${event.code}, reason: ${event.reason || "No reason provided"}`,
           );
+          // A connection we already replaced has nothing left to report
+          if (this.socket && this.socket.nativeSocket !== ws) return;
           this.socketConnected = false;
 
           // Call any registered 'disconnect' handlers
@@ -656,8 +819,10 @@ export default class MultiplayerPlatformer {
           }
 
           // Attempt to reconnect for non-intentional disconnects
-          // Code 1000 (Normal Closure) or 1001 (Going Away) are intentional
-          if (event.code !== 1000 && event.code !== 1001) {
+          // Code 1000 (Normal Closure) or 1001 (Going Away) are intentional,
+          // 1008 (Policy Violation) means the server kicked us and 4001 that
+          // our account is now playing on another connection
+          if (event.code !== 1000 && event.code !== 1001 && event.code !== 1008 && event.code !== 4001) {
             attemptReconnect();
           }
         };
@@ -696,9 +861,23 @@ export default class MultiplayerPlatformer {
 
           // Send event with retry capability
           emit: (event, data, retries = 2) => {
+            // Catch malformed messages here rather than have the server reject them
+            const parsed = parseClientMessage(event, data);
+            if (!parsed.success) {
+              console.warn(`Not sending ${event}: ${parsed.message}`, parsed.issues || "");
+              return false;
+            }
+
             if (ws.readyState === WebSocket.OPEN) {
               try {
-                ws.send(JSON.stringify({ type: event, ...data }));
+                if (event === "playerInput" && this.activeEncoding === "binary") {
+                  // Inputs also acknowledge the newest state frame we decoded
+                  ws.send(encodePlayerInput(parsed.data, stateDecoder.latestFrameSeq));
+                  return true;
+                }
+
+                // The event name goes last so payload fields can't replace it
+                ws.send(JSON.stringify({ ...data, type: event }));
                 return true;
               } catch (err) {
                 console.error(`Error sending message ${event}:`, err);
@@ -774,29 +953,208 @@ export default class MultiplayerPlatformer {
       return;
     }
 
+    // Remember our own id so we can recognise our authoritative state
+    this.socket.on("welcome", (data) => {
+      this.playerId = data.id;
+      this.protocolVersion = data.protocolVersion;
+      this.activeEncoding = data.encoding;
+      this.resumeToken = data.resumeToken;
+      this.netIdToPlayerId.set(data.netId, data.id);
+      console.log(
+        `${data.resumed ? "Resumed session" : "Connected"} as ${data.account ? data.account.username : data.id} using protocol v${data.protocolVersion} (${data.encoding})`,
+      );
+
+      if (data.resumed) {
+        this.resumeSession(data.progress);
+      }
+    });
+
+    // The server explains every message it rejects
+    this.socket.on("error", (data) => {
+      if (data && data.code) {
+        console.error(
+          `Server rejected ${data.event || "connection"} (${data.code}): ${data.message}`,
+          data.issues || "",
+        );
+      }
+      if (data && data.code === "NAME_UNAVAILABLE") {
+        this.showNotification(data.message, "warning");
+        if (this.onNameRejected) this.onNameRejected(data.message);
+      } else if (data && data.code === "INVENTORY_FULL") {
+        const where = data.event === "openChest" ? " The items remain in the chest." : "";
+        this.showNotification(`Inventory full!${where}`, "warning");
+      } else if (data && data.code === "NOT_AVAILABLE" && data.event === "openChest") {
+        this.showNotification("This chest is empty.", "info");
+      } else if (data && (data.code === "NOT_ENOUGH_GOLD" || ["buyItem", "sellItem"].includes(data.event))) {
+        this.showNotification(data.message, "warning");
+      }
+    });
+
+    // Joining a room replaces the remote players with the room's snapshot.
+    // Players we already have are kept, so a resumed session doesn't flicker.
+    this.socket.on("roomJoined", (data) => {
+      console.log(`Joined world ${data.worldId}`);
+      const sameWorld = this.worldId === data.worldId;
+      this.worldId = data.worldId;
+      if (!sameWorld) this.roster = []; // until the new room's roster arrives
+      this.setWorldSeed(data.seed);
+
+      const snapshotIds = new Set((data.players || []).map((player) => player.id));
+      Array.from(this.players.keys()).forEach((id) => {
+        if (!sameWorld || !snapshotIds.has(id)) this.removePlayer(id);
+      });
+      (data.players || []).forEach((player) => {
+        this.netIdToPlayerId.set(player.netId, player.id);
+        if (!this.players.has(player.id)) {
+          this.addPlayer(player.id, player.character, player.position, player.name, player.gear);
+        }
+      });
+      this.updatePlayerCount();
+
+      // Same for NPCs: keep the ones still in the room, add the rest
+      const liveNpcIds = new Set(
+        (data.obstacles || [])
+          .filter((obstacle) => !obstacle.isCrushed)
+          .map((obstacle) => obstacle.id),
+      );
+      this.crushableObstacles.slice().forEach((obstacle) => {
+        if (!sameWorld || !liveNpcIds.has(obstacle.userData.id)) {
+          this.removeNpc(obstacle);
+        }
+      });
+      (data.obstacles || []).forEach((obstacle) => {
+        if (!obstacle.isCrushed && !this.findCrushableObstacle(obstacle.id)) {
+          this.spawnNpc(obstacle);
+        }
+      });
+
+      const chestIds = new Set((data.chests || []).map((chest) => chest.id));
+      Array.from(this.chests.values()).forEach((chest) => {
+        if (!sameWorld || !chestIds.has(chest.userData.id)) this.removeChest(chest);
+      });
+      (data.chests || []).forEach((chest) => this.updateChest(chest));
+
+      // Every world has the same townspeople and quests, so they only need adding once
+      (data.friendlyNpcs || []).forEach((npc) => this.addFriendlyNpc(npc));
+      (data.quests || []).forEach((quest) => this.questCatalog.set(quest.id, quest));
+    });
+
+    // Chat from other players, already filtered by the server. Whispers
+    // stay in the chat log; everything else also shows above the sender.
+    this.socket.on("chatMessage", (data) => {
+      this.addChatLine(data);
+      const sender = this.players.get(data.from);
+      if (sender && data.channel !== "whisper") {
+        this.showSpeechBubble(sender, data.text);
+      }
+    });
+
+    // Who is in the room. Echoing the timestamp lets the server measure our ping.
+    this.socket.on("roster", (data) => {
+      this.socket.emit("latencyReply", { sentAt: data.timestamp });
+      const countChanged = data.players.length !== this.roster.length;
+      this.roster = data.players;
+      if (this.minimapFocusId && !this.roster.some((entry) => entry.id === this.minimapFocusId)) {
+        this.minimapFocusId = null;
+      }
+      if (countChanged) this.updatePlayerCount();
+      this.updateRosterDisplay();
+    });
+
+    // Chests too; opening one is confirmed by the server
+    this.socket.on("chestState", (data) => {
+      this.updateChest(data);
+    });
+
+    // The server owns our inventory and sends all of it after any change
+    this.socket.on("inventoryState", (data) => {
+      this.setInventory(data.items, data.granted, data.gold, data.equipment);
+    });
+
+    // A merchant's goods, when their shop opens and after each purchase
+    this.socket.on("shopState", (data) => {
+      this.showShop(data);
+    });
+
+    this.socket.on("questState", (data) => {
+      this.restoreQuests(data.quests);
+    });
+
+    // The server tracks quest progress and sends a quest whenever it moves on
+    this.socket.on("questUpdate", (data) => {
+      const isNew = !this.quests.some((quest) => String(quest.id) === data.questId);
+      this.restoreQuests([data]);
+      if (isNew) {
+        this.showNotification(`New Quest: ${data.title}`, "quest");
+      }
+    });
+
+    // Talking to townspeople: the server sends what they say and ends the conversation
+    this.socket.on("dialogueNode", (data) => {
+      this.showDialogueNode(data);
+    });
+    this.socket.on("dialogueEnded", (data) => {
+      if (this.dialogue && this.dialogue.npcId === data.npcId) this.closeDialogue();
+    });
+
+    // Reward items arrive separately, with our inventory
+    this.socket.on("questCompleted", (data) => {
+      this.score += data.score;
+      if (this.playerMesh && data.score > 0) {
+        this.createScorePopup(this.playerMesh.position.clone(), data.score);
+      }
+      this.showNotification(`Quest complete: ${data.title} (+${data.score})`, "quest");
+    });
+
+    // NPCs live on the server. New ones, and crushed ones coming back,
+    // arrive as obstacleState; movement arrives as npcMove.
+    this.socket.on("obstacleState", (data) => {
+      if (!data.isCrushed) {
+        this.spawnNpc(data);
+      }
+    });
+
+    this.socket.on("npcMove", (data) => {
+      data.npcs.forEach((update) => {
+        const obstacle = this.findCrushableObstacle(update.id);
+        if (!obstacle || obstacle.userData.isCrushed) return;
+
+        obstacle.userData.targetPosition.set(
+          update.position.x,
+          update.position.y,
+          update.position.z,
+        );
+        obstacle.userData.targetRotationY = update.rotationY;
+      });
+    });
+
     // Handle player join
     this.socket.on("playerJoin", (data) => {
       console.log(`Player joined: ${data.id}`);
-      this.addPlayer(data.id, data.character, data.position);
+      this.netIdToPlayerId.set(data.netId, data.id);
+      this.addPlayer(data.id, data.character, data.position, data.name, data.gear);
       this.updatePlayerCount();
     });
 
+    // Another player put on or took off gear
+    this.socket.on("playerGear", (data) => {
+      const player = this.players.get(data.id);
+      if (player) this.updateGearMesh(player.mesh, data.gear);
+    });
+
     // Handle player movement
     this.socket.on("playerMove", (data) => {
-      if (this.players.has(data.id)) {
-        const playerMesh = this.players.get(data.id).mesh;
-        playerMesh.position.set(
-          data.position.x,
-          data.position.y,
-          data.position.z,
-        );
+      if (data.id === this.playerId) {
+        this.reconcileWithServer(data);
+      } else if (this.players.has(data.id)) {
+        this.addRemoteSnapshot(this.players.get(data.id), data);
       }
     });
 
     // Handle player disconnect
-    this.socket.on("playerLeave", (playerId) => {
-      console.log(`Player left: ${playerId}`);
-      this.removePlayer(playerId);
+    this.socket.on("playerLeave", (data) => {
+      console.log(`Player left: ${data.id}`);
+      this.removePlayer(data.id);
       this.updatePlayerCount();
     });
 
@@ -811,11 +1169,426 @@ export default class MultiplayerPlatformer {
       console.log("Other player interacted with decoration:", data);
       this.triggerDecorationWiggle(data.decorationId);
     });
+
+    // Combat is resolved by the server, which reports every hit and kill
+    this.socket.on("entityDamaged", (data) => {
+      const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+
+      if (data.targetKind === "npc") {
+        const obstacle = this.findCrushableObstacle(data.targetId);
+        if (obstacle) {
+          obstacle.userData.hitPoints = data.remaining;
+          this.createHitImpactEffect(obstacle.position);
+          this.flashObstacle(obstacle);
+        }
+      } else if (data.targetId === this.playerId) {
+        const livesBefore = this.lives;
+        this.lives = data.remaining;
+        console.log("Ouch! Lives remaining:", this.lives);
+        if (this.lives === livesBefore && data.health !== undefined) {
+          this.showNotification(
+            `Your armor took the blow (${data.health}/${COMBAT.hitPointsPerLife} health left)`,
+            "info",
+          );
+        }
+        this.showPlayerDamageEffect();
+        this.playSound("playerHurt");
+
+        // Hurt by walking into an NPC
+        const attacker = this.findCrushableObstacle(data.attackerId);
+        if (attacker) {
+          this.showEnemyAttackEffect(attacker.position);
+        }
+      } else {
+        this.createHitImpactEffect(position);
+      }
+    });
+
+    this.socket.on("entityKilled", (data) => {
+      const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+
+      if (data.targetKind === "npc") {
+        const obstacle = this.findCrushableObstacle(data.targetId);
+        if (obstacle && !obstacle.userData.isCrushed) {
+          this.crushObstacle(obstacle);
+        }
+
+        // Our kill: take the score and maybe a drop
+        if (data.attackerId === this.playerId) {
+          this.score += data.score;
+          this.createScorePopup(position, data.score);
+
+          if (Math.random() < 0.3) {
+            this.spawnRandomPowerUp(position.x, position.y + 1, position.z);
+          }
+        }
+      } else if (data.targetId === this.playerId) {
+        this.lives = 0;
+        this.gameOver();
+      } else {
+        this.createHitImpactEffect(position);
+      }
+    });
+  }
+
+  // Pick up where we left off after reconnecting to our old session. The
+  // server kept our player where it was and restarts input acknowledgements.
+  resumeSession(progress) {
+    this.inputSequence = 0;
+    this.pendingInputs = [];
+    this.respawnSeq = -1;
+    this.reconciliationError.set(0, 0, 0);
+
+    if (!progress) return;
+    this.score = progress.score;
+    this.lives = progress.lives;
+    this.setInventory(progress.inventory);
+    this.activeQuest =
+      this.quests.find((quest) => String(quest.id) === progress.activeQuestId) || null;
+    this.lastProgressReport = JSON.stringify({
+      score: progress.score,
+      activeQuestId: progress.activeQuestId,
+    });
+
+    this.updateQuestDisplay();
+  }
+
+  // Keep the server's copy of our progress current so a resumed session
+  // gets it back. Only sent when something changed, and not too often.
+  reportProgress(now) {
+    if (!this.socketConnected || now - this.lastProgressReportTime < this.progressReportInterval) {
+      return;
+    }
+
+    // Lives and the inventory aren't included: the server keeps track of those itself
+    const progress = {
+      score: this.score,
+      activeQuestId: this.activeQuest ? String(this.activeQuest.id) : null,
+    };
+    const report = JSON.stringify(progress);
+    if (report === this.lastProgressReport) return;
+
+    this.lastProgressReportTime = now;
+    if (this.socket.emit("progressUpdate", progress)) {
+      this.lastProgressReport = report;
+    }
+  }
+
+  // Send the current run's totals so a logged-in player's stats are saved,
+  // periodically while playing and once more when the run ends
+  reportStats(now, gameOver = false) {
+    if (this.runStartTime === null || !this.socketConnected) return;
+    if (!gameOver && now - this.lastStatsReportTime < this.statsReportInterval) return;
+
+    this.lastStatsReportTime = now;
+    this.socket.emit("statsReport", {
+      score: this.score,
+      coinsCollected: this.coinsCollected,
+      playTime: (now - this.runStartTime) / 1000,
+      gameOver,
+    });
+    if (gameOver) {
+      this.runStartTime = null;
+    }
+  }
+
+  // Switch to another game world; the server answers with roomJoined
+  joinWorld(worldId) {
+    this.socket.emit("joinRoom", { worldId });
+  }
+
+  // Chat log in the bottom-left corner, with an input that opens on Enter
+  createChatOverlay() {
+    this.chatDisplay = document.createElement("div");
+    this.chatDisplay.className = "chat-display";
+    this.chatDisplay.style.position = "absolute";
+    this.chatDisplay.style.bottom = "10px";
+    this.chatDisplay.style.left = "10px";
+    this.chatDisplay.style.width = "320px";
+    this.chatDisplay.style.color = "white";
+    this.chatDisplay.style.fontFamily = "Arial, sans-serif";
+    this.chatDisplay.style.fontSize = "13px";
+    this.chatDisplay.style.zIndex = "1000";
+    this.uiContainer.appendChild(this.chatDisplay);
+
+    this.chatLog = document.createElement("div");
+    this.chatLog.className = "chat-log";
+    this.chatLog.style.maxHeight = "160px";
+    this.chatLog.style.overflowY = "hidden";
+    this.chatLog.style.backgroundColor = "rgba(0, 0, 0, 0.4)";
+    this.chatLog.style.borderRadius = "5px";
+    this.chatLog.style.padding = "5px";
+    this.chatLog.style.display = "none"; // Shown with the first message
+    this.chatDisplay.appendChild(this.chatLog);
+
+    this.chatInput = document.createElement("input");
+    this.chatInput.className = "chat-input";
+    this.chatInput.type = "text";
+    this.chatInput.maxLength = CHAT_MAX_LENGTH;
+    this.chatInput.placeholder = "Say something... (/s nearby, /w name whisper)";
+    this.chatInput.style.width = "100%";
+    this.chatInput.style.boxSizing = "border-box";
+    this.chatInput.style.marginTop = "5px";
+    this.chatInput.style.padding = "5px";
+    this.chatInput.style.border = "1px solid rgba(255, 255, 255, 0.3)";
+    this.chatInput.style.borderRadius = "3px";
+    this.chatInput.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+    this.chatInput.style.color = "white";
+    this.chatInput.style.pointerEvents = "auto";
+    this.chatInput.style.display = "none";
+    this.chatInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        this.sendChat(this.chatInput.value);
+        this.closeChat();
+      } else if (event.key === "Escape") {
+        this.closeChat();
+      }
+    });
+    this.chatInput.addEventListener("blur", () => this.closeChat());
+    this.chatDisplay.appendChild(this.chatInput);
+  }
+
+  openChat() {
+    // Stop moving while typing; key releases go to the input instead
+    this.keys.forward = false;
+    this.keys.backward = false;
+    this.keys.left = false;
+    this.keys.right = false;
+    this.keys.jump = false;
+
+    this.chatInput.style.display = "block";
+    this.chatInput.focus();
+  }
+
+  closeChat() {
+    this.chatInput.value = "";
+    this.chatInput.style.display = "none";
+    this.chatInput.blur();
+  }
+
+  // Send what was typed: "/s text" to players nearby, "/w name text" to one
+  // player, anything else to the whole world
+  sendChat(input) {
+    const text = input.trim();
+    if (!text) return;
+
+    const whisper = text.match(/^\/w\s+(\S+)\s+(.+)$/i);
+    if (whisper) {
+      const to = this.findPlayerIdByName(whisper[1]);
+      if (!to) {
+        this.addChatLine({ channel: "system", text: `No player called ${whisper[1]} is nearby.` });
+        return;
+      }
+      this.socket.emit("chatMessage", { channel: "whisper", to, text: whisper[2] });
+      return;
+    }
+
+    const nearby = text.match(/^\/s\s+(.+)$/i);
+    if (nearby) {
+      this.socket.emit("chatMessage", { channel: "proximity", text: nearby[1] });
+      return;
+    }
+
+    this.socket.emit("chatMessage", { channel: "world", text });
+  }
+
+  // Remote players can be whispered to by id or by the name shown above them
+  findPlayerIdByName(name) {
+    if (this.players.has(name)) return name;
+
+    const wanted = name.toLowerCase();
+    for (const [id, player] of this.players) {
+      if (player.name.toLowerCase() === wanted) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  addChatLine(message) {
+    const channelColors = {
+      world: "white",
+      proximity: "#9be7ff",
+      whisper: "#ff9bf5",
+      system: "#aaaaaa",
+    };
+
+    const line = document.createElement("div");
+    line.style.color = channelColors[message.channel] || "white";
+    line.style.wordWrap = "break-word";
+    if (message.channel === "system") {
+      line.textContent = message.text;
+    } else if (message.channel === "whisper") {
+      const other = message.from === this.playerId
+        ? `To ${this.getChatPlayerName(message.to)}`
+        : `From ${message.fromName}`;
+      line.textContent = `${other}: ${message.text}`;
+    } else {
+      line.textContent = `${message.fromName}: ${message.text}`;
+    }
+
+    this.chatLog.appendChild(line);
+    this.chatLog.style.display = "block";
+    // Keep the last few lines
+    while (this.chatLog.childNodes.length > 50) {
+      this.chatLog.removeChild(this.chatLog.firstChild);
+    }
+    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+  }
+
+  getChatPlayerName(id) {
+    const player = this.players.get(id);
+    return player ? player.name : "player";
+  }
+
+  // Show a message above a remote player's name for a few seconds
+  showSpeechBubble(player, text) {
+    if (!player.nameLabel) return;
+
+    if (player.speechBubble) {
+      clearTimeout(player.speechBubble.timer);
+      player.speechBubble.remove();
+    }
+
+    const bubble = document.createElement("div");
+    bubble.className = "speech-bubble";
+    bubble.textContent = text;
+    bubble.style.position = "absolute";
+    bubble.style.bottom = "100%";
+    bubble.style.left = "50%";
+    bubble.style.transform = "translateX(-50%)";
+    bubble.style.marginBottom = "6px";
+    bubble.style.maxWidth = "200px";
+    bubble.style.width = "max-content";
+    bubble.style.padding = "4px 8px";
+    bubble.style.borderRadius = "8px";
+    bubble.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
+    bubble.style.color = "black";
+    bubble.style.fontSize = "12px";
+    bubble.style.wordWrap = "break-word";
+    player.nameLabel.appendChild(bubble);
+
+    bubble.timer = setTimeout(() => {
+      bubble.remove();
+      if (player.speechBubble === bubble) player.speechBubble = null;
+    }, 5000);
+    player.speechBubble = bubble;
+  }
+
+  toggleRosterDisplay() {
+    const isVisible = this.rosterDisplay.style.display !== "none";
+    this.rosterDisplay.style.display = isVisible ? "none" : "block";
+    if (!isVisible) this.updateRosterDisplay();
+  }
+
+  // One row per player: name, character, score, ping and where they are
+  // from us. Clicking a row highlights that player on the minimap.
+  updateRosterDisplay() {
+    if (this.rosterDisplay.style.display === "none") return;
+
+    const table = document.createElement("table");
+    table.style.width = "100%";
+    table.style.borderCollapse = "collapse";
+    const header = table.insertRow();
+    ["Player", "Character", "Score", "Ping", "Where"].forEach((title) => {
+      const cell = document.createElement("th");
+      cell.textContent = title;
+      cell.style.textAlign = "left";
+      cell.style.padding = "2px 6px";
+      cell.style.borderBottom = "1px solid rgba(255, 255, 255, 0.3)";
+      header.appendChild(cell);
+    });
+
+    this.roster.forEach((entry) => {
+      const isSelf = entry.id === this.playerId;
+      const row = table.insertRow();
+      row.style.cursor = isSelf ? "default" : "pointer";
+      if (entry.id === this.minimapFocusId) {
+        row.style.backgroundColor = "rgba(255, 215, 0, 0.25)";
+      }
+
+      const cells = [
+        isSelf ? `${entry.name} (you)` : entry.name,
+        entry.character || "-",
+        String(Math.floor(entry.score)),
+        entry.latency === null ? "-" : `${entry.latency} ms`,
+        isSelf ? "" : this.describeRosterPlacement(entry),
+      ];
+      cells.forEach((text) => {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        cell.style.padding = "2px 6px";
+      });
+
+      if (!isSelf) {
+        row.addEventListener("click", () => this.focusPlayerOnMinimap(entry.id));
+      }
+    });
+
+    this.rosterDisplay.replaceChildren(table);
+  }
+
+  // Distance and compass direction from us, as the server placed them
+  describeRosterPlacement(entry) {
+    if (entry.distance === null) return "-";
+    if (entry.distance < 1) return "here";
+    return `${entry.distance}m ${entry.direction}`;
+  }
+
+  // Offset from us on the minimap (x right, z down) of a roster entry.
+  // The roster only gives a compass direction, so this is approximate.
+  getRosterOffset(entry) {
+    if (entry.distance === null) return null;
+
+    // North is up on the minimap, which is -z in the world
+    const directions = ["E", "SE", "S", "SW", "W", "NW", "N", "NE"];
+    const angle = directions.indexOf(entry.direction) * (Math.PI / 4);
+    return {
+      x: Math.cos(angle) * entry.distance,
+      z: Math.sin(angle) * entry.distance,
+    };
+  }
+
+  focusPlayerOnMinimap(id) {
+    this.minimapFocusId = this.minimapFocusId === id ? null : id;
+    this.updateRosterDisplay();
+    this.updateMinimap();
+  }
+
+  // Mark the focused player on the minimap, pinned to its edge when they
+  // are farther away than the map shows
+  drawMinimapFocus(centerX, centerY, scale) {
+    const entry = this.roster.find((player) => player.id === this.minimapFocusId);
+    const offset = entry && this.getRosterOffset(entry);
+    if (!offset) return;
+
+    const margin = 8;
+    const x = Math.min(
+      Math.max(centerX + offset.x * scale, margin),
+      this.minimapCanvas.width - margin,
+    );
+    const y = Math.min(
+      Math.max(centerY + offset.z * scale, margin),
+      this.minimapCanvas.height - margin,
+    );
+
+    this.minimapContext.strokeStyle = "rgba(255, 215, 0, 0.95)";
+    this.minimapContext.lineWidth = 2;
+    this.minimapContext.beginPath();
+    this.minimapContext.arc(x, y, 7, 0, Math.PI * 2);
+    this.minimapContext.stroke();
+
+    this.minimapContext.fillStyle = "rgba(255, 215, 0, 0.95)";
+    this.minimapContext.font = "10px Arial";
+    this.minimapContext.textAlign = x > this.minimapCanvas.width / 2 ? "right" : "left";
+    this.minimapContext.fillText(entry.name, x + (x > this.minimapCanvas.width / 2 ? -10 : 10), y + 4);
+    this.minimapContext.textAlign = "left";
   }
 
   updatePlayerCount() {
-    // Calculate total player count (other players + current player)
-    const totalPlayers = this.players.size + 1;
+    // Everyone in the room by the last roster, or the players we know of
+    // (plus ourselves) until one arrives
+    const totalPlayers = this.roster.length || this.players.size + 1;
 
     // Update the player count display
     if (this.playerCountDisplay) {
@@ -891,7 +1664,7 @@ export default class MultiplayerPlatformer {
     }, 300);
   }
 
-  addPlayer(id, character, position) {
+  addPlayer(id, character, position, name, gear = {}) {
     // Create a player mesh for the new player
     const geometry = new THREE.BoxGeometry(1, 1, 1);
 
@@ -921,11 +1694,12 @@ export default class MultiplayerPlatformer {
     playerMesh.position.set(safePosition.x, safePosition.y, safePosition.z);
     playerMesh.castShadow = true;
     playerMesh.receiveShadow = true;
+    this.updateGearMesh(playerMesh, gear);
 
     // Add player name label
     const nameDiv = document.createElement("div");
     nameDiv.className = "player-name-label";
-    nameDiv.textContent = hasValidCharacter ? character.name : "Player";
+    nameDiv.textContent = name || "Player";
     nameDiv.style.position = "absolute";
     nameDiv.style.color = "white";
     nameDiv.style.background = "rgba(0, 0, 0, 0.5)";
@@ -942,7 +1716,11 @@ export default class MultiplayerPlatformer {
     this.players.set(id, {
       mesh: playerMesh,
       character: character,
+      name: nameDiv.textContent,
       nameLabel: nameDiv,
+      snapshots: [], // Timestamped server states, oldest first
+      animation: "idle",
+      lastUpdateTime: Date.now(), // Local time we last heard about this player
     });
 
     // Play player join sound
@@ -1268,8 +2046,10 @@ export default class MultiplayerPlatformer {
     });
   }
 
+  // NPCs are spawned and moved by the server, which sends their state as
+  // obstacleState and npcMove messages. Here we only set up how each kind looks;
+  // how it behaves comes from the shared NPC_KINDS table.
   initCrushableObstacles() {
-    // Define different NPC types with their properties
     this.npcTypes = [
       {
         name: "Crawler",
@@ -1279,11 +2059,6 @@ export default class MultiplayerPlatformer {
           roughness: 0.7,
           metalness: 0.2,
         }),
-        speed: 0.03,
-        movementStyle: "ground",
-        jumpHeight: 0,
-        strength: 1,
-        crushable: true,
       },
       {
         name: "Sentinel",
@@ -1293,11 +2068,6 @@ export default class MultiplayerPlatformer {
           roughness: 0.7,
           metalness: 0.2,
         }),
-        speed: 0.02,
-        movementStyle: "ground",
-        jumpHeight: 0,
-        strength: 1,
-        crushable: true,
       },
       {
         name: "Spiker",
@@ -1307,11 +2077,6 @@ export default class MultiplayerPlatformer {
           roughness: 0.6,
           metalness: 0.3,
         }),
-        speed: 0.04,
-        movementStyle: "ground",
-        jumpHeight: 0,
-        strength: 2,
-        crushable: false, // Can't be crushed by jumping
       },
       {
         name: "Glider",
@@ -1321,11 +2086,6 @@ export default class MultiplayerPlatformer {
           roughness: 0.7,
           metalness: 0.2,
         }),
-        speed: 0.04,
-        movementStyle: "flying",
-        jumpHeight: 2.0,
-        strength: 1,
-        crushable: true,
       },
       {
         name: "Phantom",
@@ -1337,231 +2097,167 @@ export default class MultiplayerPlatformer {
           roughness: 0.3,
           metalness: 0.1,
         }),
-        speed: 0.02,
-        movementStyle: "ghost",
-        jumpHeight: 1.5,
-        strength: 1,
-        crushable: false,
       },
     ];
+  }
 
-    // Create NPCs of different types
-    const npcCount = 15;
-    const positions = [];
-
-    // Some pre-defined positions for important areas
-    const fixedPositions = [
-      { x: 3, y: 0.5, z: -3 },
-      { x: -3, y: 0.5, z: -5 },
-      { x: 0, y: 0.5, z: -8 },
-      { x: 5, y: 3.5, z: -5 },
-      { x: -5, y: 3.5, z: -5 },
-    ];
-
-    // Add fixed positions
-    positions.push(...fixedPositions);
-
-    // Add random positions for the rest
-    for (let i = fixedPositions.length; i < npcCount; i++) {
-      positions.push({
-        x: (Math.random() - 0.5) * 16,
-        y: 0.5, // Will be adjusted based on NPC type
-        z: (Math.random() - 0.5) * 16,
-      });
-    }
-
-    // Create NPCs at each position
-    positions.forEach((pos, index) => {
-      // Choose a random NPC type, but ensure variety
-      const typeIndex = Math.min(
-        index % this.npcTypes.length,
-        this.npcTypes.length - 1,
-      );
-      const npcType = this.npcTypes[typeIndex];
-
-      // Create the NPC mesh
-      const npc = new THREE.Mesh(npcType.geometry, npcType.material.clone());
-
-      // Set height based on movement style
-      let y = pos.y;
-      if (npcType.movementStyle === "flying") {
-        y = 1.5 + Math.random() * 1.5; // Flying enemies are higher
-      } else if (npcType.movementStyle === "ghost") {
-        y = 1.0 + Math.random() * 2.0; // Ghosts float at various heights
-      }
+  // Build the mesh for an NPC kind, with its eyes and special features
+  createNpcMesh(npcType) {
+    const npc = new THREE.Mesh(npcType.geometry, npcType.material.clone());
+    npc.castShadow = true;
+    npc.receiveShadow = true;
+    npc.userData = {};
 
-      npc.position.set(pos.x, y, pos.z);
-      npc.castShadow = true;
-      npc.receiveShadow = true;
-
-      // Create eyes for all NPCs
-      const eyeGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-      const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-      const pupilMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-
-      // Create two eyes
-      for (let j = 0; j < 2; j++) {
-        const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        const offset = j === 0 ? -0.2 : 0.2;
-
-        // Position depends on the NPC type
-        if (npcType.name === "Crawler") {
-          eye.position.set(offset, 0.15, 0.3);
-        } else if (npcType.name === "Sentinel" || npcType.name === "Spiker") {
-          eye.position.set(offset, 0.2, 0.3);
-        } else {
-          eye.position.set(offset, 0, 0.3);
-        }
+    // Create eyes for all NPCs
+    const eyeGeometry = new THREE.SphereGeometry(0.12, 8, 8);
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    const pupilMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
 
-        // Add pupil
-        const pupil = new THREE.Mesh(
-          new THREE.SphereGeometry(0.06, 8, 8),
-          pupilMaterial,
-        );
-        pupil.position.z = 0.08;
-        eye.add(pupil);
+    // Create two eyes
+    for (let j = 0; j < 2; j++) {
+      const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+      const offset = j === 0 ? -0.2 : 0.2;
 
-        npc.add(eye);
+      // Position depends on the NPC type
+      if (npcType.name === "Crawler") {
+        eye.position.set(offset, 0.15, 0.3);
+      } else if (npcType.name === "Sentinel" || npcType.name === "Spiker") {
+        eye.position.set(offset, 0.2, 0.3);
+      } else {
+        eye.position.set(offset, 0, 0.3);
       }
 
-      // Add special features based on type
-      if (npcType.name === "Crawler") {
-        // Add feet to Crawler
-        const footGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.3);
-        const footMaterial = new THREE.MeshStandardMaterial({
-          color: 0x000000,
-        });
+      // Add pupil
+      const pupil = new THREE.Mesh(
+        new THREE.SphereGeometry(0.06, 8, 8),
+        pupilMaterial,
+      );
+      pupil.position.z = 0.08;
+      eye.add(pupil);
 
-        for (let f = 0; f < 2; f++) {
-          const foot = new THREE.Mesh(footGeometry, footMaterial);
-          foot.position.set(f === 0 ? 0.25 : -0.25, -0.3, 0);
-          npc.add(foot);
-        }
-      } else if (npcType.name === "Spiker") {
-        // Add spikes to the Spiker
-        const spikeGeometry = new THREE.ConeGeometry(0.08, 0.25, 4);
-        const spikeMaterial = new THREE.MeshStandardMaterial({
-          color: 0xff0000,
-        });
+      npc.add(eye);
+    }
 
-        for (let s = 0; s < 8; s++) {
-          const spike = new THREE.Mesh(spikeGeometry, spikeMaterial);
-          const angle = (s / 8) * Math.PI * 2;
-          spike.position.set(Math.cos(angle) * 0.5, Math.sin(angle) * 0.5, 0);
-          spike.rotation.z = Math.PI / 2;
-          spike.rotation.y = angle;
-          npc.add(spike);
-        }
-      } else if (npcType.name === "Glider") {
-        // Add armor to Glider
-        const shellGeometry = new THREE.SphereGeometry(
-          0.4,
-          16,
-          16,
-          0,
-          Math.PI * 2,
-          0,
-          Math.PI / 2,
-        );
-        const shellMaterial = new THREE.MeshStandardMaterial({
-          color: 0xffaa00,
-        });
-        const shell = new THREE.Mesh(shellGeometry, shellMaterial);
-        shell.rotation.x = Math.PI;
-        shell.position.y = 0.2;
-        npc.add(shell);
-
-        // Add wings to Glider
-        const wingGeometry = new THREE.PlaneGeometry(0.6, 0.4);
-        const wingMaterial = new THREE.MeshBasicMaterial({
-          color: 0xffffff,
-          side: THREE.DoubleSide,
-          transparent: true,
-          opacity: 0.9,
-        });
+    // Add special features based on type
+    if (npcType.name === "Crawler") {
+      // Add feet to Crawler
+      const footGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.3);
+      const footMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+      });
 
-        for (let w = 0; w < 2; w++) {
-          const wing = new THREE.Mesh(wingGeometry, wingMaterial);
-          wing.position.set(w === 0 ? -0.4 : 0.4, 0.2, 0);
-          wing.rotation.y = w === 0 ? Math.PI / 4 : -Math.PI / 4;
-          npc.add(wing);
+      for (let f = 0; f < 2; f++) {
+        const foot = new THREE.Mesh(footGeometry, footMaterial);
+        foot.position.set(f === 0 ? 0.25 : -0.25, -0.3, 0);
+        npc.add(foot);
+      }
+    } else if (npcType.name === "Spiker") {
+      // Add spikes to the Spiker
+      const spikeGeometry = new THREE.ConeGeometry(0.08, 0.25, 4);
+      const spikeMaterial = new THREE.MeshStandardMaterial({
+        color: 0xff0000,
+      });
 
-          // Store wing reference for animation
-          if (!npc.userData) npc.userData = {};
-          if (!npc.userData.wings) npc.userData.wings = [];
-          npc.userData.wings.push(wing);
-        }
-      } else if (npcType.name === "Phantom") {
-        // Add "arms" to Phantom
-        const armGeometry = new THREE.CapsuleGeometry(0.15, 0.3, 4, 8);
-        const armMaterial = new THREE.MeshStandardMaterial({
-          color: 0xffffff,
-          transparent: true,
-          opacity: 0.7,
-        });
-
-        for (let a = 0; a < 2; a++) {
-          const arm = new THREE.Mesh(armGeometry, armMaterial);
-          arm.position.set(a === 0 ? -0.5 : 0.5, -0.2, 0);
-          arm.rotation.z = a === 0 ? -Math.PI / 4 : Math.PI / 4;
-          npc.add(arm);
-        }
+      for (let s = 0; s < 8; s++) {
+        const spike = new THREE.Mesh(spikeGeometry, spikeMaterial);
+        const angle = (s / 8) * Math.PI * 2;
+        spike.position.set(Math.cos(angle) * 0.5, Math.sin(angle) * 0.5, 0);
+        spike.rotation.z = Math.PI / 2;
+        spike.rotation.y = angle;
+        npc.add(spike);
       }
+    } else if (npcType.name === "Glider") {
+      // Add armor to Glider
+      const shellGeometry = new THREE.SphereGeometry(
+        0.4,
+        16,
+        16,
+        0,
+        Math.PI * 2,
+        0,
+        Math.PI / 2,
+      );
+      const shellMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffaa00,
+      });
+      const shell = new THREE.Mesh(shellGeometry, shellMaterial);
+      shell.rotation.x = Math.PI;
+      shell.position.y = 0.2;
+      npc.add(shell);
 
-      // Set up physics and behavior properties
-      const moveStyle = npcType.movementStyle;
-      npc.userData = {
-        id: `npc-${index}`,
-        type: npcType.name,
-        isMoving: true,
-        moveSpeed: npcType.speed + Math.random() * 0.01,
-        movementRange: 2 + Math.random() * 3,
-        startX: pos.x,
-        startY: y,
-        startZ: pos.z,
-        moveDirection: new THREE.Vector3(
-          Math.random() - 0.5,
-          0,
-          Math.random() - 0.5,
-        ).normalize(),
-        isCrushed: false,
-        movementStyle: moveStyle,
-        jumpHeight: npcType.jumpHeight,
-        jumpTime: 0,
-        strength: npcType.strength,
-        crushable: npcType.crushable,
-        attackCooldown: 0,
-        wingFlapDirection: 1,
-        wingFlapSpeed: 0.05,
-        ghostTimer: Math.random() * Math.PI * 2,
-        originalY: y,
-      };
+      // Add wings to Glider
+      const wingGeometry = new THREE.PlaneGeometry(0.6, 0.4);
+      const wingMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.9,
+      });
 
-      // Add to scene and to our list
-      this.scene.add(npc);
-      this.crushableObstacles.push(npc);
+      for (let w = 0; w < 2; w++) {
+        const wing = new THREE.Mesh(wingGeometry, wingMaterial);
+        wing.position.set(w === 0 ? -0.4 : 0.4, 0.2, 0);
+        wing.rotation.y = w === 0 ? Math.PI / 4 : -Math.PI / 4;
+        npc.add(wing);
 
-      // Emit to server about this obstacle
-      if (this.socket) {
-        this.socket.emit("addObstacle", {
-          id: npc.userData.id,
-          position: npc.position,
-          type: npcType.name,
-        });
+        // Store wing reference for animation
+        if (!npc.userData) npc.userData = {};
+        if (!npc.userData.wings) npc.userData.wings = [];
+        npc.userData.wings.push(wing);
       }
-    });
+    } else if (npcType.name === "Phantom") {
+      // Add "arms" to Phantom
+      const armGeometry = new THREE.CapsuleGeometry(0.15, 0.3, 4, 8);
+      const armMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.7,
+      });
 
-    // Listen for obstacle updates from other players
-    this.socket.on("obstacleUpdate", (data) => {
-      const obstacle = this.crushableObstacles.find(
-        (o) => o.userData.id === data.id,
-      );
-      if (obstacle) {
-        if (data.isCrushed && !obstacle.userData.isCrushed) {
-          this.crushObstacle(obstacle);
-        }
+      for (let a = 0; a < 2; a++) {
+        const arm = new THREE.Mesh(armGeometry, armMaterial);
+        arm.position.set(a === 0 ? -0.5 : 0.5, -0.2, 0);
+        arm.rotation.z = a === 0 ? -Math.PI / 4 : Math.PI / 4;
+        npc.add(arm);
       }
-    });
+    }
+
+    return npc;
+  }
+
+  // Add an NPC the server told us about, or bring back one it respawned
+  spawnNpc(data) {
+    const existing = this.findCrushableObstacle(data.id);
+    if (existing) {
+      this.removeNpc(existing);
+    }
+
+    const npcType =
+      this.npcTypes.find((type) => type.name === data.obstacleType) ||
+      this.npcTypes[0];
+    const kind = getNpcKind(npcType.name);
+    const npc = this.createNpcMesh(npcType);
+    npc.position.set(data.position.x, data.position.y, data.position.z);
+
+    npc.userData = {
+      ...npc.userData,
+      id: data.id,
+      type: npcType.name,
+      isMoving: true,
+      isCrushed: false,
+      movementStyle: kind.movementStyle,
+      // Where the server last put it; we glide toward that every frame
+      targetPosition: npc.position.clone(),
+      targetRotationY: npc.rotation.y,
+      attackCooldown: 0,
+      wingFlapDirection: 1,
+      wingFlapSpeed: 0.05,
+      ghostTimer: Math.random() * Math.PI * 2,
+    };
+
+    this.scene.add(npc);
+    this.crushableObstacles.push(npc);
+    return npc;
   }
 
   initWorld() {
@@ -1614,7 +2310,7 @@ export default class MultiplayerPlatformer {
     this.platforms.push(ground);
 
     // Add varied terrain features - hills and trees
-    this.addTerrainFeatures = function () {
+    this.addTerrainFeatures = function (random) {
       console.log("Adding terrain features - hills and trees");
       // Add hills and terrain variations
       const hillCount = 15;
@@ -1623,12 +2319,12 @@ export default class MultiplayerPlatformer {
       // Create hills
       for (let i = 0; i < hillCount; i++) {
         // Random position within ground bounds
-        const posX = (Math.random() - 0.5) * 800;
-        const posZ = (Math.random() - 0.5) * 800;
+        const posX = (random() - 0.5) * 800;
+        const posZ = (random() - 0.5) * 800;
 
         // Create a hill using a hemisphere
         const hillGeometry = new THREE.SphereGeometry(
-          hillSize * (0.7 + Math.random() * 0.6), // Random size variation
+          hillSize * (0.7 + random() * 0.6), // Random size variation
           16,
           16,
           0,
@@ -1649,15 +2345,16 @@ export default class MultiplayerPlatformer {
         hill.castShadow = true;
 
         this.scene.add(hill);
+        this.worldExtras.push(hill);
 
         // Add some trees on top of hills (with probability)
-        if (Math.random() > 0.4) {
-          const treeCount = 1 + Math.floor(Math.random() * 3);
+        if (random() > 0.4) {
+          const treeCount = 1 + Math.floor(random() * 3);
 
           for (let j = 0; j < treeCount; j++) {
             // Position trees on the hill
-            const treeAngle = Math.random() * Math.PI * 2;
-            const treeRadius = Math.random() * (hillSize * 0.5);
+            const treeAngle = random() * Math.PI * 2;
+            const treeRadius = random() * (hillSize * 0.5);
             const treePosX = posX + Math.cos(treeAngle) * treeRadius;
             const treePosZ = posZ + Math.sin(treeAngle) * treeRadius;
 
@@ -1681,8 +2378,8 @@ export default class MultiplayerPlatformer {
       const flatTreeCount = 30;
 
       for (let i = 0; i < flatTreeCount; i++) {
-        const posX = (Math.random() - 0.5) * 800;
-        const posZ = (Math.random() - 0.5) * 800;
+        const posX = (random() - 0.5) * 800;
+        const posZ = (random() - 0.5) * 800;
 
         this.createTree(posX, 0, posZ);
       }
@@ -1722,8 +2419,6 @@ export default class MultiplayerPlatformer {
       this.decorations.push(trunk);
     };
 
-    this.addTerrainFeatures();
-
     // Update theme properties - leave existing ones, but enhance them with updated fields
     this.themeProperties = {
       grassland: {
@@ -1775,16 +2470,13 @@ export default class MultiplayerPlatformer {
     // Initialize base structures for the world
     this.platforms = [];
     this.decorations = [];
+    this.worldExtras = [];
 
     // Create ground segments (we'll use multiple ground segments for endless runner effect)
     this.groundSegments = [];
 
-    // Create the initial world sections
-    this.generateInitialWorld();
-
-    // Initialize enemy and coin spawning
+    // The world itself is generated once the server sends its seed
     this.initCrushableObstacles();
-    this.createCoins();
   }
 
   generateInitialWorld() {
@@ -1798,9 +2490,13 @@ export default class MultiplayerPlatformer {
       currentTheme.fogFar,
     );
 
+    // World-wide features come from the world seed itself
+    const random = createRandom(this.worldSeed);
+    this.addTerrainFeatures(random);
+
     // Initialize exploration zones tracking
     this.exploredZones = new Set(); // Track which grid zones we've generated
-    this.zoneSize = 50; // Size of each zone grid
+    this.zoneSize = ZONE_SIZE; // Size of each zone grid
     this.generationRadius = 3; // Generate this many zones in each direction
 
     // Generate initial central zone
@@ -1819,22 +2515,49 @@ export default class MultiplayerPlatformer {
 
     // Create large central platform as a hub
     this.generateHubPlatform();
+  }
 
-    // Generate special climbing structure in one of the zones
-    const randomX = Math.floor(Math.random() * this.generationRadius);
-    const randomZ = Math.floor(Math.random() * this.generationRadius);
-    this.generateClimbingStructure(
-      randomX * this.zoneSize,
-      randomZ * this.zoneSize,
-    );
+  // Generate the world for a seed from the server, replacing the world of
+  // any previous seed. Clients given the same seed build the same world.
+  setWorldSeed(seed) {
+    if (seed === this.worldSeed) return;
 
-    // Generate jump challenge area in another zone
-    const jumpX = -Math.floor(Math.random() * this.generationRadius);
-    const jumpZ = -Math.floor(Math.random() * this.generationRadius);
-    this.generateJumpChallengeArea(
-      jumpX * this.zoneSize,
-      jumpZ * this.zoneSize,
-    );
+    if (this.worldSeed !== null) {
+      this.clearGeneratedWorld();
+    }
+    this.worldSeed = seed;
+    this.noiseSeed = seed % 10000;
+    this.generateInitialWorld();
+  }
+
+  // A zone's own random stream. `stream` tells apart several independent
+  // streams for the same zone.
+  createZoneRandom(gridX, gridZ, stream = 0) {
+    return createRandom(hashSeed(this.worldSeed, gridX, gridZ, stream));
+  }
+
+  // Remove everything generated from the current seed
+  clearGeneratedWorld() {
+    [
+      this.groundSegments,
+      this.platforms,
+      this.decorations,
+      this.coins,
+      this.powerUps,
+      this.interactiveObjects || [],
+      this.worldExtras,
+    ].forEach((objects) => {
+      objects.forEach((object) => this.scene.remove(object));
+    });
+
+    this.groundSegments = [];
+    this.platforms = [];
+    this.decorations = [];
+    this.coins = [];
+    this.powerUps = [];
+    this.interactiveObjects = [];
+    this.worldExtras = [];
+    this.exploredZones = new Set();
   }
 
   // Generate a zone of the world at specified grid coordinates with procedural terrain
@@ -1847,6 +2570,10 @@ export default class MultiplayerPlatformer {
 
     // Track this zone as explored
     this.exploredZones.add(zoneKey);
+
+    // Everything below comes from the zone's own seeded stream, so every
+    // client builds the same zone
+    const random = this.createZoneRandom(gridX, gridZ);
     const currentTheme = this.themeProperties[this.currentTheme];
 
     // Generate terrain heightmap for this zone
@@ -1865,10 +2592,10 @@ export default class MultiplayerPlatformer {
     // Determine terrain type based on distance from center and randomness
     const distanceFromWorldCenter = Math.sqrt(gridX * gridX + gridZ * gridZ);
     const isMountainous =
-      (distanceFromWorldCenter > 1 && Math.random() > 0.3) ||
+      (distanceFromWorldCenter > 1 && random() > 0.3) ||
       zoneSeed % 7 === 0;
     const isHilly =
-      (distanceFromWorldCenter < 2 && Math.random() > 0.4) ||
+      (distanceFromWorldCenter < 2 && random() > 0.4) ||
       zoneSeed % 5 === 0;
     const isFlat = !isMountainous && !isHilly;
 
@@ -1974,81 +2701,57 @@ export default class MultiplayerPlatformer {
 
     // Determine zone difficulty and density based on distance from center
     const zoneDifficulty = Math.min(1.0, distanceFromOrigin / 10); // 0 to 1 difficulty scale
-    const shouldAddSpecialFeatures = Math.random() < 0.1 + zoneDifficulty * 0.4; // More special features in harder zones
+    const shouldAddSpecialFeatures = random() < 0.1 + zoneDifficulty * 0.4; // More special features in harder zones
 
-    // More platforms and features in outer zones, with enhanced density
-    const platformCount = Math.floor(
-      3 + Math.random() * 5 * (1 + zoneDifficulty),
-    );
-    for (let i = 0; i < platformCount; i++) {
-      const offsetX = (Math.random() - 0.5) * this.zoneSize * 0.8;
-      const offsetZ = (Math.random() - 0.5) * this.zoneSize * 0.8;
-
-      // Higher platforms in more distant zones
-      const heightMultiplier = 1 + zoneDifficulty * 2;
-      const platformHeight = 1 + Math.random() * heightMultiplier;
-
-      this.generatePlatform(worldZ + offsetZ, worldX + offsetX, platformHeight);
-
-      // Add collectibles on some platforms
-      if (Math.random() < 0.3 + zoneDifficulty * 0.2) {
-        // 30-50% chance to add collectible based on zone difficulty
-        this.generateCollectible(
-          worldX + offsetX,
-          platformHeight + 0.6,
-          worldZ + offsetZ,
-        );
-      }
+    // Platforms and coins come from the shared generator, which the server
+    // collides players against and follows their coin pickups with
+    const platformLayouts = generateZonePlatforms(this.worldSeed, gridX, gridZ);
+    for (const layout of platformLayouts) {
+      this.addGeneratedPlatform(layout, random);
+    }
+    for (const coin of generateZoneCoins(
+      this.worldSeed,
+      gridX,
+      gridZ,
+      platformLayouts,
+    )) {
+      this.createCoin(coin.position.x, coin.position.y, coin.position.z, random);
     }
 
     // Add zone-specific decorations with increased variety
     const decorationCount = Math.floor(
-      3 + Math.random() * (5 + zoneDifficulty * 3),
+      3 + random() * (5 + zoneDifficulty * 3),
     );
     for (let i = 0; i < decorationCount; i++) {
-      const offsetX = (Math.random() - 0.5) * this.zoneSize * 0.9;
-      const offsetZ = (Math.random() - 0.5) * this.zoneSize * 0.9;
-      this.generateDecoration(worldX + offsetX, worldZ + offsetZ);
-    }
-
-    // Add enemies with increasing frequency in farther zones
-    const enemyCount = Math.floor(Math.random() * 3 * zoneDifficulty);
-    if (enemyCount > 0) {
-      for (let i = 0; i < enemyCount; i++) {
-        const offsetX = (Math.random() - 0.5) * this.zoneSize * 0.7;
-        const offsetZ = (Math.random() - 0.5) * this.zoneSize * 0.7;
-        this.generateEnemy(worldX + offsetX, worldZ + offsetZ, zoneDifficulty);
-      }
+      const offsetX = (random() - 0.5) * this.zoneSize * 0.9;
+      const offsetZ = (random() - 0.5) * this.zoneSize * 0.9;
+      // Decorations draw a theme-dependent number of values, so each gets
+      // its own stream to keep the rest of the zone independent of the theme
+      this.generateDecoration(
+        worldX + offsetX,
+        worldZ + offsetZ,
+        forkRandom(random),
+      );
     }
 
     // Handle special zone features like jumppads, portals, etc
     if (shouldAddSpecialFeatures) {
-      const featureType = Math.floor(Math.random() * 3);
-      const offsetX = (Math.random() - 0.3) * this.zoneSize * 0.6;
-      const offsetZ = (Math.random() - 0.3) * this.zoneSize * 0.6;
+      const featureType = Math.floor(random() * 3);
+      const offsetX = (random() - 0.3) * this.zoneSize * 0.6;
+      const offsetZ = (random() - 0.3) * this.zoneSize * 0.6;
 
       switch (featureType) {
         case 0:
           // Add jump boost pad
-          this.generateJumpPad(worldX + offsetX, worldZ + offsetZ);
+          this.generateJumpPad(worldX + offsetX, worldZ + offsetZ, random);
           break;
         case 1:
           // Add speed boost zone
-          this.generateSpeedBoost(worldX + offsetX, worldZ + offsetZ);
+          this.generateSpeedBoost(worldX + offsetX, worldZ + offsetZ, random);
           break;
         case 2:
           // Add teleporter (if implemented)
           // this.generateTeleporter(worldX + offsetX, worldZ + offsetZ);
-          // Fallback to collectible cluster if teleporter not implemented
-          for (let i = 0; i < 3; i++) {
-            const clusterOffsetX = offsetX + (Math.random() - 0.5) * 2;
-            const clusterOffsetZ = offsetZ + (Math.random() - 0.5) * 2;
-            this.generateCollectible(
-              worldX + clusterOffsetX,
-              1.5,
-              worldZ + clusterOffsetZ,
-            );
-          }
           break;
       }
     }
@@ -2169,103 +2872,87 @@ export default class MultiplayerPlatformer {
     marker.castShadow = true;
 
     this.scene.add(marker);
+    this.worldExtras.push(marker);
   }
 
-  // Generate a climbing structure
-  generateClimbingStructure(posX, posZ) {
-    const height = 20; // Total height of structure
-    const baseSize = 8; // Size of the base
-    const levels = 6; // Number of climbing levels
+  // Build the mesh for a platform from the shared generator, with the
+  // pillars and rewards that go with its style
+  addGeneratedPlatform(layout, random = Math.random) {
+    const currentTheme = this.themeProperties[this.currentTheme];
+    const { position, width, height, depth, style } = layout;
+    const colors = {
+      zone: currentTheme.platformColor,
+      pillarTop: 0x8b4513,
+      tower: 0x8b4513,
+      towerTop: 0x8b4513,
+      step: 0x8b4513,
+      challenge: 0x32cd32,
+      challengeGoal: 0xffd700,
+    };
 
-    // Create base platform
-    const baseGeometry = new THREE.BoxGeometry(baseSize, 1, baseSize);
-    const baseMaterial = new THREE.MeshStandardMaterial({
-      color: 0x8b4513,
-      roughness: 0.8,
+    const geometry =
+      layout.shape === "cylinder"
+        ? new THREE.CylinderGeometry(width / 2, width / 2, height, 16)
+        : new THREE.BoxGeometry(width, height, depth);
+    const material = new THREE.MeshStandardMaterial({
+      color: colors[style],
+      roughness: 0.7,
+      metalness: style === "zone" || style === "challengeGoal" ? 0.3 : 0,
     });
 
-    const base = new THREE.Mesh(baseGeometry, baseMaterial);
-    base.position.set(posX, 0, posZ);
-    base.receiveShadow = true;
-    base.castShadow = true;
+    const platform = new THREE.Mesh(geometry, material);
+    platform.position.set(position.x, position.y, position.z);
+    platform.receiveShadow = true;
+    platform.castShadow = true;
+
+    // Small chance for unique platform colors
+    if (style === "zone" && random() > 0.8) {
+      platform.material.color.set(
+        currentTheme.decorationColors[
+          Math.floor(random() * currentTheme.decorationColors.length)
+        ],
+      );
+    }
 
-    base.userData = {
+    platform.userData = {
       type: "platform",
       isCollidable: true,
+      shape: layout.shape,
     };
 
-    this.platforms.push(base);
-    this.scene.add(base);
-
-    // Create climbing platforms at different heights
-    for (let i = 1; i <= levels; i++) {
-      const levelHeight = (height / levels) * i;
-      const platformSize = baseSize * (1 - (i / levels) * 0.7); // Platforms get smaller higher up
+    this.platforms.push(platform);
+    this.scene.add(platform);
 
-      // Create level platform
-      const platformGeometry = new THREE.BoxGeometry(
-        platformSize,
-        0.5,
-        platformSize,
+    if (layout.pillarBase !== undefined) {
+      // The pillar holding the platform up
+      const pillarHeight = position.y - height / 2 - layout.pillarBase;
+      const pillar = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.2, 0.2, pillarHeight, 8),
+        new THREE.MeshStandardMaterial({ color: 0x8b4513, roughness: 0.8 }),
       );
-      const platformMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8b4513,
-        roughness: 0.7,
-      });
-
-      const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-      platform.position.set(posX, levelHeight, posZ);
-      platform.receiveShadow = true;
-      platform.castShadow = true;
-
-      platform.userData = {
-        type: "platform",
-        isCollidable: true,
-      };
-
-      this.platforms.push(platform);
-      this.scene.add(platform);
-
-      // Add connecting steps or ladders between levels
-      if (i > 1) {
-        const prevHeight = (height / levels) * (i - 1);
-        const stepCount = 4;
-
-        for (let j = 0; j < stepCount; j++) {
-          const stepHeight =
-            prevHeight + ((levelHeight - prevHeight) * j) / stepCount;
-          const stepSize = 1.5;
-
-          const stepGeometry = new THREE.BoxGeometry(stepSize, 0.3, stepSize);
-          const stepMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8b4513,
-            roughness: 0.9,
-          });
-
-          const step = new THREE.Mesh(stepGeometry, stepMaterial);
-
-          // Position steps in a spiral pattern
-          const angle = (j / stepCount) * Math.PI * 2 + (i * Math.PI) / 2;
-          const radius = platformSize * 0.6;
-          const stepX = posX + Math.cos(angle) * radius;
-          const stepZ = posZ + Math.sin(angle) * radius;
-
-          step.position.set(stepX, stepHeight, stepZ);
-          step.receiveShadow = true;
-          step.castShadow = true;
+      pillar.position.set(
+        position.x,
+        layout.pillarBase + pillarHeight / 2,
+        position.z,
+      );
+      pillar.castShadow = true;
+      pillar.userData = { type: "pillar" };
 
-          step.userData = {
-            type: "platform",
-            isCollidable: true,
-          };
+      this.scene.add(pillar);
+      this.worldExtras.push(pillar);
+    }
 
-          this.platforms.push(step);
-          this.scene.add(step);
-        }
-      }
+    if (style === "towerTop") {
+      this.addTowerReward(position.x, position.y + 2, position.z);
+    } else if (style === "challengeGoal") {
+      this.spawnRandomPowerUp(position.x, position.y + 1, position.z);
     }
 
-    // Add a reward at the top
+    return platform;
+  }
+
+  // A glowing reward at the top of a climbing tower
+  addTowerReward(x, y, z) {
     const rewardGeometry = new THREE.SphereGeometry(1, 16, 16);
     const rewardMaterial = new THREE.MeshStandardMaterial({
       color: 0xffd700,
@@ -2276,7 +2963,7 @@ export default class MultiplayerPlatformer {
     });
 
     const reward = new THREE.Mesh(rewardGeometry, rewardMaterial);
-    reward.position.set(posX, height + 2, posZ);
+    reward.position.set(x, y, z);
     reward.castShadow = true;
 
     // Add glow effect
@@ -2297,419 +2984,123 @@ export default class MultiplayerPlatformer {
     };
 
     this.scene.add(reward);
+    this.worldExtras.push(reward);
   }
 
-  // Create a jump challenge area with multiple platforms
-  generateJumpChallengeArea(posX, posZ) {
-    const platformCount = 8;
-    const minHeight = 2;
-    const maxHeight = 8;
-    const minDistance = 3;
-    const maxDistance = 7;
-    const baseSize = 15;
+  generateDecorations(random = Math.random) {
+    const currentTheme = this.themeProperties[this.currentTheme];
 
-    // Create base platform
-    const baseGeometry = new THREE.BoxGeometry(baseSize, 1, baseSize);
-    const baseMaterial = new THREE.MeshStandardMaterial({
-      color: 0x32cd32,
-      roughness: 0.8,
+    // Clear old decorations
+    this.decorations.forEach((decoration) => {
+      this.scene.remove(decoration);
     });
+    this.decorations = [];
 
-    const base = new THREE.Mesh(baseGeometry, baseMaterial);
-    base.position.set(posX, 0, posZ);
-    base.receiveShadow = true;
-
-    base.userData = {
-      type: "platform",
-      isCollidable: true,
-    };
-
-    this.platforms.push(base);
-    this.scene.add(base);
+    // Generate new decorations based on theme
+    const decorationCount = 30;
 
-    // Starting position
-    let currentX = posX;
-    let currentZ = posZ;
-    let currentHeight = 0;
+    for (let i = 0; i < decorationCount; i++) {
+      // Random position - spread throughout the visible area
+      const x = (random() - 0.5) * 40;
+      const z = -(random() * 100);
 
-    // Create platforms in a pattern that requires jumping
-    for (let i = 0; i < platformCount; i++) {
-      // Calculate next platform position
-      const angle = Math.random() * Math.PI * 2;
-      const distance =
-        minDistance + Math.random() * (maxDistance - minDistance);
+      let geometry, material, decoration;
 
-      currentX += Math.cos(angle) * distance;
-      currentZ += Math.sin(angle) * distance;
-      currentHeight = minHeight + Math.random() * (maxHeight - minHeight);
+      // Different decoration types based on theme
+      switch (this.currentTheme) {
+        case "grassland":
+          // Trees
+          if (random() > 0.5) {
+            // Tree trunk
+            geometry = new THREE.CylinderGeometry(
+              0.3,
+              0.5,
+              2 + random() * 2,
+              6,
+            );
+            material = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
+            decoration = new THREE.Mesh(geometry, material);
 
-      // Platform size gets smaller as you go higher
-      const platformSize = 2 + Math.random() * 2;
+            // Tree top (leaves)
+            const leavesGeometry = new THREE.ConeGeometry(
+              1 + random() * 0.5,
+              2 + random() * 1,
+              8,
+            );
+            const leavesColor =
+              currentTheme.decorationColors[
+                Math.floor(random() * currentTheme.decorationColors.length)
+              ];
+            const leavesMaterial = new THREE.MeshStandardMaterial({
+              color: leavesColor,
+            });
+            const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
+            leaves.position.y =
+              decoration.geometry.parameters.height / 2 +
+              leavesGeometry.parameters.height / 2 -
+              0.3;
+            decoration.add(leaves);
+          } else {
+            // Bush
+            geometry = new THREE.SphereGeometry(
+              0.5 + random() * 0.5,
+              8,
+              8,
+            );
+            const bushColor =
+              currentTheme.decorationColors[
+                Math.floor(random() * currentTheme.decorationColors.length)
+              ];
+            material = new THREE.MeshStandardMaterial({ color: bushColor });
+            decoration = new THREE.Mesh(geometry, material);
+          }
+          break;
 
-      // Create the platform
-      const platformGeometry = new THREE.BoxGeometry(
-        platformSize,
-        0.5,
-        platformSize,
-      );
-      const platformMaterial = new THREE.MeshStandardMaterial({
-        color: 0x32cd32,
-        roughness: 0.7,
-      });
+        case "desert":
+          // Cactus or rock
+          if (random() > 0.5) {
+            // Cactus
+            geometry = new THREE.CylinderGeometry(
+              0.3,
+              0.4,
+              1 + random() * 2,
+              8,
+            );
+            material = new THREE.MeshStandardMaterial({ color: 0x2e8b57 });
+            decoration = new THREE.Mesh(geometry, material);
 
-      const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-      platform.position.set(currentX, currentHeight, currentZ);
-      platform.receiveShadow = true;
-      platform.castShadow = true;
+            // Cactus arms
+            if (random() > 0.5) {
+              const armGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.8, 8);
+              const arm = new THREE.Mesh(armGeometry, material);
+              arm.rotation.z = Math.PI / 2;
+              arm.position.set(
+                0.5,
+                decoration.geometry.parameters.height * 0.3,
+                0,
+              );
+              decoration.add(arm);
+            }
+          } else {
+            // Rock
+            geometry = new THREE.DodecahedronGeometry(
+              0.6 + random() * 0.4,
+              0,
+            );
+            const rockColor =
+              currentTheme.decorationColors[
+                Math.floor(random() * currentTheme.decorationColors.length)
+              ];
+            material = new THREE.MeshStandardMaterial({ color: rockColor });
+            decoration = new THREE.Mesh(geometry, material);
+          }
+          break;
 
-      platform.userData = {
-        type: "platform",
-        isCollidable: true,
-      };
-
-      this.platforms.push(platform);
-      this.scene.add(platform);
-
-      // Add a coin or collectible on some platforms
-      if (Math.random() > 0.5) {
-        this.generateCoinsForPlatform(platform);
-      }
-    }
-
-    // Add a final reward platform
-    const finalPlatformGeometry = new THREE.BoxGeometry(5, 1, 5);
-    const finalPlatformMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffd700,
-      roughness: 0.5,
-      metalness: 0.3,
-    });
-
-    const finalPlatform = new THREE.Mesh(
-      finalPlatformGeometry,
-      finalPlatformMaterial,
-    );
-    finalPlatform.position.set(currentX, currentHeight + 2, currentZ);
-    finalPlatform.receiveShadow = true;
-    finalPlatform.castShadow = true;
-
-    finalPlatform.userData = {
-      type: "platform",
-      isCollidable: true,
-    };
-
-    this.platforms.push(finalPlatform);
-    this.scene.add(finalPlatform);
-
-    // Add special reward on final platform
-    this.spawnRandomPowerUp(currentX, currentHeight + 3, currentZ);
-  }
-
-  generatePlatform(z, x = undefined, customHeight = undefined) {
-    const currentTheme = this.themeProperties[this.currentTheme];
-
-    // Generate platform with random properties
-    const width = 2 + Math.random() * 3;
-    const height = 0.5;
-    const depth = 2 + Math.random() * 3;
-
-    // Random position - keep platforms accessible but varied
-    // Use provided x if available, otherwise randomize
-    const posX = x !== undefined ? x : (Math.random() - 0.5) * 20;
-    // Use custom height if provided
-    const posY =
-      customHeight !== undefined ? customHeight : 1 + Math.random() * 5;
-    const posZ = z;
-
-    // Randomize platform type for variety
-    const platformTypes = [
-      {
-        geometry: new THREE.BoxGeometry(width, height, depth),
-        yOffset: 0,
-        shape: "box",
-      },
-      {
-        geometry: new THREE.CylinderGeometry(width / 2, width / 2, height, 16),
-        yOffset: 0,
-        shape: "cylinder",
-      },
-      {
-        geometry: new THREE.SphereGeometry(width / 2, 16, 16),
-        yOffset: -width / 4, // Adjust to make top of sphere flat with ground
-        shape: "sphere",
-      },
-    ];
-
-    // Select platform type - mostly boxes but some special shapes
-    const platformType =
-      Math.random() > 0.7
-        ? platformTypes[Math.floor(Math.random() * platformTypes.length)]
-        : platformTypes[0]; // 70% boxes, 30% special shapes
-
-    // Create the platform with selected geometry
-    const geometry = platformType.geometry;
-    const material = new THREE.MeshStandardMaterial({
-      color: currentTheme.platformColor,
-      roughness: 0.7,
-      metalness: 0.3,
-    });
-
-    const platform = new THREE.Mesh(geometry, material);
-    platform.position.set(posX, posY + platformType.yOffset, posZ);
-    platform.receiveShadow = true;
-    platform.castShadow = true;
-
-    // Small chance for unique platform colors
-    if (Math.random() > 0.8) {
-      // Special colored platform
-      platform.material.color.set(
-        currentTheme.decorationColors[
-          Math.floor(Math.random() * currentTheme.decorationColors.length)
-        ],
-      );
-    }
-
-    // Store platform data
-    platform.userData = {
-      type: "platform",
-      isCollidable: true,
-      shape: platformType.shape,
-      zPosition: posZ,
-      originalY: posY,
-      movingPlatform: Math.random() > 0.6, // 40% chance to be a moving platform
-      movementAmplitude: Math.random() * 1.5,
-      movementFrequency: 0.02 + Math.random() * 0.02,
-      movementPhase: Math.random() * Math.PI * 2,
-      movementAxis: Math.random() > 0.7 ? "y" : "x", // Mostly horizontal movement
-      platformId: `platform_${this.platforms.length}_${Math.floor(Math.random() * 1000)}`,
-    };
-
-    this.platforms.push(platform);
-    this.scene.add(platform);
-
-    // Add coins on top of some platforms
-    if (Math.random() > 0.3) {
-      // 70% chance to add coins
-      this.generateCoinsForPlatform(platform);
-    }
-
-    // Add obstacles on some platforms
-    if (Math.random() > 0.6) {
-      // 40% chance to add an NPC
-      this.generateNPCForPlatform(platform);
-    }
-
-    // Add special climbing elements to some platforms
-    if (Math.random() > 0.9) {
-      // 10% chance to add climbing elements
-      this.addClimbingElementsToPlatform(platform);
-    }
-
-    return platform;
-  }
-
-  // Add climbing elements to some platforms
-  addClimbingElementsToPlatform(platform) {
-    // Only add to platforms that are big enough
-    if (
-      !platform.geometry.parameters ||
-      (platform.geometry.parameters.width &&
-        platform.geometry.parameters.width < 3)
-    ) {
-      return;
-    }
-
-    const platformSize = platform.geometry.parameters.width || 2;
-    const pillarCount = Math.floor(Math.random() * 3) + 1; // 1-3 pillars
-
-    for (let i = 0; i < pillarCount; i++) {
-      // Calculate position offset
-      const angle = (i / pillarCount) * Math.PI * 2;
-      const radius = platformSize * 0.4;
-      const offsetX = Math.cos(angle) * radius;
-      const offsetZ = Math.sin(angle) * radius;
-
-      // Create pillar
-      const pillarHeight = 2 + Math.random() * 4;
-      const pillarGeometry = new THREE.CylinderGeometry(
-        0.2,
-        0.2,
-        pillarHeight,
-        8,
-      );
-      const pillarMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8b4513,
-        roughness: 0.8,
-      });
-
-      const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-      pillar.position.set(
-        platform.position.x + offsetX,
-        platform.position.y + pillarHeight / 2,
-        platform.position.z + offsetZ,
-      );
-      pillar.castShadow = true;
-
-      pillar.userData = {
-        type: "pillar",
-        isCollidable: true,
-        parentPlatform: platform.userData.platformId,
-      };
-
-      this.scene.add(pillar);
-
-      // Create a platform at the top of the pillar
-      const topPlatformSize = 1.5;
-      const topPlatformGeometry = new THREE.BoxGeometry(
-        topPlatformSize,
-        0.2,
-        topPlatformSize,
-      );
-      const topPlatformMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8b4513,
-        roughness: 0.7,
-      });
-
-      const topPlatform = new THREE.Mesh(
-        topPlatformGeometry,
-        topPlatformMaterial,
-      );
-      topPlatform.position.set(
-        pillar.position.x,
-        pillar.position.y + pillarHeight / 2 + 0.1,
-        pillar.position.z,
-      );
-      topPlatform.receiveShadow = true;
-      topPlatform.castShadow = true;
-
-      topPlatform.userData = {
-        type: "platform",
-        isCollidable: true,
-      };
-
-      this.platforms.push(topPlatform);
-      this.scene.add(topPlatform);
-
-      // Add coin on top of pillar platform
-      if (Math.random() > 0.3) {
-        this.generateCoinsForPlatform(topPlatform);
-      }
-    }
-  }
-
-  generateDecorations() {
-    const currentTheme = this.themeProperties[this.currentTheme];
-
-    // Clear old decorations
-    this.decorations.forEach((decoration) => {
-      this.scene.remove(decoration);
-    });
-    this.decorations = [];
-
-    // Generate new decorations based on theme
-    const decorationCount = 30;
-
-    for (let i = 0; i < decorationCount; i++) {
-      // Random position - spread throughout the visible area
-      const x = (Math.random() - 0.5) * 40;
-      const z = -(Math.random() * 100);
-
-      let geometry, material, decoration;
-
-      // Different decoration types based on theme
-      switch (this.currentTheme) {
-        case "grassland":
-          // Trees
-          if (Math.random() > 0.5) {
-            // Tree trunk
-            geometry = new THREE.CylinderGeometry(
-              0.3,
-              0.5,
-              2 + Math.random() * 2,
-              6,
-            );
-            material = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
-            decoration = new THREE.Mesh(geometry, material);
-
-            // Tree top (leaves)
-            const leavesGeometry = new THREE.ConeGeometry(
-              1 + Math.random() * 0.5,
-              2 + Math.random() * 1,
-              8,
-            );
-            const leavesColor =
-              currentTheme.decorationColors[
-                Math.floor(Math.random() * currentTheme.decorationColors.length)
-              ];
-            const leavesMaterial = new THREE.MeshStandardMaterial({
-              color: leavesColor,
-            });
-            const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-            leaves.position.y =
-              decoration.geometry.parameters.height / 2 +
-              leavesGeometry.parameters.height / 2 -
-              0.3;
-            decoration.add(leaves);
-          } else {
-            // Bush
-            geometry = new THREE.SphereGeometry(
-              0.5 + Math.random() * 0.5,
-              8,
-              8,
-            );
-            const bushColor =
-              currentTheme.decorationColors[
-                Math.floor(Math.random() * currentTheme.decorationColors.length)
-              ];
-            material = new THREE.MeshStandardMaterial({ color: bushColor });
-            decoration = new THREE.Mesh(geometry, material);
-          }
-          break;
-
-        case "desert":
-          // Cactus or rock
-          if (Math.random() > 0.5) {
-            // Cactus
-            geometry = new THREE.CylinderGeometry(
-              0.3,
-              0.4,
-              1 + Math.random() * 2,
-              8,
-            );
-            material = new THREE.MeshStandardMaterial({ color: 0x2e8b57 });
-            decoration = new THREE.Mesh(geometry, material);
-
-            // Cactus arms
-            if (Math.random() > 0.5) {
-              const armGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.8, 8);
-              const arm = new THREE.Mesh(armGeometry, material);
-              arm.rotation.z = Math.PI / 2;
-              arm.position.set(
-                0.5,
-                decoration.geometry.parameters.height * 0.3,
-                0,
-              );
-              decoration.add(arm);
-            }
-          } else {
-            // Rock
-            geometry = new THREE.DodecahedronGeometry(
-              0.6 + Math.random() * 0.4,
-              0,
-            );
-            const rockColor =
-              currentTheme.decorationColors[
-                Math.floor(Math.random() * currentTheme.decorationColors.length)
-              ];
-            material = new THREE.MeshStandardMaterial({ color: rockColor });
-            decoration = new THREE.Mesh(geometry, material);
-          }
-          break;
-
-        case "snow":
-          // Snowman or ice crystal
-          if (Math.random() > 0.5) {
-            // Snowman
-            decoration = new THREE.Group();
+        case "snow":
+          // Snowman or ice crystal
+          if (random() > 0.5) {
+            // Snowman
+            decoration = new THREE.Group();
 
             // Bottom sphere
             const bottomGeometry = new THREE.SphereGeometry(0.7, 12, 12);
@@ -2733,12 +3124,12 @@ export default class MultiplayerPlatformer {
           } else {
             // Ice crystal
             geometry = new THREE.OctahedronGeometry(
-              0.6 + Math.random() * 0.4,
+              0.6 + random() * 0.4,
               0,
             );
             const crystalColor =
               currentTheme.decorationColors[
-                Math.floor(Math.random() * currentTheme.decorationColors.length)
+                Math.floor(random() * currentTheme.decorationColors.length)
               ];
             material = new THREE.MeshStandardMaterial({
               color: crystalColor,
@@ -2751,10 +3142,10 @@ export default class MultiplayerPlatformer {
 
         case "lava":
           // Volcanic rock or lava fountain
-          if (Math.random() > 0.5) {
+          if (random() > 0.5) {
             // Volcanic rock
             geometry = new THREE.DodecahedronGeometry(
-              0.6 + Math.random() * 0.5,
+              0.6 + random() * 0.5,
               1,
             );
             material = new THREE.MeshStandardMaterial({ color: 0x333333 });
@@ -2762,14 +3153,14 @@ export default class MultiplayerPlatformer {
           } else {
             // Lava fountain/pool
             geometry = new THREE.CylinderGeometry(
-              0.5 + Math.random() * 0.3,
-              0.7 + Math.random() * 0.3,
+              0.5 + random() * 0.3,
+              0.7 + random() * 0.3,
               0.2,
               12,
             );
             const lavaColor =
               currentTheme.decorationColors[
-                Math.floor(Math.random() * currentTheme.decorationColors.length)
+                Math.floor(random() * currentTheme.decorationColors.length)
               ];
             material = new THREE.MeshStandardMaterial({
               color: lavaColor,
@@ -2782,7 +3173,7 @@ export default class MultiplayerPlatformer {
 
         default:
           // Default decoration (simple cylinder)
-          geometry = new THREE.CylinderGeometry(0.3, 0.3, 1 + Math.random(), 8);
+          geometry = new THREE.CylinderGeometry(0.3, 0.3, 1 + random(), 8);
           material = new THREE.MeshStandardMaterial({ color: 0x888888 });
           decoration = new THREE.Mesh(geometry, material);
       }
@@ -2805,387 +3196,7 @@ export default class MultiplayerPlatformer {
     }
   }
 
-  generateCoinsForPlatform(platform) {
-    // Get platform dimensions and position
-    const platformWidth = platform.geometry.parameters.width;
-    const platformDepth = platform.geometry.parameters.depth;
-    const platformX = platform.position.x;
-    const platformY = platform.position.y;
-    const platformZ = platform.position.z;
-
-    // Determine number of coins to create
-    const coinCount = 1 + Math.floor(Math.random() * 3); // 1-3 coins
-
-    for (let i = 0; i < coinCount; i++) {
-      // Position relative to platform
-      let x, z;
-
-      if (coinCount === 1) {
-        // Single coin in the center
-        x = platformX;
-        z = platformZ;
-      } else {
-        // Multiple coins in a row or pattern
-        x = platformX + (i / (coinCount - 1) - 0.5) * (platformWidth * 0.7);
-        z = platformZ;
-      }
-
-      // Create coin
-      const geometry = new THREE.CylinderGeometry(0.3, 0.3, 0.05, 16);
-      const material = new THREE.MeshStandardMaterial({
-        color: 0xffd700, // Gold
-        metalness: 1,
-        roughness: 0.3,
-        emissive: 0x665000,
-        emissiveIntensity: 0.5,
-      });
-
-      const coin = new THREE.Mesh(geometry, material);
-      coin.rotation.x = Math.PI / 2; // Make it flat
-      coin.position.set(x, platformY + 0.5, z); // Position above platform
-      coin.castShadow = true;
-
-      // Store coin data
-      coin.userData = {
-        segmentType: "coin",
-        isCollected: false,
-        zPosition: z,
-        rotationSpeed: 0.02 + Math.random() * 0.02,
-      };
-
-      this.coins.push(coin);
-      this.scene.add(coin);
-    }
-  }
-
-  generateNPCForPlatform(platform) {
-    // Get platform position
-    const platformX = platform.position.x;
-    const platformY = platform.position.y;
-    const platformZ = platform.position.z;
-
-    // Make sure we have NPC types defined
-    if (!this.npcTypes || !this.npcTypes.length) {
-      // Define NPC types if not already defined
-      this.npcTypes = [
-        {
-          name: "Goomba",
-          geometry: new THREE.BoxGeometry(0.8, 0.6, 0.8),
-          material: new THREE.MeshStandardMaterial({
-            color: 0x8b4513, // Brown
-            roughness: 0.7,
-            metalness: 0.2,
-          }),
-          speed: 0.03,
-          movementStyle: "ground",
-          jumpHeight: 0,
-          strength: 1,
-          crushable: true,
-        },
-        {
-          name: "Koopa",
-          geometry: new THREE.CylinderGeometry(0.4, 0.6, 1.0, 8),
-          material: new THREE.MeshStandardMaterial({
-            color: 0x00aa00, // Green
-            roughness: 0.7,
-            metalness: 0.2,
-          }),
-          speed: 0.02,
-          movementStyle: "ground",
-          jumpHeight: 0,
-          strength: 1,
-          crushable: true,
-        },
-        {
-          name: "Spiny",
-          geometry: new THREE.SphereGeometry(0.5, 16, 8),
-          material: new THREE.MeshStandardMaterial({
-            color: 0xdd2222, // Red
-            roughness: 0.6,
-            metalness: 0.3,
-          }),
-          speed: 0.04,
-          movementStyle: "ground",
-          jumpHeight: 0,
-          strength: 2,
-          crushable: false,
-        },
-        {
-          name: "Paratroopa",
-          geometry: new THREE.CylinderGeometry(0.4, 0.6, 1.0, 8),
-          material: new THREE.MeshStandardMaterial({
-            color: 0xff2222, // Red
-            roughness: 0.7,
-            metalness: 0.2,
-          }),
-          speed: 0.03,
-          movementStyle: "flying",
-          jumpHeight: 0.5,
-          strength: 1,
-          crushable: true,
-        },
-        {
-          name: "Boo",
-          geometry: new THREE.SphereGeometry(0.5, 16, 16),
-          material: new THREE.MeshStandardMaterial({
-            color: 0xffffff, // White
-            roughness: 0.3,
-            metalness: 0.1,
-            transparent: true,
-            opacity: 0.7,
-          }),
-          speed: 0.02,
-          movementStyle: "ghost",
-          jumpHeight: 0.2,
-          strength: 1,
-          crushable: true,
-        },
-      ];
-    }
-
-    // Select random NPC type
-    const npcType =
-      this.npcTypes[Math.floor(Math.random() * this.npcTypes.length)];
-
-    // Create the NPC mesh
-    const npc = new THREE.Mesh(npcType.geometry, npcType.material.clone());
-
-    // Set height based on movement style
-    let y = platformY + 0.6; // Default above platform
-    if (npcType.movementStyle === "flying") {
-      y = platformY + 1.5; // Flying enemies are higher
-    } else if (npcType.movementStyle === "ghost") {
-      y = platformY + 1.0; // Ghosts float at medium height
-    }
-
-    npc.position.set(platformX, y, platformZ);
-    npc.castShadow = true;
-    npc.receiveShadow = true;
-
-    // Create eyes for all NPCs - same code as in initCrushableObstacles
-    const eyeGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-    const pupilMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-
-    // Create two eyes
-    for (let j = 0; j < 2; j++) {
-      const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-      const offset = j === 0 ? -0.2 : 0.2;
-
-      // Position depends on the NPC type
-      if (npcType.name === "Goomba") {
-        eye.position.set(offset, 0.15, 0.3);
-      } else if (npcType.name === "Koopa" || npcType.name === "Spiny") {
-        eye.position.set(offset, 0.2, 0.3);
-      } else {
-        eye.position.set(offset, 0, 0.3);
-      }
-
-      // Add pupil
-      const pupil = new THREE.Mesh(
-        new THREE.SphereGeometry(0.06, 8, 8),
-        pupilMaterial,
-      );
-      pupil.position.z = 0.08;
-      eye.add(pupil);
-
-      npc.add(eye);
-    }
-
-    // Add same special features as in initCrushableObstacles based on type
-    this.addSpecialFeaturestoNPC(npc, npcType);
-
-    // Set up physics and behavior properties
-    const moveStyle = npcType.movementStyle;
-    npc.userData = {
-      id: `npc-platform-${platformZ}`,
-      type: npcType.name,
-      segmentType: "enemy",
-      isMoving: true,
-      moveSpeed: npcType.speed + Math.random() * 0.01,
-      movementRange: platformY + 1.0, // For vertical movement constraint
-      platformWidth: platform.geometry.parameters.width,
-      startX: platformX,
-      startY: y,
-      startZ: platformZ,
-      moveDirection: new THREE.Vector3(
-        Math.random() - 0.5,
-        0,
-        Math.random() - 0.5,
-      ).normalize(),
-      isCrushed: false,
-      movementStyle: moveStyle,
-      jumpHeight: npcType.jumpHeight,
-      jumpTime: 0,
-      strength: npcType.strength,
-      crushable: npcType.crushable,
-      attackCooldown: 0,
-      wingFlapDirection: 1,
-      wingFlapSpeed: 0.05,
-      ghostTimer: Math.random() * Math.PI * 2,
-      originalY: y,
-      zPosition: platformZ,
-    };
-
-    // Add to scene and to our list
-    this.scene.add(npc);
-    this.crushableObstacles.push(npc);
-
-    // Emit to server about this obstacle
-    if (this.socket) {
-      this.socket.emit("addObstacle", {
-        id: npc.userData.id,
-        position: npc.position,
-        type: npcType.name,
-      });
-    }
-
-    return npc;
-  }
-
-  addSpecialFeaturestoNPC(npc, npcType) {
-    if (npcType.name === "Goomba") {
-      // Add feet to Goomba
-      const footGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.3);
-      const footMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
-
-      for (let f = 0; f < 2; f++) {
-        const foot = new THREE.Mesh(footGeometry, footMaterial);
-        foot.position.set(f === 0 ? 0.25 : -0.25, -0.3, 0);
-        npc.add(foot);
-      }
-    } else if (npcType.name === "Spiny") {
-      // Add spikes to the Spiny
-      const spikeGeometry = new THREE.ConeGeometry(0.08, 0.25, 4);
-      const spikeMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-
-      for (let s = 0; s < 8; s++) {
-        const spike = new THREE.Mesh(spikeGeometry, spikeMaterial);
-        const angle = (s / 8) * Math.PI * 2;
-        spike.position.set(Math.cos(angle) * 0.5, Math.sin(angle) * 0.5, 0);
-        spike.rotation.z = Math.PI / 2;
-        spike.rotation.y = angle;
-        npc.add(spike);
-      }
-    } else if (npcType.name === "Paratroopa") {
-      // Add shell to Koopa/Paratroopa
-      const shellGeometry = new THREE.SphereGeometry(
-        0.4,
-        16,
-        16,
-        0,
-        Math.PI * 2,
-        0,
-        Math.PI / 2,
-      );
-      const shellMaterial = new THREE.MeshStandardMaterial({ color: 0xffaa00 });
-      const shell = new THREE.Mesh(shellGeometry, shellMaterial);
-      shell.rotation.x = Math.PI;
-      shell.position.y = 0.2;
-      npc.add(shell);
-
-      // Add wings to Paratroopa
-      const wingGeometry = new THREE.PlaneGeometry(0.6, 0.4);
-      const wingMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffffff,
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.9,
-      });
-
-      for (let w = 0; w < 2; w++) {
-        const wing = new THREE.Mesh(wingGeometry, wingMaterial);
-        wing.position.set(w === 0 ? -0.4 : 0.4, 0.2, 0);
-        wing.rotation.y = w === 0 ? Math.PI / 4 : -Math.PI / 4;
-        npc.add(wing);
-
-        // Store wing reference for animation
-        if (!npc.userData) npc.userData = {};
-        if (!npc.userData.wings) npc.userData.wings = [];
-        npc.userData.wings.push(wing);
-      }
-    } else if (npcType.name === "Boo") {
-      // Add "arms" to Boo
-      const armGeometry = new THREE.CapsuleGeometry(0.15, 0.3, 4, 8);
-      const armMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.7,
-      });
-
-      for (let a = 0; a < 2; a++) {
-        const arm = new THREE.Mesh(armGeometry, armMaterial);
-        arm.position.set(a === 0 ? -0.5 : 0.5, -0.2, 0);
-        arm.rotation.z = a === 0 ? -Math.PI / 4 : Math.PI / 4;
-        npc.add(arm);
-      }
-    }
-  }
-
-  createCoins() {
-    // Initialize coin array
-    this.coins = [];
-    this.coinRespawnPool = [];
-
-    // First, add coins to all existing platforms
-    this.platforms.forEach((platform) => {
-      if (Math.random() > 0.3) {
-        // 70% chance for each platform to have coins
-        this.generateCoinsForPlatform(platform);
-      }
-    });
-
-    // Then create some floating coins in the path for more interest
-    const floatingCoinCount = 15;
-    for (let i = 0; i < floatingCoinCount; i++) {
-      // Create floating coin paths in random arrangements
-      const startZ = -(i * 10) - 5; // Stagger coins along the path
-      const x = (Math.random() - 0.5) * 15;
-      const y = 1 + Math.random() * 3; // Height above ground
-
-      // Create a coin cluster
-      const clusterSize =
-        Math.random() > 0.7 ? 1 : Math.floor(Math.random() * 4) + 1;
-
-      for (let j = 0; j < clusterSize; j++) {
-        let coinX, coinY, coinZ;
-
-        if (clusterSize === 1) {
-          // Single coin
-          coinX = x;
-          coinY = y;
-          coinZ = startZ;
-        } else {
-          // Arrange in a pattern
-          const arrangement = Math.floor(Math.random() * 3);
-
-          switch (arrangement) {
-            case 0: // Line
-              coinX = x;
-              coinY = y;
-              coinZ = startZ - j * 0.8;
-              break;
-            case 1: // Arc
-              const angle = (j / (clusterSize - 1)) * Math.PI;
-              coinX = x + Math.cos(angle) * 1.2;
-              coinY = y + Math.sin(angle) * 0.5;
-              coinZ = startZ;
-              break;
-            case 2: // Circle
-              const circleAngle = (j / clusterSize) * Math.PI * 2;
-              coinX = x + Math.cos(circleAngle) * 0.8;
-              coinY = y + Math.sin(circleAngle) * 0.8;
-              coinZ = startZ;
-              break;
-          }
-        }
-
-        this.createCoin(coinX, coinY, coinZ);
-      }
-    }
-  }
-
-  createCoin(x, y, z) {
+  createCoin(x, y, z, random = Math.random) {
     // Create coin geometry based on coin size
     const geometry = new THREE.CylinderGeometry(0.3, 0.3, 0.05, 16);
     const material = new THREE.MeshStandardMaterial({
@@ -3206,7 +3217,7 @@ export default class MultiplayerPlatformer {
       segmentType: "coin",
       isCollected: false,
       zPosition: z,
-      rotationSpeed: 0.02 + Math.random() * 0.02,
+      rotationSpeed: 0.02 + random() * 0.02,
     };
 
     this.coins.push(coin);
@@ -3215,13 +3226,15 @@ export default class MultiplayerPlatformer {
     return coin;
   }
 
-  selectCharacter(character) {
+  // Guests pass the name they chose; logged-in players play under their username
+  selectCharacter(character, displayName) {
     if (!character || !character.name) {
       console.error("Invalid character data provided to selectCharacter");
       return;
     }
 
     this.characterData = character;
+    this.displayName = displayName;
 
     // Create player mesh
     if (this.playerMesh) {
@@ -3251,10 +3264,11 @@ export default class MultiplayerPlatformer {
     // (since the ground level is at y=0 and player is 1 unit tall)
     const MIN_HEIGHT = 0.5; // Half player height
     this.playerMesh.position.set(0, MIN_HEIGHT, 0);
+    this.updateGearMesh(this.playerMesh, this.getOwnGear());
     this.scene.add(this.playerMesh);
 
     // Tell server about character selection
-    this.socket.emit("selectCharacter", character);
+    this.socket.emit("selectCharacter", { character, displayName });
   }
 
   startGame() {
@@ -3264,15 +3278,33 @@ export default class MultiplayerPlatformer {
     }
 
     this.isRunning = true;
+    this.startRun();
     console.log("Game started!");
   }
 
+  startRun() {
+    this.runStartTime = Date.now();
+    this.lastStatsReportTime = this.runStartTime;
+    this.coinsCollected = 0;
+  }
+
   gameOver() {
     this.isRunning = false;
+    this.reportStats(Date.now(), true);
     console.log("Game over! Final score:", this.score);
   }
 
   handleKeyDown(event) {
+    // Typing in the chat box doesn't control the player
+    if (event.target === this.chatInput) return;
+
+    // While talking to an NPC, keys pick what to say
+    if (this.dialogue && this.handleDialogueKey(event)) return;
+    if (this.shop && event.key === "Escape") {
+      this.closeShop();
+      return;
+    }
+
     // Prevent default browser behavior for game keys
     if (
       [
@@ -3295,69 +3327,21 @@ export default class MultiplayerPlatformer {
       case "w":
       case "W":
         this.keys.forward = true;
-        // Direct coordinate change - move forward 2 units in the direction the camera is facing
-        if (this.playerMesh) {
-          const forwardVector = new THREE.Vector3(0, 0, -1).applyAxisAngle(
-            new THREE.Vector3(0, 1, 0),
-            this.cameraAngleHorizontal,
-          );
-          this.playerMesh.position.x += forwardVector.x * 2;
-          this.playerMesh.position.z += forwardVector.z * 2;
-          // Update velocity to match movement direction for animation
-          this.velocity.x = forwardVector.x;
-          this.velocity.z = forwardVector.z;
-        }
         console.log("W key pressed - Forward:", this.keys.forward);
         break;
       case "s":
       case "S":
         this.keys.backward = true;
-        // Direct coordinate change - move backward 2 units
-        if (this.playerMesh) {
-          const backwardVector = new THREE.Vector3(0, 0, 1).applyAxisAngle(
-            new THREE.Vector3(0, 1, 0),
-            this.cameraAngleHorizontal,
-          );
-          this.playerMesh.position.x += backwardVector.x * 2;
-          this.playerMesh.position.z += backwardVector.z * 2;
-          // Update velocity to match movement direction for animation
-          this.velocity.x = backwardVector.x;
-          this.velocity.z = backwardVector.z;
-        }
         console.log("S key pressed - Backward:", this.keys.backward);
         break;
       case "a":
       case "A":
         this.keys.left = true;
-        // Direct coordinate change - move left 2 units
-        if (this.playerMesh) {
-          const leftVector = new THREE.Vector3(-1, 0, 0).applyAxisAngle(
-            new THREE.Vector3(0, 1, 0),
-            this.cameraAngleHorizontal,
-          );
-          this.playerMesh.position.x += leftVector.x * 2;
-          this.playerMesh.position.z += leftVector.z * 2;
-          // Update velocity to match movement direction for animation
-          this.velocity.x = leftVector.x;
-          this.velocity.z = leftVector.z;
-        }
         console.log("A key pressed - Left:", this.keys.left);
         break;
       case "d":
       case "D":
         this.keys.right = true;
-        // Direct coordinate change - move right 2 units
-        if (this.playerMesh) {
-          const rightVector = new THREE.Vector3(1, 0, 0).applyAxisAngle(
-            new THREE.Vector3(0, 1, 0),
-            this.cameraAngleHorizontal,
-          );
-          this.playerMesh.position.x += rightVector.x * 2;
-          this.playerMesh.position.z += rightVector.z * 2;
-          // Update velocity to match movement direction for animation
-          this.velocity.x = rightVector.x;
-          this.velocity.z = rightVector.z;
-        }
         console.log("D key pressed - Right:", this.keys.right);
         break;
       // Camera rotation with arrow keys
@@ -3385,61 +3369,19 @@ export default class MultiplayerPlatformer {
         break;
       case " ": // Space bar
       case "Spacebar": // For older browsers that use 'Spacebar' instead of ' '
-        // Set the jump flag
+        // Set the jump flag; the physics step performs the jump itself
         this.keys.jump = true;
-
-        // Only jump if on the ground
-        if (!this.isJumping && this.isRunning) {
-          console.log("JUMP triggered!");
-          // Apply the jump force for upward momentum
-          this.velocity.y = this.jumpForce;
-          this.isJumping = true;
-
-          // Play jump sound
-          this.playSound("jump");
-
-          // Add a small visual indicator for the jump
-          if (this.playerMesh) {
-            // Create a small dust effect at player's feet
-            const dustParticles = new THREE.Group();
-
-            for (let i = 0; i < 5; i++) {
-              const particle = new THREE.Mesh(
-                new THREE.SphereGeometry(0.1, 8, 8),
-                new THREE.MeshBasicMaterial({
-                  color: 0xdddddd,
-                  transparent: true,
-                  opacity: 0.7,
-                }),
-              );
-
-              // Random position around player's feet
-              particle.position.set(
-                (Math.random() - 0.5) * 0.5,
-                0,
-                (Math.random() - 0.5) * 0.5,
-              );
-
-              dustParticles.add(particle);
-            }
-
-            // Position dust at player's feet
-            dustParticles.position.copy(this.playerMesh.position);
-            dustParticles.position.y = 0; // Exactly at ground level
-            this.scene.add(dustParticles);
-
-            // Animate and remove the dust effect
-            setTimeout(() => {
-              this.scene.remove(dustParticles);
-            }, 300);
-          }
-        }
         break;
       case "f": // Attack key - common in many games
       case "x": // Classic console action button
         this.keys.attack = true;
         this.performAttack();
         break;
+      case "Enter":
+        // Open the chat input
+        event.preventDefault();
+        this.openChat();
+        break;
       case "e": // Interact key
         // Interact with nearby objects or NPCs
         this.interactWithNearbyObjects();
@@ -3456,6 +3398,11 @@ export default class MultiplayerPlatformer {
         // Toggle inventory display
         this.toggleInventoryDisplay();
         break;
+      case "Tab":
+        // Toggle the roster of players in the room
+        event.preventDefault();
+        this.toggleRosterDisplay();
+        break;
         // Already have v and c handlers above, removing duplicates
         break;
       case "1":
@@ -3534,7 +3481,7 @@ export default class MultiplayerPlatformer {
     let interactableType = "";
 
     // Check for NPCs in range
-    for (const decoration of this.decorations) {
+    for (const decoration of [...this.decorations, ...this.friendlyNpcs.values()]) {
       if (decoration.userData && decoration.userData.type === "npc") {
         const npcPosition = decoration.position.clone();
         const distance = playerPosition.distanceTo(npcPosition);
@@ -3549,6 +3496,14 @@ export default class MultiplayerPlatformer {
 
     // Check for other interactables like chests, switches, etc.
     // (using the same pattern - loop through potential interactables)
+    for (const chest of this.chests.values()) {
+      const distance = playerPosition.distanceTo(chest.position);
+      if (distance < interactionRadius && distance < closestDistance) {
+        closestDistance = distance;
+        closestInteractable = chest;
+        interactableType = "chest";
+      }
+    }
 
     // Interact with the closest object found
     if (closestInteractable) {
@@ -3565,17 +3520,6 @@ export default class MultiplayerPlatformer {
       // Create a visual interaction effect
       this.createInteractionEffect(closestInteractable.position.clone());
 
-      // Notify other players about the interaction
-      this.socket.emit("playerInteraction", {
-        interactableId: closestInteractable.userData.id,
-        interactableType: interactableType,
-        position: {
-          x: closestInteractable.position.x,
-          y: closestInteractable.position.y,
-          z: closestInteractable.position.z,
-        },
-      });
-
       return true;
     }
 
@@ -3618,128 +3562,290 @@ export default class MultiplayerPlatformer {
     this.playSound("powerUp");
   }
 
-  // Function to start dialogue with an NPC
+  // Talk to an NPC. The server walks their dialogue and sends what they say.
   startDialogueWithNPC(npc) {
-    // Get NPC data
-    const npcData = npc.userData;
-
-    // Create or show dialogue UI
-    if (!this.dialogueBox) {
-      this.dialogueBox = document.createElement("div");
-      this.dialogueBox.className = "dialogue-box";
-      this.dialogueBox.style.position = "absolute";
-      this.dialogueBox.style.bottom = "20%";
-      this.dialogueBox.style.left = "50%";
-      this.dialogueBox.style.transform = "translateX(-50%)";
-      this.dialogueBox.style.width = "80%";
-      this.dialogueBox.style.maxWidth = "600px";
-      this.dialogueBox.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
-      this.dialogueBox.style.color = "white";
-      this.dialogueBox.style.padding = "20px";
-      this.dialogueBox.style.borderRadius = "10px";
-      this.dialogueBox.style.fontFamily = "Arial, sans-serif";
-      this.dialogueBox.style.zIndex = "1000";
-      this.dialogueBox.style.display = "none";
-      this.dialogueBox.style.pointerEvents = "auto";
-      this.uiContainer.appendChild(this.dialogueBox);
-    }
-
-    // Generate dialogue content
-    const npcName = npcData.name || "NPC";
-    const npcDialogue = this.getNPCDialogue(npcData);
-    const hasQuest = npcData.questId !== undefined;
-
-    // Update dialogue box
-    this.dialogueBox.innerHTML = `
-      <h3>${npcName}</h3>
-      <p>${npcDialogue}</p>
-      <div class="dialogue-actions">
-        ${hasQuest ? '<button class="quest-btn">Accept Quest</button>' : ""}
-        <button class="close-btn">Close</button>
-      </div>
-    `;
-
-    // Style the buttons
-    const buttons = this.dialogueBox.querySelectorAll("button");
-    buttons.forEach((button) => {
+    if (!this.friendlyNpcs.has(npc.userData.id)) return;
+    this.socket.emit("talkToNpc", { npcId: npc.userData.id });
+  }
+
+  createDialogueBox() {
+    this.dialogueBox = document.createElement("div");
+    this.dialogueBox.className = "dialogue-box";
+    this.dialogueBox.style.position = "absolute";
+    this.dialogueBox.style.bottom = "20%";
+    this.dialogueBox.style.left = "50%";
+    this.dialogueBox.style.transform = "translateX(-50%)";
+    this.dialogueBox.style.width = "80%";
+    this.dialogueBox.style.maxWidth = "600px";
+    this.dialogueBox.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    this.dialogueBox.style.color = "white";
+    this.dialogueBox.style.padding = "20px";
+    this.dialogueBox.style.borderRadius = "10px";
+    this.dialogueBox.style.fontFamily = "Arial, sans-serif";
+    this.dialogueBox.style.zIndex = "1000";
+    this.dialogueBox.style.display = "none";
+    this.dialogueBox.style.pointerEvents = "auto";
+    this.uiContainer.appendChild(this.dialogueBox);
+  }
+
+  // Show what an NPC says. Choices are picked with the mouse, their number
+  // keys, or the arrow keys and Enter; Escape walks away.
+  showDialogueNode(data) {
+    if (!this.dialogueBox) this.createDialogueBox();
+
+    // A node without choices ends the conversation
+    const options = data.choices.length > 0 ? data.choices : [{ choice: null, text: "Close" }];
+    this.dialogue = { npcId: data.npcId, options, buttons: [], selected: 0 };
+
+    const title = document.createElement("h3");
+    title.textContent = data.npcName;
+    const text = document.createElement("p");
+    text.textContent = data.text;
+    const actions = document.createElement("div");
+    actions.className = "dialogue-actions";
+
+    options.forEach((option, index) => {
+      const button = document.createElement("button");
+      button.textContent = `${index + 1}. ${option.text}`;
+      button.style.display = "block";
+      button.style.width = "100%";
+      button.style.textAlign = "left";
       button.style.padding = "8px 15px";
-      button.style.margin = "5px";
-      button.style.backgroundColor = "#4a90e2";
+      button.style.margin = "5px 0";
       button.style.border = "none";
       button.style.borderRadius = "5px";
       button.style.color = "white";
       button.style.cursor = "pointer";
+      button.addEventListener("mouseenter", () => this.selectDialogueChoice(index));
+      button.addEventListener("click", () => this.pickDialogueChoice(index));
+      actions.appendChild(button);
+      this.dialogue.buttons.push(button);
     });
 
-    // Add event listeners to buttons
-    if (hasQuest) {
-      const questBtn = this.dialogueBox.querySelector(".quest-btn");
-      questBtn.addEventListener("click", () => {
-        this.acceptQuest(npcData.questId);
-        this.dialogueBox.style.display = "none";
-      });
+    this.dialogueBox.replaceChildren(title, text, actions);
+    this.selectDialogueChoice(0);
+    this.dialogueBox.style.display = "block";
+  }
+
+  selectDialogueChoice(index) {
+    const count = this.dialogue.options.length;
+    this.dialogue.selected = (index + count) % count;
+    this.dialogue.buttons.forEach((button, buttonIndex) => {
+      button.style.backgroundColor =
+        buttonIndex === this.dialogue.selected ? "#4a90e2" : "rgba(255, 255, 255, 0.1)";
+    });
+  }
+
+  // The server answers with the next node, or ends the conversation
+  pickDialogueChoice(index) {
+    const option = this.dialogue && this.dialogue.options[index];
+    if (!option) return;
+    if (option.choice === null) {
+      this.closeDialogue();
+      return;
     }
+    this.socket.emit("dialogueChoice", { npcId: this.dialogue.npcId, choice: option.choice });
+  }
 
-    const closeBtn = this.dialogueBox.querySelector(".close-btn");
-    closeBtn.addEventListener("click", () => {
+  closeDialogue() {
+    this.dialogue = null;
+    if (this.dialogueBox) {
       this.dialogueBox.style.display = "none";
+    }
+  }
+
+  // Open a merchant's shop panel, or refresh it with their latest stock
+  showShop(data) {
+    if (!this.shopDisplay) {
+      this.shopDisplay = document.createElement("div");
+      this.shopDisplay.className = "shop-display";
+      this.shopDisplay.style.position = "absolute";
+      this.shopDisplay.style.top = "50%";
+      this.shopDisplay.style.left = "50%";
+      this.shopDisplay.style.transform = "translate(-50%, -50%)";
+      this.shopDisplay.style.width = "80%";
+      this.shopDisplay.style.maxWidth = "640px";
+      this.shopDisplay.style.maxHeight = "70%";
+      this.shopDisplay.style.overflowY = "auto";
+      this.shopDisplay.style.backgroundColor = "rgba(0, 0, 0, 0.85)";
+      this.shopDisplay.style.color = "white";
+      this.shopDisplay.style.padding = "20px";
+      this.shopDisplay.style.borderRadius = "10px";
+      this.shopDisplay.style.fontFamily = "Arial, sans-serif";
+      this.shopDisplay.style.zIndex = "1001";
+      this.shopDisplay.style.pointerEvents = "auto";
+      this.uiContainer.appendChild(this.shopDisplay);
+    }
+
+    this.shop = data;
+    this.renderShop();
+    this.shopDisplay.style.display = "block";
+  }
+
+  // Goods on the left, our inventory at the merchant's prices on the right
+  renderShop() {
+    const title = document.createElement("h3");
+    title.textContent = `${this.shop.npcName}'s Shop — 🪙 ${this.inventory.gold} gold`;
+
+    const buyList = this.createShopColumn("Buy");
+    this.shop.stock.forEach((entry) => {
+      const canBuy = entry.quantity > 0 && this.inventory.gold >= entry.price;
+      buyList.appendChild(
+        this.createShopRow(entry.item, `x${entry.quantity}`, `Buy ${entry.price}`, canBuy, () =>
+          this.socket.emit("buyItem", { npcId: this.shop.npcId, entry: entry.entry }),
+        ),
+      );
     });
 
-    // Show the dialogue box
-    this.dialogueBox.style.display = "block";
+    const sellList = this.createShopColumn("Sell");
+    this.inventory.items.forEach((item) => {
+      // Gifts from NPCs can't be sold
+      const canSell = item.sellable !== false;
+      const label = canSell ? `Sell ${getSellPrice(item)}` : "Not for sale";
+      sellList.appendChild(
+        this.createShopRow(item, "", label, canSell, () =>
+          this.socket.emit("sellItem", { npcId: this.shop.npcId, itemId: item.id }),
+        ),
+      );
+    });
+
+    const columns = document.createElement("div");
+    columns.style.display = "flex";
+    columns.style.gap = "20px";
+    columns.append(buyList, sellList);
+
+    const closeBtn = document.createElement("button");
+    closeBtn.textContent = "Close (Esc)";
+    closeBtn.style.marginTop = "10px";
+    closeBtn.style.padding = "8px 15px";
+    closeBtn.style.backgroundColor = "#4a90e2";
+    closeBtn.style.border = "none";
+    closeBtn.style.borderRadius = "5px";
+    closeBtn.style.color = "white";
+    closeBtn.style.cursor = "pointer";
+    closeBtn.addEventListener("click", () => this.closeShop());
+
+    this.shopDisplay.replaceChildren(title, columns, closeBtn);
   }
 
-  // Generate dialogue based on NPC data
-  getNPCDialogue(npcData) {
-    if (npcData.dialogue) {
-      return npcData.dialogue;
-    }
+  createShopColumn(heading) {
+    const column = document.createElement("div");
+    column.style.flex = "1";
+    const title = document.createElement("h4");
+    title.textContent = heading;
+    title.style.margin = "0 0 5px 0";
+    column.appendChild(title);
+    return column;
+  }
 
-    // Default dialogues based on NPC type
-    const defaultDialogues = {
-      merchant: [
-        "Welcome traveler! Looking to trade?",
-        "I've got rare items for sale, if you have the coins.",
-        "My goods are the finest in the land!",
-      ],
-      villager: [
-        "Beautiful day, isn't it?",
-        "Watch out for the creatures beyond the village.",
-        "Have you seen the ancient temple to the north?",
-      ],
-      quest: [
-        "I need your help with something important.",
-        "A dangerous mission awaits, are you up for it?",
-        "There's a reward for anyone brave enough to help me.",
-      ],
-    };
+  createShopRow(item, detail, label, enabled, onClick) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "8px";
+    row.style.margin = "4px 0";
+
+    const name = document.createElement("span");
+    name.style.flex = "1";
+    name.textContent = `${item.icon || "📦"} ${item.name} ${detail}`;
+    name.title = item.description || "";
+
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.disabled = !enabled;
+    button.style.padding = "4px 10px";
+    button.style.border = "none";
+    button.style.borderRadius = "5px";
+    button.style.color = "white";
+    button.style.backgroundColor = enabled ? "#2e8b57" : "#555555";
+    button.style.cursor = enabled ? "pointer" : "default";
+    button.addEventListener("click", onClick);
+
+    row.append(name, button);
+    return row;
+  }
+
+  closeShop() {
+    this.shop = null;
+    if (this.shopDisplay) {
+      this.shopDisplay.style.display = "none";
+    }
+  }
 
-    const npcType = npcData.role || "villager";
-    const dialogues = defaultDialogues[npcType] || defaultDialogues.villager;
+  // Keys that navigate an open dialogue. Returns whether the key was used.
+  handleDialogueKey(event) {
+    switch (event.key) {
+      case "ArrowUp":
+      case "w":
+      case "W":
+        this.selectDialogueChoice(this.dialogue.selected - 1);
+        break;
+      case "ArrowDown":
+      case "s":
+      case "S":
+        this.selectDialogueChoice(this.dialogue.selected + 1);
+        break;
+      case "Enter":
+      case " ":
+      case "e":
+        this.pickDialogueChoice(this.dialogue.selected);
+        break;
+      case "Escape":
+        this.closeDialogue();
+        break;
+      default:
+        if (!/^[1-9]$/.test(event.key)) return false;
+        this.pickDialogueChoice(Number(event.key) - 1);
+    }
+    event.preventDefault();
+    return true;
+  }
 
-    // Return a random dialogue from the options
-    return dialogues[Math.floor(Math.random() * dialogues.length)];
+  // The first of an NPC's quests we haven't taken yet and are ready for
+  getOfferedQuestId(npcData) {
+    const isTaken = (questId) => this.quests.some((quest) => String(quest.id) === questId);
+    const isCompleted = (questId) =>
+      this.completedQuests.some((quest) => String(quest.id) === questId);
+    return (npcData.quests || []).find((questId) => {
+      const definition = this.questCatalog.get(questId);
+      return definition && !isTaken(questId) && hasMetPrerequisites(definition, isCompleted);
+    });
   }
 
-  // Accept a quest from an NPC
+  // Ask the server for a quest; it answers with questUpdate once we have it
   acceptQuest(questId) {
-    // Find the quest in available quests
-    const quest = this.quests.find((q) => q.id === questId);
+    this.socket.emit("acceptQuest", { questId: String(questId) });
+  }
 
-    if (!quest) {
-      console.error(`Quest with ID ${questId} not found`);
-      return;
-    }
+  // Pick up the quests the server kept for us, adding any we don't know yet
+  restoreQuests(savedQuests) {
+    savedQuests.forEach((saved) => {
+      let quest = this.quests.find((q) => String(q.id) === saved.questId);
+      if (!quest) {
+        quest = {
+          id: saved.questId,
+          title: saved.title,
+          description: saved.description,
+          objectives: saved.objectives,
+        };
+        this.quests.push(quest);
+      } else {
+        quest.objectives = saved.objectives;
+      }
 
-    // Set as active quest
-    this.activeQuest = quest;
-    console.log(`Accepted quest: ${quest.title}`);
+      if (saved.status === "completed") {
+        if (!this.completedQuests.includes(quest)) this.completedQuests.push(quest);
+        if (this.activeQuest === quest) this.activeQuest = null;
+      } else if (!this.activeQuest) {
+        this.activeQuest = quest;
+      }
+    });
 
-    // Update quest display
+    // Move on to another quest still in progress
+    if (!this.activeQuest) {
+      this.activeQuest = this.quests.find((quest) => !this.completedQuests.includes(quest)) || null;
+    }
     this.updateQuestDisplay();
-
-    // Show quest acceptance notification
-    this.showNotification(`New Quest: ${quest.title}`, "quest");
   }
 
   // Activate a quest from a quest marker or object
@@ -3752,26 +3858,6 @@ export default class MultiplayerPlatformer {
       return;
     }
 
-    // Add the quest to available quests if not already there
-    if (!this.quests.some((q) => q.id === questData.questId)) {
-      // Create a new quest
-      const newQuest = {
-        id: questData.questId,
-        title: questData.questTitle || "New Quest",
-        description: questData.questDescription || "A new adventure awaits!",
-        objectives: questData.objectives || [
-          { id: "obj1", description: "Complete the quest", completed: false },
-        ],
-        rewards: questData.rewards || {
-          experience: 100,
-          gold: 50,
-          items: [],
-        },
-      };
-
-      this.quests.push(newQuest);
-    }
-
     // Accept the quest
     this.acceptQuest(questData.questId);
 
@@ -3801,7 +3887,8 @@ export default class MultiplayerPlatformer {
         let progressHTML = '<div class="objectives">';
         this.activeQuest.objectives.forEach((objective) => {
           const completed = objective.completed ? "✓" : "□";
-          progressHTML += `<div>${completed} ${objective.description}</div>`;
+          const count = objective.required > 1 ? ` (${objective.progress}/${objective.required})` : "";
+          progressHTML += `<div>${completed} ${objective.description}${count}</div>`;
         });
         progressHTML += "</div>";
 
@@ -3842,12 +3929,23 @@ export default class MultiplayerPlatformer {
   updateInventoryDisplay() {
     if (!this.inventorySlots) return;
 
+    const goldDisplay = this.inventoryDisplay.querySelector(".inventory-gold");
+    if (goldDisplay) goldDisplay.textContent = `🪙 ${this.inventory.gold} gold`;
+
+    // What the gear we wear adds up to, as the server fights with it
+    const statsDisplay = this.inventoryDisplay.querySelector(".inventory-stats");
+    if (statsDisplay) {
+      const stats = getEquipmentStats(this.inventory.equipment, this.inventory.items);
+      statsDisplay.textContent = `⚔️ ${COMBAT.attackDamage + Math.round(stats.damage)} 🛡️ ${stats.defense}`;
+    }
+
     // Clear all slots first
     const slots = this.inventorySlots.querySelectorAll(".inventory-slot");
     slots.forEach((slot, index) => {
       // Clear any existing content
       slot.innerHTML = "";
       slot.style.backgroundColor = "rgba(255, 255, 255, 0.1)";
+      slot.style.border = "1px solid rgba(255, 255, 255, 0.3)";
 
       // Add item if exists at this index
       const item = this.inventory.items[index];
@@ -3890,13 +3988,14 @@ export default class MultiplayerPlatformer {
           itemElement.textContent = typeIcons[item.type] || "📦";
         }
 
-        // Highlight active item
-        if (index === this.inventory.activeItemIndex) {
+        // Highlight active item, and the gear we wear
+        const isWorn = Object.values(this.inventory.equipment).includes(item.id);
+        if (index === this.inventory.activeItemIndex || isWorn) {
           slot.style.border = "2px solid gold";
         }
 
         // Add item tooltip
-        itemElement.title = `${item.name}\n${item.description || ""}`;
+        itemElement.title = `${item.name}${isWorn ? " (worn)" : ""}\n${item.description || ""}`;
 
         slot.appendChild(itemElement);
       }
@@ -3919,23 +4018,25 @@ export default class MultiplayerPlatformer {
     switch (item.type) {
       case "potion":
         this.applyPotionEffect(item);
-        // Remove consumable items after use
+        // Remove consumable items after use; the server removes them from
+        // the inventory it keeps and sends that back
         if (item.consumable) {
           this.removeItemFromInventory(slotIndex);
+          this.socket.emit("useItem", { itemId: item.id });
         }
         break;
       case "weapon":
-        // Toggle active weapon
-        if (this.inventory.activeItemIndex === slotIndex) {
-          this.inventory.activeItemIndex = -1; // Deselect
+      case "armor": {
+        // Put it on, or take it off when it's worn. The server changes what
+        // we wear and sends back our inventory.
+        const slot = getEquipmentSlot(item);
+        if (this.inventory.equipment[slot] === item.id) {
+          this.socket.emit("unequipItem", { slot });
         } else {
-          this.inventory.activeItemIndex = slotIndex;
+          this.socket.emit("equipItem", { itemId: item.id });
         }
         break;
-      case "armor":
-        // Set as active armor
-        this.inventory.activeItemIndex = slotIndex;
-        break;
+      }
       default:
         // For other item types, just toggle active state
         if (this.inventory.activeItemIndex === slotIndex) {
@@ -3958,13 +4059,15 @@ export default class MultiplayerPlatformer {
         this.showNotification(`+${potion.value} Health`, "heal");
         break;
       case "speed":
+        // The server boosts the movement it simulates when it sees the
+        // potion used; we predict the same boost
         this.activeEffects.speedBoost = 900; // 15 seconds at 60fps
-        this.playerSpeed *= 1.5;
+        this.speedBoostMs = SPEED_BOOST.durationMs;
         this.showNotification("Speed Boost!", "buff");
         break;
       case "jump":
         this.activeEffects.jumpBoost = 900;
-        this.jumpForce *= 1.3;
+        this.jumpBoostMs = JUMP_BOOST.durationMs;
         this.showNotification("Jump Boost!", "buff");
         break;
       case "attack":
@@ -3992,20 +4095,91 @@ export default class MultiplayerPlatformer {
     this.updateInventoryDisplay();
   }
 
-  // Add an item to inventory
-  addItemToInventory(item) {
-    if (this.inventory.items.length >= this.inventory.maxSize) {
-      console.log("Inventory is full");
-      return false;
+  // Take the inventory the server sent, announcing anything new in it
+  setInventory(items, granted = [], gold = this.inventory.gold, equipment = this.inventory.equipment) {
+    this.inventory.items = items;
+    this.inventory.gold = gold;
+    this.inventory.equipment = equipment;
+    this.updateGearMesh(this.playerMesh, this.getOwnGear());
+    this.inventory.activeItemIndex = Math.min(
+      this.inventory.activeItemIndex,
+      this.inventory.items.length - 1,
+    );
+    this.updateInventoryDisplay();
+    granted.forEach((item) => this.showItemAcquired(item));
+
+    // What we can sell, and afford, just changed
+    if (this.shop) this.renderShop();
+  }
+
+  // The rarity of what we wear in each slot, as others see it
+  getOwnGear() {
+    return getGear(this.inventory.equipment, this.inventory.items);
+  }
+
+  // Replace the gear drawn on a player's mesh with what it wears now
+  updateGearMesh(mesh, gear = {}) {
+    if (!mesh) return;
+
+    const previous = mesh.getObjectByName("gear");
+    if (previous) {
+      mesh.remove(previous);
+      previous.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          child.material.dispose();
+        }
+      });
     }
 
-    // Add the item
-    this.inventory.items.push(item);
+    const group = new THREE.Group();
+    group.name = "gear";
+    Object.entries(gear).forEach(([slot, rarity]) => {
+      const piece = this.createGearPiece(slot, GEAR_COLORS[rarity] || GEAR_COLORS.common);
+      if (piece) group.add(piece);
+    });
+    mesh.add(group);
+  }
 
-    // Update display
-    this.updateInventoryDisplay();
+  // One piece of gear, placed on a player mesh one unit wide
+  createGearPiece(slot, color) {
+    const material = new THREE.MeshLambertMaterial({ color });
+    let piece;
+    switch (slot) {
+      case "weapon":
+        // A blade held at the right side
+        piece = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.9, 0.12), material);
+        piece.position.set(0.6, 0.1, 0);
+        piece.rotation.z = -0.3;
+        break;
+      case "head":
+        piece = new THREE.Mesh(new THREE.BoxGeometry(1.1, 0.25, 1.1), material);
+        piece.position.y = 0.55;
+        break;
+      case "chest":
+        piece = new THREE.Mesh(new THREE.BoxGeometry(1.06, 0.45, 1.06), material);
+        piece.position.y = 0.05;
+        break;
+      case "boots":
+        piece = new THREE.Mesh(new THREE.BoxGeometry(1.06, 0.2, 1.06), material);
+        piece.position.y = -0.42;
+        break;
+      case "shield":
+        // A round shield on the left arm
+        piece = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 0.08, 16), material);
+        piece.position.set(-0.58, 0, 0);
+        piece.rotation.z = Math.PI / 2;
+        break;
+      default:
+        material.dispose();
+        return null;
+    }
+    piece.castShadow = true;
+    return piece;
+  }
 
-    // Show notification
+  // Show that an item was added to the inventory
+  showItemAcquired(item) {
     const rarityColors = {
       common: "#aaaaaa",
       uncommon: "#1eff1e",
@@ -4016,8 +4190,6 @@ export default class MultiplayerPlatformer {
 
     const color = rarityColors[item.rarity] || rarityColors.common;
     this.showNotification(`Acquired: ${item.name}`, "item", color);
-
-    return true;
   }
 
   // Show a notification
@@ -4184,7 +4356,7 @@ export default class MultiplayerPlatformer {
 
     // Check if we clicked on an NPC
     if (!clickedObject) {
-      for (const decoration of this.decorations) {
+      for (const decoration of [...this.decorations, ...this.friendlyNpcs.values()]) {
         if (decoration.userData && decoration.userData.type === "npc") {
           const distance = Math.sqrt(
             Math.pow(decoration.position.x - worldX, 2) +
@@ -4342,7 +4514,7 @@ export default class MultiplayerPlatformer {
         `;
 
         // Add quest info if NPC has a quest
-        if (npcData.questId) {
+        if (this.getOfferedQuestId(npcData) !== undefined) {
           content += `
             <div><strong>Has Quest:</strong> Yes</div>
             <div style="margin-top: 5px; font-style: italic;">Click to interact</div>
@@ -4526,7 +4698,7 @@ export default class MultiplayerPlatformer {
     }
 
     // Draw NPCs and special objects with icons
-    for (const decoration of this.decorations) {
+    for (const decoration of [...this.decorations, ...this.friendlyNpcs.values()]) {
       if (decoration.userData && decoration.userData.type === "npc") {
         const x =
           centerX +
@@ -4606,10 +4778,10 @@ export default class MultiplayerPlatformer {
         this.minimapContext.fill();
 
         // Draw player name if the minimap is in large mode
-        if (this.minimapDisplay.dataset.state === "large" && player.character) {
+        if (this.minimapDisplay.dataset.state === "large") {
           this.minimapContext.fillStyle = "rgba(255, 255, 255, 0.9)";
           this.minimapContext.font = "10px Arial";
-          this.minimapContext.fillText(player.character.name, x + 6, y + 4);
+          this.minimapContext.fillText(player.name, x + 6, y + 4);
         }
 
         // Draw player direction
@@ -4626,6 +4798,10 @@ export default class MultiplayerPlatformer {
       }
     });
 
+    if (this.minimapFocusId) {
+      this.drawMinimapFocus(centerX, centerY, scale);
+    }
+
     // Draw current player in center with pulsing effect
     const pulseSize = 1 + 0.3 * Math.sin(Date.now() * 0.008);
 
@@ -4817,151 +4993,96 @@ export default class MultiplayerPlatformer {
     this.playSound("powerUp");
   }
 
-  // Open a chest to find items
+  // Ask the server to open a chest. It rolls the loot and sends back our
+  // inventory, and tells everyone nearby that the chest is open.
   openChest(chest) {
-    // Get chest data
-    const chestData = chest.userData;
-
-    // Determine loot based on chest type/level
-    const loot = this.generateLoot(chestData);
-
-    // Add items to inventory
-    let allItemsAdded = true;
-    for (const item of loot) {
-      const added = this.addItemToInventory(item);
-      if (!added) {
-        allItemsAdded = false;
-        break;
-      }
-    }
-
-    // Create chest opening effect
-    this.createChestOpeningEffect(chest.position.clone());
-
-    // Mark chest as opened
-    chest.userData.isOpened = true;
-
-    // Change chest appearance if not all items could be collected
-    if (!allItemsAdded) {
-      this.showNotification(
-        "Inventory full! Some items remain in the chest.",
-        "warning",
-      );
+    if (chest.userData.isOpened) {
+      this.showNotification("This chest is empty.", "info");
+      return;
     }
+    this.socket.emit("openChest", { chestId: chest.userData.id });
   }
 
-  // Generate loot based on chest data
-  generateLoot(chestData) {
-    const loot = [];
-    const chestLevel = chestData.level || 1;
-    const itemCount = Math.floor(Math.random() * 3) + 1; // 1-3 items
+  // Add or update a chest the server told us about
+  updateChest(data) {
+    let chest = this.chests.get(data.id);
+    if (!chest) {
+      chest = this.createChestMesh();
+      chest.position.set(data.position.x, data.position.y, data.position.z);
+      chest.userData = { id: data.id, type: "chest", level: data.level, isOpened: false };
+      this.scene.add(chest);
+      this.chests.set(data.id, chest);
+    } else if (data.isOpened && !chest.userData.isOpened) {
+      this.createChestOpeningEffect(chest.position.clone());
+    }
+
+    // Open chests lose their lid until the server refills them
+    chest.userData.isOpened = data.isOpened;
+    chest.userData.lid.visible = !data.isOpened;
+  }
 
-    for (let i = 0; i < itemCount; i++) {
-      // Determine rarity based on chest level
-      let rarity = "common";
-      const rarityRoll = Math.random() * 100;
+  // Add one of the hub's townspeople the server told us about
+  addFriendlyNpc(data) {
+    if (this.friendlyNpcs.has(data.id)) return;
 
-      if (chestLevel >= 3 && rarityRoll >= 95) {
-        rarity = "legendary";
-      } else if (chestLevel >= 2 && rarityRoll >= 85) {
-        rarity = "epic";
-      } else if (rarityRoll >= 70) {
-        rarity = "rare";
-      } else if (rarityRoll >= 40) {
-        rarity = "uncommon";
-      }
+    const npc = this.createFriendlyNpcMesh(data.role);
+    npc.position.set(data.position.x, data.position.y, data.position.z);
+    npc.userData = {
+      type: "npc",
+      id: data.id,
+      name: data.name,
+      role: data.role,
+      quests: data.quests,
+    };
+    this.scene.add(npc);
+    this.friendlyNpcs.set(data.id, npc);
+  }
 
-      // Generate random item of appropriate rarity
-      const itemTypes = ["weapon", "armor", "potion", "material"];
-      const type = itemTypes[Math.floor(Math.random() * itemTypes.length)];
-
-      // Create item based on type and rarity
-      const item = {
-        id: `item-${Date.now()}-${i}`,
-        name: this.generateItemName(type, rarity),
-        type,
-        rarity,
-        value: chestLevel * 10 * this.getRarityValue(rarity),
-        icon: this.getItemIcon(type),
-      };
+  createFriendlyNpcMesh(role) {
+    const colors = { quest: 0xffcc00, merchant: 0x2e8b57, villager: 0x4682b4 };
+    const npc = new THREE.Group();
 
-      // Add type-specific properties
-      if (type === "potion") {
-        item.effect = ["health", "speed", "jump", "attack"][
-          Math.floor(Math.random() * 4)
-        ];
-        item.value = chestLevel * 2;
-        item.consumable = true;
-        item.description = `Grants ${item.effect} boost when used.`;
-      } else if (type === "weapon") {
-        item.damage = chestLevel * 5 * this.getRarityValue(rarity);
-        item.description = `Deals ${item.damage} damage.`;
-      } else if (type === "armor") {
-        item.defense = chestLevel * 3 * this.getRarityValue(rarity);
-        item.description = `Provides ${item.defense} defense.`;
-      } else {
-        item.description = `A ${rarity} crafting material.`;
-      }
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.35, 0.45, 1.2, 12),
+      new THREE.MeshLambertMaterial({ color: colors[role] || colors.villager }),
+    );
+    body.position.y = 0.6;
+    npc.add(body);
 
-      loot.push(item);
-    }
+    const head = new THREE.Mesh(
+      new THREE.SphereGeometry(0.3, 12, 12),
+      new THREE.MeshLambertMaterial({ color: 0xffdbac }),
+    );
+    head.position.y = 1.5;
+    npc.add(head);
 
-    return loot;
+    return npc;
   }
 
-  // Get numerical value multiplier for rarity
-  getRarityValue(rarity) {
-    switch (rarity) {
-      case "legendary":
-        return 5;
-      case "epic":
-        return 3;
-      case "rare":
-        return 2;
-      case "uncommon":
-        return 1.5;
-      default:
-        return 1;
-    }
+  removeChest(chest) {
+    this.scene.remove(chest);
+    this.chests.delete(chest.userData.id);
   }
 
-  // Generate a random item name
-  generateItemName(type, rarity) {
-    const prefixes = {
-      common: ["Basic", "Simple", "Plain", "Standard"],
-      uncommon: ["Fine", "Quality", "Sturdy", "Reliable"],
-      rare: ["Superior", "Excellent", "Reinforced", "Enhanced"],
-      epic: ["Magnificent", "Empowered", "Exceptional", "Arcane"],
-      legendary: ["Mythical", "Ancient", "Legendary", "Divine"],
-    };
-
-    const typeNames = {
-      weapon: ["Sword", "Axe", "Dagger", "Hammer", "Staff"],
-      armor: ["Helmet", "Chestplate", "Gloves", "Boots", "Shield"],
-      potion: ["Potion", "Elixir", "Tonic", "Brew", "Concoction"],
-      material: ["Crystal", "Ore", "Essence", "Fragment", "Component"],
-    };
-
-    const prefix =
-      prefixes[rarity][Math.floor(Math.random() * prefixes[rarity].length)];
-    const typeName =
-      typeNames[type][Math.floor(Math.random() * typeNames[type].length)];
+  createChestMesh() {
+    const chest = new THREE.Group();
 
-    return `${prefix} ${typeName}`;
-  }
+    const base = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 0.6, 0.7),
+      new THREE.MeshLambertMaterial({ color: 0x8b4513 }),
+    );
+    base.position.y = 0.3;
+    chest.add(base);
 
-  // Get icon for item type
-  getItemIcon(type) {
-    const icons = {
-      weapon: "⚔️",
-      armor: "🛡️",
-      potion: "🧪",
-      material: "📦",
-      food: "🍗",
-      treasure: "💎",
-    };
+    const lid = new THREE.Mesh(
+      new THREE.BoxGeometry(1.05, 0.25, 0.75),
+      new THREE.MeshLambertMaterial({ color: 0xdaa520 }),
+    );
+    lid.position.y = 0.72;
+    chest.add(lid);
 
-    return icons[type] || "📦";
+    chest.userData.lid = lid;
+    return chest;
   }
 
   // Create chest opening effect
@@ -5076,8 +5197,12 @@ export default class MultiplayerPlatformer {
     const attackDuration = hasAttackBoost ? 450 : 350; // Slightly longer animation
     const attackCooldownTime = hasAttackBoost ? 12 : 18; // Reduced cooldown for better responsiveness
 
-    // Attack color will be red for boosted attacks, otherwise player color
-    const attackColor = hasAttackBoost ? 0xff0000 : validPlayerColor;
+    // Attack color will be red for boosted attacks, otherwise that of the
+    // weapon we wear, or the player color bare-handed
+    const weaponRarity = this.getOwnGear().weapon;
+    const attackColor = hasAttackBoost
+      ? 0xff0000
+      : (weaponRarity && (GEAR_COLORS[weaponRarity] || GEAR_COLORS.common)) || validPlayerColor;
 
     // Create a visual effect for the attack (shockwave-like)
     const attackGeometry = new THREE.RingGeometry(0.3, attackSize, 24); // Increased precision and inner radius
@@ -5096,6 +5221,9 @@ export default class MultiplayerPlatformer {
       directionVector.set(this.velocity.x, 0, this.velocity.z).normalize();
     }
 
+    // The server only needs the direction; it works out what the attack hits
+    const attackDirection = { x: directionVector.x, z: directionVector.z };
+
     attackMesh.position.copy(this.playerMesh.position);
     attackMesh.position.add(directionVector.multiplyScalar(attackRange));
     attackMesh.rotation.x = Math.PI / 2; // Make it face forward properly
@@ -5164,13 +5292,9 @@ export default class MultiplayerPlatformer {
       animateShockwave();
     }
 
-    // Emit socket event to notify other players about the attack
+    // Send the attack to the server, which resolves hits and tells everyone
     this.socket.emit("playerAttack", {
-      position: {
-        x: attackMesh.position.x,
-        y: attackMesh.position.y,
-        z: attackMesh.position.z,
-      },
+      direction: attackDirection,
       color: attackColor, // Use the already validated color
     });
 
@@ -5188,9 +5312,6 @@ export default class MultiplayerPlatformer {
     };
     animateAttack();
 
-    // Check for crushable obstacles in attack range
-    this.checkAttackCollisions(attackMesh);
-
     // Remove the attack effects after a short duration
     setTimeout(() => {
       this.scene.remove(attackMesh);
@@ -5202,70 +5323,6 @@ export default class MultiplayerPlatformer {
     }, attackDuration);
   }
 
-  checkAttackCollisions(attackMesh) {
-    if (!this.playerMesh) return;
-
-    // Create an expanded attack box with larger hit radius
-    const attackBox = new THREE.Box3().setFromObject(attackMesh);
-    attackBox.expandByScalar(1.2); // Significantly increase hit radius for better combat feel
-
-    // Get attack position for distance-based detection
-    const attackPosition = new THREE.Vector3();
-    attackMesh.getWorldPosition(attackPosition);
-
-    // Check for hits on crushable obstacles
-    for (const obstacle of this.crushableObstacles) {
-      if (obstacle.userData.isCrushed) continue;
-
-      // Get obstacle position
-      const obstaclePosition = new THREE.Vector3();
-      obstacle.getWorldPosition(obstaclePosition);
-
-      // Calculate distance between attack and obstacle
-      const distance = attackPosition.distanceTo(obstaclePosition);
-
-      // Create obstacle box
-      const obstacleBox = new THREE.Box3().setFromObject(obstacle);
-
-      // Check if attack intersects with obstacle or is within attack radius
-      if (attackBox.intersectsBox(obstacleBox) || distance < 2.5) {
-        // Added distance-based check (2.5 units)
-        console.log("Attack hit obstacle:", obstacle.userData.id);
-
-        // Create impact effect at hit position
-        this.createHitImpactEffect(obstaclePosition);
-
-        // Process the hit
-        this.crushObstacle(obstacle);
-
-        // Add hit feedback with screen shake
-        if (this.camera && Math.random() < 0.7) {
-          const originalPosition = this.camera.position.clone();
-          const shakeAmount = 0.08;
-          this.camera.position.x += (Math.random() - 0.5) * shakeAmount;
-          this.camera.position.y += (Math.random() - 0.5) * shakeAmount;
-
-          // Reset camera position after a short delay
-          setTimeout(() => {
-            this.camera.position.copy(originalPosition);
-          }, 100);
-        }
-
-        // Increase score
-        this.score += 100;
-
-        // Create floating score popup
-        this.createScorePopup(obstaclePosition, 100);
-
-        // Tell other players about the crushed obstacle
-        this.socket.emit("obstacleUpdate", {
-          id: obstacle.userData.id,
-          isCrushed: true,
-        });
-      }
-    }
-  }
-
   // Helper method to create hit impact effect
   createHitImpactEffect(position) {
     // Create a flash at impact point
@@ -5362,64 +5419,15 @@ export default class MultiplayerPlatformer {
   updatePlayerPosition(deltaTime) {
     if (!this.isRunning || !this.playerMesh) return;
 
-    // Normalize deltaTime for frame rate independence
-    const normalizedDelta = deltaTime / 16.67; // Normalized to 60 FPS
+    // animate() passes seconds, the shared movement rules work in milliseconds
+    const frameMs = deltaTime * 1000;
+    const normalizedDelta = frameMs / PLAYER_PHYSICS.frameMs;
 
     // Update jump cooldown if active
     if (this.jumpCooldown > 0) {
       this.jumpCooldown -= normalizedDelta;
     }
 
-    // Apply gravity to vertical movement with terminal velocity limit
-    if (!this.keys.jump) {
-      // Apply gravity when not actively flying upward
-      this.velocity.y -= this.gravity * normalizedDelta;
-
-      // Apply terminal velocity to prevent excessive falling speed
-      if (this.velocity.y < this.terminalVelocity) {
-        this.velocity.y = this.terminalVelocity;
-      }
-    } else if (this.isGrounded) {
-      // If on ground and jump key pressed, do an initial jump
-      this.velocity.y = this.jumpForce;
-      this.isGrounded = false;
-      this.isJumping = true;
-      this.jumpCooldown = 10; // Set jump cooldown
-
-      // Play jump sound
-      this.playSound("jump");
-
-      // Create jump effect
-      this.createJumpEffect(this.playerMesh.position.clone());
-    } else {
-      // When jump key is pressed while in air, apply upward force (flying)
-      this.velocity.y += this.jumpForce * 0.03 * normalizedDelta; // Apply gradual upward force
-
-      // Limit maximum upward velocity
-      if (this.velocity.y > this.jumpForce * 0.6) {
-        this.velocity.y = this.jumpForce * 0.6;
-      }
-    }
-
-    // Coyote time for jump forgiveness - allow jumping shortly after leaving ground
-    if (!this.isGrounded && this.coyoteTime > 0) {
-      this.coyoteTime -= normalizedDelta;
-    }
-
-    // We've already handled jump controls in the gravity section above,
-    // so we'll just add effects and sounds here
-    if (this.keys.jump) {
-      // Play flight sound occasionally (reduced frequency)
-      if (Math.random() < 0.03) {
-        this.playSound("jump");
-      }
-
-      // Create flight effect particles (reduced frequency)
-      if (Math.random() < 0.05) {
-        this.createFlightEffect(this.playerMesh.position.clone());
-      }
-    }
-
     // Update camera rotation based on arrow keys
     if (this.keys.rotateLeft) {
       this.cameraAngleHorizontal += this.cameraRotationSpeed * normalizedDelta;
@@ -5442,115 +5450,81 @@ export default class MultiplayerPlatformer {
       );
     }
 
-    // Calculate movement direction relative to camera angle
-    let moveX = 0;
-    let moveZ = 0;
+    // Capture this frame's input. The server runs the same step on it and
+    // broadcasts the authoritative result, so positions are never sent.
+    let input = {
+      seq: this.inputSequence++,
+      dt: frameMs,
+      forward: this.keys.forward,
+      backward: this.keys.backward,
+      left: this.keys.left,
+      right: this.keys.right,
+      jump: this.keys.jump,
+      cameraAngle: this.cameraAngleHorizontal,
+    };
+    if (this.activeEncoding === "binary") {
+      // Predict with the same rounded values the server will decode
+      input = quantizePlayerInput(input);
+    }
+
+    // Movement, gravity, flying and platform collisions
+    const state = this.readPhysicsState();
+    const speedMultiplier = this.speedBoostMs > 0 ? SPEED_BOOST.multiplier : 1;
+    const jumpMultiplier = this.jumpBoostMs > 0 ? JUMP_BOOST.multiplier : 1;
+    this.speedBoostMs = Math.max(this.speedBoostMs - input.dt, 0);
+    this.jumpBoostMs = Math.max(this.jumpBoostMs - input.dt, 0);
+    const events = stepPlayer(
+      state,
+      input,
+      this.getPlatformBoxes(),
+      getCharacterSpeedBonus(this.characterData),
+      speedMultiplier,
+      jumpMultiplier,
+    );
+    this.writePhysicsState(state);
 
-    // Get character speed bonus if available
-    const baseSpeed = this.playerSpeed;
-    const characterBonus = this.characterData
-      ? this.characterData.speed / 100
-      : 0;
-    const effectiveSpeed = baseSpeed * (1 + characterBonus) * normalizedDelta;
+    if (events.jumped) {
+      this.jumpCooldown = 10; // Set jump cooldown
 
-    // Handle active speed boost
-    const speedMultiplier = this.activeEffects.speedBoost > 0 ? 1.5 : 1;
+      // Play jump sound
+      this.playSound("jump");
 
-    // Allow simultaneous key presses for diagonal movement
-    if (this.keys.forward) {
-      moveZ = -effectiveSpeed * speedMultiplier;
-    }
-    if (this.keys.backward) {
-      moveZ += effectiveSpeed * speedMultiplier;
+      // Create jump effect
+      this.createJumpEffect(this.playerMesh.position.clone());
     }
 
-    if (this.keys.left) {
-      moveX = -effectiveSpeed * speedMultiplier;
+    if (events.landed) {
+      this.playSound("land");
+      this.createLandingEffect(this.playerMesh.position.clone());
     }
-    if (this.keys.right) {
-      moveX += effectiveSpeed * speedMultiplier;
-    }
-
-    // Apply camera rotation to movement direction
-    if (moveX !== 0 || moveZ !== 0) {
-      // Calculate rotated movement vector based on camera angle
-      const rotatedX =
-        moveX * Math.cos(this.cameraAngleHorizontal) +
-        moveZ * Math.sin(this.cameraAngleHorizontal);
-      const rotatedZ =
-        moveZ * Math.cos(this.cameraAngleHorizontal) -
-        moveX * Math.sin(this.cameraAngleHorizontal);
 
-      // Directly apply velocities - this is key for horizontal movement
-      this.velocity.x = rotatedX;
-      this.velocity.z = rotatedZ;
-
-      // Rotate player model to face movement direction
-      if (this.playerMesh) {
-        const angle = Math.atan2(this.velocity.x, this.velocity.z);
-        this.playerMesh.rotation.y = angle;
+    if (this.keys.jump) {
+      // Play flight sound occasionally (reduced frequency)
+      if (Math.random() < 0.03) {
+        this.playSound("jump");
       }
-    } else {
-      // Gradually slow down horizontal movement (friction)
-      this.velocity.x *= 0.8;
-      this.velocity.z *= 0.8;
-
-      // Stop completely if very slow
-      if (Math.abs(this.velocity.x) < 0.01) this.velocity.x = 0;
-      if (Math.abs(this.velocity.z) < 0.01) this.velocity.z = 0;
-    }
-
-    // Store original position for collision reversion
-    const originalPosition = this.playerMesh.position.clone();
-
-    // Update player position with velocity
-    this.playerMesh.position.x += this.velocity.x;
-    this.playerMesh.position.y += this.velocity.y;
-    this.playerMesh.position.z += this.velocity.z;
-
-    // Track if player was on ground before position update
-    const wasGrounded = this.isGrounded;
-    this.isGrounded = false;
-
-    // Check ground collision - make sure player stays above ground
-    const MIN_HEIGHT = 0.5; // Player height is 1, so center is 0.5 units above ground
-    if (this.playerMesh.position.y <= MIN_HEIGHT) {
-      // Snap player to ground level - prevent going below ground
-      this.playerMesh.position.y = MIN_HEIGHT;
-      // Reset vertical velocity
-      this.velocity.y = 0;
-
-      // Track ground state
-      this.isGrounded = true;
-      this.isJumping = false;
-
-      // Start coyote time if player wasn't grounded before
-      if (!wasGrounded) {
-        // If player is moving very fast downward, add landing effects
-        if (this.velocity.y < -0.3) {
-          // Play landing sound effect
-          this.playSound("land");
-
-          // Create landing dust effect
-          this.createLandingEffect(this.playerMesh.position.clone());
-        }
+
+      // Create flight effect particles (reduced frequency)
+      if (Math.random() < 0.05) {
+        this.createFlightEffect(this.playerMesh.position.clone());
       }
     }
 
-    // Set coyote time if we've just left the ground
-    if (wasGrounded && !this.isGrounded) {
-      this.coyoteTime = 8; // About 0.13 seconds at 60fps
-    }
+    // Ease in any outstanding correction from the last server state
+    this.applyReconciliationCorrection(normalizedDelta);
+
+    if (this.characterData) {
+      this.socket.emit("playerInput", input);
 
-    // Reset jumping state if downward movement
-    if (this.velocity.y < 0) {
-      this.isJumping = false;
+      // Keep the input until the server acknowledges it, for replay
+      this.pendingInputs.push({ ...input, speedMultiplier, jumpMultiplier });
+      if (this.pendingInputs.length > this.maxPendingInputs) {
+        this.pendingInputs.shift();
+      }
     }
 
-    // Check collisions with terrain and other objects
-    this.checkPlatformCollisions();
-    this.checkObstacleCollisions(); // Added obstacle checking
-    this.checkOtherPlayerCollisions(); // Added player-player collisions
+    // Decoration bumps are cosmetic; the server resolves NPC contacts
+    this.checkObstacleCollisions();
 
     // Update camera position based on orbit parameters
     const playerPos = this.playerMesh.position;
@@ -5578,28 +5552,6 @@ export default class MultiplayerPlatformer {
 
     // Check coin and collectible collisions
     this.checkCoinCollisions();
-
-    // Send position update to server if position changed significantly
-    if (
-      this.characterData &&
-      (Math.abs(this.lastReportedPosition?.x - this.playerMesh.position.x) >
-        0.1 ||
-        Math.abs(this.lastReportedPosition?.y - this.playerMesh.position.y) >
-          0.1 ||
-        Math.abs(this.lastReportedPosition?.z - this.playerMesh.position.z) >
-          0.1)
-    ) {
-      this.lastReportedPosition = this.playerMesh.position.clone();
-
-      this.socket.emit("updatePosition", {
-        character: this.characterData,
-        position: {
-          x: this.playerMesh.position.x,
-          y: this.playerMesh.position.y,
-          z: this.playerMesh.position.z,
-        },
-      });
-    }
   }
 
   // Reset camera to default position
@@ -5612,163 +5564,124 @@ export default class MultiplayerPlatformer {
     this.showNotification("Camera reset", "info");
   }
 
-  checkPlatformCollisions() {
-    if (!this.playerMesh) return;
+  // Rebuild our predicted state from the server's authoritative one by
+  // replaying the inputs it has not processed yet, then correct the
+  // difference gradually so the player does not visibly snap
+  reconcileWithServer(serverState) {
+    if (!this.playerMesh || !this.isRunning) return;
+    if (serverState.lastProcessedSeq < this.respawnSeq) return;
 
-    // Create a bounding box for the player
-    const playerBox = new THREE.Box3().setFromObject(this.playerMesh);
-    const playerSize = new THREE.Vector3();
-    playerBox.getSize(playerSize);
+    this.pendingInputs = this.pendingInputs.filter(
+      (input) => input.seq > serverState.lastProcessedSeq,
+    );
 
-    // Calculate player dimensions
-    const playerWidth = playerSize.x;
-    const playerHeight = playerSize.y;
-    const playerDepth = playerSize.z;
+    const state = {
+      position: { ...serverState.position },
+      velocity: { ...serverState.velocity },
+      rotationY: serverState.rotationY,
+      isGrounded: serverState.isGrounded,
+      isJumping: !serverState.isGrounded,
+      fallVelocity: this.fallVelocity || 0,
+    };
+    const platforms = this.getPlatformBoxes();
+    const speedBonus = getCharacterSpeedBonus(this.characterData);
+    for (const input of this.pendingInputs) {
+      stepPlayer(
+        state,
+        input,
+        platforms,
+        speedBonus,
+        input.speedMultiplier,
+        input.jumpMultiplier,
+      );
+    }
 
-    // Store original position to revert if collision occurs
-    const originalPosition = this.playerMesh.position.clone();
+    const current = this.playerMesh.position;
+    const error = new THREE.Vector3(
+      state.position.x - current.x,
+      state.position.y - current.y,
+      state.position.z - current.z,
+    );
 
-    // Create a raycaster for ground detection
-    const raycaster = new THREE.Raycaster();
-    const rayOrigin = this.playerMesh.position.clone();
-    rayOrigin.y += 0.1; // Slightly above player position to avoid self-intersection
-    const rayDirection = new THREE.Vector3(0, -1, 0); // Downward ray
-    const rayLength = playerHeight / 2 + 0.2; // Half player height plus a small margin
+    if (error.length() > this.reconciliationSnapDistance) {
+      this.writePhysicsState(state);
+      this.reconciliationError.set(0, 0, 0);
+      return;
+    }
 
-    raycaster.set(rayOrigin, rayDirection);
+    // Velocity and ground state are invisible, so adopt them right away
+    this.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+    this.isGrounded = state.isGrounded;
+    if (error.length() > 0.01) {
+      this.reconciliationError.copy(error);
+    } else {
+      this.reconciliationError.set(0, 0, 0);
+    }
+  }
 
-    // Track whether player is on ground
-    let onGround = false;
-    let groundHeight = 0;
+  // Move a fraction of the outstanding server correction into the position
+  applyReconciliationCorrection(normalizedDelta) {
+    if (this.reconciliationError.lengthSq() === 0) return;
 
-    // Check ground detection with raycasting first
-    for (const platform of this.platforms) {
-      const intersects = raycaster.intersectObject(platform);
-
-      if (intersects.length > 0 && intersects[0].distance < rayLength) {
-        // We hit ground within expected distance
-        onGround = true;
-        this.isGrounded = true; // Update overall grounded state
-        groundHeight = intersects[0].point.y;
-
-        // Adjust player position to sit exactly on the ground
-        // Add half player height because pivot is at center
-        this.playerMesh.position.y = groundHeight + playerHeight / 2;
-
-        // Reset vertical velocity when landing
-        if (this.velocity.y < 0) {
-          this.velocity.y = 0;
-          this.isJumping = false;
-
-          // If falling velocity was high, play a landing sound
-          if (this.fallVelocity && this.fallVelocity < -0.3) {
-            this.playSound("land");
-            this.createLandingEffect(
-              this.playerMesh.position.clone(),
-              groundHeight,
-            );
-          }
-        }
+    const step = this.reconciliationError
+      .clone()
+      .multiplyScalar(Math.min(1, this.reconciliationSmoothing * normalizedDelta));
+    this.playerMesh.position.add(step);
+    this.reconciliationError.sub(step);
 
-        // Store falling velocity for impact calculations
-        this.fallVelocity = this.velocity.y;
-      }
+    if (this.reconciliationError.lengthSq() < 0.0001) {
+      this.playerMesh.position.add(this.reconciliationError);
+      this.reconciliationError.set(0, 0, 0);
     }
+  }
 
-    // Now handle standard collision detection for horizontal movement
-    // We rebuild the player bounding box as position might have changed
-    playerBox.setFromObject(this.playerMesh);
+  checkPlatformCollisions() {
+    if (!this.playerMesh) return;
 
-    for (const platform of this.platforms) {
-      const platformBox = new THREE.Box3().setFromObject(platform);
-
-      if (playerBox.intersectsBox(platformBox)) {
-        // If we're already handled as being on ground, only handle horizontal collisions
-        if (onGround && this.playerMesh.position.y > platform.position.y) {
-          // We're on top of this or another platform, so only handle horizontal
-          // Calculate overlap in each direction
-          const platformSize = new THREE.Vector3();
-          platformBox.getSize(platformSize);
-
-          const xOverlap =
-            (playerWidth + platformSize.x) / 2 -
-            Math.abs(this.playerMesh.position.x - platform.position.x);
-          const zOverlap =
-            (playerDepth + platformSize.z) / 2 -
-            Math.abs(this.playerMesh.position.z - platform.position.z);
-
-          if (xOverlap < zOverlap) {
-            // X-axis collision
-            const direction =
-              this.playerMesh.position.x < platform.position.x ? -1 : 1;
-            this.playerMesh.position.x =
-              platform.position.x +
-              (direction * (platformSize.x + playerWidth)) / 2;
-            this.velocity.x = 0;
-          } else {
-            // Z-axis collision
-            const direction =
-              this.playerMesh.position.z < platform.position.z ? -1 : 1;
-            this.playerMesh.position.z =
-              platform.position.z +
-              (direction * (platformSize.z + playerDepth)) / 2;
-            this.velocity.z = 0;
-          }
-        } else if (!onGround) {
-          // We're not on ground, handle all collisions normally
-          const platformSize = new THREE.Vector3();
-          platformBox.getSize(platformSize);
-
-          // Calculate overlap in each direction
-          const xOverlap =
-            (playerWidth + platformSize.x) / 2 -
-            Math.abs(this.playerMesh.position.x - platform.position.x);
-          const yOverlap =
-            (playerHeight + platformSize.y) / 2 -
-            Math.abs(this.playerMesh.position.y - platform.position.y);
-          const zOverlap =
-            (playerDepth + platformSize.z) / 2 -
-            Math.abs(this.playerMesh.position.z - platform.position.z);
-
-          // Find smallest overlap (to push in that direction)
-          if (xOverlap < yOverlap && xOverlap < zOverlap) {
-            // X-axis collision
-            const direction =
-              this.playerMesh.position.x < platform.position.x ? -1 : 1;
-            this.playerMesh.position.x =
-              platform.position.x +
-              (direction * (platformSize.x + playerWidth)) / 2;
-            this.velocity.x = 0;
-          } else if (yOverlap < zOverlap) {
-            // Y-axis collision (not from above)
-            if (this.playerMesh.position.y > platform.position.y) {
-              // Bottom collision - bounce down
-              this.playerMesh.position.y = platformBox.max.y + playerHeight / 2;
-              this.velocity.y = 0;
-              this.isJumping = false;
-              this.isGrounded = true;
-            } else {
-              // Player hit ceiling - stop upward movement
-              this.playerMesh.position.y = platformBox.min.y - playerHeight / 2;
-              this.velocity.y = -0.1; // Small downward velocity
-            }
-          } else {
-            // Z-axis collision
-            const direction =
-              this.playerMesh.position.z < platform.position.z ? -1 : 1;
-            this.playerMesh.position.z =
-              platform.position.z +
-              (direction * (platformSize.z + playerDepth)) / 2;
-            this.velocity.z = 0;
-          }
-        }
-      }
+    const state = this.readPhysicsState();
+    if (resolvePlatformCollisions(state, this.getPlatformBoxes())) {
+      this.playSound("land");
+      this.createLandingEffect(this.playerMesh.position.clone());
     }
+    this.writePhysicsState(state);
+  }
 
-    // Update jumping state
-    if (!onGround && this.velocity.y <= 0) {
-      this.isJumping = true;
-    }
+  // Snapshot the local player's movement state in the shared physics format
+  readPhysicsState() {
+    const position = this.playerMesh.position;
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      velocity: { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z },
+      rotationY: this.playerMesh.rotation.y,
+      isGrounded: this.isGrounded,
+      isJumping: this.isJumping,
+      fallVelocity: this.fallVelocity || 0,
+    };
+  }
+
+  // Apply a shared physics state back onto the player mesh and velocity
+  writePhysicsState(state) {
+    this.playerMesh.position.set(
+      state.position.x,
+      state.position.y,
+      state.position.z,
+    );
+    this.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+    this.playerMesh.rotation.y = state.rotationY;
+    this.isGrounded = state.isGrounded;
+    this.isJumping = state.isJumping;
+    this.fallVelocity = state.fallVelocity;
+  }
+
+  // Axis-aligned boxes of all platforms, as used by the shared physics step
+  getPlatformBoxes() {
+    return this.platforms.map((platform) => {
+      const box = new THREE.Box3().setFromObject(platform);
+      return {
+        min: { x: box.min.x, y: box.min.y, z: box.min.z },
+        max: { x: box.max.x, y: box.max.y, z: box.max.z },
+      };
+    });
   }
 
   // Method to create landing effect particles
@@ -5999,7 +5912,9 @@ export default class MultiplayerPlatformer {
     animateFlightEffect();
   }
 
-  // Check collision with obstacles (trees, rocks, etc.)
+  // Wiggle decorations the player touches. Position and velocity are left
+  // alone: the server never simulates decorations, so pushing the player here
+  // would make prediction disagree with the authoritative state.
   checkObstacleCollisions() {
     if (!this.playerMesh) return;
 
@@ -6019,24 +5934,6 @@ export default class MultiplayerPlatformer {
 
       // Check if collision occurred
       if (distance < collisionRadius + decorationRadius) {
-        // Calculate push direction (away from obstacle)
-        const pushDirection = new THREE.Vector3()
-          .subVectors(playerPosition, decoration.position)
-          .normalize();
-
-        // Move player out of collision
-        this.playerMesh.position.add(
-          pushDirection.multiplyScalar(
-            collisionRadius + decorationRadius - distance + 0.05,
-          ),
-        );
-
-        // Stop velocity in that direction
-        const dot = this.velocity.dot(pushDirection);
-        if (dot < 0) {
-          this.velocity.sub(pushDirection.multiplyScalar(dot));
-        }
-
         // Trigger decoration wiggle effect
         this.triggerDecorationWiggle(decoration);
 
@@ -6045,97 +5942,11 @@ export default class MultiplayerPlatformer {
           this.socket.emit("decorationCollision", {
             decorationId: decoration.userData.id,
             position: decoration.position,
-            type: decoration.userData.type || "tree",
+            decorationType: decoration.userData.type || "tree",
           });
         }
       }
     }
-
-    // Check obstacles (similar to decorations but potentially with different behavior)
-    for (const obstacle of this.obstacles) {
-      if (!obstacle.visible || obstacle.userData.noCollision) continue;
-
-      // Calculate distance between centers
-      const distance = playerPosition.distanceTo(obstacle.position);
-
-      // Get obstacle radius
-      const obstacleRadius = obstacle.userData.collisionRadius || 0.6;
-
-      // Check if collision occurred
-      if (distance < collisionRadius + obstacleRadius) {
-        // Handle obstacle specific behavior
-        if (obstacle.userData.jumpPad) {
-          // It's a jump pad - apply boost
-          this.velocity.y = this.jumpForce * 1.5;
-          this.isJumping = true;
-          this.playSound("jumpPad");
-
-          // Create jump pad effect
-          this.createJumpPadEffect(obstacle.position.clone());
-        } else if (obstacle.userData.speedBoost) {
-          // Speed boost powerup
-          this.applyPowerUpEffect("speedBoost");
-
-          // Hide the powerup
-          obstacle.visible = false;
-          obstacle.userData.collected = true;
-        } else {
-          // Standard obstacle - push player away
-          const pushDirection = new THREE.Vector3()
-            .subVectors(playerPosition, obstacle.position)
-            .normalize();
-
-          // Move player out of collision
-          this.playerMesh.position.add(
-            pushDirection.multiplyScalar(
-              collisionRadius + obstacleRadius - distance + 0.05,
-            ),
-          );
-
-          // Reduce velocity in collision direction
-          const dot = this.velocity.dot(pushDirection);
-          if (dot < 0) {
-            this.velocity.sub(pushDirection.multiplyScalar(dot));
-          }
-        }
-      }
-    }
-  }
-
-  // Check collisions with other players
-  checkOtherPlayerCollisions() {
-    if (!this.playerMesh) return;
-
-    const playerPosition = this.playerMesh.position.clone();
-    const collisionRadius = this.collisionRadius;
-
-    // Iterate through other players
-    this.players.forEach((otherPlayer, playerId) => {
-      if (!otherPlayer.mesh || !otherPlayer.mesh.visible) return;
-
-      // Get other player position
-      const otherPosition = otherPlayer.mesh.position.clone();
-
-      // Calculate distance between players
-      const distance = playerPosition.distanceTo(otherPosition);
-
-      // Check for collision (allow slight overlap)
-      if (distance < collisionRadius * 1.8) {
-        // Calculate push direction
-        const pushDirection = new THREE.Vector3()
-          .subVectors(playerPosition, otherPosition)
-          .normalize();
-
-        // Softer collision response for player-player interaction
-        this.playerMesh.position.add(pushDirection.multiplyScalar(0.05));
-
-        // Reduce velocity slightly in collision direction
-        const dot = this.velocity.dot(pushDirection);
-        if (dot < 0) {
-          this.velocity.sub(pushDirection.multiplyScalar(dot * 0.5)); // Softer reaction
-        }
-      }
-    });
   }
 
   // Check world boundaries to prevent falling off
@@ -6246,7 +6057,7 @@ export default class MultiplayerPlatformer {
 
     // Use more generous radius-based collection instead of box collision
     const playerPosition = this.playerMesh.position.clone();
-    const collectionRadius = 2.0; // Increased radius for easier coin collection
+    const collectionRadius = COIN_PICKUP_RADIUS;
 
     // Check coin collisions
     for (const coin of this.coins) {
@@ -6259,11 +6070,13 @@ export default class MultiplayerPlatformer {
       if (distance < collectionRadius) {
         // Collect the coin
         coin.userData.isCollected = true;
+        coin.userData.collectedAt = Date.now();
         coin.visible = false;
 
         // Increase score with any active multiplier
-        const pointValue = 10 * this.activeEffects.scoreMultiplier;
+        const pointValue = COIN_SCORE * this.activeEffects.scoreMultiplier;
         this.score += pointValue;
+        this.coinsCollected++;
 
         // Create floating score text
         this.createScorePopup(coin.position, pointValue);
@@ -6361,18 +6174,6 @@ export default class MultiplayerPlatformer {
   spawnRandomPowerUp(x = undefined, y = undefined, z = undefined) {
     // Define power-up types with their properties
     const powerUpTypes = [
-      {
-        type: "speedBoost",
-        color: 0x00ffff,
-        geometry: new THREE.OctahedronGeometry(0.4, 0),
-        duration: 300, // 5 seconds at 60fps
-      },
-      {
-        type: "jumpBoost",
-        color: 0x00ff00,
-        geometry: new THREE.TetrahedronGeometry(0.4),
-        duration: 600, // 10 seconds at 60fps
-      },
       {
         type: "scoreMultiplier",
         color: 0xffd700,
@@ -6564,66 +6365,9 @@ export default class MultiplayerPlatformer {
 
     // Apply different effects based on power-up type
     switch (powerUpType) {
-      case "speedBoost":
-        // Save original speed if not already saved
-        if (!this.originalPlayerSpeed) {
-          this.originalPlayerSpeed = 0.15; // Base speed
-        }
-
-        // Increase player speed
-        this.playerSpeed = this.originalPlayerSpeed * 2.0; // Double speed
-        this.activeEffects.speedBoost = 300; // 5 seconds at 60fps
-
-        // Create visual indication
-        if (this.playerMesh) {
-          const trail = new THREE.PointLight(0x00ffff, 2, 5);
-          trail.position.copy(this.playerMesh.position);
-          trail.position.y -= 0.5;
-          this.scene.add(trail);
-
-          // Remove after duration
-          setTimeout(() => {
-            this.scene.remove(trail);
-          }, 5000);
-        }
-        break;
-
-      case "jumpBoost":
-        // Increase jump force
-        this.jumpForce = 0.4; // Double jump height
-        this.activeEffects.jumpBoost = 600; // 10 seconds at 60fps
-
-        // Visual effect
-        if (this.playerMesh) {
-          const particles = new THREE.Group();
-          for (let i = 0; i < 5; i++) {
-            const particle = new THREE.Mesh(
-              new THREE.SphereGeometry(0.1, 8, 8),
-              new THREE.MeshBasicMaterial({
-                color: 0x00ff00,
-                transparent: true,
-                opacity: 0.7,
-              }),
-            );
-            particle.position.set(
-              (Math.random() - 0.5) * 0.5,
-              (Math.random() - 0.5) * 0.5,
-              (Math.random() - 0.5) * 0.5,
-            );
-            particles.add(particle);
-          }
-          this.playerMesh.add(particles);
-
-          // Remove after duration
-          setTimeout(() => {
-            this.playerMesh.remove(particles);
-          }, 10000);
-        }
-        break;
-
       case "scoreMultiplier":
         // Double score for collecting coins
-        this.activeEffects.scoreMultiplier = 2;
+        this.activeEffects.scoreMultiplier = SCORE_BOOST_MULTIPLIER;
         this.activeEffects.scoreMultiplierTimer = 600; // 10 seconds at 60fps
 
         // Visual effect - gold aura
@@ -6877,6 +6621,128 @@ export default class MultiplayerPlatformer {
     }
   }
 
+  // Store a timestamped server state for a remote player
+  addRemoteSnapshot(player, data) {
+    const now = Date.now();
+    const serverTime = typeof data.timestamp === "number" ? data.timestamp : now;
+
+    // Track the server clock offset, smoothing out network jitter
+    const offset = serverTime - now;
+    if (this.serverTimeOffset === null) {
+      this.serverTimeOffset = offset;
+    } else {
+      this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.1;
+    }
+
+    player.lastUpdateTime = now;
+
+    const snapshots = player.snapshots;
+    // Drop out-of-order packets
+    if (snapshots.length > 0 && serverTime <= snapshots[snapshots.length - 1].time) {
+      return;
+    }
+
+    snapshots.push({
+      time: serverTime,
+      position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+      velocity: data.velocity
+        ? new THREE.Vector3(data.velocity.x, data.velocity.y, data.velocity.z)
+        : new THREE.Vector3(),
+      rotationY: typeof data.rotationY === "number" ? data.rotationY : player.mesh.rotation.y,
+      animation: data.animation || "idle",
+    });
+
+    if (snapshots.length > this.maxSnapshots) {
+      snapshots.shift();
+    }
+  }
+
+  // Place every remote player at the interpolated state for the render time
+  updateRemotePlayers() {
+    const now = Date.now();
+    const renderTime = now + (this.serverTimeOffset || 0) - this.interpolationDelay;
+
+    this.players.forEach((player) => {
+      // The server only sends players near us, so one we haven't heard
+      // about for a while has left our area; show it again when it returns
+      const inRange = now - player.lastUpdateTime < this.remoteStaleTimeout;
+      player.mesh.visible = inRange;
+      if (player.nameLabel) {
+        player.nameLabel.style.display = inRange ? "block" : "none";
+      }
+
+      const snapshots = player.snapshots;
+      if (!inRange) {
+        // Don't interpolate from where it was when it left
+        snapshots.length = 0;
+        return;
+      }
+      if (this.serverTimeOffset === null || snapshots.length === 0) return;
+
+      // Discard snapshots we no longer need, keeping one before the render time
+      while (snapshots.length >= 2 && snapshots[1].time <= renderTime) {
+        snapshots.shift();
+      }
+
+      const from = snapshots[0];
+      const to = snapshots[1];
+
+      if (to && renderTime >= from.time) {
+        // Interpolate between the two snapshots around the render time
+        const t = (renderTime - from.time) / (to.time - from.time);
+        player.mesh.position.lerpVectors(from.position, to.position, t);
+        player.mesh.rotation.y = this.lerpAngle(from.rotationY, to.rotationY, t);
+        player.animation = t < 0.5 ? from.animation : to.animation;
+      } else if (!to && renderTime > from.time) {
+        // Packets are late: extrapolate along the last known velocity for a short while
+        const elapsed = Math.min(renderTime - from.time, this.maxExtrapolation);
+        player.mesh.position
+          .copy(from.position)
+          .addScaledVector(from.velocity, elapsed / PLAYER_PHYSICS.frameMs);
+        player.mesh.position.y = Math.max(player.mesh.position.y, PLAYER_PHYSICS.minHeight);
+        player.mesh.rotation.y = from.rotationY;
+        player.animation = from.animation;
+      } else {
+        // Render time is still before our first snapshot
+        player.mesh.position.copy(from.position);
+        player.mesh.rotation.y = from.rotationY;
+        player.animation = from.animation;
+      }
+
+      this.applyRemoteAnimation(player);
+    });
+  }
+
+  // Simple procedural animation for the box-shaped remote players
+  applyRemoteAnimation(player) {
+    const mesh = player.mesh;
+    switch (player.animation) {
+      case "run":
+        // Bob while running
+        mesh.position.y += Math.abs(Math.sin(Date.now() * 0.015)) * 0.1;
+        mesh.rotation.x = 0.1;
+        break;
+      case "fly":
+        // Lean forward while flying upward
+        mesh.rotation.x = 0.3;
+        break;
+      case "fall":
+        mesh.rotation.x = -0.1;
+        break;
+      default:
+        mesh.rotation.x = 0;
+        break;
+    }
+  }
+
+  // Interpolate between two angles along the shortest arc
+  lerpAngle(a, b, t) {
+    let diff = (b - a) % (Math.PI * 2);
+    if (diff > Math.PI) diff -= Math.PI * 2;
+    if (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+  }
+
   updatePlayerLabels() {
     // Update position of name labels for other players
     this.players.forEach((player, id) => {
@@ -6904,6 +6770,13 @@ export default class MultiplayerPlatformer {
     // Update player position
     this.updatePlayerPosition(deltaTime);
 
+    // Interpolate remote players between server snapshots
+    this.updateRemotePlayers();
+
+    // Let the server hold on to our progress in case we drop
+    this.reportProgress(now);
+    this.reportStats(now);
+
     // Update player name labels
     this.updatePlayerLabels();
 
@@ -6922,9 +6795,6 @@ export default class MultiplayerPlatformer {
       this.updateMinimap();
     }
 
-    // Update moving platforms
-    this.updateMovingPlatforms();
-
     // Update crushable obstacles
     this.updateCrushableObstacles();
 
@@ -6988,10 +6858,7 @@ export default class MultiplayerPlatformer {
         this.createSpeedBoostTrail();
       }
 
-      // Reset to normal speed when effect expires
       if (this.activeEffects.speedBoost === 0) {
-        // Use the original player speed if available, otherwise default to 0.15
-        this.playerSpeed = this.originalPlayerSpeed || 0.15;
         console.log("Speed boost expired!");
       }
     }
@@ -6999,9 +6866,7 @@ export default class MultiplayerPlatformer {
     if (this.activeEffects.jumpBoost > 0) {
       this.activeEffects.jumpBoost--;
 
-      // Reset jump power when effect expires
       if (this.activeEffects.jumpBoost === 0) {
-        this.jumpForce = 0.2; // Reset to normal jump force
         console.log("Jump boost expired!");
       }
     }
@@ -7078,35 +6943,6 @@ export default class MultiplayerPlatformer {
     fadeOutParticle();
   }
 
-  updateMovingPlatforms() {
-    // Update positions of moving platforms
-    for (const platform of this.platforms) {
-      const userData = platform.userData;
-
-      if (userData.movingPlatform) {
-        const time = Date.now() * 0.001; // Current time in seconds
-
-        if (userData.movementAxis === "y") {
-          // Vertical movement (up and down)
-          platform.position.y =
-            userData.originalY +
-            Math.sin(
-              time * userData.movementFrequency + userData.movementPhase,
-            ) *
-              userData.movementAmplitude;
-        } else {
-          // Horizontal movement (left and right)
-          platform.position.x =
-            userData.startX +
-            Math.sin(
-              time * userData.movementFrequency + userData.movementPhase,
-            ) *
-              userData.movementAmplitude;
-        }
-      }
-    }
-  }
-
   updateProceduralWorld() {
     // Track player movement for world generation
     const playerZ = this.playerMesh.position.z;
@@ -7127,13 +6963,13 @@ export default class MultiplayerPlatformer {
     this.recycleWorldElements(playerZ);
 
     // Respawn collected coins and crushed NPCs
-    this.handleRespawning(playerZ);
+    this.handleRespawning();
   }
 
   // Check and expand world in all directions as player moves
   extendWorld() {
-    // Only proceed if player exists
-    if (!this.playerMesh) return;
+    // Only proceed once there is a player and a world to extend
+    if (!this.playerMesh || this.worldSeed === null) return;
 
     // Get player position
     const playerPos = this.playerMesh.position;
@@ -7157,24 +6993,6 @@ export default class MultiplayerPlatformer {
         if (!this.exploredZones.has(zoneKey)) {
           console.log(`Generating new zone at ${zoneKey}`);
           this.generateWorldZone(x, z);
-
-          // Randomly add special features to some new zones
-          if (Math.random() < 0.1) {
-            // 10% chance for special features
-            if (Math.random() < 0.5) {
-              // Add climbing structure
-              this.generateClimbingStructure(
-                x * this.zoneSize,
-                z * this.zoneSize,
-              );
-            } else {
-              // Add jump challenge
-              this.generateJumpChallengeArea(
-                x * this.zoneSize,
-                z * this.zoneSize,
-              );
-            }
-          }
         }
       }
     }
@@ -7335,14 +7153,8 @@ export default class MultiplayerPlatformer {
       }
     });
 
-    // Recycle platforms
-    this.platforms.forEach((platform, index) => {
-      if (platform.position.z > recycleCutoff) {
-        // Add platform to respawn pool and remove from active list
-        this.scene.remove(platform);
-        this.platforms.splice(index, 1);
-      }
-    });
+    // Platforms stay: the server keeps colliding players against every
+    // zone's platforms, so prediction has to as well
 
     // Recycle decorations
     this.decorations.forEach((decoration, index) => {
@@ -7353,134 +7165,23 @@ export default class MultiplayerPlatformer {
     });
   }
 
-  handleRespawning(playerZ) {
-    // Respawn coins that were collected
-    this.coins.forEach((coin, index) => {
-      if (coin.userData.isCollected) {
-        // Add to respawn pool
-        if (!this.coinRespawnPool.includes(coin)) {
-          this.coinRespawnPool.push(coin);
-          this.scene.remove(coin);
-          this.coins.splice(index, 1);
-        }
-      }
-    });
-
-    // Respawn crushed NPCs
-    this.crushableObstacles.forEach((npc, index) => {
-      if (npc.userData.isCrushed) {
-        // Add to respawn pool
-        if (!this.npcRespawnPool.includes(npc)) {
-          this.npcRespawnPool.push(npc);
-          this.scene.remove(npc);
-          this.crushableObstacles.splice(index, 1);
-        }
+  handleRespawning() {
+    // Collected coins come back where they were once their time is up, the
+    // same time the server waits before counting them again. Crushed NPCs
+    // are brought back by the server.
+    const now = Date.now();
+    this.coins.forEach((coin) => {
+      if (
+        coin.userData.isCollected &&
+        now - coin.userData.collectedAt >= COIN_RESPAWN_DELAY
+      ) {
+        coin.userData.isCollected = false;
+        coin.visible = true;
       }
     });
-
-    // Generate new coins and NPCs from respawn pools
-    const respawnCutoff = playerZ - 50; // Only respawn things out of view
-
-    // Respawn from the coin pool
-    const coinsToRespawn = Math.min(2, this.coinRespawnPool.length);
-    for (let i = 0; i < coinsToRespawn; i++) {
-      const coin = this.coinRespawnPool.pop();
-      if (coin) {
-        // Find a platform to place the coin on
-        const eligiblePlatforms = this.platforms.filter(
-          (p) => p.position.z < respawnCutoff,
-        );
-
-        if (eligiblePlatforms.length > 0) {
-          const platform =
-            eligiblePlatforms[
-              Math.floor(Math.random() * eligiblePlatforms.length)
-            ];
-
-          // Reposition the coin
-          coin.position.set(
-            platform.position.x,
-            platform.position.y + 0.5,
-            platform.position.z,
-          );
-
-          // Reset coin state
-          coin.userData.isCollected = false;
-          coin.userData.zPosition = platform.position.z;
-          coin.visible = true;
-
-          // Add back to scene and active list
-          this.scene.add(coin);
-          this.coins.push(coin);
-        } else {
-          // Put back in pool if no platforms available
-          this.coinRespawnPool.push(coin);
-        }
-      }
-    }
-
-    // Respawn from the NPC pool
-    const npcsToRespawn = Math.min(1, this.npcRespawnPool.length);
-    for (let i = 0; i < npcsToRespawn; i++) {
-      const npc = this.npcRespawnPool.pop();
-      if (npc) {
-        // Find a platform to place the NPC on
-        const eligiblePlatforms = this.platforms.filter(
-          (p) => p.position.z < respawnCutoff,
-        );
-
-        if (eligiblePlatforms.length > 0) {
-          const platform =
-            eligiblePlatforms[
-              Math.floor(Math.random() * eligiblePlatforms.length)
-            ];
-
-          // Reposition the NPC
-          let y = platform.position.y + 0.6;
-          if (npc.userData.movementStyle === "flying") {
-            y = platform.position.y + 1.5;
-          } else if (npc.userData.movementStyle === "ghost") {
-            y = platform.position.y + 1.0;
-          }
-
-          npc.position.set(platform.position.x, y, platform.position.z);
-
-          // Reset NPC state
-          npc.userData.isCrushed = false;
-          npc.userData.zPosition = platform.position.z;
-          npc.userData.startX = platform.position.x;
-          npc.userData.startY = y;
-          npc.userData.startZ = platform.position.z;
-          npc.userData.isMoving = true;
-          npc.scale.set(1, 1, 1); // Reset scale (uncrushed)
-
-          // Reset materials
-          npc.traverse((child) => {
-            if (child.material) {
-              if (Array.isArray(child.material)) {
-                child.material.forEach((material) => {
-                  material.transparent = npc.userData.type === "Boo";
-                  material.opacity = npc.userData.type === "Boo" ? 0.7 : 1;
-                });
-              } else {
-                child.material.transparent = npc.userData.type === "Boo";
-                child.material.opacity = npc.userData.type === "Boo" ? 0.7 : 1;
-              }
-            }
-          });
-
-          // Add back to scene and active list
-          this.scene.add(npc);
-          this.crushableObstacles.push(npc);
-        } else {
-          // Put back in pool if no platforms available
-          this.npcRespawnPool.push(npc);
-        }
-      }
-    }
   }
 
-  generateDecoration(x, z) {
+  generateDecoration(x, z, random = Math.random) {
     const currentTheme = this.themeProperties[this.currentTheme];
     let geometry, material, decoration;
 
@@ -7488,7 +7189,7 @@ export default class MultiplayerPlatformer {
     switch (this.currentTheme) {
       case "grassland":
         // Trees or bushes
-        if (Math.random() > 0.5) {
+        if (random() > 0.5) {
           // Simple tree
           decoration = new THREE.Group();
 
@@ -7504,7 +7205,7 @@ export default class MultiplayerPlatformer {
           const leavesGeometry = new THREE.ConeGeometry(1, 2, 8);
           const leavesColor =
             currentTheme.decorationColors[
-              Math.floor(Math.random() * currentTheme.decorationColors.length)
+              Math.floor(random() * currentTheme.decorationColors.length)
             ];
           const leavesMaterial = new THREE.MeshStandardMaterial({
             color: leavesColor,
@@ -7514,10 +7215,10 @@ export default class MultiplayerPlatformer {
           decoration.add(leaves);
         } else {
           // Bush
-          geometry = new THREE.SphereGeometry(0.5 + Math.random() * 0.5, 8, 8);
+          geometry = new THREE.SphereGeometry(0.5 + random() * 0.5, 8, 8);
           const bushColor =
             currentTheme.decorationColors[
-              Math.floor(Math.random() * currentTheme.decorationColors.length)
+              Math.floor(random() * currentTheme.decorationColors.length)
             ];
           material = new THREE.MeshStandardMaterial({ color: bushColor });
           decoration = new THREE.Mesh(geometry, material);
@@ -7527,13 +7228,13 @@ export default class MultiplayerPlatformer {
       default:
         // Simple shape for other themes
         geometry = new THREE.BoxGeometry(
-          1 + Math.random(),
-          1 + Math.random(),
-          1 + Math.random(),
+          1 + random(),
+          1 + random(),
+          1 + random(),
         );
         const decorColor =
           currentTheme.decorationColors[
-            Math.floor(Math.random() * currentTheme.decorationColors.length)
+            Math.floor(random() * currentTheme.decorationColors.length)
           ];
         material = new THREE.MeshStandardMaterial({ color: decorColor });
         decoration = new THREE.Mesh(geometry, material);
@@ -7555,101 +7256,19 @@ export default class MultiplayerPlatformer {
     return decoration;
   }
 
+  // NPCs move on the server; glide each one toward the position it last
+  // reported and animate it on the way
   updateCrushableObstacles() {
     this.crushableObstacles.forEach((obstacle) => {
       if (obstacle.userData.isMoving && !obstacle.userData.isCrushed) {
         const userData = obstacle.userData;
 
-        // Different movement patterns based on NPC type
-        if (userData.movementStyle === "ground") {
-          // Ground enemies move left and right with simple patrolling
-
-          // Check if we should turn around due to hitting a wall or edge
-          const ahead = new THREE.Vector3(
-            obstacle.position.x + userData.moveDirection.x * 0.5,
-            0, // Cast from high position down
-            obstacle.position.z + userData.moveDirection.z * 0.5,
-          );
-
-          // Move the NPC
-          obstacle.position.x += userData.moveDirection.x * userData.moveSpeed;
-          obstacle.position.z += userData.moveDirection.z * userData.moveSpeed;
-
-          // Check if too far from starting position
-          const distanceFromStart = new THREE.Vector2(
-            obstacle.position.x - userData.startX,
-            obstacle.position.z - userData.startZ,
-          ).length();
-
-          if (distanceFromStart > userData.movementRange) {
-            // Turn back toward starting position
-            userData.moveDirection
-              .set(
-                userData.startX - obstacle.position.x,
-                0,
-                userData.startZ - obstacle.position.z,
-              )
-              .normalize();
-
-            // Set rotation to face direction of movement
-            obstacle.rotation.y = Math.atan2(
-              userData.moveDirection.x,
-              userData.moveDirection.z,
-            );
-          }
-        } else if (userData.movementStyle === "flying") {
-          // Flying enemies move in more complex patterns with height changes
-
-          // Increment jump time
-          userData.jumpTime += 0.02;
-
-          // Sinusoidal up and down movement
-          const heightOffset =
-            Math.sin(userData.jumpTime) * userData.jumpHeight * 0.5;
-          obstacle.position.y = userData.startY + heightOffset;
-
-          // Move horizontally
-          obstacle.position.x += userData.moveDirection.x * userData.moveSpeed;
-          obstacle.position.z += userData.moveDirection.z * userData.moveSpeed;
-
-          // Check if too far from starting position
-          const distanceFromStart = new THREE.Vector2(
-            obstacle.position.x - userData.startX,
-            obstacle.position.z - userData.startZ,
-          ).length();
-
-          if (distanceFromStart > userData.movementRange) {
-            // Turn back toward starting position
-            userData.moveDirection
-              .set(
-                userData.startX - obstacle.position.x,
-                0,
-                userData.startZ - obstacle.position.z,
-              )
-              .normalize();
-
-            // Set rotation to face direction of movement
-            obstacle.rotation.y = Math.atan2(
-              userData.moveDirection.x,
-              userData.moveDirection.z,
-            );
-          }
-
-          // Animate wings if they exist
-          if (userData.wings && userData.wings.length > 0) {
-            userData.wings.forEach((wing) => {
-              // Flap wings up and down
-              wing.rotation.z +=
-                userData.wingFlapDirection * userData.wingFlapSpeed;
+        if (userData.targetPosition) {
+          obstacle.position.lerp(userData.targetPosition, 0.3);
+        }
 
-              // Reverse direction at limits
-              if (wing.rotation.z > 0.3 || wing.rotation.z < -0.3) {
-                userData.wingFlapDirection *= -1;
-              }
-            });
-          }
-        } else if (userData.movementStyle === "ghost") {
-          // Ghost enemies fade in and out and move erratically
+        if (userData.movementStyle === "ghost") {
+          // Ghost enemies fade in and out
 
           // Update ghost timer
           userData.ghostTimer += 0.02;
@@ -7662,23 +7281,27 @@ export default class MultiplayerPlatformer {
             }
           });
 
-          // Circular/erratic movement pattern
-          const xOffset = Math.sin(userData.ghostTimer) * 2;
-          const zOffset = Math.cos(userData.ghostTimer) * 2;
-          const yOffset = Math.sin(userData.ghostTimer * 0.7) * 0.5;
-
-          obstacle.position.x = userData.startX + xOffset;
-          obstacle.position.z = userData.startZ + zOffset;
-          obstacle.position.y = userData.originalY + yOffset;
-
           // Always face the player for eerie effect
           if (this.playerMesh) {
-            const lookDirection = new THREE.Vector3();
-            lookDirection
-              .subVectors(this.playerMesh.position, obstacle.position)
-              .normalize();
             obstacle.lookAt(this.playerMesh.position);
           }
+        } else {
+          // Face the direction of movement
+          obstacle.rotation.y = userData.targetRotationY;
+        }
+
+        // Animate wings if they exist
+        if (userData.wings && userData.wings.length > 0) {
+          userData.wings.forEach((wing) => {
+            // Flap wings up and down
+            wing.rotation.z +=
+              userData.wingFlapDirection * userData.wingFlapSpeed;
+
+            // Reverse direction at limits
+            if (wing.rotation.z > 0.3 || wing.rotation.z < -0.3) {
+              userData.wingFlapDirection *= -1;
+            }
+          });
         }
 
         // If the NPC has attack capabilities, check for player proximity
@@ -7704,6 +7327,9 @@ export default class MultiplayerPlatformer {
     });
   }
 
+  // Predict bouncing off NPCs so movement feels immediate. Damage, which
+  // the armor we wear reduces, kills and score are decided by the server
+  // and arrive as combat events.
   checkCrushableObstacleCollisions() {
     if (!this.playerMesh || !this.isRunning) return;
 
@@ -7713,183 +7339,56 @@ export default class MultiplayerPlatformer {
       if (obstacle.userData.isCrushed) continue;
 
       const obstacleBox = new THREE.Box3().setFromObject(obstacle);
+      if (!playerBox.intersectsBox(obstacleBox)) continue;
+
+      // Check if player is above the obstacle (jumping on its head)
+      const playerBottom = this.playerMesh.position.y - 0.5; // Bottom of player
+      const obstacleTop = obstacle.position.y + 0.4; // Top of obstacle
+      const kind = getNpcKind(obstacle.userData.type);
+
+      if (playerBottom >= obstacleTop && this.velocity.y < 0) {
+        // Bounce higher off an NPC this stomp is about to destroy
+        const hitPoints =
+          obstacle.userData.hitPoints !== undefined
+            ? obstacle.userData.hitPoints
+            : getNpcHitPoints(kind.strength);
+        const destroyed = kind.crushable && hitPoints <= COMBAT.attackDamage;
+        this.velocity.y =
+          PLAYER_PHYSICS.jumpForce *
+          (destroyed ? COMBAT.stompBounce : COMBAT.hitBounce);
+      } else if (!kind.hostile || this.activeEffects.invincibility > 0) {
+        // Harmless NPCs just block movement - push player away
+        const direction = new THREE.Vector3()
+          .subVectors(this.playerMesh.position, obstacle.position)
+          .normalize();
 
-      if (playerBox.intersectsBox(obstacleBox)) {
-        // Check if player is above the obstacle (jumping on its head)
-        const playerBottom = this.playerMesh.position.y - 0.5; // Bottom of player
-        const obstacleTop = obstacle.position.y + 0.4; // Top of obstacle
-
-        // Set up health tracking for objects if not already set
-        if (obstacle.userData.hitPoints === undefined) {
-          // Set hit points based on strength or default to 1
-          obstacle.userData.hitPoints = obstacle.userData.strength || 1;
-          // Set NPC type (neutral by default)
-          obstacle.userData.npcType = obstacle.userData.npcType || "neutral";
-        }
-
-        if (playerBottom >= obstacleTop && this.velocity.y < 0) {
-          // Player jumped on obstacle from above
-          if (obstacle.userData.crushable) {
-            // Damage the obstacle
-            obstacle.userData.hitPoints--;
-
-            // Check if fully destroyed
-            if (obstacle.userData.hitPoints <= 0) {
-              // Crushing the obstacle!
-              this.crushObstacle(obstacle);
-
-              // Bounce the player up
-              this.velocity.y = this.jumpForce * 0.8;
-
-              // Increase score
-              this.score += 50;
-
-              // Create floating score text
-              this.createScorePopup(obstacle.position, 50);
-
-              // Tell other players about the crushed obstacle
-              this.socket.emit("obstacleUpdate", {
-                id: obstacle.userData.id,
-                isCrushed: true,
-              });
-
-              // Chance to drop item when destroyed
-              if (Math.random() < 0.3) {
-                this.spawnRandomPowerUp(
-                  obstacle.position.x,
-                  obstacle.position.y + 1,
-                  obstacle.position.z,
-                );
-              }
-            } else {
-              // Hit but not destroyed - visual feedback
-              const hitEffect = this.createHitImpactEffect(obstacle.position);
-
-              // Bounce the player
-              this.velocity.y = this.jumpForce * 0.5;
-
-              // Visual feedback - flash obstacle
-              const originalMaterial = obstacle.material.clone();
-              obstacle.material = new THREE.MeshBasicMaterial({
-                color: 0xff0000,
-              });
-
-              setTimeout(() => {
-                if (obstacle && !obstacle.userData.isCrushed) {
-                  obstacle.material = originalMaterial;
-                }
-              }, 150);
-            }
-          } else {
-            // Not crushable, bounce off
-            this.velocity.y = this.jumpForce * 0.5;
-          }
-        }
-        // Player attacking the obstacle
-        else if (this.isAttacking && !this.attackCooldown) {
-          // Set attack cooldown
-          this.attackCooldown = 15; // 15 frames cooldown
-
-          // Damage the obstacle
-          obstacle.userData.hitPoints--;
-
-          // Create hit effect
-          this.createHitImpactEffect(obstacle.position);
-
-          // Check if enemy is destroyed
-          if (obstacle.userData.hitPoints <= 0) {
-            this.crushObstacle(obstacle);
+        // Push away more strongly depending on NPC strength
+        const pushForce = 0.2 * kind.strength;
+        this.playerMesh.position.x += direction.x * pushForce;
+        this.playerMesh.position.z += direction.z * pushForce;
 
-            // Add points
-            this.score += 75;
-            this.createScorePopup(obstacle.position, 75);
+        // Small bounce
+        this.velocity.y = 0.1;
+      }
+    }
+  }
 
-            // Chance to drop a collectible item
-            if (Math.random() < 0.3) {
-              this.spawnRandomPowerUp(
-                obstacle.position.x,
-                obstacle.position.y + 1,
-                obstacle.position.z,
-              );
-            }
+  findCrushableObstacle(id) {
+    return this.crushableObstacles.find((o) => o.userData.id === id);
+  }
 
-            // Tell other players
-            this.socket.emit("obstacleUpdate", {
-              id: obstacle.userData.id,
-              isCrushed: true,
-            });
-          } else {
-            // Visual feedback - knockback and flash
-            const knockbackDirection = new THREE.Vector3()
-              .subVectors(obstacle.position, this.playerMesh.position)
-              .normalize();
-
-            obstacle.position.x += knockbackDirection.x * 0.3;
-            obstacle.position.z += knockbackDirection.z * 0.3;
-
-            // Flash the obstacle red
-            const originalMaterial = obstacle.material.clone();
-            obstacle.material = new THREE.MeshBasicMaterial({
-              color: 0xff0000,
-            });
+  // Flash an obstacle red to show it was hit
+  flashObstacle(obstacle) {
+    const originalMaterial = obstacle.material;
+    obstacle.material = new THREE.MeshBasicMaterial({
+      color: 0xff0000,
+    });
 
-            setTimeout(() => {
-              if (obstacle && !obstacle.userData.isCrushed) {
-                obstacle.material = originalMaterial;
-              }
-            }, 150);
-          }
-        } else {
-          // Player collided with obstacle sideways
-          if (!obstacle.userData.isCrushed) {
-            // Handle based on NPC type
-            if (
-              obstacle.userData.npcType === "neutral" ||
-              this.activeEffects.invincibility > 0
-            ) {
-              // Neutral NPCs just block movement - push player away
-              const direction = new THREE.Vector3()
-                .subVectors(this.playerMesh.position, obstacle.position)
-                .normalize();
-
-              // Push away more strongly depending on NPC strength
-              const pushForce = 0.2 * (obstacle.userData.strength || 1);
-              this.playerMesh.position.x += direction.x * pushForce;
-              this.playerMesh.position.z += direction.z * pushForce;
-
-              // Small bounce
-              this.velocity.y = 0.1;
-            } else {
-              // Hostile NPC - player takes damage
-              if (!this.activeEffects.invincibility) {
-                this.lives -= 1;
-                console.log("Ouch! Lives remaining:", this.lives);
-
-                // Knockback effect
-                const knockbackDirection = new THREE.Vector3();
-                knockbackDirection
-                  .subVectors(this.playerMesh.position, obstacle.position)
-                  .normalize();
-                this.playerMesh.position.x += knockbackDirection.x * 2;
-                this.playerMesh.position.z += knockbackDirection.z * 2;
-                this.velocity.y = this.jumpForce * 0.5; // Small bounce
-
-                // Create damage effect (red flash)
-                this.showPlayerDamageEffect();
-
-                // Create enemy attack visual
-                this.showEnemyAttackEffect(obstacle.position);
-
-                // Check for game over
-                if (this.lives <= 0) {
-                  this.gameOver();
-                }
-              }
-            }
-          }
-        }
+    setTimeout(() => {
+      if (obstacle && !obstacle.userData.isCrushed) {
+        obstacle.material = originalMaterial;
       }
-    }
+    }, 150);
   }
 
   checkDecorationCollisions() {
@@ -7921,27 +7420,8 @@ export default class MultiplayerPlatformer {
 
       // Check if player intersects with decoration or is within proximity radius
       if (playerBox.intersectsBox(decorationBox) || distance < 2.0) {
-        // Added distance-based check (2.0 units)
-        // Calculate the center of both objects to determine push direction
-        const playerCenter = new THREE.Vector3();
-        playerBox.getCenter(playerCenter);
-
-        const decorationCenter = new THREE.Vector3();
-        decorationBox.getCenter(decorationCenter);
-
-        // Calculate direction to push player away from decoration
-        const pushDirection = new THREE.Vector3();
-        pushDirection.subVectors(playerCenter, decorationCenter).normalize();
-
-        // Push player away from decoration with stronger force
-        const pushForce = 0.35; // Increased from 0.2
-        this.playerMesh.position.x += pushDirection.x * pushForce;
-        this.playerMesh.position.z += pushDirection.z * pushForce;
-
-        // Apply some vertical force to make collision feel more impactful
-        if (this.isOnGround && !this.isJumping && Math.random() < 0.3) {
-          this.velocity.y = 3; // Small bounce effect (occasional)
-        }
+        // Feedback only: pushing the player here would diverge from the
+        // server, which doesn't simulate decorations
 
         // Add slight camera shake for impact feedback
         if (this.camera && Math.random() < 0.5) {
@@ -7976,7 +7456,7 @@ export default class MultiplayerPlatformer {
               decorationId:
                 decoration.userData.id || decoration.userData.decorationId,
               position: decoration.position,
-              type: decoration.userData.type,
+              decorationType: decoration.userData.type,
             });
           }
         }
@@ -8072,16 +7552,20 @@ export default class MultiplayerPlatformer {
       }
     });
 
-    // Remove after delay
+    // Remove after delay; the server brings it back later as a new mesh
     setTimeout(() => {
-      this.scene.remove(obstacle);
-      const index = this.crushableObstacles.indexOf(obstacle);
-      if (index > -1) {
-        this.crushableObstacles.splice(index, 1);
-      }
+      this.removeNpc(obstacle);
     }, 3000);
   }
 
+  removeNpc(obstacle) {
+    this.scene.remove(obstacle);
+    const index = this.crushableObstacles.indexOf(obstacle);
+    if (index > -1) {
+      this.crushableObstacles.splice(index, 1);
+    }
+  }
+
   // Method to be called from outside to update settings
   showPlayerDamageEffect() {
     if (!this.playerMesh) return;
@@ -8209,104 +7693,35 @@ export default class MultiplayerPlatformer {
 
   // Method to restart the game
   restartGame() {
+    // A run cut short still counts
+    this.reportStats(Date.now(), true);
+
     // Reset player position
     if (this.playerMesh) {
       this.playerMesh.position.set(0, 1, 0);
       this.velocity.set(0, 0, 0);
     }
 
+    // Ask the server to move us back to spawn too; the sequence number lets
+    // us ignore server states that were sent before the respawn
+    this.respawnSeq = this.inputSequence++;
+    this.pendingInputs = [];
+    this.reconciliationError.set(0, 0, 0);
+    this.socket.emit("respawn", { seq: this.respawnSeq });
+
     // Reset score
     this.score = 0;
 
     // Reset lives
     this.lives = 3;
 
-    // Reset coins
-    this.coins.forEach((coin) => {
-      coin.userData.isCollected = false;
-      coin.visible = true;
-    });
-
     // Start the game
     this.isRunning = true;
-  }
-
-  // Generate a collectible item (coin, power-up, etc.)
-  generateCollectible(x, y, z, type = "coin") {
-    let collectible;
-
-    if (type === "coin") {
-      // Create a coin collectible
-      const geometry = new THREE.CylinderGeometry(0.3, 0.3, 0.05, 16);
-      const material = new THREE.MeshStandardMaterial({
-        color: 0xffd700, // Gold
-        metalness: 1,
-        roughness: 0.3,
-        emissive: 0x665000,
-        emissiveIntensity: 0.5,
-      });
-
-      collectible = new THREE.Mesh(geometry, material);
-      collectible.rotation.x = Math.PI / 2; // Make it flat
-
-      // Store collectible data
-      collectible.userData = {
-        segmentType: "coin",
-        type: "coin",
-        isCollected: false,
-        zPosition: z,
-        value: 10,
-        rotationSpeed: 0.02 + Math.random() * 0.02,
-        collectibleId: `coin_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-      };
-
-      this.coins.push(collectible);
-    } else if (type === "power-up") {
-      // Create a power-up collectible (e.g. speed boost)
-      const geometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
-      const material = new THREE.MeshStandardMaterial({
-        color: 0x00ffff, // Cyan
-        metalness: 0.7,
-        roughness: 0.2,
-        emissive: 0x00aaaa,
-        emissiveIntensity: 0.5,
-      });
-
-      collectible = new THREE.Mesh(geometry, material);
-
-      // Store collectible data
-      collectible.userData = {
-        segmentType: "powerUp",
-        type: "speed",
-        isCollected: false,
-        zPosition: z,
-        value: 0,
-        rotationSpeed: 0.03,
-        collectibleId: `powerup_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-      };
-
-      this.powerUps.push(collectible);
-    }
-
-    if (collectible) {
-      collectible.position.set(x, y, z);
-      collectible.castShadow = true;
-      this.scene.add(collectible);
-
-      // Persist to database for multiplayer
-      this.socket.emit("obstacleCreate", {
-        id: collectible.userData.collectibleId,
-        type: collectible.userData.type,
-        position: { x, y, z },
-        worldId: 1,
-      });
-    }
-
-    return collectible;
+    this.startRun();
   }
 
   // Generate a jump pad at a position
-  generateJumpPad(x, z) {
+  generateJumpPad(x, z, random = Math.random) {
     // Create the jump pad base
     const baseGeometry = new THREE.CylinderGeometry(1.2, 1.5, 0.3, 16);
     const baseMaterial = new THREE.MeshStandardMaterial({
@@ -8357,7 +7772,7 @@ export default class MultiplayerPlatformer {
       springState: "rest",
       segmentType: "interactive",
       zPosition: z,
-      id: `jumppad_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      id: `jumppad_${Date.now()}_${Math.floor(random() * 1000)}`,
     };
 
     // Add animation data
@@ -8394,19 +7809,11 @@ export default class MultiplayerPlatformer {
 
     this.interactiveObjects.push(jumpPad);
 
-    // Persist to database
-    this.socket.emit("obstacleCreate", {
-      id: jumpPad.userData.id,
-      type: "jumpPad",
-      position: { x, y: 0.15, z },
-      worldId: 1,
-    });
-
     return jumpPad;
   }
 
   // Generate a speed boost pad at a position
-  generateSpeedBoost(x, z) {
+  generateSpeedBoost(x, z, random = Math.random) {
     // Create the speed boost pad
     const baseGeometry = new THREE.BoxGeometry(2, 0.1, 4);
     const baseMaterial = new THREE.MeshStandardMaterial({
@@ -8454,9 +7861,9 @@ export default class MultiplayerPlatformer {
     // Distribute particles along the speed pad
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
-      positions[i3] = (Math.random() - 0.5) * 1.5; // x
-      positions[i3 + 1] = 0.1 + Math.random() * 0.3; // y
-      positions[i3 + 2] = (Math.random() - 0.5) * 3.5; // z
+      positions[i3] = (random() - 0.5) * 1.5; // x
+      positions[i3 + 1] = 0.1 + random() * 0.3; // y
+      positions[i3 + 2] = (random() - 0.5) * 3.5; // z
     }
 
     particleGeometry.setAttribute(
@@ -8469,11 +7876,9 @@ export default class MultiplayerPlatformer {
     speedBoost.userData = {
       type: "speedBoost",
       isCollidable: true,
-      speedMultiplier: 2.0, // Double the player's speed
-      boostDuration: 180, // 3 seconds at 60fps
       segmentType: "interactive",
       zPosition: z,
-      id: `speedboost_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      id: `speedboost_${Date.now()}_${Math.floor(random() * 1000)}`,
     };
 
     // Add animation function
@@ -8487,9 +7892,9 @@ export default class MultiplayerPlatformer {
         positions[i3 + 1] += 0.01;
 
         if (positions[i3 + 1] > 0.5) {
-          positions[i3] = (Math.random() - 0.5) * 1.5;
+          positions[i3] = (random() - 0.5) * 1.5;
           positions[i3 + 1] = 0.1;
-          positions[i3 + 2] = (Math.random() - 0.5) * 3.5;
+          positions[i3 + 2] = (random() - 0.5) * 3.5;
         }
       }
 
@@ -8510,149 +7915,6 @@ export default class MultiplayerPlatformer {
 
     this.interactiveObjects.push(speedBoost);
 
-    // Persist to database
-    this.socket.emit("obstacleCreate", {
-      id: speedBoost.userData.id,
-      type: "speedBoost",
-      position: { x, y: 0.05, z },
-      worldId: 1,
-    });
-
     return speedBoost;
   }
-
-  // Generate an enemy at a position
-  generateEnemy(x, z, difficulty = 0) {
-    // Get ground height at position
-    const groundHeight = 0; // Default to 0, implement terrain height lookup if needed
-
-    // Select enemy type based on difficulty
-    // Higher difficulty = more challenging enemies
-    // Use the existing NPC types defined in generateNPCForPlatform
-    const enemyTypeIndex = Math.min(
-      Math.floor(Math.random() * 5 + difficulty * 2),
-      this.npcTypes ? this.npcTypes.length - 1 : 0,
-    );
-
-    // If NPC types aren't defined yet, create a default enemy
-    if (!this.npcTypes || this.npcTypes.length === 0) {
-      // Create a simple enemy
-      const geometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-      const material = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-
-      const enemy = new THREE.Mesh(geometry, material);
-      enemy.position.set(x, groundHeight + 0.4, z);
-      enemy.castShadow = true;
-
-      enemy.userData = {
-        type: "enemy",
-        movementStyle: "ground",
-        moveSpeed: 0.02,
-        moveDirection: new THREE.Vector3(1, 0, 0),
-        movementRange: 3,
-        isMoving: true,
-        isCrushed: false,
-        startX: x,
-        startY: groundHeight + 0.4,
-        startZ: z,
-        attackCooldown: 0,
-        id: `enemy_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-      };
-
-      this.crushableObstacles.push(enemy);
-      this.scene.add(enemy);
-
-      return enemy;
-    }
-
-    // Get selected enemy type
-    const enemyType = this.npcTypes[enemyTypeIndex];
-
-    // Create the enemy with the selected type
-    const enemy = new THREE.Mesh(
-      enemyType.geometry.clone(),
-      enemyType.material.clone(),
-    );
-
-    // Position based on movement style
-    let y = groundHeight + 0.4;
-    if (enemyType.movementStyle === "flying") {
-      y = groundHeight + 1.5;
-    } else if (enemyType.movementStyle === "ghost") {
-      y = groundHeight + 1.0;
-    }
-
-    enemy.position.set(x, y, z);
-    enemy.castShadow = true;
-
-    // Generate random movement direction
-    const angle = Math.random() * Math.PI * 2;
-    const moveDirection = new THREE.Vector3(
-      Math.cos(angle),
-      0,
-      Math.sin(angle),
-    ).normalize();
-
-    // Setup enemy data
-    enemy.userData = {
-      type: enemyType.name,
-      movementStyle: enemyType.movementStyle,
-      moveSpeed: enemyType.speed * (1 + difficulty * 0.5), // Increase speed with difficulty
-      moveDirection: moveDirection,
-      movementRange: 3 + Math.random() * 2,
-      isMoving: true,
-      isCrushed: false,
-      startX: x,
-      startY: y,
-      startZ: z,
-      originalY: y,
-      jumpHeight: enemyType.jumpHeight,
-      jumpTime: Math.random() * Math.PI * 2, // Random starting phase
-      strength: enemyType.strength,
-      crushable: enemyType.crushable,
-      attackCooldown: 0,
-      wingFlapDirection: 1,
-      wingFlapSpeed: 0.05,
-      ghostTimer: Math.random() * Math.PI * 2,
-      id: `enemy_${enemyType.name.toLowerCase()}_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-    };
-
-    // Create additional features for different enemy types
-    if (enemyType.movementStyle === "flying") {
-      // Add wings for flying enemies
-      const wings = [];
-
-      // Left wing
-      const leftWingGeometry = new THREE.BoxGeometry(0.8, 0.1, 0.4);
-      const wingMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
-      const leftWing = new THREE.Mesh(leftWingGeometry, wingMaterial);
-      leftWing.position.set(0.5, 0, 0);
-      enemy.add(leftWing);
-      wings.push(leftWing);
-
-      // Right wing
-      const rightWing = new THREE.Mesh(
-        leftWingGeometry.clone(),
-        wingMaterial.clone(),
-      );
-      rightWing.position.set(-0.5, 0, 0);
-      enemy.add(rightWing);
-      wings.push(rightWing);
-
-      enemy.userData.wings = wings;
-    }
-
-    this.crushableObstacles.push(enemy);
-    this.scene.add(enemy);
-
-    // Persist to database for multiplayer
-    this.socket.emit("obstacleCreate", {
-      id: enemy.userData.id,
-      type: "npc-" + this.crushableObstacles.length,
-      position: { x, y, z },
-      worldId: 1,
-    });
-
-    return enemy;
-  }
 }
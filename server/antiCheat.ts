@@ -0,0 +1,141 @@
+import { isClientEvent, type ClientEvent } from "@shared/protocol";
+import type { Vec3 } from "@shared/playerPhysics";
+
+// Per-client limits on how often each message may be sent, and checks that
+// what a client reports is something its player could actually have done.
+// Every violation adds to the client's score; enough of them and it is kicked.
+
+export interface RateLimit {
+  burst: number; // messages allowed back to back
+  perSecond: number; // sustained rate
+}
+
+// Events without an entry here share DEFAULT_RATE_LIMIT
+export const RATE_LIMITS: Partial<Record<ClientEvent, RateLimit>> = {
+  playerInput: { burst: 30, perSecond: 90 }, // 60 FPS plus jitter
+  playerAttack: { burst: 5, perSecond: 4 },
+  addWorldElement: { burst: 5, perSecond: 0.2 }, // each one is a database row
+  updateParallaxLayer: { burst: 10, perSecond: 1 },
+  decorationCollision: { burst: 20, perSecond: 10 },
+  selectCharacter: { burst: 3, perSecond: 0.2 },
+  joinRoom: { burst: 3, perSecond: 0.5 },
+  chatMessage: { burst: 5, perSecond: 1 },
+};
+
+export const DEFAULT_RATE_LIMIT: RateLimit = { burst: 10, perSecond: 2 };
+
+// Bucket shared by every event name the protocol doesn't have, so making up
+// new names never buys a fresh burst
+const UNKNOWN_EVENT_BUCKET = "(unknown)";
+
+// How far from its player a client may touch something. Generous because
+// the client sees its own player a little ahead of the server.
+export const INTERACTION_RANGE = 20;
+
+// Elements are built next to the player, like anything else it touches. The
+// game's own client doesn't build any; generated platforms come from the seed.
+export const BUILD_RANGE = INTERACTION_RANGE;
+
+// Inputs may claim more time than has passed while catching up after a
+// stall, but not for long: over each window the claimed total must stay
+// within this factor of the wall-clock time, plus the slack
+const INPUT_TIMING_WINDOW = 5000;
+const INPUT_TIMING_TOLERANCE = 1.25;
+const INPUT_TIMING_SLACK = 1000;
+
+export type ViolationKind = "rateLimit" | "unknownEvent" | "implausible";
+
+const VIOLATION_POINTS: Record<ViolationKind, number> = {
+  rateLimit: 1,
+  unknownEvent: 5,
+  implausible: 10,
+};
+
+// Score at which a client is kicked; it drains over time so occasional
+// mistakes by honest clients never add up
+export const KICK_THRESHOLD = 50;
+const VIOLATION_DECAY_PER_SECOND = 1;
+
+// Token bucket: holds up to `burst` tokens, refilled at `perSecond`
+export class TokenBucket {
+  private limit: RateLimit;
+  private tokens: number;
+  private lastRefill: number;
+
+  constructor(limit: RateLimit, now: number = Date.now()) {
+    this.limit = limit;
+    this.tokens = limit.burst;
+    this.lastRefill = now;
+  }
+
+  take(now: number = Date.now()): boolean {
+    const elapsed = Math.max(now - this.lastRefill, 0) / 1000;
+    this.tokens = Math.min(this.tokens + elapsed * this.limit.perSecond, this.limit.burst);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+// Rate limits and violation score for one client
+export class ClientGuard {
+  private buckets: Map<string, TokenBucket>;
+  private violationScore: number;
+  private lastViolationUpdate: number;
+  private inputWindowStart: number;
+  private claimedInputTime: number;
+
+  constructor(now: number = Date.now()) {
+    this.buckets = new Map();
+    this.violationScore = 0;
+    this.lastViolationUpdate = now;
+    this.inputWindowStart = now;
+    this.claimedInputTime = 0;
+  }
+
+  // Whether the client may send this event now
+  allowMessage(event: string, now: number = Date.now()): boolean {
+    const known = isClientEvent(event);
+    const key = known ? event : UNKNOWN_EVENT_BUCKET;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket((known && RATE_LIMITS[event]) || DEFAULT_RATE_LIMIT, now);
+      this.buckets.set(key, bucket);
+    }
+    return bucket.take(now);
+  }
+
+  // Add a violation; returns true once the client has earned a kick
+  recordViolation(kind: ViolationKind, now: number = Date.now()): boolean {
+    const elapsed = Math.max(now - this.lastViolationUpdate, 0) / 1000;
+    this.violationScore = Math.max(this.violationScore - elapsed * VIOLATION_DECAY_PER_SECOND, 0);
+    this.lastViolationUpdate = now;
+
+    this.violationScore += VIOLATION_POINTS[kind];
+    return this.violationScore >= KICK_THRESHOLD;
+  }
+
+  // Track how much simulated time inputs claim. Returns false when a
+  // finished window claimed far more than really passed, which is what a
+  // sped-up client clock looks like.
+  checkInputTiming(dt: number, now: number = Date.now()): boolean {
+    this.claimedInputTime += dt;
+
+    const elapsed = now - this.inputWindowStart;
+    if (elapsed < INPUT_TIMING_WINDOW) return true;
+
+    const plausible = this.claimedInputTime <= elapsed * INPUT_TIMING_TOLERANCE + INPUT_TIMING_SLACK;
+    this.inputWindowStart = now;
+    this.claimedInputTime = 0;
+    return plausible;
+  }
+}
+
+export function isWithinRange(from: Vec3, to: Vec3, range: number): boolean {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+  return dx * dx + dy * dy + dz * dz <= range * range;
+}
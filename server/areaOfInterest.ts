@@ -0,0 +1,72 @@
+import { getZoneCoord, getZoneKey, VISIBLE_RADIUS, ZONE_SIZE } from "@shared/world";
+
+// Clients hear about anything within this many zones of their own,
+// which covers the client's visible radius from anywhere inside a zone
+export const INTEREST_RADIUS_ZONES = Math.ceil(VISIBLE_RADIUS / ZONE_SIZE);
+
+// Spatial index of room members on the world zone grid, used to only send
+// updates to clients close enough to see them
+export class ZoneIndex {
+  private zones: Map<string, Set<string>>;
+  private memberZones: Map<string, string>;
+
+  constructor() {
+    this.zones = new Map();
+    this.memberZones = new Map();
+  }
+
+  // Record a member's position, moving it between zones when it crosses a border
+  update(id: string, position: { x: number; z: number }): void {
+    const { gridX, gridZ } = getZoneCoord(position);
+    const key = getZoneKey(gridX, gridZ);
+    const previousKey = this.memberZones.get(id);
+    if (previousKey === key) return;
+
+    if (previousKey !== undefined) {
+      this.removeFromZone(id, previousKey);
+    }
+
+    let zone = this.zones.get(key);
+    if (!zone) {
+      zone = new Set();
+      this.zones.set(key, zone);
+    }
+    zone.add(id);
+    this.memberZones.set(id, key);
+  }
+
+  remove(id: string): void {
+    const key = this.memberZones.get(id);
+    if (key === undefined) return;
+
+    this.removeFromZone(id, key);
+    this.memberZones.delete(id);
+  }
+
+  // Members in the zones around a position
+  getNearby(position: { x: number; z: number }, radius: number = INTEREST_RADIUS_ZONES): string[] {
+    const { gridX, gridZ } = getZoneCoord(position);
+    const nearby: string[] = [];
+
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        const zone = this.zones.get(getZoneKey(gridX + dx, gridZ + dz));
+        if (zone) {
+          zone.forEach(id => nearby.push(id));
+        }
+      }
+    }
+
+    return nearby;
+  }
+
+  private removeFromZone(id: string, key: string): void {
+    const zone = this.zones.get(key);
+    if (!zone) return;
+
+    zone.delete(id);
+    if (zone.size === 0) {
+      this.zones.delete(key);
+    }
+  }
+}
@@ -0,0 +1,164 @@
+import type { Express, Request, Response } from "express";
+import type { IncomingMessage, ServerResponse } from "http";
+import session from "express-session";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { z } from "zod";
+import { insertUserSchema, type User } from "@shared/schema";
+import { storage } from "./storage";
+
+// Player accounts. Passwords are stored as salted scrypt hashes, and a
+// logged-in player is remembered by a session cookie that both the HTTP
+// API and the game transports read.
+
+declare module "express-session" {
+  interface SessionData {
+    userId: number;
+  }
+}
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const registrationSchema = insertUserSchema.extend({
+  username: z.string().trim().min(3).max(32).regex(/^[A-Za-z0-9_-]+$/, "Only letters, digits, _ and -"),
+  password: z.string().min(8).max(128),
+});
+
+// What the API tells clients about an account; never the password hash
+export type PublicUser = Pick<User, "id" | "username">;
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString("hex");
+  const hash = (await scryptAsync(password, salt, 64)) as Buffer;
+  return `${hash.toString("hex")}.${salt}`;
+}
+
+export async function comparePasswords(supplied: string, stored: string): Promise<boolean> {
+  const [hashed, salt] = stored.split(".");
+  if (!hashed || !salt) return false;
+
+  const storedHash = Buffer.from(hashed, "hex");
+  const suppliedHash = (await scryptAsync(supplied, salt, 64)) as Buffer;
+  return storedHash.length === suppliedHash.length && timingSafeEqual(storedHash, suppliedHash);
+}
+
+function getSessionSecret(): string {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  // Sessions won't survive a restart, which is fine while developing
+  console.warn("SESSION_SECRET is not set; using a random secret for this run");
+  return randomBytes(32).toString("hex");
+}
+
+export const sessionMiddleware = session({
+  store: storage.sessionStore,
+  secret: getSessionSecret(),
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: SESSION_MAX_AGE,
+  },
+});
+
+function toPublicUser(user: User): PublicUser {
+  return { id: user.id, username: user.username };
+}
+
+// Start a fresh session for `user`, so a session id from before login can't be reused
+function logIn(req: Request, user: User): Promise<void> {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.userId = user.id;
+      req.session.save(saveError => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+}
+
+/**
+ * The account logged in on an upgrade or handshake request, if any. Game
+ * transports don't go through Express, so the session middleware is run on
+ * the raw request here to read its cookie.
+ */
+export function getRequestUser(req: IncomingMessage): Promise<User | undefined> {
+  return new Promise(resolve => {
+    const request = req as Request;
+    sessionMiddleware(request, {} as ServerResponse as Response, () => {
+      const userId = request.session?.userId;
+      if (userId === undefined) return resolve(undefined);
+      storage.getUser(userId).then(resolve, () => resolve(undefined));
+    });
+  });
+}
+
+// Session cookies plus the register/login/logout/current-user endpoints
+export function setupAuth(app: Express) {
+  app.set("trust proxy", 1); // secure cookies behind the deployment's proxy
+  app.use(sessionMiddleware);
+
+  app.post("/api/register", async (req, res, next) => {
+    const parsed = registrationSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid username or password", issues: parsed.error.issues });
+    }
+
+    try {
+      const { username, password } = parsed.data;
+      if (await storage.getUserByUsername(username)) {
+        return res.status(409).json({ message: "Username already exists" });
+      }
+
+      const user = await storage.createUser({ username, password: await hashPassword(password) });
+      await logIn(req, user);
+      res.status(201).json(toPublicUser(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/login", async (req, res, next) => {
+    const parsed = insertUserSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid username or password" });
+    }
+
+    try {
+      const user = await storage.getUserByUsername(parsed.data.username.trim());
+      if (!user || !(await comparePasswords(parsed.data.password, user.password))) {
+        return res.status(401).json({ message: "Invalid username or password" });
+      }
+
+      await logIn(req, user);
+      res.status(200).json(toPublicUser(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/logout", (req, res, next) => {
+    req.session.destroy(error => {
+      if (error) return next(error);
+      res.clearCookie("connect.sid");
+      res.sendStatus(200);
+    });
+  });
+
+  app.get("/api/user", async (req, res, next) => {
+    if (req.session.userId === undefined) return res.sendStatus(401);
+
+    try {
+      const user = await storage.getUser(req.session.userId);
+      if (!user) return res.sendStatus(401);
+      res.json(toPublicUser(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+}
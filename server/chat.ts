@@ -0,0 +1,33 @@
+// Chat text cleanup and profanity filtering. The filter is pluggable so a
+// deployment can swap the built-in word list for something better suited
+// to its players.
+
+// How close another player must be to hear a proximity message
+export const CHAT_PROXIMITY_RANGE = 30;
+
+// Takes a message's text and returns what other players get to see
+export type ChatFilter = (text: string) => string;
+
+const BLOCKED_WORDS = ["fuck", "fucking", "shit", "bitch", "asshole", "bastard", "cunt", "dick", "pussy", "slut", "whore"];
+
+const blockedWordPattern = new RegExp(`\\b(?:${BLOCKED_WORDS.join("|")})\\b`, "gi");
+
+// Replace every blocked word with asterisks of the same length
+export function maskBlockedWords(text: string): string {
+  return text.replace(blockedWordPattern, word => "*".repeat(word.length));
+}
+
+let chatFilter: ChatFilter = maskBlockedWords;
+
+export function setChatFilter(filter: ChatFilter) {
+  chatFilter = filter;
+}
+
+/**
+ * Text ready to send on: control characters dropped, runs of whitespace
+ * collapsed, then filtered. Empty when nothing is left to say.
+ */
+export function cleanChatText(text: string): string {
+  const collapsed = text.replace(/[\u0000-\u001f\u007f]/g, "").replace(/\s+/g, " ").trim();
+  return collapsed ? chatFilter(collapsed).trim() : "";
+}
@@ -0,0 +1,54 @@
+import { createRandom, hashSeed } from "@shared/random";
+import { getGroundHeight, getZoneDifficulty, ZONE_SIZE } from "@shared/world";
+import type { ChestData, GameRoom } from "./rooms";
+
+// Loot chests. A zone gets its chests along with its NPCs, seeded from the
+// world's seed so they are always in the same places. Opened chests fill up
+// and close again after a while.
+
+// How long an opened chest stays empty
+export const CHEST_REFILL_DELAY = 5 * 60 * 1000;
+
+const HUB_CHEST_POSITION = { x: 6, z: 6 };
+const ZONE_CHEST_CHANCE = 0.4;
+const MAX_CHEST_LEVEL = 3;
+
+// Its own stream, so chests don't shift where a zone's NPCs go
+const CHEST_RANDOM_STREAM = 1;
+
+// A zone's chests: one by the hub, and sometimes one in other zones. Chests
+// farther out hold better loot.
+export function spawnZoneChests(room: GameRoom, gridX: number, gridZ: number): ChestData[] {
+  const random = createRandom(hashSeed(room.seed, gridX, gridZ, CHEST_RANDOM_STREAM));
+  const chests: ChestData[] = [];
+
+  if (gridX === 0 && gridZ === 0) {
+    chests.push(createChest(`chest-0,0-0`, HUB_CHEST_POSITION, 1));
+  } else if (random() < ZONE_CHEST_CHANCE) {
+    const spot = {
+      x: gridX * ZONE_SIZE + (random() - 0.5) * ZONE_SIZE * 0.7,
+      z: gridZ * ZONE_SIZE + (random() - 0.5) * ZONE_SIZE * 0.7,
+    };
+    const level = Math.min(1 + Math.floor(getZoneDifficulty(gridX, gridZ) * 2 + random()), MAX_CHEST_LEVEL);
+    chests.push(createChest(`chest-${gridX},${gridZ}-0`, spot, level));
+  }
+
+  chests.forEach(chest => room.chests.set(chest.id, chest));
+  return chests;
+}
+
+function createChest(id: string, spot: { x: number; z: number }, level: number): ChestData {
+  return { id, position: { x: spot.x, y: getGroundHeight(spot), z: spot.z }, level };
+}
+
+// Close the chests whose refill time is up, returning them
+export function refillChests(room: GameRoom, now: number = Date.now()): ChestData[] {
+  const refilled: ChestData[] = [];
+  room.chests.forEach(chest => {
+    if (chest.openedAt !== undefined && now - chest.openedAt >= CHEST_REFILL_DELAY) {
+      chest.openedAt = undefined;
+      refilled.push(chest);
+    }
+  });
+  return refilled;
+}
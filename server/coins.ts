@@ -0,0 +1,34 @@
+import type { Vec3 } from "@shared/playerPhysics";
+import { COIN_PICKUP_RADIUS, COIN_RESPAWN_DELAY } from "@shared/world";
+import { isWithinRange } from "./antiCheat";
+import { getNearbyCoins, type GameRoom } from "./rooms";
+
+// Coins. Clients draw each zone's coins where the world's seed puts them and
+// pick them up themselves; the server follows every player over the same
+// coins, and only the pickups it sees are worth anything.
+
+// A little more reach, and coins back a little sooner, than on clients, so
+// the server never sees fewer pickups than a client that plays fair
+const PICKUP_RADIUS = COIN_PICKUP_RADIUS + 0.5;
+const RESPAWN_DELAY = COIN_RESPAWN_DELAY - 1000;
+
+// Pick up the coins within reach of a player at `position` that are there
+// for it, returning how many. `pickups` holds when the player last took each
+// coin, by coin id.
+export function collectCoins(
+  room: GameRoom,
+  pickups: Map<string, number>,
+  position: Vec3,
+  now: number = Date.now(),
+): number {
+  let collected = 0;
+  for (const coin of getNearbyCoins(room, position)) {
+    const takenAt = pickups.get(coin.id);
+    if (takenAt !== undefined && now - takenAt < RESPAWN_DELAY) continue;
+    if (!isWithinRange(position, coin.position, PICKUP_RADIUS)) continue;
+
+    pickups.set(coin.id, now);
+    collected++;
+  }
+  return collected;
+}
@@ -0,0 +1,244 @@
+import { COMBAT, KILL_SCORE, getDamageTaken, getNpcHitPoints } from "@shared/combat";
+import { getNpcKind } from "@shared/npcs";
+import { PLAYER_PHYSICS, type Vec3 } from "@shared/playerPhysics";
+import type { GameRoom, ObstacleData, PlayerData } from "./rooms";
+
+// Hit detection and damage for attacks and for players running into NPCs.
+// Clients only say that they attacked and in which direction; everything
+// that follows is decided here and reported as combat events.
+
+// A player's combat state, kept with its client so it follows it between rooms
+export interface CombatantState {
+  lives: number;
+  health: number; // hit points left of the current life
+  invulnerableUntil: number;
+  lastAttackAt: number;
+  attackDamage: number; // and defense: from the gear the player wears
+  defense: number;
+}
+
+export type CombatTarget = "npc" | "player";
+
+export type CombatEvent =
+  | {
+      kind: "damage";
+      target: CombatTarget;
+      targetId: string;
+      attackerId: string;
+      amount: number;
+      remaining: number;
+      health?: number; // players only: hit points left of the current life
+      position: Vec3; // where the target was hit
+      knockback?: Vec3; // how far the target was pushed
+    }
+  | {
+      kind: "kill";
+      target: CombatTarget;
+      targetId: string;
+      attackerId: string;
+      position: Vec3;
+      score: number; // awarded to the attacker
+    };
+
+type GetCombatant = (playerId: string) => CombatantState | undefined;
+
+export function createCombatantState(): CombatantState {
+  return {
+    lives: COMBAT.maxLives,
+    health: COMBAT.hitPointsPerLife,
+    invulnerableUntil: 0,
+    lastAttackAt: 0,
+    attackDamage: COMBAT.attackDamage,
+    defense: 0,
+  };
+}
+
+// Where an attack lands: just in front of the player, in the direction it faces
+export function getAttackPosition(player: PlayerData, direction: { x: number; z: number }): Vec3 {
+  const length = Math.hypot(direction.x, direction.z);
+  const dirX = length > 0 ? direction.x / length : 0;
+  const dirZ = length > 0 ? direction.z / length : -1;
+
+  return {
+    x: player.position.x + dirX * COMBAT.attackRange,
+    y: player.position.y,
+    z: player.position.z + dirZ * COMBAT.attackRange,
+  };
+}
+
+// Everything an attack landing at `position` hits, except the attacker itself
+export function resolveAttack(
+  room: GameRoom,
+  attackerId: string,
+  position: Vec3,
+  getCombatant: GetCombatant,
+  now: number = Date.now(),
+): CombatEvent[] {
+  const events: CombatEvent[] = [];
+  const damage = getCombatant(attackerId)?.attackDamage ?? COMBAT.attackDamage;
+
+  room.obstacles.forEach(npc => {
+    if (npc.isCrushed || distance(npc.position, position) > COMBAT.attackRadius) return;
+    events.push(...damageNpc(npc, attackerId, "attack", damage, now));
+  });
+
+  room.players.forEach((target, targetId) => {
+    if (targetId === attackerId || distance(target.position, position) > COMBAT.attackRadius) return;
+
+    const combatant = getCombatant(targetId);
+    if (combatant) {
+      events.push(...damagePlayer(targetId, target, combatant, attackerId, position, damage, now));
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Check a player that just moved against the room's NPCs. Falling onto one
+ * from above (its feet crossed the NPC's top since `previousY`) stomps it and
+ * bounces the player; walking into a hostile one hurts the player.
+ */
+export function resolvePlayerContacts(
+  room: GameRoom,
+  playerId: string,
+  player: PlayerData,
+  combatant: CombatantState,
+  previousY: number,
+  now: number = Date.now(),
+): CombatEvent[] {
+  const simulation = player.simulation;
+  if (!simulation) return [];
+
+  const state = simulation.state;
+  const events: CombatEvent[] = [];
+  const reach = (PLAYER_PHYSICS.playerSize + COMBAT.npcSize) / 2;
+  const half = PLAYER_PHYSICS.playerSize / 2;
+
+  room.obstacles.forEach(npc => {
+    if (npc.isCrushed) return;
+    if (Math.abs(state.position.x - npc.position.x) >= reach || Math.abs(state.position.z - npc.position.z) >= reach) return;
+
+    const npcTop = npc.position.y + COMBAT.npcSize / 2;
+    const stomped = state.velocity.y < 0 && previousY - half >= npcTop && state.position.y - half <= npcTop;
+    if (stomped) {
+      const kind = getNpcKind(npc.type);
+      const npcEvents = kind.crushable ? damageNpc(npc, playerId, "stomp", COMBAT.attackDamage, now) : [];
+      const killed = npcEvents.some(event => event.kind === "kill");
+      events.push(...npcEvents);
+
+      state.position.y = npcTop + half;
+      state.velocity.y = PLAYER_PHYSICS.jumpForce * (killed ? COMBAT.stompBounce : COMBAT.hitBounce);
+      state.isGrounded = false;
+      simulation.dirty = true;
+      return;
+    }
+
+    if (Math.abs(state.position.y - npc.position.y) < reach && getNpcKind(npc.type).hostile) {
+      events.push(...damagePlayer(playerId, player, combatant, npc.id, npc.position, COMBAT.contactDamage, now));
+    }
+  });
+
+  return events;
+}
+
+function damageNpc(
+  npc: ObstacleData,
+  attackerId: string,
+  method: keyof typeof KILL_SCORE,
+  damage: number,
+  now: number,
+): CombatEvent[] {
+  if (npc.hitPoints === undefined) {
+    npc.hitPoints = getNpcHitPoints(getNpcKind(npc.type).strength);
+  }
+  npc.hitPoints = Math.max(npc.hitPoints - damage, 0);
+
+  const position = { ...npc.position };
+  const events: CombatEvent[] = [{
+    kind: "damage",
+    target: "npc",
+    targetId: npc.id,
+    attackerId,
+    amount: damage,
+    remaining: npc.hitPoints,
+    position,
+  }];
+
+  if (npc.hitPoints === 0) {
+    npc.isCrushed = true;
+    npc.crushedAt = now;
+    events.push({ kind: "kill", target: "npc", targetId: npc.id, attackerId, position, score: KILL_SCORE[method] });
+  }
+  return events;
+}
+
+// Hurt a player, less so through armor, and push it away from `source`.
+// Running out of hit points costs a life and starts the next one afresh.
+// Players that were hit moments ago, or have no lives left, are not hurt again.
+function damagePlayer(
+  playerId: string,
+  player: PlayerData,
+  combatant: CombatantState,
+  attackerId: string,
+  source: Vec3,
+  damage: number,
+  now: number,
+): CombatEvent[] {
+  if (combatant.lives <= 0 || now < combatant.invulnerableUntil) return [];
+
+  const taken = getDamageTaken(damage, combatant.defense);
+  combatant.health -= taken;
+  if (combatant.health <= 0) {
+    combatant.lives -= 1;
+    combatant.health = combatant.lives > 0 ? COMBAT.hitPointsPerLife : 0;
+  }
+  combatant.invulnerableUntil = now + COMBAT.invulnerableMs;
+
+  const knockback = getKnockback(source, player.position);
+  const simulation = player.simulation;
+  if (simulation) {
+    simulation.state.position.x += knockback.x;
+    simulation.state.position.z += knockback.z;
+    simulation.state.velocity.y = PLAYER_PHYSICS.jumpForce * COMBAT.hitBounce;
+    simulation.state.isGrounded = false;
+    simulation.dirty = true;
+  }
+
+  const position = { ...player.position };
+  const events: CombatEvent[] = [{
+    kind: "damage",
+    target: "player",
+    targetId: playerId,
+    attackerId,
+    amount: taken,
+    remaining: combatant.lives,
+    health: combatant.health,
+    position,
+    knockback,
+  }];
+
+  if (combatant.lives === 0) {
+    events.push({ kind: "kill", target: "player", targetId: playerId, attackerId, position, score: 0 });
+  }
+  return events;
+}
+
+// Horizontal push away from `source`, straight back when they overlap exactly
+function getKnockback(source: Vec3, position: Vec3): Vec3 {
+  const dx = position.x - source.x;
+  const dz = position.z - source.z;
+  const length = Math.hypot(dx, dz);
+  if (length === 0) {
+    return { x: 0, y: 0, z: COMBAT.knockbackDistance };
+  }
+  return {
+    x: (dx / length) * COMBAT.knockbackDistance,
+    y: 0,
+    z: (dz / length) * COMBAT.knockbackDistance,
+  };
+}
+
+function distance(a: Vec3, b: Vec3): number {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
@@ -0,0 +1,94 @@
+import { z } from "zod";
+import { hasMetPrerequisites } from "@shared/quests";
+import { inventoryItemSchema, type InventoryItem, type QuestDefinition, type QuestProgress } from "@shared/protocol";
+
+// What townspeople say: a graph of nodes joined by the choices players pick.
+// Choices can depend on the player (conditions) and do things for them
+// (actions). The server walks the graph, so players only ever see and pick
+// choices that hold for them.
+
+const conditionBase = z.object({
+  not: z.boolean().optional(), // holds when the check fails instead
+});
+
+const dialogueConditionSchema = z.discriminatedUnion("type", [
+  // Carrying an item with this name or of this type
+  conditionBase.extend({ type: z.literal("hasItem"), item: z.string().min(1) }),
+  // "available" means not taken yet with its prerequisites done
+  conditionBase.extend({
+    type: z.literal("questState"),
+    questId: z.string().min(1),
+    state: z.enum(["notStarted", "available", "active", "completed"]),
+  }),
+  // The run's score as last reported and found plausible
+  conditionBase.extend({ type: z.literal("minScore"), score: z.number().int().nonnegative() }),
+]);
+
+// Give items behind a condition the gift itself makes false (a quest state,
+// or not already carrying it), or players can ask for them forever. Gifts
+// can't be sold, so getting rid of one to ask again earns nothing.
+const dialogueActionSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("giveItem"), item: inventoryItemSchema.omit({ id: true }) }),
+  z.object({ type: z.literal("startQuest"), questId: z.string().min(1) }),
+  z.object({ type: z.literal("openShop") }), // only for NPCs with a shop
+]);
+
+const dialogueChoiceSchema = z.object({
+  text: z.string().min(1).max(128),
+  next: z.string().optional(), // the node it leads to; ends the conversation when unset
+  conditions: z.array(dialogueConditionSchema).default([]),
+  actions: z.array(dialogueActionSchema).default([]),
+});
+
+// Up to nine choices, so each has a number key
+const dialogueNodeSchema = z.object({
+  text: z.string().min(1).max(512),
+  choices: z.array(dialogueChoiceSchema).max(9).default([]),
+});
+
+export const dialogueTreeSchema = z.object({
+  start: z.string().min(1),
+  nodes: z.record(dialogueNodeSchema),
+});
+
+export type DialogueCondition = z.infer<typeof dialogueConditionSchema>;
+export type DialogueAction = z.infer<typeof dialogueActionSchema>;
+export type DialogueChoice = z.infer<typeof dialogueChoiceSchema>;
+export type DialogueTree = z.infer<typeof dialogueTreeSchema>;
+
+// What conditions are checked against
+export interface DialoguePlayer {
+  inventory: InventoryItem[];
+  quests: Map<string, QuestProgress>;
+  score: number;
+}
+
+function checkCondition(condition: DialogueCondition, player: DialoguePlayer, getQuest: (questId: string) => QuestDefinition | undefined): boolean {
+  switch (condition.type) {
+    case "hasItem":
+      return player.inventory.some(item => item.name === condition.item || item.type === condition.item);
+    case "minScore":
+      return player.score >= condition.score;
+    case "questState": {
+      const progress = player.quests.get(condition.questId);
+      if (condition.state === "notStarted") return !progress;
+      if (condition.state === "available") {
+        const definition = getQuest(condition.questId);
+        return !progress && definition !== undefined
+          && hasMetPrerequisites(definition, questId => player.quests.get(questId)?.status === "completed");
+      }
+      return progress?.status === condition.state;
+    }
+  }
+}
+
+// Whether a choice may be shown to and picked by the player
+export function isChoiceAvailable(choice: DialogueChoice, player: DialoguePlayer, getQuest: (questId: string) => QuestDefinition | undefined): boolean {
+  return choice.conditions.every(condition => checkCondition(condition, player, getQuest) !== Boolean(condition.not));
+}
+
+// Node ids a tree refers to without defining them
+export function findMissingNodes(tree: DialogueTree): string[] {
+  const targets = [tree.start, ...Object.values(tree.nodes).flatMap(node => node.choices.map(choice => choice.next))];
+  return targets.filter((nodeId): nodeId is string => nodeId !== undefined && !Object.hasOwn(tree.nodes, nodeId));
+}
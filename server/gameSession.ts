@@ -0,0 +1,1549 @@
+import { randomBytes } from "crypto";
+import {
+  decodePlayerInput,
+  getBinaryMessageKind,
+  negotiateEncoding,
+  StateFrameEncoder,
+  type NetEncoding,
+} from "@shared/binaryProtocol";
+import {
+  negotiateProtocolVersion,
+  parseClientMessage,
+  PROTOCOL_VERSION,
+  type ClientEvent,
+  type ClientMessage,
+  type CompassDirection,
+  type Equipment,
+  type EquipmentSlot,
+  type InventoryItem,
+  type ProtocolErrorCode,
+  type ProtocolIssue,
+  type QuestDefinition,
+  type QuestProgress,
+  type ServerEvent,
+  type ServerMessage,
+} from "@shared/protocol";
+import { getPlayableCharacter } from "@shared/characters";
+import { COMBAT } from "@shared/combat";
+import { getEquipmentSlot, getEquipmentStats, getGear } from "@shared/equipment";
+import { generateLoot, INVENTORY_SIZE } from "@shared/loot";
+import { applyQuestEvent, hasMetPrerequisites, startQuest, type QuestEvent } from "@shared/quests";
+import { getBuyPrice, getSellPrice, GOLD_PER_COIN } from "@shared/shops";
+import type { Vec3 } from "@shared/playerPhysics";
+import type { Character } from "@shared/schema";
+import { getZoneCoord, getZoneKey } from "@shared/world";
+import { storage, type Trade } from "./storage";
+import {
+  BUILD_RANGE,
+  ClientGuard,
+  INTERACTION_RANGE,
+  isWithinRange,
+  type ViolationKind,
+} from "./antiCheat";
+import {
+  createCombatantState,
+  getAttackPosition,
+  resolveAttack,
+  resolvePlayerContacts,
+  type CombatantState,
+  type CombatEvent,
+} from "./combat";
+import { CHAT_PROXIMITY_RANGE, cleanChatText } from "./chat";
+import { refillChests } from "./chests";
+import { collectCoins } from "./coins";
+import { populateZonesNearPlayers, removeIdleZones, stepNpcs } from "./npcSimulation";
+import { isChoiceAvailable, type DialogueAction, type DialoguePlayer, type DialogueTree } from "./dialogue";
+import { getDialogueTree, getFriendlyNpc, getQuestDefinition, getShopDefinition, type FriendlyNpc } from "./quests";
+import { createShop, restockShop, type ShopState } from "./shops";
+import { createStatsRun, takeStatsDelta, type StatsRun } from "./playerStats";
+import { getNearbyPlatforms, getRoomSnapshot, rooms, serializeChest, type ElementData, type GameRoom, type ObstacleData } from "./rooms";
+import {
+  applyPlayerInput,
+  boostJump,
+  boostSpeed,
+  createSimulatedPlayer,
+  getServerPlatforms,
+  parsePlayerInput,
+  respawnSimulatedPlayer,
+  resumeSimulatedPlayer,
+  serializePlayerState,
+  SPAWN_POSITION,
+} from "./playerSimulation";
+
+// The game protocol, independent of the transport carrying it. The /ws server
+// and Socket.IO both feed client events into handleClientEvent and deliver
+// whatever the session sends back through a ClientConnection.
+//
+// Message shapes live in shared/protocol.ts; every client message is
+// validated there before it reaches a handler.
+
+export const DEFAULT_WORLD_ID = 1;
+
+// How often authoritative player state is broadcast
+const STATE_BROADCAST_INTERVAL = 50; // 20 updates per second
+
+// Idle players are only re-sent this often, so clients that move into range
+// of someone standing still still get their position
+const STATE_KEYFRAME_INTERVAL = 1000;
+
+// How often every room member gets the room's roster
+const ROSTER_INTERVAL = 2000;
+
+// Replies slower than this are dropped rather than counted as latency
+const MAX_LATENCY_SAMPLE = 10 * 1000;
+
+// How long a dropped client's player stays in the world waiting for it to
+// reconnect with its resume token
+export const RESUME_GRACE_PERIOD = 30 * 1000;
+
+// Why the session closed a connection
+export type CloseReason = "unsupportedProtocol" | "sessionResumed" | "signedInElsewhere" | "kicked";
+
+// Delivers session messages to one client over its transport
+export interface ClientConnection {
+  send(event: string, payload: Record<string, any>): void;
+  sendBinary(bytes: Uint8Array): void;
+  close(reason: CloseReason): void;
+}
+
+// What a client asked for when it connected
+export interface ClientHandshake {
+  worldId?: number;
+  protocolVersions: number[];
+  encoding?: string | null;
+  resumeToken?: string | null;
+  user?: PlayerAccount; // the account logged in on the connecting browser
+}
+
+// The account a client plays as
+export interface PlayerAccount {
+  id: number;
+  username: string;
+}
+
+interface GameClient {
+  id: string;
+  netId: number; // compact id used for this client's player in binary messages
+  connection: ClientConnection | null; // null while waiting for a reconnect
+  protocolVersion: number;
+  encoding: NetEncoding;
+  stateEncoder?: StateFrameEncoder; // only for clients using the binary encoding
+  character?: Character;
+  account?: PlayerAccount; // anonymous clients have none
+  displayName: string; // unique among connected clients
+  resumeToken: string;
+  resumeTimer?: ReturnType<typeof setTimeout>;
+  progress: ClientMessage<"progressUpdate">; // reported by the client, for resuming
+  inventory: InventoryItem[]; // granted by the server only
+  gold: number; // likewise
+  equipment: Equipment; // ids of the inventory items worn, by slot
+  quests: Map<string, QuestProgress>; // by quest id
+  zoneKey?: string; // zone the player was last seen in, for zoneReached objectives
+  coinPickups: Map<string, number>; // coin id -> when the player last took it, in its current room
+  dialogue?: { npcId: string; nodeId: string }; // the conversation the client is in
+  savedState: Promise<void>; // loading the account's inventory and quests
+  combat: CombatantState; // lives and cooldowns, owned by the server
+  statsRun: StatsRun; // how much of the current run is already in the account's stats
+  latency?: number; // smoothed round trip in ms, once measured
+  guard: ClientGuard; // survives resuming, so reconnecting doesn't clear violations
+}
+
+type EventHandlers = {
+  [E in ClientEvent]: (client: GameClient, data: ClientMessage<E>, room: GameRoom | undefined) => void | Promise<void>;
+};
+
+const clients = new Map<string, GameClient>();
+const resumeTokens = new Map<string, string>(); // resume token -> client id
+let nextNetId = 1;
+
+// Client id of the session played by an account, the same on every visit
+function getAccountClientId(userId: number): string {
+  return `user-${userId}`;
+}
+
+// Hand out a new secret a client can use to take its session back over
+function issueResumeToken(client: GameClient) {
+  resumeTokens.delete(client.resumeToken);
+  client.resumeToken = randomBytes(24).toString("hex");
+  resumeTokens.set(client.resumeToken, client.id);
+}
+
+// Send a message to a single client
+function sendToClient<E extends ServerEvent>(clientId: string, event: E, payload: ServerMessage<E>) {
+  const client = clients.get(clientId);
+  if (!client?.connection) return;
+
+  try {
+    client.connection.send(event, payload);
+  } catch (error) {
+    console.error(`Error sending ${event} to client ${clientId}:`, error);
+  }
+}
+
+// Send a message to every client in a room, optionally skipping one
+function broadcastToRoom<E extends ServerEvent>(room: GameRoom, event: E, payload: ServerMessage<E>, exceptClientId?: string) {
+  room.members.forEach(memberId => {
+    if (memberId !== exceptClientId) {
+      sendToClient(memberId, event, payload);
+    }
+  });
+}
+
+// Send a message only to room members near a position, optionally skipping one
+function broadcastToInterested<E extends ServerEvent>(
+  room: GameRoom,
+  position: { x: number; z: number },
+  event: E,
+  payload: ServerMessage<E>,
+  exceptClientId?: string,
+) {
+  room.zones.getNearby(position).forEach(memberId => {
+    if (memberId !== exceptClientId) {
+      sendToClient(memberId, event, payload);
+    }
+  });
+}
+
+// Tell a client why its message was rejected
+function sendError(clientId: string, code: ProtocolErrorCode, message: string, event?: string, issues?: ProtocolIssue[]) {
+  sendToClient(clientId, "error", {
+    code,
+    message,
+    event,
+    issues,
+    timestamp: Date.now(),
+  });
+}
+
+// Log a violation and warn the client, or kick it once it has had enough
+const VIOLATION_ERRORS: Record<ViolationKind, ProtocolErrorCode> = {
+  rateLimit: "RATE_LIMITED",
+  unknownEvent: "UNKNOWN_EVENT",
+  implausible: "IMPLAUSIBLE_ACTION",
+};
+
+function reportViolation(client: GameClient, kind: ViolationKind, message: string, event: string) {
+  console.log(`Client ${client.id} violation (${kind}): ${message}`);
+
+  if (client.guard.recordViolation(kind)) {
+    kickClient(client, "Too many invalid messages");
+  } else {
+    sendError(client.id, VIOLATION_ERRORS[kind], message, event);
+  }
+}
+
+function kickClient(client: GameClient, message: string) {
+  console.log(`Kicking client ${client.id}: ${message}`);
+  sendError(client.id, "KICKED", message);
+
+  const connection = client.connection;
+  removeClient(client);
+  connection?.close("kicked");
+}
+
+// Where the server has the client's player, or the spawn point before it has one
+function getPlayerPosition(client: GameClient, room: GameRoom | undefined): Vec3 {
+  return room?.players.get(client.id)?.position ?? SPAWN_POSITION;
+}
+
+// Whether a position the client reported is close enough to its player
+function isReachable(client: GameClient, room: GameRoom | undefined, position: Vec3, range: number, event: string): boolean {
+  if (isWithinRange(getPlayerPosition(client, room), position, range)) return true;
+
+  reportViolation(client, "implausible", `${event} position is out of reach`, event);
+  return false;
+}
+
+// Guests who don't choose a name get one of these, which can't be chosen
+function getGuestName(netId: number): string {
+  return `Guest${netId}`;
+}
+
+// Names (lowercased) that guests are in the middle of taking
+const pendingNames = new Set<string>();
+
+// Give a guest a name no one connected uses and no account is registered
+// under, returning whether it got it. The name is held while the account
+// lookup runs, so two guests can't both take it.
+async function claimName(client: GameClient, name: string): Promise<boolean> {
+  const lowerName = name.toLowerCase();
+  const inUse = pendingNames.has(lowerName) || Array.from(clients.values()).some(other =>
+    other !== client && other.displayName.toLowerCase() === lowerName);
+  if (inUse) return false;
+
+  pendingNames.add(lowerName);
+  try {
+    if (await storage.getUserByUsername(name)) return false;
+    client.displayName = name;
+    return true;
+  } finally {
+    pendingNames.delete(lowerName);
+  }
+}
+
+function getCombatant(clientId: string): CombatantState | undefined {
+  return clients.get(clientId)?.combat;
+}
+
+// Tell clients what a resolved attack or collision did
+function publishCombatEvents(room: GameRoom, events: CombatEvent[]) {
+  events.forEach(event => {
+    if (event.kind === "damage") {
+      // Only those who can see the target care about the hit itself
+      broadcastToInterested(room, event.position, "entityDamaged", {
+        targetKind: event.target,
+        targetId: event.targetId,
+        attackerId: event.attackerId,
+        amount: event.amount,
+        remaining: event.remaining,
+        health: event.health,
+        position: event.position,
+        knockback: event.knockback,
+      });
+      return;
+    }
+
+    // Counted toward the score the attacker's run can claim
+    const attacker = clients.get(event.attackerId);
+    if (attacker) {
+      attacker.statsRun.awardedScore += event.score;
+      if (event.target === "npc") {
+        recordQuestEvent(attacker, { kind: "npcCrushed", target: room.obstacles.get(event.targetId)?.type });
+      }
+    }
+
+    // Everyone in the room needs to know what is gone
+    broadcastToRoom(room, "entityKilled", {
+      targetKind: event.target,
+      targetId: event.targetId,
+      attackerId: event.attackerId,
+      position: event.position,
+      score: event.score,
+    });
+  });
+}
+
+function createItemId(): string {
+  return randomBytes(8).toString("hex");
+}
+
+// Count a game event toward the client's active quests, telling it what
+// moved on and paying out any quest that is now complete. Waits for the
+// saved quests, which would otherwise replace what the event counted.
+async function recordQuestEvent(client: GameClient, event: QuestEvent) {
+  await client.savedState;
+  client.quests.forEach(progress => {
+    const definition = getQuestDefinition(progress.questId);
+    if (!definition || !applyQuestEvent(progress, definition, event)) return;
+
+    sendToClient(client.id, "questUpdate", progress);
+    persistQuestProgress(client, progress);
+    if (progress.status === "completed") {
+      grantQuestRewards(client, definition);
+    }
+  });
+}
+
+function grantQuestRewards(client: GameClient, definition: QuestDefinition) {
+  // Reward items that don't fit are lost, like loot left in a chest
+  const space = Math.max(INVENTORY_SIZE - client.inventory.length, 0);
+  const items = grantItems(client, definition.rewards.items.slice(0, space));
+  client.statsRun.awardedScore += definition.rewards.score;
+
+  sendToClient(client.id, "questCompleted", {
+    questId: definition.id,
+    title: definition.title,
+    score: definition.rewards.score,
+    items,
+  });
+}
+
+// Add new items to the client's inventory; the caller makes sure they fit
+function grantItems(client: GameClient, items: Omit<InventoryItem, "id">[]): InventoryItem[] {
+  const granted = items.map(item => ({ ...item, id: createItemId() }));
+  if (granted.length === 0) return granted;
+
+  client.inventory.push(...granted);
+  sendInventory(client, granted);
+  if (client.account) {
+    storage.addInventoryItems(client.account.id, granted).catch(err => {
+      console.error("Error persisting granted items:", err);
+    });
+  }
+  return granted;
+}
+
+// Start a quest for the client, unless it has it already or hasn't unlocked it
+function beginQuest(client: GameClient, definition: QuestDefinition, event: string): boolean {
+  if (client.quests.has(definition.id)) {
+    sendError(client.id, "NOT_AVAILABLE", `Quest ${definition.id} was already accepted`, event);
+    return false;
+  }
+  if (!hasMetPrerequisites(definition, questId => client.quests.get(questId)?.status === "completed")) {
+    sendError(client.id, "NOT_AVAILABLE", `Quest ${definition.id} needs ${definition.prerequisites.join(", ")} completed first`, event);
+    return false;
+  }
+
+  const progress = startQuest(definition);
+  client.quests.set(definition.id, progress);
+  sendToClient(client.id, "questUpdate", progress);
+  persistQuestProgress(client, progress);
+  return true;
+}
+
+// The client's inventory, gold and equipment, with what was just added to it
+function sendInventory(client: GameClient, granted: InventoryItem[] = []) {
+  sendToClient(client.id, "inventoryState", {
+    items: client.inventory,
+    granted,
+    gold: client.gold,
+    equipment: client.equipment,
+  });
+}
+
+// Make the client fight with what it wears, and show that to the others in its room
+function applyEquipment(client: GameClient) {
+  const stats = getEquipmentStats(client.equipment, client.inventory);
+  client.combat.attackDamage = COMBAT.attackDamage + Math.round(stats.damage);
+  client.combat.defense = stats.defense;
+
+  const room = rooms.getClientRoom(client.id);
+  const player = room?.players.get(client.id);
+  if (!room || !player) return;
+  player.gear = getGear(client.equipment, client.inventory);
+  broadcastToRoom(room, "playerGear", { id: client.id, gear: player.gear }, client.id);
+}
+
+// After the client put something on or took it off
+async function updateEquipment(client: GameClient) {
+  applyEquipment(client);
+  sendInventory(client);
+
+  if (!client.account) return;
+  try {
+    await storage.setEquipment(client.account.id, client.equipment);
+  } catch (err) {
+    console.error("Error persisting equipment:", err);
+  }
+}
+
+// Stop wearing an item that left the inventory. Its saved slot is gone with it.
+function dropFromEquipment(client: GameClient, itemId: string) {
+  const slot = (Object.keys(client.equipment) as EquipmentSlot[]).find(worn => client.equipment[worn] === itemId);
+  if (!slot) return;
+  delete client.equipment[slot];
+  applyEquipment(client);
+}
+
+// Gold from picked-up coins; waits for the saved amount so none is lost
+async function earnGold(client: GameClient, amount: number) {
+  await client.savedState;
+  client.gold += amount;
+  sendInventory(client);
+
+  if (!client.account) return;
+  try {
+    await storage.addGold(client.account.id, amount);
+  } catch (err) {
+    console.error("Error persisting gold:", err);
+  }
+}
+
+// A merchant's stock in the room, rolled on the first visit
+function getShop(room: GameRoom, npcId: string): ShopState | undefined {
+  let shop = room.shops.get(npcId);
+  const definition = getShopDefinition(npcId);
+  if (!shop && definition) {
+    shop = createShop(definition, createItemId);
+    room.shops.set(npcId, shop);
+  }
+  if (shop) restockShop(shop);
+  return shop;
+}
+
+function sendShopState(client: GameClient, npc: FriendlyNpc, shop: ShopState) {
+  sendToClient(client.id, "shopState", {
+    npcId: npc.id,
+    npcName: npc.name,
+    stock: shop.entries.map((entry, index) => ({
+      entry: index,
+      item: entry.item,
+      price: getBuyPrice(entry.item),
+      quantity: entry.quantity,
+    })),
+  });
+}
+
+// Trades need the merchant at hand. Walking off with the shop still open is
+// honest, so it isn't reported as a violation.
+function isNearMerchant(client: GameClient, room: GameRoom, npc: FriendlyNpc, event: string): boolean {
+  if (isWithinRange(getPlayerPosition(client, room), npc.position, INTERACTION_RANGE)) return true;
+  sendError(client.id, "NOT_AVAILABLE", `${npc.name} is too far away`, event);
+  return false;
+}
+
+async function persistTrade(client: GameClient, trade: Trade) {
+  if (!client.account) return;
+  try {
+    await storage.recordTrade(client.account.id, trade);
+  } catch (err) {
+    console.error("Error persisting trade:", err);
+  }
+}
+
+function getDialoguePlayer(client: GameClient): DialoguePlayer {
+  return { inventory: client.inventory, quests: client.quests, score: client.statsRun.score };
+}
+
+// Show the client what an NPC says, with only the choices open to it
+function sendDialogueNode(client: GameClient, npc: FriendlyNpc, tree: DialogueTree, nodeId: string) {
+  const node = tree.nodes[nodeId];
+  const player = getDialoguePlayer(client);
+  client.dialogue = { npcId: npc.id, nodeId };
+  sendToClient(client.id, "dialogueNode", {
+    npcId: npc.id,
+    npcName: npc.name,
+    text: node.text,
+    choices: node.choices.flatMap((choice, index) =>
+      isChoiceAvailable(choice, player, getQuestDefinition) ? [{ choice: index, text: choice.text }] : []),
+  });
+}
+
+function endDialogue(client: GameClient, npcId: string) {
+  client.dialogue = undefined;
+  sendToClient(client.id, "dialogueEnded", { npcId });
+}
+
+// Do what a dialogue choice does. False, with the client told why, when it can't.
+function runDialogueActions(client: GameClient, room: GameRoom, npc: FriendlyNpc, actions: DialogueAction[]): boolean {
+  const gifts = actions.flatMap(action => action.type === "giveItem" ? [action.item] : []);
+  if (client.inventory.length + gifts.length > INVENTORY_SIZE) {
+    sendError(client.id, "INVENTORY_FULL", "Inventory is full", "dialogueChoice");
+    return false;
+  }
+
+  for (const action of actions) {
+    if (action.type === "startQuest") {
+      const definition = getQuestDefinition(action.questId);
+      if (!definition || !beginQuest(client, definition, "dialogueChoice")) return false;
+    }
+  }
+  // Gifts can't be sold, or selling one and asking again would print gold
+  grantItems(client, gifts.map(item => ({ ...item, sellable: false })));
+
+  const shop = actions.some(action => action.type === "openShop") ? getShop(room, npc.id) : undefined;
+  if (shop) sendShopState(client, npc, shop);
+  return true;
+}
+
+function persistQuestProgress(client: GameClient, progress: QuestProgress) {
+  if (!client.account) return;
+  storage.saveQuestProgress(client.account.id, progress).catch(err => {
+    console.error("Error persisting quest progress:", err);
+  });
+}
+
+// Note zone changes, which is what zoneReached objectives count
+function trackZone(client: GameClient, position: Vec3) {
+  const { gridX, gridZ } = getZoneCoord(position);
+  const zoneKey = getZoneKey(gridX, gridZ);
+  if (zoneKey === client.zoneKey) return;
+
+  client.zoneKey = zoneKey;
+  recordQuestEvent(client, { kind: "zoneReached", target: zoneKey });
+}
+
+function serializeNpc(npc: ObstacleData): ServerMessage<"obstacleState"> {
+  return {
+    id: npc.id,
+    position: npc.position,
+    obstacleType: npc.type,
+    isCrushed: npc.isCrushed || false,
+  };
+}
+
+// Spawn the NPCs of zones players have just come near. Everyone in the room
+// hears about them, like they hear about players, so none are ever missing.
+function spawnNearbyNpcs(room: GameRoom, exceptClientId?: string) {
+  const { npcs, chests } = populateZonesNearPlayers(room);
+  npcs.forEach(npc => {
+    broadcastToRoom(room, "obstacleState", serializeNpc(npc), exceptClientId);
+  });
+  chests.forEach(chest => {
+    broadcastToRoom(room, "chestState", serializeChest(chest), exceptClientId);
+  });
+}
+
+// Move the room's NPCs and send their new positions to the members near
+// them, one npcMove per member. NPCs coming back after being destroyed are
+// announced to the whole room. Zones left alone long enough are dropped.
+function broadcastNpcs(room: GameRoom, dt: number, now: number) {
+  spawnNearbyNpcs(room);
+  removeIdleZones(room, now);
+
+  const { moved, respawned } = stepNpcs(room, dt, now);
+  respawned.forEach(npc => broadcastToRoom(room, "obstacleState", serializeNpc(npc)));
+  refillChests(room, now).forEach(chest => broadcastToRoom(room, "chestState", serializeChest(chest)));
+
+  const updates = new Map<string, ServerMessage<"npcMove">["npcs"]>();
+  moved.forEach(npc => {
+    const update = { id: npc.id, position: { ...npc.position }, rotationY: npc.rotationY ?? 0 };
+    room.zones.getNearby(npc.position).forEach(memberId => {
+      let memberUpdates = updates.get(memberId);
+      if (!memberUpdates) {
+        memberUpdates = [];
+        updates.set(memberId, memberUpdates);
+      }
+      memberUpdates.push(update);
+    });
+  });
+
+  updates.forEach((npcs, memberId) => sendToClient(memberId, "npcMove", { npcs, timestamp: now }));
+}
+
+// Octants counted from +x towards +z, which is south
+const COMPASS_DIRECTIONS: CompassDirection[] = ["E", "SE", "S", "SW", "W", "NW", "N", "NE"];
+
+// How far and which way `to` is from `from`, coarse enough not to give away
+// a position the recipient isn't sent otherwise
+function getRelativePlacement(from: Vec3 | undefined, to: Vec3 | undefined) {
+  if (!from || !to) return { distance: null, direction: null };
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const octant = Math.round(Math.atan2(dz, dx) / (Math.PI / 4));
+  return { distance: Math.round(Math.hypot(dx, dz)), direction: COMPASS_DIRECTIONS[(octant + 8) % 8] };
+}
+
+// Send the room's members the list of everyone in it, each placed relative
+// to the member it goes to. Its timestamp is echoed back by each client to
+// measure its latency.
+function broadcastRoster(room: GameRoom, now: number) {
+  const members = Array.from(room.members).flatMap(memberId => {
+    const member = clients.get(memberId);
+    return member ? [{ member, player: room.players.get(memberId) }] : [];
+  });
+
+  members.forEach(recipient => {
+    const players = members.map(({ member, player }) => ({
+      id: member.id,
+      name: member.displayName,
+      character: player?.character.name ?? null,
+      score: member.progress.score,
+      latency: member.latency ?? null,
+      ...getRelativePlacement(recipient.player?.position, player?.position),
+    }));
+    sendToClient(recipient.member.id, "roster", { players, timestamp: now });
+  });
+}
+
+// Add the client's player to a room at the spawn point
+function spawnPlayerInRoom(room: GameRoom, client: GameClient, character: Character) {
+  const clientId = client.id;
+  const simulation = createSimulatedPlayer(character, SPAWN_POSITION);
+  const gear = getGear(client.equipment, client.inventory);
+  client.coinPickups.clear(); // coins are the room's world's
+  room.players.set(clientId, {
+    netId: client.netId,
+    name: client.displayName,
+    character,
+    gear,
+    position: simulation.state.position,
+    simulation,
+  });
+  room.zones.update(clientId, simulation.state.position);
+
+  // Everyone in the room learns about the player; its movement is only
+  // sent to those nearby
+  broadcastToRoom(room, "playerJoin", {
+    id: clientId,
+    netId: client.netId,
+    name: client.displayName,
+    character,
+    position: simulation.state.position,
+    gear,
+  }, clientId);
+}
+
+// Move a client out of its current room, telling the others it left
+function leaveCurrentRoom(clientId: string) {
+  const left = rooms.leave(clientId);
+  if (!left) return;
+
+  broadcastToRoom(left.room, "playerLeave", { id: clientId });
+  console.log(`Client ${clientId} left world ${left.room.worldId}`);
+}
+
+// Put a client in a world's room and send it that room's current state
+function joinRoom(clientId: string, worldId: number, seed?: number) {
+  leaveCurrentRoom(clientId);
+
+  const isNewRoom = !rooms.findRoom(worldId);
+  const room = rooms.join(clientId, worldId, seed);
+  if (isNewRoom) {
+    loadWorldElements(room);
+  }
+  room.zones.update(clientId, SPAWN_POSITION);
+  const client = clients.get(clientId);
+  if (client?.character) {
+    spawnPlayerInRoom(room, client, client.character);
+  }
+  // The new member gets these in its snapshot
+  spawnNearbyNpcs(room, clientId);
+
+  sendToClient(clientId, "roomJoined", {
+    ...getRoomSnapshot(room, clientId),
+    timestamp: Date.now(),
+  });
+  console.log(`Client ${clientId} joined world ${worldId} (${room.members.size} in room)`);
+}
+
+// Bring back what was built in a world before its room was created, such as
+// before a restart. Members who joined while it loaded are sent each element.
+async function loadWorldElements(room: GameRoom) {
+  try {
+    const persisted = await storage.getWorldElements(room.worldId);
+    persisted.forEach(row => {
+      if (room.elements.has(row.elementId)) return;
+
+      const element: ElementData = {
+        id: row.elementId,
+        type: row.type,
+        position: { x: row.posX, y: row.posY, z: row.posZ },
+        dimensions: { width: row.width || 1, height: row.height || 1, depth: row.depth || 1 },
+        theme: row.theme || "default",
+        isActive: row.isActive !== false,
+      };
+      room.elements.set(element.id, element);
+      broadcastToRoom(room, "worldElementState", serializeElement(element));
+    });
+  } catch (err) {
+    console.error(`Error loading elements of world ${room.worldId}:`, err);
+  }
+}
+
+function serializeElement(element: ElementData): ServerMessage<"worldElementState"> {
+  return {
+    id: element.id,
+    elementType: element.type,
+    position: element.position,
+    dimensions: element.dimensions,
+    theme: element.theme,
+  };
+}
+
+// Load a logged-in player's inventory, equipment and quests, then send them what they have
+async function loadSavedState(client: GameClient) {
+  if (client.account) {
+    try {
+      const [inventory, quests, gold, equipment] = await Promise.all([
+        storage.getInventory(client.account.id),
+        storage.getQuestProgress(client.account.id),
+        storage.getGold(client.account.id),
+        storage.getEquipment(client.account.id),
+      ]);
+      client.inventory = inventory;
+      client.gold = gold;
+      client.equipment = equipment;
+      applyEquipment(client);
+      client.quests = new Map(quests.map(quest => [quest.questId, quest]));
+    } catch (err) {
+      console.error(`Error loading saved state for ${client.id}:`, err);
+    }
+  }
+  sendSavedState(client);
+}
+
+function sendSavedState(client: GameClient) {
+  sendInventory(client);
+  sendToClient(client.id, "questState", { quests: Array.from(client.quests.values()) });
+}
+
+// Only worlds that exist and are active can be joined
+async function getJoinableWorld(worldId: number): Promise<{ id: number; seed: number } | undefined> {
+  if (!Number.isInteger(worldId)) return undefined;
+  const world = await storage.getGameWorld(worldId);
+  return world && world.isActive !== false ? world : undefined;
+}
+
+// One handler per client event, shared by every transport. Payloads have
+// already been validated against the protocol schemas.
+const eventHandlers: EventHandlers = {
+  async joinRoom(client, data) {
+    const world = await getJoinableWorld(data.worldId);
+    if (world) {
+      joinRoom(client.id, world.id, world.seed);
+    } else {
+      sendError(client.id, "WORLD_UNAVAILABLE", `World ${data.worldId} does not exist or is not active`, "joinRoom");
+    }
+  },
+
+  leaveRoom(client) {
+    leaveCurrentRoom(client.id);
+    sendToClient(client.id, "roomLeft", { timestamp: Date.now() });
+  },
+
+  async selectCharacter(client, data, room) {
+    // Only the id is taken from the client; stats come from our own roster
+    const character = getPlayableCharacter(data.character.id);
+    if (!character) {
+      sendError(client.id, "NOT_AVAILABLE", `There is no character ${data.character.id}`, "selectCharacter");
+      return;
+    }
+
+    // Logged-in players always go by their username
+    const displayName = data.displayName;
+    if (!client.account && displayName && displayName !== client.displayName) {
+      if (!(await claimName(client, displayName))) {
+        sendError(client.id, "NAME_UNAVAILABLE", `The name ${displayName} is taken`, "selectCharacter");
+        return;
+      }
+    }
+
+    // Remember the character so it follows the client between rooms. Its
+    // stats start from a fresh run.
+    client.character = character;
+    client.statsRun = createStatsRun();
+    console.log(`Player ${client.id} (${client.displayName}) selected character: ${character.name}`);
+
+    if (room) {
+      spawnPlayerInRoom(room, client, character);
+    }
+  },
+
+  playerInput(client, data, room) {
+    // Run the movement step ourselves; the resulting state goes out
+    // with the next broadcast tick instead of trusting client positions
+    const player = room?.players.get(client.id);
+    const playerSimulation = player?.simulation;
+    const input = parsePlayerInput(data);
+    if (playerSimulation && !client.guard.checkInputTiming(data.dt)) {
+      reportViolation(client, "implausible", "Inputs claim more time than has passed", "playerInput");
+      return;
+    }
+    if (!room || !player || !playerSimulation || !input) return;
+
+    // Running into or landing on NPCs is resolved right after the move
+    const previousY = playerSimulation.state.position.y;
+    const platforms = getServerPlatforms(room.elements.values(), getNearbyPlatforms(room, playerSimulation.state.position));
+    if (applyPlayerInput(playerSimulation, input, platforms)) {
+      publishCombatEvents(room, resolvePlayerContacts(room, client.id, player, client.combat, previousY));
+    }
+    trackZone(client, playerSimulation.state.position);
+
+    // Coins only count for gold, quests and score once we've seen the player reach them
+    const coins = collectCoins(room, client.coinPickups, playerSimulation.state.position);
+    if (coins > 0) {
+      client.statsRun.observedCoins += coins;
+      recordQuestEvent(client, { kind: "coinCollected", amount: coins });
+      earnGold(client, coins * GOLD_PER_COIN).catch(err => console.error("Error crediting coins:", err));
+    }
+  },
+
+  progressUpdate(client, data) {
+    // Kept only so a resumed session gets it back
+    client.progress = data;
+  },
+
+  async statsReport(client, data) {
+    const delta = takeStatsDelta(client.statsRun, data);
+
+    // Only players with an account and a character have stats to keep
+    const characterId = client.character?.id;
+    if (!client.account || !characterId) return;
+    await storage.recordPlayerStats(client.account.id, characterId, delta);
+
+    // Finished runs go on the daily and weekly leaderboards
+    if (data.gameOver && delta.score > 0) {
+      await storage.recordScore({ userId: client.account.id, characterId, score: delta.score });
+    }
+  },
+
+  async openChest(client, data, room) {
+    // Loot must not be granted before the saved inventory is in place
+    await client.savedState;
+    const chest = room?.chests.get(data.chestId);
+    if (!room || !chest || chest.openedAt !== undefined) {
+      sendError(client.id, "NOT_AVAILABLE", `Chest ${data.chestId} can't be opened`, "openChest");
+      return;
+    }
+    if (!isReachable(client, room, chest.position, INTERACTION_RANGE, "openChest")) return;
+
+    const space = INVENTORY_SIZE - client.inventory.length;
+    if (space <= 0) {
+      sendError(client.id, "INVENTORY_FULL", "Inventory is full", "openChest");
+      return;
+    }
+
+    // Whatever doesn't fit stays behind in the chest
+    const granted = generateLoot(chest.level, createItemId).slice(0, space);
+    chest.openedAt = Date.now();
+    client.inventory.push(...granted);
+    broadcastToRoom(room, "chestState", serializeChest(chest));
+    sendInventory(client, granted);
+    granted.forEach(item => recordQuestEvent(client, { kind: "itemObtained", target: item.type }));
+
+    if (!client.account) return;
+    try {
+      await storage.addInventoryItems(client.account.id, granted);
+    } catch (err) {
+      console.error("Error persisting inventory items:", err);
+    }
+  },
+
+  async useItem(client, data, room) {
+    await client.savedState;
+    const index = client.inventory.findIndex(item => item.id === data.itemId);
+    const item = client.inventory[index];
+    if (!item?.consumable) {
+      sendError(client.id, "NOT_AVAILABLE", `Item ${data.itemId} can't be used`, "useItem");
+      return;
+    }
+
+    client.inventory.splice(index, 1);
+    sendInventory(client);
+
+    // Movement is ours to simulate, so its boosts are too
+    const playerSimulation = room?.players.get(client.id)?.simulation;
+    if (item.effect === "speed" && playerSimulation) {
+      boostSpeed(playerSimulation);
+    } else if (item.effect === "jump" && playerSimulation) {
+      boostJump(playerSimulation);
+    }
+
+    if (!client.account) return;
+    try {
+      await storage.removeInventoryItem(client.account.id, item.id);
+    } catch (err) {
+      console.error("Error persisting used item:", err);
+    }
+  },
+
+  async equipItem(client, data) {
+    await client.savedState;
+    const item = client.inventory.find(candidate => candidate.id === data.itemId);
+    const slot = item && getEquipmentSlot(item);
+    if (!item || !slot) {
+      sendError(client.id, "NOT_AVAILABLE", `Item ${data.itemId} can't be worn`, "equipItem");
+      return;
+    }
+
+    // Whatever was in the slot goes back to just being carried
+    client.equipment[slot] = item.id;
+    await updateEquipment(client);
+  },
+
+  async unequipItem(client, data) {
+    await client.savedState;
+    if (!client.equipment[data.slot]) {
+      sendError(client.id, "NOT_AVAILABLE", `Nothing is worn in ${data.slot}`, "unequipItem");
+      return;
+    }
+
+    delete client.equipment[data.slot];
+    await updateEquipment(client);
+  },
+
+  async buyItem(client, data, room) {
+    await client.savedState;
+    const npc = getFriendlyNpc(data.npcId);
+    const shop = room && npc ? getShop(room, npc.id) : undefined;
+    const entry = shop?.entries[data.entry];
+    if (!room || !npc || !shop || !entry || entry.quantity <= 0) {
+      sendError(client.id, "NOT_AVAILABLE", "That item isn't for sale", "buyItem");
+      return;
+    }
+    if (!isNearMerchant(client, room, npc, "buyItem")) return;
+
+    const price = getBuyPrice(entry.item);
+    if (client.gold < price) {
+      sendError(client.id, "NOT_ENOUGH_GOLD", `${entry.item.name} costs ${price} gold`, "buyItem");
+      return;
+    }
+    if (client.inventory.length >= INVENTORY_SIZE) {
+      sendError(client.id, "INVENTORY_FULL", "Inventory is full", "buyItem");
+      return;
+    }
+
+    const item = { ...entry.item, id: createItemId() };
+    entry.quantity -= 1;
+    client.gold -= price;
+    client.inventory.push(item);
+    sendInventory(client, [item]);
+    sendShopState(client, npc, shop);
+    await persistTrade(client, { gold: -price, itemsAdded: [item] });
+  },
+
+  async sellItem(client, data, room) {
+    await client.savedState;
+    const npc = getFriendlyNpc(data.npcId);
+    const index = client.inventory.findIndex(item => item.id === data.itemId);
+    if (!room || !npc || !getShopDefinition(npc.id) || index < 0) {
+      sendError(client.id, "NOT_AVAILABLE", "That can't be sold here", "sellItem");
+      return;
+    }
+    if (client.inventory[index].sellable === false) {
+      sendError(client.id, "NOT_AVAILABLE", `${client.inventory[index].name} can't be sold`, "sellItem");
+      return;
+    }
+    if (!isNearMerchant(client, room, npc, "sellItem")) return;
+
+    const [item] = client.inventory.splice(index, 1);
+    const price = getSellPrice(item);
+    client.gold += price;
+    dropFromEquipment(client, item.id);
+    sendInventory(client);
+    await persistTrade(client, { gold: price, itemsAdded: [], itemRemoved: item.id });
+  },
+
+  async acceptQuest(client, data, room) {
+    // Saved progress decides whether the quest was already taken
+    await client.savedState;
+    const definition = getQuestDefinition(data.questId);
+    const giver = definition && getFriendlyNpc(definition.giver);
+    if (!definition || !giver) {
+      sendError(client.id, "NOT_AVAILABLE", `Quest ${data.questId} can't be accepted`, "acceptQuest");
+      return;
+    }
+    if (!isReachable(client, room, giver.position, INTERACTION_RANGE, "acceptQuest")) return;
+    beginQuest(client, definition, "acceptQuest");
+  },
+
+  async talkToNpc(client, data, room) {
+    // Quests and items decide what the NPC has to say
+    await client.savedState;
+    const npc = getFriendlyNpc(data.npcId);
+    const tree = getDialogueTree(data.npcId);
+    if (!npc || !tree) {
+      sendError(client.id, "NOT_AVAILABLE", `No one called ${data.npcId} is here`, "talkToNpc");
+      return;
+    }
+    if (!isReachable(client, room, npc.position, INTERACTION_RANGE, "talkToNpc")) return;
+
+    // Counted first, so a quest finished by talking shows in the conversation
+    recordQuestEvent(client, { kind: "npcTalkedTo", target: npc.id });
+    sendDialogueNode(client, npc, tree, tree.start);
+  },
+
+  async dialogueChoice(client, data, room) {
+    await client.savedState;
+    const npc = getFriendlyNpc(data.npcId);
+    const tree = getDialogueTree(data.npcId);
+    const node = tree && client.dialogue?.npcId === data.npcId ? tree.nodes[client.dialogue.nodeId] : undefined;
+    const choice = node?.choices[data.choice];
+    if (!room || !npc || !tree || !choice || !isChoiceAvailable(choice, getDialoguePlayer(client), getQuestDefinition)) {
+      sendError(client.id, "NOT_AVAILABLE", "That choice isn't open", "dialogueChoice");
+      return;
+    }
+
+    // Walking away ends the conversation
+    if (!isWithinRange(getPlayerPosition(client, room), npc.position, INTERACTION_RANGE)) {
+      endDialogue(client, npc.id);
+      return;
+    }
+    if (!runDialogueActions(client, room, npc, choice.actions)) return;
+
+    if (choice.next) {
+      sendDialogueNode(client, npc, tree, choice.next);
+    } else {
+      endDialogue(client, npc.id);
+    }
+  },
+
+  latencyReply(client, data) {
+    const sample = Date.now() - data.sentAt;
+    if (sample < 0 || sample > MAX_LATENCY_SAMPLE) return;
+    // Smoothed, so one slow reply doesn't make the number jump
+    client.latency = client.latency === undefined ? sample : Math.round(client.latency * 0.7 + sample * 0.3);
+  },
+
+  chatMessage(client, data, room) {
+    const text = cleanChatText(data.text);
+    if (!text) return;
+    const message = {
+      channel: data.channel,
+      from: client.id,
+      fromName: client.displayName,
+      text,
+      timestamp: Date.now(),
+    };
+
+    if (data.channel === "whisper") {
+      // The sender gets its own copy, so it shows up in its chat log too
+      const recipient = clients.get(data.to);
+      if (!recipient?.connection || recipient.id === client.id) {
+        sendError(client.id, "NOT_AVAILABLE", `Player ${data.to} is not online`, "chatMessage");
+        return;
+      }
+      sendToClient(recipient.id, "chatMessage", { ...message, to: recipient.id });
+      sendToClient(client.id, "chatMessage", { ...message, to: recipient.id });
+      return;
+    }
+
+    if (!room) return;
+    if (data.channel === "world") {
+      broadcastToRoom(room, "chatMessage", message);
+      return;
+    }
+
+    // Proximity: only players within earshot of the sender, the sender included
+    const origin = getPlayerPosition(client, room);
+    room.members.forEach(memberId => {
+      const member = clients.get(memberId);
+      if (member && isWithinRange(origin, getPlayerPosition(member, room), CHAT_PROXIMITY_RANGE)) {
+        sendToClient(memberId, "chatMessage", message);
+      }
+    });
+  },
+
+  respawn(client, data, room) {
+    // Only ever moves the player back to the spawn point
+    const playerSimulation = room?.players.get(client.id)?.simulation;
+    if (playerSimulation) {
+      respawnSimulatedPlayer(playerSimulation, data.seq);
+    }
+
+    // Starting over after running out of lives
+    if (client.combat.lives <= 0) {
+      client.combat.lives = COMBAT.maxLives;
+      client.combat.health = COMBAT.hitPointsPerLife;
+      client.combat.invulnerableUntil = Date.now() + COMBAT.invulnerableMs;
+    }
+  },
+
+  playerAttack(client, data, room) {
+    const player = room?.players.get(client.id);
+    if (!room || !player) return;
+
+    // Out of lives until the player starts over
+    if (client.combat.lives <= 0) return;
+
+    // Attacks faster than the cooldown are dropped rather than punished,
+    // since network jitter can bunch up honest ones
+    const now = Date.now();
+    if (now - client.combat.lastAttackAt < COMBAT.attackCooldownMs) return;
+    client.combat.lastAttackAt = now;
+
+    // Show the attack to the other players who can see it, then work out what it hit
+    const position = getAttackPosition(player, data.direction);
+    broadcastToInterested(room, position, "playerAttack", {
+      id: client.id,
+      position,
+      color: data.color,
+    }, client.id);
+
+    publishCombatEvents(room, resolveAttack(room, client.id, position, getCombatant, now));
+  },
+
+  // World elements (platforms, decorations, etc.)
+  async addWorldElement(client, data, room) {
+    if (!room) return;
+    if (!isReachable(client, room, data.position, BUILD_RANGE, "addWorldElement")) return;
+
+    const element: ElementData = {
+      id: data.id,
+      type: data.elementType,
+      position: data.position,
+      dimensions: data.dimensions,
+      theme: data.theme,
+      isActive: data.isActive !== false,
+    };
+    room.elements.set(element.id, element);
+    broadcastToRoom(room, "worldElementState", serializeElement(element), client.id);
+
+    try {
+      await storage.createWorldElement({
+        worldId: room.worldId,
+        elementId: element.id,
+        type: element.type,
+        posX: Math.round(element.position.x),
+        posY: Math.round(element.position.y),
+        posZ: Math.round(element.position.z),
+        width: element.dimensions?.width || 1,
+        height: element.dimensions?.height || 1,
+        depth: element.dimensions?.depth || 1,
+        theme: element.theme || "default",
+        isActive: element.isActive !== false,
+      });
+      console.log(`Persisted world element ${element.id} to world ${room.worldId}`);
+    } catch (err) {
+      console.error("Error persisting world element:", err);
+    }
+  },
+
+  async updateParallaxLayer(client, data, room) {
+    if (!room) return;
+
+    const layer = {
+      layerIndex: data.layerIndex,
+      speed: data.speed,
+      color: data.color,
+      depth: data.depth,
+      posZ: data.posZ,
+    };
+    broadcastToRoom(room, "parallaxLayerUpdate", layer, client.id);
+
+    // Layers are only created once per world
+    try {
+      const existingLayers = await storage.getParallaxLayers(room.worldId);
+      if (!existingLayers.some(existing => existing.layerIndex === layer.layerIndex)) {
+        await storage.createParallaxLayer({ worldId: room.worldId, ...layer, isActive: true });
+        console.log(`Created new parallax layer ${layer.layerIndex} for world ${room.worldId}`);
+      }
+    } catch (err) {
+      console.error("Error persisting parallax layer:", err);
+    }
+  },
+
+  async decorationCollision(client, data, room) {
+    if (!room) return;
+    if (!isReachable(client, room, data.position, INTERACTION_RANGE, "decorationCollision")) return;
+
+    // Broadcast to nearby players to show decoration interaction
+    const { decorationType } = data;
+    broadcastToInterested(room, data.position, "decorationInteraction", {
+      decorationId: data.decorationId,
+      position: data.position,
+      decorationType,
+      playerId: client.id,
+    }, client.id);
+
+    // Persist some decorations to world elements, not all of them to avoid database bloat
+    if (Math.random() >= 0.2) return;
+    try {
+      await storage.createWorldElement({
+        worldId: room.worldId,
+        elementId: data.decorationId,
+        type: decorationType,
+        posX: Math.round(data.position.x * 10) / 10,
+        posY: Math.round(data.position.y * 10) / 10,
+        posZ: Math.round(data.position.z * 10) / 10,
+        isActive: true,
+        width: 1,
+        height: 1,
+        depth: 1,
+        theme: "decoration",
+      });
+      console.log(`Persisted decoration ${data.decorationId} to world ${room.worldId}`);
+    } catch (err) {
+      console.error("Error persisting decoration:", err);
+    }
+  },
+};
+
+/**
+ * Register a newly connected client, greet it and put it in the requested
+ * world (or the default one), which sends it the room snapshot. Clients
+ * that share no protocol version with the server are told so and dropped.
+ *
+ * A client presenting a valid resume token takes over its previous session
+ * instead: same id, same player and progress, and the other players never
+ * see it leave. Logged-in players always play under their account's id,
+ * and connecting again takes over any session that account still has.
+ * Returns the session's client id, or null if rejected.
+ */
+export function connectClient(clientId: string, connection: ClientConnection, handshake: ClientHandshake): string | null {
+  const protocolVersion = negotiateProtocolVersion(handshake.protocolVersions);
+  if (protocolVersion === null) {
+    console.log(`Client ${clientId} rejected: no common protocol version in [${handshake.protocolVersions.join(", ")}]`);
+    connection.send("error", {
+      code: "UNSUPPORTED_PROTOCOL",
+      message: `Server speaks protocol version ${PROTOCOL_VERSION}`,
+      timestamp: Date.now(),
+    });
+    connection.close("unsupportedProtocol");
+    return null;
+  }
+
+  const encoding = negotiateEncoding(handshake.encoding);
+
+  // Logged-in players are known by their account rather than their
+  // connection, and take over any session they already have
+  const account = handshake.user;
+  if (account) {
+    clientId = getAccountClientId(account.id);
+  }
+  const resumedId = account ? clientId : handshake.resumeToken ? resumeTokens.get(handshake.resumeToken) : undefined;
+  const resumed = resumedId ? clients.get(resumedId) : undefined;
+  if (resumed && resumed.account?.id === account?.id) {
+    // Another tab playing the same account must not reconnect and take it back
+    resumeClient(resumed, connection, protocolVersion, encoding, account ? "signedInElsewhere" : "sessionResumed");
+    return resumed.id;
+  }
+
+  const netId = nextNetId++;
+  const client: GameClient = {
+    id: clientId,
+    netId,
+    connection,
+    protocolVersion,
+    encoding,
+    stateEncoder: encoding === "binary" ? new StateFrameEncoder() : undefined,
+    account: account ? { id: account.id, username: account.username } : undefined,
+    displayName: account?.username ?? getGuestName(netId),
+    resumeToken: "",
+    progress: { score: 0, activeQuestId: null },
+    inventory: [],
+    gold: 0,
+    equipment: {},
+    quests: new Map(),
+    coinPickups: new Map(),
+    savedState: Promise.resolve(),
+    combat: createCombatantState(),
+    statsRun: createStatsRun(),
+    guard: new ClientGuard(),
+  };
+  clients.set(clientId, client);
+  issueResumeToken(client);
+
+  sendToClient(clientId, "welcome", {
+    id: clientId,
+    netId,
+    protocolVersion,
+    encoding,
+    resumeToken: client.resumeToken,
+    resumed: false,
+    account: client.account ?? null,
+    message: "Connected to game server",
+    timestamp: Date.now(),
+    clients: clients.size,
+  });
+  client.savedState = loadSavedState(client);
+
+  const requestedWorldId = Number(handshake.worldId);
+  getJoinableWorld(requestedWorldId)
+    .then(world => world ?? getJoinableWorld(DEFAULT_WORLD_ID))
+    .catch(() => undefined)
+    .then(world => {
+      if (clients.has(clientId)) {
+        joinRoom(clientId, world?.id ?? DEFAULT_WORLD_ID, world?.seed);
+      }
+    });
+  return clientId;
+}
+
+// Attach a new connection to an existing session and bring it up to date
+function resumeClient(
+  client: GameClient,
+  connection: ClientConnection,
+  protocolVersion: number,
+  encoding: NetEncoding,
+  closeReason: CloseReason,
+) {
+  clearTimeout(client.resumeTimer);
+  client.resumeTimer = undefined;
+
+  // The old connection may not have noticed it is dead yet
+  const previous = client.connection;
+  client.connection = connection;
+  previous?.close(closeReason);
+
+  client.protocolVersion = protocolVersion;
+  client.encoding = encoding;
+  client.stateEncoder = encoding === "binary" ? new StateFrameEncoder() : undefined;
+  issueResumeToken(client);
+
+  const room = rooms.getClientRoom(client.id);
+  const playerSimulation = room?.players.get(client.id)?.simulation;
+  if (playerSimulation) {
+    resumeSimulatedPlayer(playerSimulation);
+  }
+  console.log(`Client ${client.id} resumed its session`);
+
+  sendToClient(client.id, "welcome", {
+    id: client.id,
+    netId: client.netId,
+    protocolVersion,
+    encoding,
+    resumeToken: client.resumeToken,
+    resumed: true,
+    account: client.account ?? null,
+    progress: { ...client.progress, lives: client.combat.lives, inventory: client.inventory },
+    message: "Resumed game session",
+    timestamp: Date.now(),
+    clients: clients.size,
+  });
+  sendSavedState(client);
+
+  if (room) {
+    sendToClient(client.id, "roomJoined", {
+      ...getRoomSnapshot(room, client.id),
+      timestamp: Date.now(),
+    });
+  }
+}
+
+// Validate one event from a client and dispatch it through the event table
+export async function handleClientEvent(clientId: string, event: string, payload: unknown) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  // Throttle before doing any work on the message
+  if (!client.guard.allowMessage(event)) {
+    reportViolation(client, "rateLimit", `Too many ${event} messages`, event);
+    return;
+  }
+
+  const parsed = parseClientMessage(event, payload);
+  if (!parsed.success && parsed.code === "UNKNOWN_EVENT") {
+    reportViolation(client, "unknownEvent", parsed.message, event);
+    return;
+  }
+  if (!parsed.success) {
+    console.log(`Rejected ${event} from client ${clientId}: ${parsed.message}`);
+    sendError(clientId, parsed.code, parsed.message, event, parsed.issues);
+    return;
+  }
+
+  if (event !== "playerInput") {
+    console.log(`Received ${event} event from client ${clientId}:`, parsed.data);
+  }
+
+  await dispatchEvent(client, event as ClientEvent, parsed.data);
+}
+
+// Run a validated event's handler. A handler that throws is reported to the
+// client instead of taking the connection down.
+async function dispatchEvent(client: GameClient, event: ClientEvent, data: unknown) {
+  try {
+    const handler = eventHandlers[event] as (client: GameClient, data: unknown, room: GameRoom | undefined) => void | Promise<void>;
+    await handler(client, data, rooms.getClientRoom(client.id));
+  } catch (error) {
+    console.error(`Error processing ${event} from client ${client.id}:`, error);
+    sendError(client.id, "INTERNAL_ERROR", "Error processing your message", event);
+  }
+}
+
+// Handle a binary message; only player input (with its frame acknowledgement) is sent this way
+export async function handleClientBinary(clientId: string, bytes: Uint8Array) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  if (!client.guard.allowMessage("playerInput")) {
+    reportViolation(client, "rateLimit", "Too many playerInput messages", "playerInput");
+    return;
+  }
+
+  if (client.encoding !== "binary" || getBinaryMessageKind(bytes) !== "playerInput") {
+    sendError(clientId, "INVALID_MESSAGE", "Unexpected binary message", "binary");
+    return;
+  }
+
+  let message;
+  try {
+    message = decodePlayerInput(bytes);
+  } catch (error) {
+    sendError(clientId, "INVALID_MESSAGE", "Malformed binary player input", "binary");
+    return;
+  }
+
+  client.stateEncoder?.acknowledge(message.ackFrameSeq);
+  await dispatchEvent(client, "playerInput", message.input);
+}
+
+/**
+ * A transport lost its connection. Clients that said goodbye are removed
+ * right away; the others keep their player in the world for the grace
+ * period in case they come back with their resume token.
+ */
+export function disconnectClient(clientId: string, connection: ClientConnection, intentional: boolean) {
+  const client = clients.get(clientId);
+  // Connections replaced by a resumed one no longer own the session
+  if (!client || client.connection !== connection) return;
+
+  client.connection = null;
+  if (intentional) {
+    removeClient(client);
+    return;
+  }
+
+  console.log(`Client ${clientId} dropped, holding its session for ${RESUME_GRACE_PERIOD / 1000}s`);
+  client.resumeTimer = setTimeout(() => removeClient(client), RESUME_GRACE_PERIOD);
+}
+
+function removeClient(client: GameClient) {
+  clearTimeout(client.resumeTimer);
+  resumeTokens.delete(client.resumeToken);
+
+  // Remove from its room, notifying the other players there
+  leaveCurrentRoom(client.id);
+  clients.delete(client.id);
+}
+
+export function getConnectedClientCount(): number {
+  return clients.size;
+}
+
+/**
+ * Broadcast authoritative player state at a fixed rate, per room, to the
+ * members near each player: one playerMove per player for JSON clients, one
+ * state frame per tick for binary ones. Owners receive their own state too,
+ * with lastProcessedSeq acknowledging inputs. NPCs are moved on the same
+ * tick. Returns a function that stops it.
+ */
+export function startStateBroadcast(): () => void {
+  let lastKeyframeTime = 0;
+  let lastRosterTime = 0;
+  let lastTickTime = Date.now();
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    const dt = now - lastTickTime;
+    lastTickTime = now;
+    const isKeyframe = now - lastKeyframeTime >= STATE_KEYFRAME_INTERVAL;
+    if (isKeyframe) {
+      lastKeyframeTime = now;
+    }
+    const isRosterTick = now - lastRosterTime >= ROSTER_INTERVAL;
+    if (isRosterTick) {
+      lastRosterTime = now;
+    }
+
+    rooms.removeIdleRooms(now).forEach(worldId => console.log(`Closed empty world ${worldId}`));
+    rooms.allRooms().forEach(room => {
+      // Re-index everyone first so this tick's interest sets are up to date
+      room.players.forEach((playerData, playerId) => {
+        room.zones.update(playerId, playerData.position);
+      });
+
+      broadcastNpcs(room, dt, now);
+      if (isRosterTick) {
+        broadcastRoster(room, now);
+      }
+
+      // Gather each member's updates so binary clients get a single frame
+      const updates = new Map<string, Array<{ netId: number; state: ServerMessage<"playerMove"> }>>();
+      room.players.forEach((playerData, playerId) => {
+        const playerSimulation = playerData.simulation;
+        if (!playerSimulation || (!playerSimulation.dirty && !isKeyframe)) return;
+
+        playerSimulation.dirty = false;
+        const state = serializePlayerState(playerId, playerSimulation);
+        room.zones.getNearby(playerData.position).forEach(memberId => {
+          let memberUpdates = updates.get(memberId);
+          if (!memberUpdates) {
+            memberUpdates = [];
+            updates.set(memberId, memberUpdates);
+          }
+          memberUpdates.push({ netId: playerData.netId, state });
+        });
+      });
+
+      updates.forEach((memberUpdates, memberId) => {
+        const member = clients.get(memberId);
+        if (!member?.connection) return;
+
+        if (member.stateEncoder) {
+          try {
+            member.connection.sendBinary(member.stateEncoder.encode(memberUpdates, now));
+          } catch (error) {
+            console.error(`Error sending state frame to client ${memberId}:`, error);
+          }
+        } else {
+          memberUpdates.forEach(update => sendToClient(memberId, "playerMove", update.state));
+        }
+      });
+    });
+  }, STATE_BROADCAST_INTERVAL);
+
+  return () => clearInterval(timer);
+}
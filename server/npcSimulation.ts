@@ -0,0 +1,240 @@
+import { PLAYER_PHYSICS } from "@shared/playerPhysics";
+import { getNpcKind, NPC_KIND_NAMES } from "@shared/npcs";
+import { createRandom, hashSeed, type RandomSource } from "@shared/random";
+import { getGroundHeight, getZoneCoord, getZoneDifficulty, getZoneKey, ZONE_SIZE, type ZoneCoord } from "@shared/world";
+import { CHEST_REFILL_DELAY, spawnZoneChests } from "./chests";
+import type { ChestData, GameRoom, NpcMovement, ObstacleData } from "./rooms";
+
+// Server-side NPCs. Each room spawns the NPCs of a zone the first time a
+// player comes near it, moves them along their patrols while players are
+// near and brings destroyed ones back after a while. Zones nobody has been
+// near for a while are dropped, to be spawned again from their seed when
+// someone comes back. Clients only draw the result.
+
+// Zones this close to a player get their NPCs
+const SPAWN_RADIUS_ZONES = 2;
+
+// How long a zone nobody is near keeps its NPCs and chests. At least as long
+// as chests take to refill, so coming back can't empty them again any sooner.
+export const IDLE_ZONE_LIFETIME = CHEST_REFILL_DELAY;
+
+// How long a destroyed NPC stays gone
+export const NPC_RESPAWN_DELAY = 30 * 1000;
+
+// NPCs gathered around the hub at the world origin: a few fixed spots plus
+// some scattered ones
+const HUB_NPC_POSITIONS = [
+  { x: 3, z: -3 },
+  { x: -3, z: -5 },
+  { x: 0, z: -8 },
+  { x: 5, z: -5 },
+  { x: -5, z: -5 },
+];
+const HUB_NPC_COUNT = 15;
+const HUB_SCATTER = 16;
+
+// The zones within SPAWN_RADIUS_ZONES of any player, by zone key
+function getZonesNearPlayers(room: GameRoom): Map<string, ZoneCoord> {
+  const zones = new Map<string, ZoneCoord>();
+  room.players.forEach(player => {
+    const { gridX, gridZ } = getZoneCoord(player.position);
+    for (let x = gridX - SPAWN_RADIUS_ZONES; x <= gridX + SPAWN_RADIUS_ZONES; x++) {
+      for (let z = gridZ - SPAWN_RADIUS_ZONES; z <= gridZ + SPAWN_RADIUS_ZONES; z++) {
+        zones.set(getZoneKey(x, z), { gridX: x, gridZ: z });
+      }
+    }
+  });
+  return zones;
+}
+
+/**
+ * Spawn the NPCs and chests of any zone near a player that doesn't have
+ * them yet. Zones are seeded from the world's seed and their coordinates,
+ * so a world always gets the same NPCs in the same places. Returns what
+ * was spawned.
+ */
+export function populateZonesNearPlayers(room: GameRoom, now: number = Date.now()): { npcs: ObstacleData[]; chests: ChestData[] } {
+  const npcs: ObstacleData[] = [];
+  const chests: ChestData[] = [];
+
+  getZonesNearPlayers(room).forEach(({ gridX, gridZ }, key) => {
+    const zone = room.populatedZones.get(key);
+    if (zone) {
+      zone.lastNearAt = now;
+      return;
+    }
+
+    const zoneNpcs = spawnZoneNpcs(room, gridX, gridZ);
+    const zoneChests = spawnZoneChests(room, gridX, gridZ);
+    room.populatedZones.set(key, {
+      npcIds: zoneNpcs.map(npc => npc.id),
+      chestIds: zoneChests.map(chest => chest.id),
+      lastNearAt: now,
+    });
+    npcs.push(...zoneNpcs);
+    chests.push(...zoneChests);
+  });
+
+  return { npcs, chests };
+}
+
+/**
+ * Drop the NPCs, chests and generated layout of zones no player has been
+ * near for IDLE_ZONE_LIFETIME, returning their keys. Layouts of zones that
+ * aren't populated any more go too; they are generated again when needed.
+ */
+export function removeIdleZones(room: GameRoom, now: number = Date.now()): string[] {
+  const removed: string[] = [];
+  room.populatedZones.forEach((zone, key) => {
+    if (now - zone.lastNearAt < IDLE_ZONE_LIFETIME) return;
+
+    zone.npcIds.forEach(id => room.obstacles.delete(id));
+    zone.chestIds.forEach(id => room.chests.delete(id));
+    room.populatedZones.delete(key);
+    removed.push(key);
+  });
+
+  room.zoneLayouts.forEach((_layout, key) => {
+    if (!room.populatedZones.has(key)) room.zoneLayouts.delete(key);
+  });
+  return removed;
+}
+
+// A zone's NPCs. Like the client's terrain, zone content is laid out around
+// the point (gridX, gridZ) * ZONE_SIZE and seeded from the world's seed.
+function spawnZoneNpcs(room: GameRoom, gridX: number, gridZ: number): ObstacleData[] {
+  const random = createRandom(hashSeed(room.seed, gridX, gridZ));
+  const npcs: ObstacleData[] = [];
+
+  if (gridX === 0 && gridZ === 0) {
+    for (let i = 0; i < HUB_NPC_COUNT; i++) {
+      const spot = HUB_NPC_POSITIONS[i] ?? {
+        x: (random() - 0.5) * HUB_SCATTER,
+        z: (random() - 0.5) * HUB_SCATTER,
+      };
+      // Every kind is represented around the hub
+      npcs.push(createNpc(`npc-0,0-${i}`, NPC_KIND_NAMES[i % NPC_KIND_NAMES.length], spot, random));
+    }
+  }
+
+  // Farther zones are more dangerous: more NPCs, and tougher kinds
+  const difficulty = getZoneDifficulty(gridX, gridZ);
+  const count = Math.floor(random() * 3 * difficulty);
+  for (let i = 0; i < count; i++) {
+    const spot = {
+      x: gridX * ZONE_SIZE + (random() - 0.5) * ZONE_SIZE * 0.7,
+      z: gridZ * ZONE_SIZE + (random() - 0.5) * ZONE_SIZE * 0.7,
+    };
+    const kindIndex = Math.min(Math.floor(random() * NPC_KIND_NAMES.length + difficulty * 2), NPC_KIND_NAMES.length - 1);
+    npcs.push(createNpc(`npc-${gridX},${gridZ}-${i}`, NPC_KIND_NAMES[kindIndex], spot, random));
+  }
+
+  npcs.forEach(npc => room.obstacles.set(npc.id, npc));
+  return npcs;
+}
+
+function createNpc(id: string, type: string, spot: { x: number; z: number }, random: RandomSource): ObstacleData {
+  const kind = getNpcKind(type);
+
+  let y = getGroundHeight(spot) + 0.4;
+  if (kind.movementStyle === "flying") {
+    y += 1.1 + random() * 1.5;
+  } else if (kind.movementStyle === "ghost") {
+    y += 0.6 + random() * 2;
+  }
+
+  const angle = random() * Math.PI * 2;
+  const start = { x: spot.x, y, z: spot.z };
+  const movement: NpcMovement = {
+    style: kind.movementStyle,
+    start,
+    speed: kind.speed + random() * 0.01,
+    range: 2 + random() * 3,
+    direction: { x: Math.cos(angle), z: Math.sin(angle) },
+    phase: random() * Math.PI * 2,
+  };
+
+  return {
+    id,
+    position: { ...start },
+    rotationY: Math.atan2(movement.direction.x, movement.direction.z),
+    type,
+    isCrushed: false,
+    movement,
+  };
+}
+
+/**
+ * Advance every NPC that a player is near enough to see by `dt`
+ * milliseconds, and bring back destroyed NPCs whose time is up. Only the
+ * zones near players are looked at; NPCs elsewhere wait, and any whose
+ * time is up come back once someone is near again. Returns the NPCs that
+ * moved and those that came back.
+ */
+export function stepNpcs(room: GameRoom, dt: number, now: number = Date.now()): { moved: ObstacleData[]; respawned: ObstacleData[] } {
+  const moved: ObstacleData[] = [];
+  const respawned: ObstacleData[] = [];
+  const normalizedDelta = dt / PLAYER_PHYSICS.frameMs;
+
+  const npcs = Array.from(getZonesNearPlayers(room).keys()).flatMap(key => room.populatedZones.get(key)?.npcIds ?? []);
+  npcs.forEach(id => {
+    const npc = room.obstacles.get(id);
+    const movement = npc?.movement;
+    if (!npc || !movement) return;
+
+    if (npc.isCrushed) {
+      if (npc.crushedAt !== undefined && now - npc.crushedAt >= NPC_RESPAWN_DELAY) {
+        respawnNpc(npc, movement);
+        respawned.push(npc);
+      }
+      return;
+    }
+
+    // Nobody around to see it move
+    if (room.zones.getNearby(npc.position).length === 0) return;
+
+    moveNpc(npc, movement, normalizedDelta);
+    moved.push(npc);
+  });
+
+  return { moved, respawned };
+}
+
+// The patrol of each movement style, scaled from per-frame amounts
+function moveNpc(npc: ObstacleData, movement: NpcMovement, normalizedDelta: number) {
+  const { position } = npc;
+  const { start } = movement;
+
+  if (movement.style === "ghost") {
+    // Drift around the spawn point in a loop, bobbing up and down
+    movement.phase += 0.02 * normalizedDelta;
+    position.x = start.x + Math.sin(movement.phase) * 2;
+    position.z = start.z + Math.cos(movement.phase) * 2;
+    position.y = start.y + Math.sin(movement.phase * 0.7) * 0.5;
+    return;
+  }
+
+  if (movement.style === "flying") {
+    movement.phase += 0.02 * normalizedDelta;
+    position.y = start.y + Math.sin(movement.phase) * getNpcKind(npc.type).jumpHeight * 0.5;
+  }
+
+  // Walk (or fly) straight, heading back toward the spawn point when too far out
+  position.x += movement.direction.x * movement.speed * normalizedDelta;
+  position.z += movement.direction.z * movement.speed * normalizedDelta;
+
+  const dx = start.x - position.x;
+  const dz = start.z - position.z;
+  const distanceFromStart = Math.hypot(dx, dz);
+  if (distanceFromStart > movement.range) {
+    movement.direction = { x: dx / distanceFromStart, z: dz / distanceFromStart };
+    npc.rotationY = Math.atan2(movement.direction.x, movement.direction.z);
+  }
+}
+
+function respawnNpc(npc: ObstacleData, movement: NpcMovement) {
+  Object.assign(npc.position, movement.start);
+  npc.isCrushed = false;
+  npc.crushedAt = undefined;
+  npc.hitPoints = undefined;
+}
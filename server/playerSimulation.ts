@@ -0,0 +1,182 @@
+import {
+  createPlayerState,
+  getCharacterSpeedBonus,
+  getPlayerAnimation,
+  stepPlayer,
+  HUB_PLATFORM_BOX,
+  PLAYER_PHYSICS,
+  SPEED_BOOST,
+  JUMP_BOOST,
+  type PlatformBox,
+  type PlayerInput,
+  type PlayerPhysicsState,
+  type Vec3,
+} from "@shared/playerPhysics";
+import type { Character } from "@shared/schema";
+
+// Inputs may arrive in bursts after network jitter, but a client can never
+// claim more simulated time than has actually passed (plus this much slack)
+const MAX_TIME_BUDGET_MS = 250;
+
+export const SPAWN_POSITION: Vec3 = { x: 0, y: 1, z: 0 };
+
+// Server-side movement state for one connected player
+export interface SimulatedPlayer {
+  state: PlayerPhysicsState;
+  speedBonus: number;
+  speedBoostMs: number; // input time left on a speed potion's boost
+  jumpBoostMs: number; // input time left on a jump potion's boost
+  lastProcessedSeq: number;
+  timeBudget: number;
+  lastBudgetUpdate: number;
+  dirty: boolean; // changed since the last broadcast
+}
+
+export function createSimulatedPlayer(character: Character | undefined, position: Vec3): SimulatedPlayer {
+  return {
+    state: createPlayerState(position),
+    speedBonus: getCharacterSpeedBonus(character),
+    speedBoostMs: 0,
+    jumpBoostMs: 0,
+    lastProcessedSeq: -1,
+    timeBudget: 0,
+    lastBudgetUpdate: Date.now(),
+    dirty: true,
+  };
+}
+
+// Coerce an untrusted input message into a well-formed PlayerInput
+export function parsePlayerInput(data: any): PlayerInput | null {
+  if (!data || typeof data.seq !== "number" || !Number.isFinite(data.seq)) {
+    return null;
+  }
+
+  const dt = Number(data.dt);
+  const cameraAngle = Number(data.cameraAngle);
+
+  return {
+    seq: Math.floor(data.seq),
+    dt: Number.isFinite(dt) ? Math.min(Math.max(dt, 0), PLAYER_PHYSICS.maxInputDt) : 0,
+    forward: data.forward === true,
+    backward: data.backward === true,
+    left: data.left === true,
+    right: data.right === true,
+    jump: data.jump === true,
+    cameraAngle: Number.isFinite(cameraAngle) ? cameraAngle : 0,
+  };
+}
+
+/**
+ * Apply one client input to the authoritative state. Inputs that are stale
+ * (already processed) are dropped, and the frame duration is clamped to the
+ * wall-clock time the client has actually had available.
+ */
+export function applyPlayerInput(
+  player: SimulatedPlayer,
+  input: PlayerInput,
+  platforms: PlatformBox[],
+  now: number = Date.now(),
+): boolean {
+  if (input.seq <= player.lastProcessedSeq) {
+    return false;
+  }
+
+  player.timeBudget = Math.min(
+    player.timeBudget + (now - player.lastBudgetUpdate),
+    MAX_TIME_BUDGET_MS,
+  );
+  player.lastBudgetUpdate = now;
+
+  const dt = Math.min(input.dt, player.timeBudget);
+  player.timeBudget -= dt;
+
+  // A boost runs out over input time, the same way the client predicts it
+  const speedMultiplier = player.speedBoostMs > 0 ? SPEED_BOOST.multiplier : 1;
+  const jumpMultiplier = player.jumpBoostMs > 0 ? JUMP_BOOST.multiplier : 1;
+  player.speedBoostMs = Math.max(player.speedBoostMs - dt, 0);
+  player.jumpBoostMs = Math.max(player.jumpBoostMs - dt, 0);
+
+  stepPlayer(player.state, { ...input, dt }, platforms, player.speedBonus, speedMultiplier, jumpMultiplier);
+  player.lastProcessedSeq = input.seq;
+  player.dirty = true;
+  return true;
+}
+
+// Start a speed potion's boost, or start it over
+export function boostSpeed(player: SimulatedPlayer): void {
+  player.speedBoostMs = SPEED_BOOST.durationMs;
+}
+
+// Start a jump potion's boost, or start it over
+export function boostJump(player: SimulatedPlayer): void {
+  player.jumpBoostMs = JUMP_BOOST.durationMs;
+}
+
+// Put a player back at the spawn point. `seq` is the input sequence number
+// the client reserved for the respawn, so later acks start after it.
+// The state is reset in place because callers hold on to its position.
+export function respawnSimulatedPlayer(player: SimulatedPlayer, seq: number, position: Vec3 = SPAWN_POSITION): void {
+  const { position: spawn, velocity, ...flags } = createPlayerState(position);
+  Object.assign(player.state.position, spawn);
+  Object.assign(player.state.velocity, velocity);
+  Object.assign(player.state, flags);
+  if (Number.isFinite(seq) && seq > player.lastProcessedSeq) {
+    player.lastProcessedSeq = Math.floor(seq);
+  }
+  player.dirty = true;
+}
+
+// Keep a player where it is when its owner reconnects. The new connection
+// numbers its inputs from zero again, so acknowledgements restart too.
+export function resumeSimulatedPlayer(player: SimulatedPlayer, now: number = Date.now()): void {
+  player.lastProcessedSeq = -1;
+  player.timeBudget = 0;
+  player.lastBudgetUpdate = now;
+  player.dirty = true;
+}
+
+// Collision boxes for the platforms the server knows about: the hub, the
+// generated platforms given, and platforms players built
+export function getServerPlatforms(
+  elements: Iterable<{ type: string; position: Vec3; dimensions?: { width: number; height: number; depth: number }; isActive?: boolean }>,
+  generated: PlatformBox[] = [],
+): PlatformBox[] {
+  const platforms: PlatformBox[] = [HUB_PLATFORM_BOX, ...generated];
+
+  for (const element of Array.from(elements)) {
+    if (element.type !== "platform" || element.isActive === false) continue;
+
+    const width = element.dimensions?.width || 1;
+    const height = element.dimensions?.height || 1;
+    const depth = element.dimensions?.depth || 1;
+    platforms.push({
+      min: {
+        x: element.position.x - width / 2,
+        y: element.position.y - height / 2,
+        z: element.position.z - depth / 2,
+      },
+      max: {
+        x: element.position.x + width / 2,
+        y: element.position.y + height / 2,
+        z: element.position.z + depth / 2,
+      },
+    });
+  }
+
+  return platforms;
+}
+
+// Payload broadcast to clients for one player's authoritative state
+export function serializePlayerState(id: string, player: SimulatedPlayer) {
+  const { position, velocity, rotationY, isGrounded } = player.state;
+  return {
+    id,
+    position: { ...position },
+    velocity: { ...velocity },
+    rotationY,
+    isGrounded,
+    animation: getPlayerAnimation(player.state),
+    lastProcessedSeq: player.lastProcessedSeq,
+    timestamp: Date.now(),
+  };
+}
@@ -0,0 +1,76 @@
+import type { ClientMessage } from "@shared/protocol";
+import { COIN_SCORE, SCORE_BOOST_MULTIPLIER } from "@shared/scoring";
+
+// Turns the running totals a client reports for its current run into
+// amounts to add to its account's stats. Reports repeat the whole run so
+// far, so only what changed since the last one is counted, and a run can't
+// claim more play time than has actually passed, or more coins and score
+// than the server saw it earn.
+
+type StatsReport = ClientMessage<"statsReport">;
+
+// Slack for reports arriving a little early or bunched up
+const PLAY_TIME_TOLERANCE_SECONDS = 5;
+
+// What has been counted so far of a client's current run
+export interface StatsRun {
+  coinsCollected: number;
+  playTime: number; // seconds
+  reportedAt: number;
+  awardedScore: number; // awarded by the server for kills and quests during the run
+  observedCoins: number; // coin pickups the server saw during the run
+  score: number; // as last reported, capped at what the run earned
+}
+
+export interface StatsDelta {
+  score: number; // the run's score, a candidate for the high score
+  coinsCollected: number;
+  playTime: number;
+}
+
+export function createStatsRun(now: number = Date.now()): StatsRun {
+  return { coinsCollected: 0, playTime: 0, reportedAt: now, awardedScore: 0, observedCoins: 0, score: 0 };
+}
+
+/**
+ * Work out what a report adds to the stats and advance `run` past it.
+ * Totals going backwards mean the client started a new run without ending
+ * the old one, so counting starts over; what the server awarded and saw is
+ * kept, since some may belong to the new run. A game over report closes the run.
+ *
+ * Reported totals are capped at what the server saw: no more coins than it
+ * saw the player pick up, and no more score than its kills, quests and those
+ * coins, all of them boosted. A client that counted a pickup the server
+ * missed still gets the rest of its run saved.
+ */
+export function takeStatsDelta(run: StatsRun, report: StatsReport, now: number = Date.now()): StatsDelta {
+  const maxScore = run.awardedScore + run.observedCoins * COIN_SCORE * SCORE_BOOST_MULTIPLIER;
+  const coinsCollected = Math.min(report.coinsCollected, run.observedCoins);
+  const score = Math.min(report.score, maxScore);
+
+  if (coinsCollected < run.coinsCollected || report.playTime < run.playTime) {
+    Object.assign(run, {
+      ...createStatsRun(run.reportedAt),
+      awardedScore: run.awardedScore,
+      observedCoins: run.observedCoins,
+    });
+  }
+
+  const maxPlayTime = run.playTime + (now - run.reportedAt) / 1000 + PLAY_TIME_TOLERANCE_SECONDS;
+  const playTime = Math.min(report.playTime, maxPlayTime);
+  const delta: StatsDelta = {
+    score: Math.floor(score),
+    coinsCollected: coinsCollected - run.coinsCollected,
+    playTime: Math.round(playTime) - Math.round(run.playTime),
+  };
+
+  if (report.gameOver) {
+    Object.assign(run, createStatsRun(now));
+  } else {
+    run.coinsCollected = coinsCollected;
+    run.playTime = playTime;
+    run.score = score;
+    run.reportedAt = now;
+  }
+  return delta;
+}
@@ -0,0 +1,135 @@
+import { z } from "zod";
+import { NPC_KINDS } from "@shared/npcs";
+import { questDefinitionSchema, type QuestDefinition, type ServerMessage } from "@shared/protocol";
+import { getGroundHeight } from "@shared/world";
+import { dialogueTreeSchema, findMissingNodes, type DialogueTree } from "./dialogue";
+import { shopSchema, type ShopDefinition } from "./shops";
+import npcContent from "./content/npcs.json";
+import questContent from "./content/quests.json";
+
+// The quests on offer and the townspeople in the hub who hand them out,
+// read from the JSON files in ./content so adding some takes no code.
+// Every world has the same ones. Content that doesn't check out stops the
+// server at startup instead of showing up broken in game.
+
+export type FriendlyNpc = ServerMessage<"roomJoined">["friendlyNpcs"][number];
+
+// A townsperson as written in npcs.json. They stand on the ground wherever
+// they are put, and offer the quests that name them as giver through what
+// they say. Merchants, and only merchants, have a shop.
+const npcContentSchema = z.object({
+  id: z.string().min(1).max(64),
+  name: z.string().min(1).max(64),
+  role: z.enum(["quest", "villager", "merchant"]),
+  position: z.object({ x: z.number().finite(), z: z.number().finite() }),
+  dialogue: dialogueTreeSchema,
+  shop: shopSchema.optional(),
+});
+
+type NpcContent = z.infer<typeof npcContentSchema>;
+
+function parseContent<S extends z.ZodTypeAny>(schema: S, content: unknown, file: string): z.infer<S> {
+  const result = schema.safeParse(content);
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`);
+    throw new Error(`Invalid ${file}:\n  ${problems.join("\n  ")}`);
+  }
+  return result.data;
+}
+
+// Whether a quest ends up needing itself first, directly or through others
+function hasCircularPrerequisites(quest: QuestDefinition, quests: Map<string, QuestDefinition>, needing: string[] = []): boolean {
+  if (needing.includes(quest.id)) return true;
+  return quest.prerequisites.some(questId => {
+    const prerequisite = quests.get(questId);
+    return prerequisite !== undefined && hasCircularPrerequisites(prerequisite, quests, [...needing, quest.id]);
+  });
+}
+
+// What the schemas can't see: ids that clash or point at nothing
+function checkContent(npcs: NpcContent[], quests: QuestDefinition[]) {
+  const problems: string[] = [];
+  const npcIds = new Set(npcs.map(npc => npc.id));
+  const questsById = new Map(quests.map(quest => [quest.id, quest]));
+  if (npcIds.size !== npcs.length) problems.push("npcs.json: NPC ids must be unique");
+  if (questsById.size !== quests.length) problems.push("quests.json: quest ids must be unique");
+
+  npcs.forEach(npc => {
+    if ((npc.role === "merchant") !== (npc.shop !== undefined)) {
+      problems.push(`${npc.id}: merchants need a shop, and only merchants may have one`);
+    }
+    findMissingNodes(npc.dialogue).forEach(nodeId => problems.push(`${npc.id}: dialogue node ${nodeId} is missing`));
+
+    Object.entries(npc.dialogue.nodes).forEach(([nodeId, node]) => node.choices.forEach(choice => {
+      choice.conditions.forEach(condition => {
+        if (condition.type === "questState" && !questsById.has(condition.questId)) {
+          problems.push(`${npc.id}.${nodeId}: condition on unknown quest ${condition.questId}`);
+        }
+      });
+      choice.actions.forEach(action => {
+        if (action.type === "startQuest" && questsById.get(action.questId)?.giver !== npc.id) {
+          problems.push(`${npc.id}.${nodeId}: ${npc.id} doesn't give quest ${action.questId}`);
+        }
+        if (action.type === "openShop" && !npc.shop) {
+          problems.push(`${npc.id}.${nodeId}: ${npc.id} has no shop to open`);
+        }
+      });
+    }));
+  });
+
+  quests.forEach(quest => {
+    if (!npcIds.has(quest.giver)) {
+      problems.push(`${quest.id}: giver ${quest.giver} is not in npcs.json`);
+    }
+    quest.prerequisites
+      .filter(questId => !questsById.has(questId))
+      .forEach(questId => problems.push(`${quest.id}: prerequisite ${questId} is not a quest`));
+    if (hasCircularPrerequisites(quest, questsById)) {
+      problems.push(`${quest.id}: prerequisites lead back to the quest itself`);
+    }
+
+    quest.objectives.forEach(objective => {
+      if (objective.event === "npcTalkedTo" && objective.target !== undefined && !npcIds.has(objective.target)) {
+        problems.push(`${quest.id}.${objective.id}: no NPC ${objective.target} to talk to`);
+      }
+      if (objective.event === "npcCrushed" && objective.target !== undefined && !(objective.target in NPC_KINDS)) {
+        problems.push(`${quest.id}.${objective.id}: no kind of NPC called ${objective.target}`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid quest content:\n  ${problems.join("\n  ")}`);
+  }
+}
+
+export const QUEST_DEFINITIONS: QuestDefinition[] = parseContent(z.array(questDefinitionSchema), questContent, "quests.json");
+
+const npcs: NpcContent[] = parseContent(z.array(npcContentSchema), npcContent, "npcs.json");
+checkContent(npcs, QUEST_DEFINITIONS);
+
+// Dialogue and shops stay on the server, which runs them for each player
+export const FRIENDLY_NPCS: FriendlyNpc[] = npcs.map(({ dialogue, shop, ...npc }) => ({
+  ...npc,
+  position: { x: npc.position.x, y: getGroundHeight(npc.position), z: npc.position.z },
+  quests: QUEST_DEFINITIONS.filter(quest => quest.giver === npc.id).map(quest => quest.id),
+}));
+
+const dialogueTrees = new Map<string, DialogueTree>(npcs.map(npc => [npc.id, npc.dialogue]));
+const shops = new Map<string, ShopDefinition>(npcs.flatMap(npc => npc.shop ? [[npc.id, npc.shop]] : []));
+
+export function getQuestDefinition(questId: string): QuestDefinition | undefined {
+  return QUEST_DEFINITIONS.find(quest => quest.id === questId);
+}
+
+export function getFriendlyNpc(npcId: string): FriendlyNpc | undefined {
+  return FRIENDLY_NPCS.find(npc => npc.id === npcId);
+}
+
+export function getDialogueTree(npcId: string): DialogueTree | undefined {
+  return dialogueTrees.get(npcId);
+}
+
+export function getShopDefinition(npcId: string): ShopDefinition | undefined {
+  return shops.get(npcId);
+}
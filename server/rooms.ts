@@ -0,0 +1,290 @@
+import type { NpcMovementStyle } from "@shared/npcs";
+import type { PlatformBox } from "@shared/playerPhysics";
+import type { Gear } from "@shared/protocol";
+import type { Character } from "@shared/schema";
+import {
+  generateZoneCoins,
+  generateZonePlatforms,
+  getNearbyZones,
+  getPlatformBox,
+  getZoneKey,
+  type CoinLayout,
+} from "@shared/world";
+import { ZoneIndex } from "./areaOfInterest";
+import { CHEST_REFILL_DELAY } from "./chests";
+import { FRIENDLY_NPCS, QUEST_DEFINITIONS } from "./quests";
+import type { ShopState } from "./shops";
+import type { SimulatedPlayer } from "./playerSimulation";
+
+export interface PlayerData {
+  netId: number; // the owning client's compact id for binary messages
+  name: string; // the owning client's display name
+  character: Character;
+  gear: Gear; // what the owning client wears, as others see it
+  position: {
+    x: number;
+    y: number;
+    z: number;
+  };
+  // Authoritative movement state, simulated for every player whichever
+  // transport (/ws or Socket.IO) it is on
+  simulation?: SimulatedPlayer;
+}
+
+export interface ObstacleData {
+  id: string;
+  position: {
+    x: number;
+    y: number;
+    z: number;
+  };
+  type: string;
+  isCrushed?: boolean;
+  hitPoints?: number; // set the first time it is hit
+  crushedAt?: number; // when it was destroyed, to bring it back later
+  rotationY?: number;
+  movement?: NpcMovement; // how the server moves it
+}
+
+// An NPC's patrol around the point it spawned at
+export interface NpcMovement {
+  style: NpcMovementStyle;
+  start: {
+    x: number;
+    y: number;
+    z: number;
+  };
+  speed: number;
+  range: number; // how far it strays from the start
+  direction: {
+    x: number;
+    z: number;
+  };
+  phase: number; // progress through its bobbing or circling
+}
+
+// A loot chest placed by the server
+export interface ChestData {
+  id: string;
+  position: {
+    x: number;
+    y: number;
+    z: number;
+  };
+  level: number; // better loot at higher levels
+  openedAt?: number; // set while opened, to close it again later
+}
+
+export interface ElementData {
+  id: string;
+  type: string;
+  position: {
+    x: number;
+    y: number;
+    z: number;
+  };
+  dimensions?: {
+    width: number;
+    height: number;
+    depth: number;
+  };
+  theme?: string;
+  isActive?: boolean;
+}
+
+// What the server spawned in a zone, kept while players come near it
+export interface PopulatedZone {
+  npcIds: string[];
+  chestIds: string[];
+  lastNearAt: number; // when a player was last near enough to populate it
+}
+
+// What the world generator put in a zone that the server needs
+export interface ZoneLayout {
+  platforms: PlatformBox[];
+  coins: CoinLayout[];
+}
+
+// Live state of one running game world (a row in game_worlds)
+export interface GameRoom {
+  worldId: number;
+  seed: number; // the world's generation seed, shared with every client
+  members: Set<string>; // connected clients, including those still picking a character
+  players: Map<string, PlayerData>; // clients that have selected a character
+  obstacles: Map<string, ObstacleData>;
+  elements: Map<string, ElementData>;
+  chests: Map<string, ChestData>;
+  shops: Map<string, ShopState>; // by merchant id, created when first visited
+  zones: ZoneIndex; // where each member's player is, for area-of-interest filtering
+  populatedZones: Map<string, PopulatedZone>; // zones whose NPCs and chests have been spawned, by zone key
+  zoneLayouts: Map<string, ZoneLayout>; // generated platforms and coins by zone key, once needed
+  emptySince?: number; // when the last member left, while nobody is in it
+}
+
+// How long a room nobody is in is kept. At least as long as chests take to
+// refill, so leaving and coming back can't empty them again any sooner.
+export const EMPTY_ROOM_LIFETIME = CHEST_REFILL_DELAY;
+
+// Keeps track of which world each connected client is in
+export class RoomManager {
+  private rooms: Map<number, GameRoom>;
+  private clientRooms: Map<string, number>;
+  private parkedElements: Map<number, Map<string, ElementData>>; // built in rooms since removed
+
+  constructor() {
+    this.rooms = new Map();
+    this.clientRooms = new Map();
+    this.parkedElements = new Map();
+  }
+
+  // Get the room for a world, creating it the first time it is used. Rooms
+  // created without the world's seed fall back to one derived from its id.
+  getRoom(worldId: number, seed: number = worldId): GameRoom {
+    let room = this.rooms.get(worldId);
+    if (!room) {
+      room = {
+        worldId,
+        seed,
+        members: new Set(),
+        players: new Map(),
+        obstacles: new Map(),
+        elements: this.parkedElements.get(worldId) ?? new Map(),
+        chests: new Map(),
+        shops: new Map(),
+        zones: new ZoneIndex(),
+        populatedZones: new Map(),
+        zoneLayouts: new Map(),
+      };
+      this.rooms.set(worldId, room);
+      this.parkedElements.delete(worldId);
+    }
+    return room;
+  }
+
+  // The room for a world, if anyone has joined it yet
+  findRoom(worldId: number): GameRoom | undefined {
+    return this.rooms.get(worldId);
+  }
+
+  getClientRoom(clientId: string): GameRoom | undefined {
+    const worldId = this.clientRooms.get(clientId);
+    return worldId === undefined ? undefined : this.rooms.get(worldId);
+  }
+
+  // Add a client to a room. The caller must have left any previous room first.
+  join(clientId: string, worldId: number, seed?: number): GameRoom {
+    const room = this.getRoom(worldId, seed);
+    room.members.add(clientId);
+    room.emptySince = undefined;
+    this.clientRooms.set(clientId, worldId);
+    return room;
+  }
+
+  // Remove a client from its room, returning the room and the player it had there
+  leave(clientId: string): { room: GameRoom; player?: PlayerData } | undefined {
+    const room = this.getClientRoom(clientId);
+    if (!room) return undefined;
+
+    const player = room.players.get(clientId);
+    room.members.delete(clientId);
+    room.players.delete(clientId);
+    room.zones.remove(clientId);
+    this.clientRooms.delete(clientId);
+    if (room.members.size === 0) {
+      room.emptySince = Date.now();
+    }
+    return { room, player };
+  }
+
+  // Drop the rooms that have been empty for a while, returning their world
+  // ids. What players built in them is kept for when someone comes back.
+  removeIdleRooms(now: number = Date.now()): number[] {
+    const removed: number[] = [];
+    this.rooms.forEach((room, worldId) => {
+      if (room.emptySince === undefined || now - room.emptySince < EMPTY_ROOM_LIFETIME) return;
+
+      if (room.elements.size > 0) {
+        this.parkedElements.set(worldId, room.elements);
+      }
+      this.rooms.delete(worldId);
+      removed.push(worldId);
+    });
+    return removed;
+  }
+
+  getOccupancy(worldId: number): number {
+    return this.rooms.get(worldId)?.members.size ?? 0;
+  }
+
+  allRooms(): GameRoom[] {
+    return Array.from(this.rooms.values());
+  }
+}
+
+// Everything a client needs to render a room it has just joined
+export function getRoomSnapshot(room: GameRoom, forClientId: string) {
+  return {
+    worldId: room.worldId,
+    seed: room.seed,
+    players: Array.from(room.players.entries())
+      .filter(([id]) => id !== forClientId)
+      .map(([id, player]) => ({
+        id,
+        netId: player.netId,
+        name: player.name,
+        character: player.character,
+        position: player.position,
+        gear: player.gear,
+      })),
+    obstacles: Array.from(room.obstacles.values()).map(obstacle => ({
+      id: obstacle.id,
+      position: obstacle.position,
+      obstacleType: obstacle.type,
+      isCrushed: obstacle.isCrushed || false,
+    })),
+    elements: Array.from(room.elements.values()),
+    chests: Array.from(room.chests.values()).map(serializeChest),
+    friendlyNpcs: FRIENDLY_NPCS,
+    quests: QUEST_DEFINITIONS,
+  };
+}
+
+// Layouts of the zones a player at `position` can reach. Each zone's is
+// generated the first time a player comes near.
+function getNearbyLayouts(room: GameRoom, position: { x: number; z: number }): ZoneLayout[] {
+  return getNearbyZones(position).map(({ gridX, gridZ }) => {
+    const key = getZoneKey(gridX, gridZ);
+    let layout = room.zoneLayouts.get(key);
+    if (!layout) {
+      const platforms = generateZonePlatforms(room.seed, gridX, gridZ);
+      layout = {
+        platforms: platforms.map(getPlatformBox),
+        coins: generateZoneCoins(room.seed, gridX, gridZ, platforms),
+      };
+      room.zoneLayouts.set(key, layout);
+    }
+    return layout;
+  });
+}
+
+// Boxes of the generated platforms a player at `position` can touch
+export function getNearbyPlatforms(room: GameRoom, position: { x: number; z: number }): PlatformBox[] {
+  return getNearbyLayouts(room, position).flatMap(layout => layout.platforms);
+}
+
+// Coins a player at `position` can reach
+export function getNearbyCoins(room: GameRoom, position: { x: number; z: number }): CoinLayout[] {
+  return getNearbyLayouts(room, position).flatMap(layout => layout.coins);
+}
+
+// A chest as clients see it
+export function serializeChest(chest: ChestData) {
+  return {
+    id: chest.id,
+    position: chest.position,
+    level: chest.level,
+    isOpened: chest.openedAt !== undefined,
+  };
+}
+
+export const rooms = new RoomManager();
@@ -1,16 +1,32 @@
 import type { Express, Request, Response, NextFunction } from "express";
-import { createServer, type Server } from "http";
+import { createServer, type Server, type IncomingMessage } from "http";
 import { Server as SocketIOServer } from "socket.io";
 import { WebSocketServer, WebSocket } from "ws";
 import { storage } from "./storage";
-import { Character } from "../shared/schema";
 import { pool } from "./db";
+import { getRequestUser, setupAuth } from "./auth";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import { createServer as createViteServer } from "vite";
 import { log } from "./vite";
+import {
+  connectClient,
+  disconnectClient,
+  getConnectedClientCount,
+  handleClientBinary,
+  handleClientEvent,
+  startStateBroadcast,
+  DEFAULT_WORLD_ID,
+  type ClientConnection,
+} from "./gameSession";
+import { rooms } from "./rooms";
+import { BINARY_EVENT } from "@shared/binaryProtocol";
+import { parseProtocolVersions } from "@shared/protocol";
+import type { User } from "@shared/schema";
+import { getPlayableCharacter } from "@shared/characters";
+import { leaderboardQuerySchema } from "@shared/leaderboard";
 
 // Simple page cache for SSR
 const pageCache = new Map<string, {html: string, timestamp: number}>();
@@ -108,50 +124,6 @@ async function renderPage(req: Request, res: Response, next: NextFunction): Prom
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-interface PlayerData {
-  character: Character;
-  position: {
-    x: number;
-    y: number;
-    z: number;
-  };
-}
-
-interface ObstacleData {
-  id: string;
-  position: {
-    x: number;
-    y: number;
-    z: number;
-  };
-  type: string;
-  isCrushed?: boolean;
-}
-
-interface ElementData {
-  id: string;
-  type: string;
-  position: {
-    x: number;
-    y: number;
-    z: number;
-  };
-  dimensions?: {
-    width: number;
-    height: number;
-    depth: number;
-  };
-  theme?: string;
-  isActive?: boolean;
-}
-
-// Store connected players and temporary game state
-// These will be synchronized with persistent storage
-const players = new Map<string, PlayerData>();
-const obstacles = new Map<string, ObstacleData>();
-const elements = new Map<string, ElementData>();
-const DEFAULT_WORLD_ID = 1;
-
 // Cache game worlds to avoid duplicate database calls
 let cachedGameWorlds: any[] = [];
 let lastWorldsFetchTime = 0;
@@ -171,6 +143,9 @@ async function getGameWorlds() {
 export async function registerRoutes(app: Express): Promise<Server> {
   // API routes prefix with /api
   // Health check moved to a single implementation below
+
+  // Accounts and session cookies
+  setupAuth(app);
   
   // Clear the SSR cache when requested (useful for deployments)
   app.post("/api/clear-cache", (req, res) => {
@@ -180,7 +155,8 @@ export async function registerRoutes(app: Express): Promise<Server> {
 
   // Game-related API endpoints
   app.get("/api/players", (req, res) => {
-    const playersList = Array.from(players.entries()).map(([id, data]) => ({
+    const worldId = parseInt(req.query.worldId as string) || DEFAULT_WORLD_ID;
+    const playersList = Array.from(rooms.findRoom(worldId)?.players.entries() ?? []).map(([id, data]) => ({
       id,
       character: data.character,
       position: data.position
@@ -190,7 +166,8 @@ export async function registerRoutes(app: Express): Promise<Server> {
 
   app.get("/api/obstacles", async (req, res) => {
     // Get both in-memory obstacles and persisted ones
-    const obstaclesList = Array.from(obstacles.entries()).map(([id, data]) => ({
+    const worldId = parseInt(req.query.worldId as string) || DEFAULT_WORLD_ID;
+    const obstaclesList = Array.from(rooms.findRoom(worldId)?.obstacles.entries() ?? []).map(([id, data]) => ({
       id,
       position: data.position,
       type: data.type,
@@ -198,7 +175,6 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }));
     
     // Add persisted obstacles
-    const worldId = parseInt(req.query.worldId as string) || DEFAULT_WORLD_ID;
     const persistedObstacles = await storage.getWorldObstacles(worldId);
     
     // Convert database format to client format
@@ -261,7 +237,44 @@ export async function registerRoutes(app: Express): Promise<Server> {
   
   app.get("/api/worlds", async (req, res) => {
     const worlds = await getGameWorlds();
-    res.json(worlds);
+    
+    // Add live occupancy from the running rooms
+    res.json(worlds.map(world => ({
+      ...world,
+      playerCount: rooms.getOccupancy(world.id)
+    })));
+  });
+  
+  // The logged-in player's stats, one entry per character played
+  app.get("/api/stats", async (req, res) => {
+    if (req.session.userId === undefined) {
+      return res.sendStatus(401);
+    }
+
+    const stats = await storage.getPlayerStats(req.session.userId);
+    res.json(stats.map(entry => ({
+      characterId: entry.characterId,
+      highScore: entry.highScore ?? 0,
+      coinsCollected: entry.coinsCollected ?? 0,
+      levelsCompleted: entry.levelsCompleted ?? 0,
+      playTime: entry.playTime ?? 0
+    })));
+  });
+  
+  // Best scores, overall or for one character, over all time, today or this week
+  app.get("/api/leaderboard", async (req, res) => {
+    const parsed = leaderboardQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ message: 'Invalid leaderboard query', issues: parsed.error.issues });
+    }
+
+    const query = parsed.data;
+    if (query.character && !getPlayableCharacter(query.character)) {
+      return res.status(404).json({ message: `Unknown character ${query.character}` });
+    }
+
+    const entries = await storage.getLeaderboard(query);
+    res.json({ period: query.period, character: query.character ?? null, entries });
   });
   
   // Health check endpoint for monitoring and cron jobs
@@ -278,11 +291,11 @@ export async function registerRoutes(app: Express): Promise<Server> {
         timestamp: new Date().toISOString()
       }));
       
-      // Check active players count
-      const activePlayers = players.size;
-      
-      // Check active obstacles count
-      const activeObstacles = obstacles.size;
+      // Count active players, obstacles and elements across all rooms
+      const activeRooms = rooms.allRooms();
+      const activePlayers = activeRooms.reduce((sum, room) => sum + room.players.size, 0);
+      const activeObstacles = activeRooms.reduce((sum, room) => sum + room.obstacles.size, 0);
+      const activeElements = activeRooms.reduce((sum, room) => sum + room.elements.size, 0);
       
       // System health info
       const healthInfo = {
@@ -297,9 +310,11 @@ export async function registerRoutes(app: Express): Promise<Server> {
           rss: Math.floor(process.memoryUsage().rss / 1024 / 1024),
         },
         game: {
+          activeRooms: activeRooms.length,
+          connectedClients: getConnectedClientCount(),
           activePlayers,
           activeObstacles,
-          activeElements: elements.size,
+          activeElements,
         }
       };
       
@@ -342,518 +357,162 @@ export async function registerRoutes(app: Express): Promise<Server> {
   // Log environment information
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode`);
   
+  // Both transports play as the account logged in on the browser, if any
+  io.use((socket, next) => {
+    getRequestUser(socket.request).then(user => {
+      socket.data.user = user;
+      next();
+    });
+  });
+
+  // Socket.IO transport: every event goes through the shared game session
   io.on("connection", (socket) => {
     console.log(`Player connected: ${socket.id}`);
-    
-    // Send list of current players to newly connected player
-    players.forEach((playerData, playerId) => {
-      if (playerId !== socket.id) {
-        socket.emit("playerJoin", {
-          id: playerId,
-          character: playerData.character,
-          position: playerData.position
-        });
-      }
-    });
-    
-    // Send list of current obstacles to newly connected player
-    obstacles.forEach((obstacleData, obstacleId) => {
-      socket.emit("obstacleState", {
-        id: obstacleId,
-        position: obstacleData.position,
-        type: obstacleData.type,
-        isCrushed: obstacleData.isCrushed || false
-      });
-    });
-    
-    // Handle character selection
-    socket.on("selectCharacter", (character: Character) => {
-      console.log(`Player ${socket.id} selected character: ${character.name}`);
-      
-      // Store player data with default position
-      players.set(socket.id, {
-        character,
-        position: { x: 0, y: 1, z: 0 }
-      });
-      
-      // Broadcast to all other players that a new player has joined
-      socket.broadcast.emit("playerJoin", {
-        id: socket.id,
-        character,
-        position: { x: 0, y: 1, z: 0 }
-      });
-    });
-    
-    // Handle position updates
-    socket.on("updatePosition", (data: { 
-      character: Character, 
-      position: { x: number, y: number, z: number } 
-    }) => {
-      // Update player position in our records
-      if (players.has(socket.id)) {
-        players.set(socket.id, {
-          character: data.character,
-          position: data.position
-        });
-        
-        // Broadcast position update to all other players
-        socket.broadcast.emit("playerMove", {
-          id: socket.id,
-          position: data.position
-        });
-      }
-    });
-    
-    // Handle obstacle addition
-    socket.on("addObstacle", async (data: ObstacleData & { worldId?: number }) => {
-      // Store obstacle data in memory for real-time updates
-      obstacles.set(data.id, {
-        id: data.id,
-        position: data.position,
-        type: data.type
-      });
-      
-      // Also persist to storage
-      const worldId = data.worldId || DEFAULT_WORLD_ID;
-      try {
-        await storage.createWorldObstacle({
-          worldId,
-          obstacleId: data.id,
-          type: data.type,
-          posX: Math.round(data.position.x),
-          posY: Math.round(data.position.y),
-          posZ: Math.round(data.position.z),
-          isCrushed: false
-        });
-        console.log(`Persisted obstacle ${data.id} to world ${worldId}`);
-      } catch (err) {
-        console.error("Error persisting obstacle:", err);
-      }
-      
-      // Broadcast to all other players about the new obstacle
-      socket.broadcast.emit("obstacleState", {
-        id: data.id,
-        position: data.position,
-        type: data.type
-      });
-    });
-    
-    // Handle obstacle updates (crushed, moved, etc.)
-    socket.on("obstacleUpdate", async (data: { id: string, isCrushed?: boolean, worldId?: number }) => {
-      // Update obstacle in our in-memory records
-      if (obstacles.has(data.id)) {
-        const obstacle = obstacles.get(data.id)!;
-        
-        if (data.isCrushed !== undefined) {
-          obstacle.isCrushed = data.isCrushed;
-        }
-        
-        obstacles.set(data.id, obstacle);
-        
-        // Try to update in persistent storage by obstacleId
-        try {
-          // Find obstacle in database by obstacleId and update its crush status
-          const worldId = data.worldId || DEFAULT_WORLD_ID;
-          const obstaclesList = await storage.getWorldObstacles(worldId);
-          const persistedObstacle = obstaclesList.find(o => o.obstacleId === data.id);
-          
-          if (persistedObstacle && data.isCrushed !== undefined) {
-            await storage.updateWorldObstacle(persistedObstacle.id, data.isCrushed);
-            console.log(`Updated persistent obstacle ${data.id} crush status to ${data.isCrushed}`);
-          }
-        } catch (err) {
-          console.error("Error updating obstacle in storage:", err);
-        }
-        
-        // Broadcast obstacle update to all other players
-        socket.broadcast.emit("obstacleUpdate", data);
-      }
-    });
-    
-    // Handle world element addition (platforms, decorations, etc.)
-    socket.on("addWorldElement", async (data: ElementData & { worldId?: number }) => {
-      // Store element data in memory for real-time updates
-      elements.set(data.id, data);
-      
-      // Also persist to storage
-      const worldId = data.worldId || DEFAULT_WORLD_ID;
-      try {
-        await storage.createWorldElement({
-          worldId,
-          elementId: data.id,
-          type: data.type,
-          posX: Math.round(data.position.x),
-          posY: Math.round(data.position.y),
-          posZ: Math.round(data.position.z),
-          width: data.dimensions?.width || 1,
-          height: data.dimensions?.height || 1,
-          depth: data.dimensions?.depth || 1,
-          theme: data.theme || "default",
-          isActive: data.isActive !== false
-        });
-        console.log(`Persisted world element ${data.id} to world ${worldId}`);
-      } catch (err) {
-        console.error("Error persisting world element:", err);
-      }
-      
-      // Broadcast to all other players about the new element
-      socket.broadcast.emit("worldElementState", {
-        id: data.id,
-        type: data.type,
-        position: data.position,
-        dimensions: data.dimensions,
-        theme: data.theme
-      });
-    });
-    
-    // Handle parallax layer addition or update
-    socket.on("updateParallaxLayer", async (data: {
-      layerIndex: number;
-      speed: number;
-      color: string;
-      depth: number;
-      posZ: number;
-      worldId?: number;
-    }) => {
-      const worldId = data.worldId || DEFAULT_WORLD_ID;
-      
-      try {
-        // Check if the layer already exists
-        const existingLayers = await storage.getParallaxLayers(worldId);
-        const existingLayer = existingLayers.find(layer => layer.layerIndex === data.layerIndex);
-        
-        if (!existingLayer) {
-          // Create a new layer
-          await storage.createParallaxLayer({
-            worldId,
-            layerIndex: data.layerIndex,
-            speed: data.speed,
-            color: data.color,
-            depth: data.depth,
-            posZ: data.posZ,
-            isActive: true
-          });
-          console.log(`Created new parallax layer ${data.layerIndex} for world ${worldId}`);
-        }
-        
-        // Broadcast the parallax layer update to all other players
-        socket.broadcast.emit("parallaxLayerUpdate", {
-          layerIndex: data.layerIndex,
-          speed: data.speed,
-          color: data.color,
-          depth: data.depth,
-          posZ: data.posZ
-        });
-      } catch (err) {
-        console.error("Error persisting parallax layer:", err);
+
+    const connection: ClientConnection = {
+      send: (event, payload) => {
+        socket.emit(event, payload);
+      },
+      sendBinary: (bytes) => {
+        socket.emit(BINARY_EVENT, bytes);
+      },
+      close: () => {
+        socket.disconnect(true);
       }
+    };
+    // A resumed session keeps its original id rather than this socket's
+    const sessionId = connectClient(socket.id, connection, {
+      worldId: Number(socket.handshake.query.worldId),
+      protocolVersions: parseProtocolVersions(socket.handshake.query.protocol),
+      encoding: String(socket.handshake.query.encoding || ''),
+      resumeToken: typeof socket.handshake.query.resume === 'string' ? socket.handshake.query.resume : null,
+      user: socket.data.user
     });
-    
-    // Handle player attack
-    socket.on("playerAttack", (data: { 
-      position: { x: number, y: number, z: number },
-      color: number 
-    }) => {
-      // Broadcast the attack to all other players
-      socket.broadcast.emit("playerAttack", {
-        id: socket.id,
-        position: data.position,
-        color: data.color
-      });
-    });
-    
-    // Handle decoration collision events
-    socket.on("decorationCollision", async (data: { 
-      decorationId: string, 
-      position: { x: number, y: number, z: number },
-      type: string,
-      worldId?: number
-    }) => {
-      // Store collision info and broadcast to other players
-      console.log(`Player ${socket.id} collided with decoration ${data.decorationId} (${data.type})`);
-      
-      // Broadcast to other players to show decoration interaction
-      socket.broadcast.emit("decorationInteraction", {
-        decorationId: data.decorationId,
-        position: data.position,
-        type: data.type,
-        playerId: socket.id
-      });
-      
-      // Persist decoration to world elements if it's a significant one
-      const worldId = data.worldId || DEFAULT_WORLD_ID;
-      try {
-        if (Math.random() < 0.2) { // Only persist some decorations to avoid database bloat
-          await storage.createWorldElement({
-            worldId,
-            elementId: data.decorationId,
-            type: data.type,
-            posX: Math.round(data.position.x * 10) / 10,
-            posY: Math.round(data.position.y * 10) / 10,
-            posZ: Math.round(data.position.z * 10) / 10,
-            isActive: true,
-            width: 1,
-            height: 1,
-            depth: 1,
-            theme: "decoration"
-          });
-          console.log(`Persisted decoration ${data.decorationId} to world ${worldId}`);
-        }
-      } catch (err) {
-        console.error("Error persisting decoration:", err);
+    if (!sessionId) return;
+
+    socket.onAny((event: string, data: any) => {
+      if (event === BINARY_EVENT && data instanceof Uint8Array) {
+        handleClientBinary(sessionId, data);
+      } else {
+        handleClientEvent(sessionId, event, data);
       }
     });
-    
-    // Handle disconnection
-    socket.on("disconnect", () => {
-      console.log(`Player disconnected: ${socket.id}`);
-      
-      // Remove player from our records
-      players.delete(socket.id);
-      
-      // Broadcast to all other players that this player has left
-      io.emit("playerLeave", socket.id);
+
+    socket.on("disconnect", (reason) => {
+      console.log(`Player disconnected: ${socket.id} (${reason})`);
+      disconnectClient(sessionId, connection, reason === 'client namespace disconnect');
     });
   });
 
-  // Set up WebSocket server with Socket.io-like protocol for compatibility
-  // Create WebSocket server with explicit handling of path and protocol
-  const wss = new WebSocketServer({ 
-    server: httpServer, 
-    path: '/ws',
+  // Set up WebSocket server with Socket.io-like protocol for compatibility.
+  // Upgrades are routed by hand: a WebSocketServer bound to the HTTP server
+  // rejects every other path, which broke Socket.IO's websocket transport.
+  const wss = new WebSocketServer({
+    noServer: true,
     perMessageDeflate: false // Disable compression for better compatibility
   });
-  
-  // Track connected clients with their IDs and data
-  const wsClients = new Map<string, { 
-    ws: WebSocket, 
-    id: string,
-    playerData?: PlayerData 
-  }>();
-  
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url || '/', 'http://localhost').pathname !== '/ws') return;
+
+    getRequestUser(req).then(user => {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, user);
+      });
+    });
+  });
+
   // Generate unique client IDs
   let nextClientId = 1;
-  
-  wss.on('connection', (ws, req) => {
-    // Generate client ID
+
+  // Raw WebSocket transport: messages are JSON objects whose `type` field
+  // carries the event name and whose other fields are the payload
+  wss.on('connection', (ws: WebSocket, req: IncomingMessage, user?: User) => {
     const clientId = `ws-client-${nextClientId++}`;
     const clientIp = req.socket.remoteAddress || 'unknown';
-    
     console.log(`WebSocket client connected: ${clientId} from ${clientIp}`);
-    wsClients.set(clientId, { ws, id: clientId });
-    
-    // Send initial connection confirmation
-    try {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ 
-          type: 'connect', 
-          id: clientId,
-          message: 'Connected to WebSocket server',
-          timestamp: Date.now(),
-          clients: wsClients.size
-        }));
-        
-        // Send list of current players to newly connected client
-        players.forEach((playerData, playerId) => {
-          if (playerId !== clientId) {
-            ws.send(JSON.stringify({
-              type: 'playerJoin',
-              id: playerId,
-              character: playerData.character,
-              position: playerData.position
-            }));
-          }
-        });
-        
-        // Send list of current obstacles to newly connected client
-        obstacles.forEach((obstacleData, obstacleId) => {
-          ws.send(JSON.stringify({
-            type: 'obstacleState',
-            id: obstacleId,
-            position: obstacleData.position,
-            obstacleType: obstacleData.type,
-            isCrushed: obstacleData.isCrushed || false
-          }));
-        });
+
+    // The handshake (world, protocol versions, encoding and resume token)
+    // comes in the query string
+    const query = new URL(req.url || '/ws', 'http://localhost').searchParams;
+    const connection: ClientConnection = {
+      send: (event, payload) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ ...payload, type: event }));
+        }
+      },
+      sendBinary: (bytes) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(bytes);
+        }
+      },
+      close: (reason) => {
+        if (reason === 'unsupportedProtocol') {
+          ws.close(1002, 'Unsupported protocol version');
+        } else if (reason === 'kicked') {
+          ws.close(1008, 'Kicked for violating server rules');
+        } else if (reason === 'signedInElsewhere') {
+          ws.close(4001, 'Signed in on another connection');
+        } else {
+          ws.close(4000, 'Session resumed on another connection');
+        }
       }
-    } catch (error) {
-      console.error('Error sending welcome data:', error);
-    }
-    
-    // Handle incoming messages - parse Socket.io-like events
-    ws.on('message', (message) => {
+    };
+    // A resumed session keeps its original id rather than this connection's
+    const sessionId = connectClient(clientId, connection, {
+      worldId: Number(query.get('worldId')),
+      protocolVersions: parseProtocolVersions(query.get('protocol')),
+      encoding: query.get('encoding'),
+      resumeToken: query.get('resume'),
+      user
+    });
+    if (!sessionId) return;
+
+    ws.on('message', (message, isBinary) => {
+      if (isBinary) {
+        const bytes = Array.isArray(message) ? Buffer.concat(message) : Buffer.from(message as ArrayBuffer);
+        handleClientBinary(sessionId, bytes);
+        return;
+      }
+
+      let data;
       try {
-        const data = JSON.parse(message.toString());
-        const type = data.type; // Event type/name
-        console.log(`Received ${type} event from client ${clientId}:`, data);
-        
-        // Handle different event types
-        switch (type) {
-          case 'selectCharacter':
-            // Store player data with default position
-            const character = data.character;
-            players.set(clientId, {
-              character,
-              position: { x: 0, y: 1, z: 0 }
-            });
-            
-            // Update local tracking
-            const clientData = wsClients.get(clientId);
-            if (clientData) {
-              clientData.playerData = players.get(clientId);
-              wsClients.set(clientId, clientData);
-            }
-            
-            // Broadcast to all other clients that a new player has joined
-            broadcastToOthers(clientId, {
-              type: 'playerJoin',
-              id: clientId,
-              character,
-              position: { x: 0, y: 1, z: 0 }
-            });
-            break;
-            
-          case 'updatePosition':
-            // Update player position in our records
-            if (players.has(clientId)) {
-              players.set(clientId, {
-                character: data.character,
-                position: data.position
-              });
-              
-              // Broadcast position update to all other players
-              broadcastToOthers(clientId, {
-                type: 'playerMove',
-                id: clientId,
-                position: data.position
-              });
-            }
-            break;
-            
-          case 'playerAttack':
-            // Broadcast the attack to all other players
-            broadcastToOthers(clientId, {
-              type: 'playerAttack',
-              id: clientId,
-              position: data.position,
-              color: data.color
-            });
-            break;
-            
-          case 'addObstacle':
-            // Store obstacle data in memory for real-time updates
-            obstacles.set(data.id, {
-              id: data.id,
-              position: data.position,
-              type: data.type
-            });
-            
-            // Also persist to storage
-            const worldId = data.worldId || DEFAULT_WORLD_ID;
-            try {
-              storage.createWorldObstacle({
-                worldId,
-                obstacleId: data.id,
-                type: data.type,
-                posX: Math.round(data.position.x),
-                posY: Math.round(data.position.y),
-                posZ: Math.round(data.position.z),
-                isCrushed: false
-              }).catch(err => console.error("Error persisting obstacle:", err));
-              
-              console.log(`Persisted obstacle ${data.id} to world ${worldId}`);
-            } catch (err) {
-              console.error("Error persisting obstacle:", err);
-            }
-            
-            // Broadcast to all other players about the new obstacle
-            broadcastToOthers(clientId, {
-              type: 'obstacleState',
-              id: data.id,
-              position: data.position,
-              obstacleType: data.type
-            });
-            break;
-            
-          case 'decorationCollision':
-            // Broadcast to other players to show decoration interaction
-            broadcastToOthers(clientId, {
-              type: 'decorationInteraction',
-              decorationId: data.decorationId,
-              position: data.position,
-              decorationType: data.type,
-              playerId: clientId
-            });
-            break;
-            
-          default:
-            // Handle unknown message types
-            console.log(`Unhandled event type: ${type}`);
-            break;
-        }
+        data = JSON.parse(message.toString());
       } catch (error) {
-        console.error('Error processing message:', error);
-        
+        console.error('Error parsing message:', error);
+
         // Send error back to client
         if (ws.readyState === WebSocket.OPEN) {
           ws.send(JSON.stringify({
             type: 'error',
-            message: 'Error processing your message',
+            code: 'INVALID_MESSAGE',
+            message: 'Message is not valid JSON',
             timestamp: Date.now()
           }));
         }
+        return;
       }
+
+      const { type, ...payload } = data && typeof data === 'object' ? data : { type: undefined };
+      handleClientEvent(sessionId, String(type), payload);
     });
-    
-    // Function to broadcast to all other clients
-    function broadcastToOthers(senderId: string, data: any) {
-      wsClients.forEach((client, id) => {
-        if (id !== senderId && client.ws.readyState === WebSocket.OPEN) {
-          try {
-            client.ws.send(JSON.stringify(data));
-          } catch (error) {
-            console.error(`Error sending to client ${id}:`, error);
-          }
-        }
-      });
-    }
-    
+
     // Handle websocket errors
     ws.on('error', (error) => {
       console.error(`WebSocket error for client ${clientId}:`, error);
     });
-    
+
     // Handle client disconnection
     ws.on('close', (code, reason) => {
       console.log(`WebSocket client disconnected: ${clientId} (code: ${code}, reason: ${reason || 'none'})`);
-      
-      // Remove from client tracking
-      wsClients.delete(clientId);
-      
-      // Remove from players list
-      players.delete(clientId);
-      
-      // Notify all other clients about player leaving
-      broadcastToAll({
-        type: 'playerLeave',
-        id: clientId
-      });
+      // Normal closures are deliberate; anything else may come back
+      disconnectClient(sessionId, connection, code === 1000 || code === 1001);
     });
   });
-  
-  // Function to broadcast to all connected clients
-  function broadcastToAll(data: any) {
-    wsClients.forEach((client, id) => {
-      if (client.ws.readyState === WebSocket.OPEN) {
-        try {
-          client.ws.send(JSON.stringify(data));
-        } catch (error) {
-          console.error(`Error broadcasting to client ${id}:`, error);
-        }
-      }
-    });
-  }
-  
+
+  const stopStateBroadcast = startStateBroadcast();
+  httpServer.on('close', () => stopStateBroadcast());
+
   // Add SSR route handler for all non-API routes - must be the last route
   app.get('*', (req, res, next) => {
     // Skip for client-side modules, static assets and API routes
@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { createItem, ITEM_RARITIES, ITEM_TYPES } from "@shared/loot";
+import type { InventoryItem } from "@shared/protocol";
+
+// Merchant shops: what a merchant stocks, as written in npcs.json, and what
+// the merchant has left in each room. Items sell out and come back over time.
+
+export const shopSchema = z.object({
+  restockSeconds: z.number().positive(), // how long each sold item takes to come back
+  stock: z.array(z.object({
+    type: z.enum(ITEM_TYPES),
+    rarity: z.enum(ITEM_RARITIES),
+    level: z.number().int().positive(), // scales the item like a chest's level scales loot
+    quantity: z.number().int().positive(),
+  })).min(1).max(20),
+});
+
+export type ShopDefinition = z.infer<typeof shopSchema>;
+
+export interface ShopEntry {
+  item: InventoryItem; // buyers get copies of it under new ids
+  quantity: number;
+  maxQuantity: number;
+}
+
+export interface ShopState {
+  entries: ShopEntry[];
+  restockInterval: number; // ms
+  restockedAt: number;
+}
+
+// Rolled once per room, so everyone there sees the same goods
+export function createShop(definition: ShopDefinition, createId: () => string, now: number = Date.now()): ShopState {
+  return {
+    entries: definition.stock.map(entry => ({
+      item: createItem(entry.type, entry.rarity, entry.level, createId()),
+      quantity: entry.quantity,
+      maxQuantity: entry.quantity,
+    })),
+    restockInterval: definition.restockSeconds * 1000,
+    restockedAt: now,
+  };
+}
+
+/**
+ * Bring back one of each sold-out item for every restock interval that
+ * passed. Shops are only restocked when someone looks at them, so idle
+ * ones cost nothing.
+ */
+export function restockShop(shop: ShopState, now: number = Date.now()) {
+  const intervals = Math.floor((now - shop.restockedAt) / shop.restockInterval);
+  if (intervals <= 0) return;
+
+  shop.restockedAt += intervals * shop.restockInterval;
+  shop.entries.forEach(entry => {
+    entry.quantity = Math.min(entry.quantity + intervals, entry.maxQuantity);
+  });
+}
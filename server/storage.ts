@@ -2,15 +2,31 @@ import {
   users, type User, type InsertUser,
   gameWorlds, type InsertWorldObstacle, type WorldObstacle, worldObstacles,
   worldElements, type InsertWorldElement, type WorldElement,
-  parallaxLayers, type InsertParallaxLayer, type ParallaxLayer
+  parallaxLayers, type InsertParallaxLayer, type ParallaxLayer,
+  playerStats, type PlayerStats,
+  scoreEntries, type InsertScoreEntry, type ScoreEntry,
+  inventoryItems, questProgress, wallets
 } from "@shared/schema";
-import { eq } from "drizzle-orm";
-import { db } from "./db";
+import type { Equipment, EquipmentSlot, InventoryItem, QuestProgress } from "@shared/protocol";
+import { getPeriodStart, type LeaderboardEntry, type LeaderboardQuery } from "@shared/leaderboard";
+import { createWorldSeed } from "@shared/random";
+import { and, asc, desc, eq, gte, isNotNull, sql, type SQL } from "drizzle-orm";
+import session from "express-session";
+import connectPg from "connect-pg-simple";
+import createMemoryStore from "memorystore";
+import { db, pool } from "./db";
+import type { StatsDelta } from "./playerStats";
+
+const PostgresSessionStore = connectPg(session);
+const MemoryStore = createMemoryStore(session);
 
 // modify the interface with any CRUD methods
 // you might need
 
 export interface IStorage {
+  // Where login sessions are kept
+  sessionStore: session.Store;
+
   // User methods
   getUser(id: number): Promise<User | undefined>;
   getUserByUsername(username: string): Promise<User | undefined>;
@@ -34,20 +50,79 @@ export interface IStorage {
   // Parallax layers methods
   getParallaxLayers(worldId: number): Promise<ParallaxLayer[]>;
   createParallaxLayer(layer: InsertParallaxLayer): Promise<ParallaxLayer>;
+
+  // Player stats methods, one row per account and character
+  getPlayerStats(userId: number): Promise<PlayerStats[]>;
+  recordPlayerStats(userId: number, characterId: string, delta: StatsDelta): Promise<PlayerStats>;
+
+  // Leaderboard methods
+  recordScore(entry: InsertScoreEntry): Promise<ScoreEntry>;
+  getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardEntry[]>;
+
+  // Inventory methods, in the order items were acquired
+  getInventory(userId: number): Promise<InventoryItem[]>;
+  addInventoryItems(userId: number, items: InventoryItem[]): Promise<void>;
+  removeInventoryItem(userId: number, itemId: string): Promise<void>;
+  // What the player wears, out of the items it carries
+  getEquipment(userId: number): Promise<Equipment>;
+  setEquipment(userId: number, equipment: Equipment): Promise<void>;
+
+  // Quest progress methods, one entry per quest a player has started
+  getQuestProgress(userId: number): Promise<QuestProgress[]>;
+  saveQuestProgress(userId: number, progress: QuestProgress): Promise<void>;
+
+  // Gold methods
+  getGold(userId: number): Promise<number>;
+  addGold(userId: number, amount: number): Promise<void>;
+  recordTrade(userId: number, trade: Trade): Promise<void>;
+}
+
+// A purchase or sale at a merchant, saved all together or not at all
+export interface Trade {
+  gold: number; // added to the player's gold; negative when buying
+  itemsAdded: InventoryItem[];
+  itemRemoved?: string; // id of the item sold
+}
+
+// Keep each player's best score, highest first, and number the result
+function rankBestScores(scores: Omit<LeaderboardEntry, "rank">[], limit: number): LeaderboardEntry[] {
+  const best = new Map<number, Omit<LeaderboardEntry, "rank">>();
+  scores.forEach(entry => {
+    const current = best.get(entry.userId);
+    if (!current || entry.score > current.score) {
+      best.set(entry.userId, entry);
+    }
+  });
+
+  return Array.from(best.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
 }
 
+
 export class MemStorage implements IStorage {
   private users: Map<number, User>;
   private gameWorlds: Map<number, any>;
   private worldObstacles: Map<number, WorldObstacle[]>;
   private worldElements: Map<number, WorldElement[]>;
   private parallaxLayers: Map<number, ParallaxLayer[]>;
+  private playerStats: Map<number, PlayerStats[]>;
+  private scoreEntries: ScoreEntry[];
+  private inventories: Map<number, InventoryItem[]>;
+  private equipment: Map<number, Equipment>;
+  private questProgress: Map<number, Map<string, QuestProgress>>;
+  private wallets: Map<number, number>;
   
   private userId: number;
   private worldId: number;
   private obstacleId: number;
   private elementId: number;
   private layerId: number;
+  private statsId: number;
+  private scoreEntryId: number;
+
+  sessionStore: session.Store;
 
   constructor() {
     this.users = new Map();
@@ -55,12 +130,23 @@ export class MemStorage implements IStorage {
     this.worldObstacles = new Map();
     this.worldElements = new Map();
     this.parallaxLayers = new Map();
+    this.playerStats = new Map();
+    this.scoreEntries = [];
+    this.inventories = new Map();
+    this.questProgress = new Map();
+    this.wallets = new Map();
+    this.equipment = new Map();
     
     this.userId = 1;
     this.worldId = 1;
     this.obstacleId = 1;
     this.elementId = 1;
     this.layerId = 1;
+    this.statsId = 1;
+    this.scoreEntryId = 1;
+
+    // Prune expired sessions once a day
+    this.sessionStore = new MemoryStore({ checkPeriod: 24 * 60 * 60 * 1000 });
     
     // Initialize with a default game world
     this.createGameWorld("Default World", "The main game world", 1);
@@ -100,7 +186,8 @@ export class MemStorage implements IStorage {
       name,
       description: description || "",
       difficulty,
-      isActive: true
+      isActive: true,
+      seed: createWorldSeed()
     };
     this.gameWorlds.set(id, world);
     this.worldObstacles.set(id, []);
@@ -196,10 +283,118 @@ export class MemStorage implements IStorage {
     
     return newLayer;
   }
+
+  // Player stats methods
+  async getPlayerStats(userId: number): Promise<PlayerStats[]> {
+    return this.playerStats.get(userId) || [];
+  }
+
+  async recordPlayerStats(userId: number, characterId: string, delta: StatsDelta): Promise<PlayerStats> {
+    const userStats = this.playerStats.get(userId) || [];
+    let stats = userStats.find(entry => entry.characterId === characterId);
+    if (!stats) {
+      stats = { id: this.statsId++, userId, characterId, highScore: 0, coinsCollected: 0, levelsCompleted: 0, playTime: 0 };
+      userStats.push(stats);
+      this.playerStats.set(userId, userStats);
+    }
+
+    stats.highScore = Math.max(stats.highScore ?? 0, delta.score);
+    stats.coinsCollected = (stats.coinsCollected ?? 0) + delta.coinsCollected;
+    stats.playTime = (stats.playTime ?? 0) + delta.playTime;
+    return stats;
+  }
+
+  // Leaderboard methods
+  async recordScore(entry: InsertScoreEntry): Promise<ScoreEntry> {
+    const newEntry: ScoreEntry = { ...entry, id: this.scoreEntryId++, achievedAt: new Date() };
+    this.scoreEntries.push(newEntry);
+    return newEntry;
+  }
+
+  async getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardEntry[]> {
+    const since = getPeriodStart(query.period);
+    const matchesCharacter = (characterId: string) => !query.character || characterId === query.character;
+
+    // All time comes from the stats' high scores, periods from recorded runs
+    const scores = since
+      ? this.scoreEntries.filter(entry => entry.achievedAt >= since && matchesCharacter(entry.characterId))
+      : Array.from(this.playerStats.values()).flat()
+          .filter(stats => matchesCharacter(stats.characterId))
+          .map(stats => ({ userId: stats.userId, characterId: stats.characterId, score: stats.highScore ?? 0 }));
+
+    return rankBestScores(scores.map(entry => ({
+      userId: entry.userId,
+      username: this.users.get(entry.userId)?.username ?? "unknown",
+      characterId: entry.characterId,
+      score: entry.score,
+    })), query.limit);
+  }
+
+  // Inventory methods
+  async getInventory(userId: number): Promise<InventoryItem[]> {
+    return [...(this.inventories.get(userId) || [])];
+  }
+
+  async addInventoryItems(userId: number, items: InventoryItem[]): Promise<void> {
+    const inventory = this.inventories.get(userId) || [];
+    inventory.push(...items);
+    this.inventories.set(userId, inventory);
+  }
+
+  async removeInventoryItem(userId: number, itemId: string): Promise<void> {
+    const inventory = this.inventories.get(userId) || [];
+    this.inventories.set(userId, inventory.filter(item => item.id !== itemId));
+  }
+
+  async getEquipment(userId: number): Promise<Equipment> {
+    // Items that are gone are no longer worn, as with the database's rows
+    const inventory = this.inventories.get(userId) || [];
+    const equipment = this.equipment.get(userId) || {};
+    return Object.fromEntries(Object.entries(equipment).filter(([, itemId]) =>
+      inventory.some(item => item.id === itemId)));
+  }
+
+  async setEquipment(userId: number, equipment: Equipment): Promise<void> {
+    this.equipment.set(userId, { ...equipment });
+  }
+
+  // Quest progress methods
+  async getQuestProgress(userId: number): Promise<QuestProgress[]> {
+    return Array.from(this.questProgress.get(userId)?.values() || []);
+  }
+
+  async saveQuestProgress(userId: number, progress: QuestProgress): Promise<void> {
+    const userProgress = this.questProgress.get(userId) || new Map<string, QuestProgress>();
+    userProgress.set(progress.questId, progress);
+    this.questProgress.set(userId, userProgress);
+  }
+
+  // Gold methods
+  async getGold(userId: number): Promise<number> {
+    return this.wallets.get(userId) ?? 0;
+  }
+
+  async addGold(userId: number, amount: number): Promise<void> {
+    this.wallets.set(userId, (this.wallets.get(userId) ?? 0) + amount);
+  }
+
+  async recordTrade(userId: number, trade: Trade): Promise<void> {
+    await this.addGold(userId, trade.gold);
+    await this.addInventoryItems(userId, trade.itemsAdded);
+    if (trade.itemRemoved) {
+      await this.removeInventoryItem(userId, trade.itemRemoved);
+    }
+  }
 }
 
 // Database implementation of storage
 export class DatabaseStorage implements IStorage {
+  sessionStore: session.Store;
+
+  constructor() {
+    this.sessionStore = new PostgresSessionStore({ pool, createTableIfMissing: true });
+  }
+
   // User methods
   async getUser(id: number): Promise<User | undefined> {
     const [user] = await db.select().from(users).where(eq(users.id, id));
@@ -236,7 +431,8 @@ export class DatabaseStorage implements IStorage {
         name,
         description: description || null,
         difficulty,
-        isActive: true
+        isActive: true,
+        seed: createWorldSeed()
       })
       .returning();
     return world;
@@ -303,6 +499,178 @@ export class DatabaseStorage implements IStorage {
       .returning();
     return newLayer;
   }
+
+  // Player stats methods
+  async getPlayerStats(userId: number): Promise<PlayerStats[]> {
+    return await db.select().from(playerStats).where(eq(playerStats.userId, userId));
+  }
+
+  async recordPlayerStats(userId: number, characterId: string, delta: StatsDelta): Promise<PlayerStats> {
+    // One statement, added in SQL, so concurrent reports can neither
+    // overwrite each other nor both create the row
+    const [stats] = await db
+      .insert(playerStats)
+      .values({
+        userId,
+        characterId,
+        highScore: delta.score,
+        coinsCollected: delta.coinsCollected,
+        playTime: delta.playTime
+      })
+      .onConflictDoUpdate({
+        target: [playerStats.userId, playerStats.characterId],
+        set: {
+          highScore: sql`greatest(coalesce(${playerStats.highScore}, 0), ${delta.score})`,
+          coinsCollected: sql`coalesce(${playerStats.coinsCollected}, 0) + ${delta.coinsCollected}`,
+          playTime: sql`coalesce(${playerStats.playTime}, 0) + ${delta.playTime}`
+        }
+      })
+      .returning();
+    return stats;
+  }
+
+  // Leaderboard methods
+  async recordScore(entry: InsertScoreEntry): Promise<ScoreEntry> {
+    const [newEntry] = await db.insert(scoreEntries).values(entry).returning();
+    return newEntry;
+  }
+
+  async getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardEntry[]> {
+    const since = getPeriodStart(query.period);
+
+    // All time comes from the stats' high scores, periods from recorded runs
+    const source = since ? scoreEntries : playerStats;
+    const score = since ? scoreEntries.score : sql<number>`coalesce(${playerStats.highScore}, 0)`;
+    const conditions: SQL[] = [];
+    if (since) conditions.push(gte(scoreEntries.achievedAt, since));
+    if (query.character) conditions.push(eq(source.characterId, query.character));
+
+    // Each player's best row, then the best of those
+    const best = db
+      .selectDistinctOn([source.userId], {
+        userId: source.userId,
+        characterId: source.characterId,
+        score: sql<number>`${score}`.as("score")
+      })
+      .from(source)
+      .where(and(...conditions))
+      .orderBy(source.userId, desc(score))
+      .as("best");
+
+    const rows = await db
+      .select({
+        userId: best.userId,
+        username: users.username,
+        characterId: best.characterId,
+        score: best.score
+      })
+      .from(best)
+      .innerJoin(users, eq(users.id, best.userId))
+      .orderBy(desc(best.score))
+      .limit(query.limit);
+
+    return rows.map((row, index) => ({ ...row, score: Number(row.score), rank: index + 1 }));
+  }
+
+  // Inventory methods
+  async getInventory(userId: number): Promise<InventoryItem[]> {
+    const rows = await db
+      .select({ item: inventoryItems.item })
+      .from(inventoryItems)
+      .where(eq(inventoryItems.userId, userId))
+      .orderBy(asc(inventoryItems.id));
+    return rows.map(row => row.item);
+  }
+
+  async addInventoryItems(userId: number, items: InventoryItem[]): Promise<void> {
+    if (items.length === 0) return;
+    await db.insert(inventoryItems).values(items.map(item => ({ userId, itemId: item.id, item })));
+  }
+
+  async removeInventoryItem(userId: number, itemId: string): Promise<void> {
+    await db
+      .delete(inventoryItems)
+      .where(and(eq(inventoryItems.userId, userId), eq(inventoryItems.itemId, itemId)));
+  }
+
+  async getEquipment(userId: number): Promise<Equipment> {
+    const rows = await db
+      .select({ itemId: inventoryItems.itemId, slot: inventoryItems.equippedSlot })
+      .from(inventoryItems)
+      .where(and(eq(inventoryItems.userId, userId), isNotNull(inventoryItems.equippedSlot)));
+    return Object.fromEntries(rows.map(row => [row.slot, row.itemId]));
+  }
+
+  async setEquipment(userId: number, equipment: Equipment): Promise<void> {
+    await db.transaction(async (tx) => {
+      await tx
+        .update(inventoryItems)
+        .set({ equippedSlot: null })
+        .where(and(eq(inventoryItems.userId, userId), isNotNull(inventoryItems.equippedSlot)));
+      for (const [slot, itemId] of Object.entries(equipment) as [EquipmentSlot, string][]) {
+        await tx
+          .update(inventoryItems)
+          .set({ equippedSlot: slot })
+          .where(and(eq(inventoryItems.userId, userId), eq(inventoryItems.itemId, itemId)));
+      }
+    });
+  }
+
+  // Quest progress methods
+  async getQuestProgress(userId: number): Promise<QuestProgress[]> {
+    const rows = await db.select().from(questProgress).where(eq(questProgress.userId, userId));
+    return rows.map(row => ({
+      questId: row.questId,
+      title: row.title,
+      description: row.description,
+      status: row.status,
+      objectives: row.objectives
+    }));
+  }
+
+  async saveQuestProgress(userId: number, progress: QuestProgress): Promise<void> {
+    const values = {
+      title: progress.title,
+      description: progress.description,
+      status: progress.status,
+      objectives: progress.objectives,
+      updatedAt: new Date()
+    };
+    await db
+      .insert(questProgress)
+      .values({ userId, questId: progress.questId, ...values })
+      .onConflictDoUpdate({ target: [questProgress.userId, questProgress.questId], set: values });
+  }
+
+  // Gold methods
+  async getGold(userId: number): Promise<number> {
+    const [wallet] = await db.select({ gold: wallets.gold }).from(wallets).where(eq(wallets.userId, userId));
+    return wallet?.gold ?? 0;
+  }
+
+  async addGold(userId: number, amount: number): Promise<void> {
+    await db
+      .insert(wallets)
+      .values({ userId, gold: amount })
+      .onConflictDoUpdate({ target: wallets.userId, set: { gold: sql`${wallets.gold} + ${amount}`, updatedAt: new Date() } });
+  }
+
+  async recordTrade(userId: number, trade: Trade): Promise<void> {
+    await db.transaction(async (tx) => {
+      await tx
+        .insert(wallets)
+        .values({ userId, gold: trade.gold })
+        .onConflictDoUpdate({ target: wallets.userId, set: { gold: sql`${wallets.gold} + ${trade.gold}`, updatedAt: new Date() } });
+      if (trade.itemsAdded.length > 0) {
+        await tx.insert(inventoryItems).values(trade.itemsAdded.map(item => ({ userId, itemId: item.id, item })));
+      }
+      if (trade.itemRemoved) {
+        await tx
+          .delete(inventoryItems)
+          .where(and(eq(inventoryItems.userId, userId), eq(inventoryItems.itemId, trade.itemRemoved)));
+      }
+    });
+  }
 }
 
 // We're now using the database storage for persistence
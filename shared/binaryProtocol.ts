@@ -0,0 +1,489 @@
+import type { PlayerAnimation, PlayerInput, Vec3 } from "./playerPhysics";
+
+// Compact binary encoding for the two high-frequency messages: player state
+// going to clients and player input coming from them. Everything else stays
+// JSON. Clients ask for it with `encoding=binary` in the connection handshake;
+// JSON remains the default and the debugging fallback.
+//
+// Player state is sent as fixed-point integers and, where possible, as a
+// delta against the newest state of that player in a frame the client has
+// acknowledged. Clients acknowledge frames in their input messages.
+
+export type NetEncoding = "json" | "binary";
+
+// Socket.IO event carrying binary messages; /ws uses binary frames instead
+export const BINARY_EVENT = "binary";
+
+export function negotiateEncoding(requested: unknown): NetEncoding {
+  return requested === "binary" ? "binary" : "json";
+}
+
+const MESSAGE_STATE_FRAME = 1;
+const MESSAGE_PLAYER_INPUT = 2;
+
+// Fixed-point scales
+const POSITION_SCALE = 1000; // millimetres
+const VELOCITY_SCALE = 10000; // velocities are per 60 FPS frame and stay well below 1
+const ROTATION_STEPS = 256; // one byte per rotation
+const CAMERA_ANGLE_STEPS = 65536;
+const INPUT_DT_SCALE = 100; // hundredths of a millisecond
+
+// Frames the server remembers per client for delta baselines (3.2 s at 20 Hz)
+export const STATE_FRAME_HISTORY = 64;
+
+// Per-player flags in a state frame
+const FLAG_FULL = 0x01;
+const FLAG_POSITION = 0x02;
+const FLAG_VELOCITY = 0x04;
+const FLAG_ROTATION = 0x08;
+const FLAG_SEQ = 0x10;
+const FLAG_GROUNDED = 0x20;
+const ANIMATION_SHIFT = 6;
+
+const ANIMATIONS: PlayerAnimation[] = ["idle", "run", "fly", "fall"];
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+// Player state as the integers that go on the wire
+export interface QuantizedPlayerState {
+  position: Vec3;
+  velocity: Vec3;
+  rotation: number;
+  isGrounded: boolean;
+  animation: number;
+  lastProcessedSeq: number;
+}
+
+// Player state as the rest of the game uses it (the playerMove payload fields)
+export interface NetworkPlayerState {
+  position: Vec3;
+  velocity: Vec3;
+  rotationY: number;
+  isGrounded: boolean;
+  animation: PlayerAnimation;
+  lastProcessedSeq: number;
+}
+
+export interface DecodedStateFrame {
+  frameSeq: number;
+  timestamp: number;
+  players: Array<{ netId: number; state: NetworkPlayerState }>;
+}
+
+function clampInt16(value: number): number {
+  return Math.min(Math.max(value, INT16_MIN), INT16_MAX);
+}
+
+function fitsInt16(value: number): boolean {
+  return value >= INT16_MIN && value <= INT16_MAX;
+}
+
+function quantizeAngle(angle: number, steps: number): number {
+  const turn = Math.PI * 2;
+  const normalized = ((angle % turn) + turn) % turn;
+  return Math.round((normalized / turn) * steps) % steps;
+}
+
+function dequantizeAngle(value: number, steps: number): number {
+  return (value / steps) * Math.PI * 2;
+}
+
+export function quantizePlayerState(state: NetworkPlayerState): QuantizedPlayerState {
+  return {
+    position: {
+      x: Math.round(state.position.x * POSITION_SCALE),
+      y: Math.round(state.position.y * POSITION_SCALE),
+      z: Math.round(state.position.z * POSITION_SCALE),
+    },
+    velocity: {
+      x: clampInt16(Math.round(state.velocity.x * VELOCITY_SCALE)),
+      y: clampInt16(Math.round(state.velocity.y * VELOCITY_SCALE)),
+      z: clampInt16(Math.round(state.velocity.z * VELOCITY_SCALE)),
+    },
+    rotation: quantizeAngle(state.rotationY, ROTATION_STEPS),
+    isGrounded: state.isGrounded,
+    animation: Math.max(ANIMATIONS.indexOf(state.animation), 0),
+    lastProcessedSeq: state.lastProcessedSeq,
+  };
+}
+
+export function dequantizePlayerState(state: QuantizedPlayerState): NetworkPlayerState {
+  return {
+    position: {
+      x: state.position.x / POSITION_SCALE,
+      y: state.position.y / POSITION_SCALE,
+      z: state.position.z / POSITION_SCALE,
+    },
+    velocity: {
+      x: state.velocity.x / VELOCITY_SCALE,
+      y: state.velocity.y / VELOCITY_SCALE,
+      z: state.velocity.z / VELOCITY_SCALE,
+    },
+    rotationY: dequantizeAngle(state.rotation, ROTATION_STEPS),
+    isGrounded: state.isGrounded,
+    animation: ANIMATIONS[state.animation] ?? "idle",
+    lastProcessedSeq: state.lastProcessedSeq,
+  };
+}
+
+// Growable byte buffer for building messages
+class ByteWriter {
+  private view: DataView;
+  private offset = 0;
+
+  constructor(initialSize: number) {
+    this.view = new DataView(new ArrayBuffer(initialSize));
+  }
+
+  private reserve(bytes: number) {
+    if (this.offset + bytes <= this.view.byteLength) return;
+    const grown = new Uint8Array(Math.max(this.view.byteLength * 2, this.offset + bytes));
+    grown.set(new Uint8Array(this.view.buffer, 0, this.offset));
+    this.view = new DataView(grown.buffer);
+  }
+
+  uint8(value: number) { this.reserve(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+  uint16(value: number) { this.reserve(2); this.view.setUint16(this.offset, value); this.offset += 2; }
+  int16(value: number) { this.reserve(2); this.view.setInt16(this.offset, value); this.offset += 2; }
+  uint32(value: number) { this.reserve(4); this.view.setUint32(this.offset, value); this.offset += 4; }
+  int32(value: number) { this.reserve(4); this.view.setInt32(this.offset, value); this.offset += 4; }
+  float64(value: number) { this.reserve(8); this.view.setFloat64(this.offset, value); this.offset += 8; }
+
+  bytes(): Uint8Array {
+    return new Uint8Array(this.view.buffer, 0, this.offset);
+  }
+}
+
+// Reads a message, throwing a RangeError if it is cut short
+class ByteReader {
+  private view: DataView;
+  private offset = 0;
+
+  constructor(bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  uint8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+  uint16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+  int16() { const value = this.view.getInt16(this.offset); this.offset += 2; return value; }
+  uint32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+  int32() { const value = this.view.getInt32(this.offset); this.offset += 4; return value; }
+  float64() { const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+}
+
+// Kind of a binary message, so receivers can dispatch it
+export function getBinaryMessageKind(bytes: Uint8Array): "stateFrame" | "playerInput" | null {
+  switch (bytes[0]) {
+    case MESSAGE_STATE_FRAME: return "stateFrame";
+    case MESSAGE_PLAYER_INPUT: return "playerInput";
+    default: return null;
+  }
+}
+
+/**
+ * Server side: builds the state frames for one client. Remembers what it
+ * sent so later frames can be deltas against whatever the client has
+ * acknowledged.
+ */
+export class StateFrameEncoder {
+  private frames: Array<{ seq: number; states: Map<number, QuantizedPlayerState> }>;
+  private nextSeq: number;
+  private ackedSeq: number;
+
+  constructor() {
+    this.frames = [];
+    this.nextSeq = 1; // 0 means "no baseline"
+    this.ackedSeq = 0;
+  }
+
+  // The client has decoded every frame up to and including `frameSeq`
+  acknowledge(frameSeq: number) {
+    if (frameSeq > this.ackedSeq && frameSeq < this.nextSeq) {
+      this.ackedSeq = frameSeq;
+    }
+  }
+
+  encode(players: Array<{ netId: number; state: NetworkPlayerState }>, timestamp: number): Uint8Array {
+    const frameSeq = this.nextSeq++;
+    const baseSeq = this.frames.length > 0 && this.ackedSeq >= this.frames[0].seq ? this.ackedSeq : 0;
+    const states = new Map<number, QuantizedPlayerState>();
+
+    const writer = new ByteWriter(19 + players.length * 28);
+    writer.uint8(MESSAGE_STATE_FRAME);
+    writer.uint32(frameSeq);
+    writer.uint32(baseSeq);
+    writer.float64(timestamp);
+    writer.uint16(players.length);
+
+    for (const { netId, state } of players) {
+      const current = quantizePlayerState(state);
+      states.set(netId, current);
+      writePlayerState(writer, netId, current, baseSeq ? this.findBaseline(netId, baseSeq) : undefined);
+    }
+
+    this.frames.push({ seq: frameSeq, states });
+    if (this.frames.length > STATE_FRAME_HISTORY) {
+      this.frames.shift();
+    }
+
+    return writer.bytes();
+  }
+
+  // Newest state of a player in the frames up to `baseSeq`
+  private findBaseline(netId: number, baseSeq: number): QuantizedPlayerState | undefined {
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      const frame = this.frames[i];
+      if (frame.seq > baseSeq) continue;
+      const state = frame.states.get(netId);
+      if (state) return state;
+    }
+    return undefined;
+  }
+}
+
+function writePlayerState(
+  writer: ByteWriter,
+  netId: number,
+  current: QuantizedPlayerState,
+  baseline: QuantizedPlayerState | undefined,
+) {
+  const stateFlags = (current.isGrounded ? FLAG_GROUNDED : 0) | (current.animation << ANIMATION_SHIFT);
+
+  const delta = baseline && {
+    x: current.position.x - baseline.position.x,
+    y: current.position.y - baseline.position.y,
+    z: current.position.z - baseline.position.z,
+    seq: current.lastProcessedSeq - baseline.lastProcessedSeq,
+  };
+  const canDelta = delta &&
+    fitsInt16(delta.x) && fitsInt16(delta.y) && fitsInt16(delta.z) &&
+    delta.seq >= 0 && delta.seq <= 0xffff;
+
+  writer.uint32(netId);
+
+  if (!baseline || !delta || !canDelta) {
+    writer.uint8(FLAG_FULL | stateFlags);
+    writer.int32(current.position.x);
+    writer.int32(current.position.y);
+    writer.int32(current.position.z);
+    writer.int16(current.velocity.x);
+    writer.int16(current.velocity.y);
+    writer.int16(current.velocity.z);
+    writer.uint8(current.rotation);
+    writer.uint32((current.lastProcessedSeq + 1) >>> 0); // -1 (nothing processed yet) goes out as 0
+    return;
+  }
+
+  const positionChanged = delta.x !== 0 || delta.y !== 0 || delta.z !== 0;
+  const velocityChanged = current.velocity.x !== baseline.velocity.x ||
+    current.velocity.y !== baseline.velocity.y ||
+    current.velocity.z !== baseline.velocity.z;
+  const rotationChanged = current.rotation !== baseline.rotation;
+  const seqChanged = delta.seq !== 0;
+
+  writer.uint8(
+    stateFlags |
+    (positionChanged ? FLAG_POSITION : 0) |
+    (velocityChanged ? FLAG_VELOCITY : 0) |
+    (rotationChanged ? FLAG_ROTATION : 0) |
+    (seqChanged ? FLAG_SEQ : 0),
+  );
+  if (positionChanged) {
+    writer.int16(delta.x);
+    writer.int16(delta.y);
+    writer.int16(delta.z);
+  }
+  if (velocityChanged) {
+    writer.int16(current.velocity.x);
+    writer.int16(current.velocity.y);
+    writer.int16(current.velocity.z);
+  }
+  if (rotationChanged) {
+    writer.uint8(current.rotation);
+  }
+  if (seqChanged) {
+    writer.uint16(delta.seq);
+  }
+}
+
+/**
+ * Client side: decodes state frames, keeping each player's recent states
+ * so deltas can be applied to the baseline the server chose.
+ */
+export class StateFrameDecoder {
+  private history: Map<number, Array<{ seq: number; state: QuantizedPlayerState }>>;
+  private lastFrameSeq: number;
+
+  constructor() {
+    this.history = new Map();
+    this.lastFrameSeq = 0;
+  }
+
+  // Newest frame decoded, to acknowledge back to the server
+  get latestFrameSeq(): number {
+    return this.lastFrameSeq;
+  }
+
+  decode(bytes: Uint8Array): DecodedStateFrame {
+    const reader = new ByteReader(bytes);
+    if (reader.uint8() !== MESSAGE_STATE_FRAME) {
+      throw new Error("Not a state frame");
+    }
+
+    const frameSeq = reader.uint32();
+    const baseSeq = reader.uint32();
+    const timestamp = reader.float64();
+    const count = reader.uint16();
+    const players: DecodedStateFrame["players"] = [];
+
+    for (let i = 0; i < count; i++) {
+      const netId = reader.uint32();
+      const flags = reader.uint8();
+      const state = (flags & FLAG_FULL)
+        ? readFullState(reader, flags)
+        : readDeltaState(reader, flags, this.takeBaseline(netId, baseSeq));
+
+      this.remember(netId, frameSeq, state);
+      players.push({ netId, state: dequantizePlayerState(state) });
+    }
+
+    this.lastFrameSeq = frameSeq;
+    this.forgetStalePlayers(frameSeq);
+    return { frameSeq, timestamp, players };
+  }
+
+  // Newest remembered state at or before `baseSeq`; older ones can never be
+  // a baseline again because acknowledgements only move forward
+  private takeBaseline(netId: number, baseSeq: number): QuantizedPlayerState {
+    const entries = this.history.get(netId) ?? [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].seq <= baseSeq) {
+        entries.splice(0, i);
+        return entries[0].state;
+      }
+    }
+    throw new Error(`Missing baseline ${baseSeq} for player ${netId}`);
+  }
+
+  private remember(netId: number, seq: number, state: QuantizedPlayerState) {
+    let entries = this.history.get(netId);
+    if (!entries) {
+      entries = [];
+      this.history.set(netId, entries);
+    }
+    entries.push({ seq, state });
+    if (entries.length > STATE_FRAME_HISTORY * 2) {
+      entries.shift();
+    }
+  }
+
+  // Drop players the server can no longer use as a baseline
+  private forgetStalePlayers(frameSeq: number) {
+    this.history.forEach((entries, netId) => {
+      const newest = entries[entries.length - 1];
+      if (!newest || frameSeq - newest.seq > STATE_FRAME_HISTORY * 2) {
+        this.history.delete(netId);
+      }
+    });
+  }
+}
+
+function readFullState(reader: ByteReader, flags: number): QuantizedPlayerState {
+  return {
+    position: { x: reader.int32(), y: reader.int32(), z: reader.int32() },
+    velocity: { x: reader.int16(), y: reader.int16(), z: reader.int16() },
+    rotation: reader.uint8(),
+    lastProcessedSeq: reader.uint32() - 1,
+    isGrounded: (flags & FLAG_GROUNDED) !== 0,
+    animation: flags >> ANIMATION_SHIFT,
+  };
+}
+
+function readDeltaState(reader: ByteReader, flags: number, baseline: QuantizedPlayerState): QuantizedPlayerState {
+  const state: QuantizedPlayerState = {
+    position: { ...baseline.position },
+    velocity: { ...baseline.velocity },
+    rotation: baseline.rotation,
+    lastProcessedSeq: baseline.lastProcessedSeq,
+    isGrounded: (flags & FLAG_GROUNDED) !== 0,
+    animation: flags >> ANIMATION_SHIFT,
+  };
+
+  if (flags & FLAG_POSITION) {
+    state.position.x += reader.int16();
+    state.position.y += reader.int16();
+    state.position.z += reader.int16();
+  }
+  if (flags & FLAG_VELOCITY) {
+    state.velocity = { x: reader.int16(), y: reader.int16(), z: reader.int16() };
+  }
+  if (flags & FLAG_ROTATION) {
+    state.rotation = reader.uint8();
+  }
+  if (flags & FLAG_SEQ) {
+    state.lastProcessedSeq += reader.uint16();
+  }
+  return state;
+}
+
+// The input exactly as the server will decode it, so client-side prediction
+// runs on the same numbers
+export function quantizePlayerInput(input: PlayerInput): PlayerInput {
+  return {
+    ...input,
+    dt: Math.round(Math.min(Math.max(input.dt, 0), 0xffff / INPUT_DT_SCALE) * INPUT_DT_SCALE) / INPUT_DT_SCALE,
+    cameraAngle: dequantizeAngle(quantizeAngle(input.cameraAngle, CAMERA_ANGLE_STEPS), CAMERA_ANGLE_STEPS),
+  };
+}
+
+const INPUT_FORWARD = 0x01;
+const INPUT_BACKWARD = 0x02;
+const INPUT_LEFT = 0x04;
+const INPUT_RIGHT = 0x08;
+const INPUT_JUMP = 0x10;
+
+// Input message: kind, acknowledged frame, input seq, dt, buttons, camera angle (16 bytes)
+export function encodePlayerInput(input: PlayerInput, ackFrameSeq: number): Uint8Array {
+  const writer = new ByteWriter(16);
+  writer.uint8(MESSAGE_PLAYER_INPUT);
+  writer.uint32(ackFrameSeq >>> 0);
+  writer.uint32(input.seq >>> 0);
+  writer.uint16(Math.round(Math.min(Math.max(input.dt, 0), 0xffff / INPUT_DT_SCALE) * INPUT_DT_SCALE));
+  writer.uint8(
+    (input.forward ? INPUT_FORWARD : 0) |
+    (input.backward ? INPUT_BACKWARD : 0) |
+    (input.left ? INPUT_LEFT : 0) |
+    (input.right ? INPUT_RIGHT : 0) |
+    (input.jump ? INPUT_JUMP : 0),
+  );
+  writer.uint16(quantizeAngle(input.cameraAngle, CAMERA_ANGLE_STEPS));
+  return writer.bytes();
+}
+
+export function decodePlayerInput(bytes: Uint8Array): { input: PlayerInput; ackFrameSeq: number } {
+  const reader = new ByteReader(bytes);
+  if (reader.uint8() !== MESSAGE_PLAYER_INPUT) {
+    throw new Error("Not a player input message");
+  }
+
+  const ackFrameSeq = reader.uint32();
+  const seq = reader.uint32();
+  const dt = reader.uint16() / INPUT_DT_SCALE;
+  const buttons = reader.uint8();
+  const cameraAngle = dequantizeAngle(reader.uint16(), CAMERA_ANGLE_STEPS);
+
+  return {
+    ackFrameSeq,
+    input: {
+      seq,
+      dt,
+      forward: (buttons & INPUT_FORWARD) !== 0,
+      backward: (buttons & INPUT_BACKWARD) !== 0,
+      left: (buttons & INPUT_LEFT) !== 0,
+      right: (buttons & INPUT_RIGHT) !== 0,
+      jump: (buttons & INPUT_JUMP) !== 0,
+      cameraAngle,
+    },
+  };
+}
@@ -0,0 +1,14 @@
+import type { Character } from "./schema";
+
+// The characters players choose from. Stats and leaderboards are kept per
+// character id.
+export const PLAYABLE_CHARACTERS: Character[] = [
+  { id: "1", name: "Atlas", sprite: "hero_red.png", speed: 5, jump: 10 },
+  { id: "2", name: "Nova", sprite: "hero_blue.png", speed: 6, jump: 11 },
+  { id: "3", name: "Orion", sprite: "hero_green.png", speed: 4, jump: 8 },
+  { id: "4", name: "Luna", sprite: "hero_purple.png", speed: 7, jump: 7 },
+];
+
+export function getPlayableCharacter(id: string): Character | undefined {
+  return PLAYABLE_CHARACTERS.find(character => character.id === id);
+}
@@ -0,0 +1,36 @@
+// Combat rules shared by the server, which resolves every hit, and the
+// client, which uses them to predict bounces and draw attacks. How tough
+// each NPC is lives with the rest of its stats in npcs.ts.
+
+export const COMBAT = {
+  attackRange: 1.8, // attacks land this far in front of the player
+  attackRadius: 3, // and hit anything this close to where they land
+  attackCooldownMs: 300,
+  attackDamage: 10, // bare-handed hits and stomps; worn weapons add their damage
+  contactDamage: 10, // what walking into a hostile NPC does
+  hitPointsPerLife: 10, // so an unarmored player loses a life to every hit
+  npcHitPointsPerStrength: 10,
+  defenseScale: 30, // this much armor defense halves the damage taken
+  knockbackDistance: 2, // how far a hit pushes a player
+  invulnerableMs: 1500, // after being hit, before the next hit counts
+  npcSize: 0.8, // NPCs are treated as cubes this wide
+  stompBounce: 0.8, // jump force fraction after destroying an NPC from above
+  hitBounce: 0.5, // and after landing on one that survives or can't be crushed
+  maxLives: 3,
+};
+
+// Score for destroying an NPC, by how it was destroyed
+export const KILL_SCORE = {
+  attack: 100,
+  stomp: 50,
+};
+
+// How many hit points an NPC of the given strength starts with
+export function getNpcHitPoints(strength: number): number {
+  return strength * COMBAT.npcHitPointsPerStrength;
+}
+
+// What is left of a hit after the target's armor. Armor never stops one entirely.
+export function getDamageTaken(damage: number, defense: number): number {
+  return Math.max(Math.round(damage * COMBAT.defenseScale / (COMBAT.defenseScale + defense)), 1);
+}
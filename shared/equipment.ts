@@ -0,0 +1,47 @@
+import type { Equipment, EquipmentSlot, Gear, InventoryItem } from "./protocol";
+
+// Equipment: the weapon and armor a player wears, one item per slot. The
+// server keeps what each player wears and fights with its stats; clients
+// draw it on the player.
+
+// Armor goes where its name says, and on the chest when its name doesn't
+// say. Only needed for items written without a slot.
+const ARMOR_SLOTS: Record<string, EquipmentSlot> = {
+  helmet: "head",
+  boots: "boots",
+  shield: "shield",
+};
+
+// Where an item is worn, or undefined when it can't be
+export function getEquipmentSlot(item: InventoryItem): EquipmentSlot | undefined {
+  if (item.slot) return item.slot;
+  if (item.type === "weapon") return "weapon";
+  if (item.type !== "armor") return undefined;
+
+  const slot = item.name.toLowerCase().split(/\s+/).map(word => ARMOR_SLOTS[word]).find(Boolean);
+  return slot ?? "chest";
+}
+
+/**
+ * Damage and defense added up over everything worn. Slots naming items no
+ * longer carried count for nothing.
+ */
+export function getEquipmentStats(equipment: Equipment, inventory: InventoryItem[]): { damage: number; defense: number } {
+  return Object.values(equipment).reduce((stats, itemId) => {
+    const item = inventory.find(candidate => candidate.id === itemId);
+    return {
+      damage: stats.damage + (item?.damage ?? 0),
+      defense: stats.defense + (item?.defense ?? 0),
+    };
+  }, { damage: 0, defense: 0 });
+}
+
+// The rarity worn in each slot, which is all others need to draw it
+export function getGear(equipment: Equipment, inventory: InventoryItem[]): Gear {
+  const gear: Gear = {};
+  (Object.keys(equipment) as EquipmentSlot[]).forEach(slot => {
+    const item = inventory.find(candidate => candidate.id === equipment[slot]);
+    if (item) gear[slot] = item.rarity;
+  });
+  return gear;
+}
@@ -0,0 +1,41 @@
+import { z } from "zod";
+
+// Leaderboards rank each player by their best score, either overall or for
+// one character, over all time or the current UTC day or week.
+
+export const LEADERBOARD_PERIODS = ["all", "daily", "weekly"] as const;
+export type LeaderboardPeriod = (typeof LEADERBOARD_PERIODS)[number];
+
+export const MAX_LEADERBOARD_SIZE = 100;
+
+// Query string of GET /api/leaderboard
+export const leaderboardQuerySchema = z.object({
+  period: z.enum(LEADERBOARD_PERIODS).default("all"),
+  character: z.string().max(64).optional(), // character id; all characters when missing
+  limit: z.coerce.number().int().min(1).max(MAX_LEADERBOARD_SIZE).default(20),
+});
+
+export type LeaderboardQuery = z.infer<typeof leaderboardQuerySchema>;
+
+export interface LeaderboardEntry {
+  rank: number;
+  userId: number;
+  username: string;
+  characterId: string; // the character the score was made with
+  score: number;
+}
+
+/**
+ * When a period's leaderboard starts counting: midnight UTC for the day,
+ * Monday midnight UTC for the week, null for all time.
+ */
+export function getPeriodStart(period: LeaderboardPeriod, now: Date = new Date()): Date | null {
+  if (period === "all") return null;
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === "weekly") {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
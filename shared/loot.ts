@@ -0,0 +1,128 @@
+import { getEquipmentSlot } from "./equipment";
+import type { InventoryItem } from "./protocol";
+import type { RandomSource } from "./random";
+
+// Loot tables. Only the server rolls loot, when it confirms that a player
+// opened a chest or a merchant restocked; clients just show what they were
+// given.
+
+// How many items a player can carry
+export const INVENTORY_SIZE = 10;
+
+export const ITEM_RARITIES = ["common", "uncommon", "rare", "epic", "legendary"] as const;
+export type ItemRarity = (typeof ITEM_RARITIES)[number];
+
+export const ITEM_TYPES = ["weapon", "armor", "potion", "material"] as const;
+export type ItemType = (typeof ITEM_TYPES)[number];
+const POTION_EFFECTS = ["health", "speed", "jump", "attack"];
+
+const ITEM_NAME_PREFIXES: Record<ItemRarity, string[]> = {
+  common: ["Basic", "Simple", "Plain", "Standard"],
+  uncommon: ["Fine", "Quality", "Sturdy", "Reliable"],
+  rare: ["Superior", "Excellent", "Reinforced", "Enhanced"],
+  epic: ["Magnificent", "Empowered", "Exceptional", "Arcane"],
+  legendary: ["Mythical", "Ancient", "Legendary", "Divine"],
+};
+
+const ITEM_TYPE_NAMES: Record<ItemType, string[]> = {
+  weapon: ["Sword", "Axe", "Dagger", "Hammer", "Staff"],
+  armor: ["Helmet", "Chestplate", "Gloves", "Boots", "Shield"],
+  potion: ["Potion", "Elixir", "Tonic", "Brew", "Concoction"],
+  material: ["Crystal", "Ore", "Essence", "Fragment", "Component"],
+};
+
+const ITEM_ICONS: Record<string, string> = {
+  weapon: "⚔️",
+  armor: "🛡️",
+  potion: "🧪",
+  material: "📦",
+  food: "🍗",
+  treasure: "💎",
+};
+
+function pick<T>(options: readonly T[], random: RandomSource): T {
+  return options[Math.floor(random() * options.length)];
+}
+
+// Numerical value multiplier for rarity
+export function getRarityValue(rarity: string): number {
+  switch (rarity) {
+    case "legendary":
+      return 5;
+    case "epic":
+      return 3;
+    case "rare":
+      return 2;
+    case "uncommon":
+      return 1.5;
+    default:
+      return 1;
+  }
+}
+
+export function getItemIcon(type: string): string {
+  return ITEM_ICONS[type] ?? "📦";
+}
+
+/**
+ * An item of the given type and rarity. Its level, like a chest's, scales
+ * what it's worth and how strong it is.
+ */
+export function createItem(type: ItemType, rarity: ItemRarity, level: number, id: string, random: RandomSource = Math.random): InventoryItem {
+  const item: InventoryItem = {
+    id,
+    name: `${pick(ITEM_NAME_PREFIXES[rarity], random)} ${pick(ITEM_TYPE_NAMES[type], random)}`,
+    type,
+    rarity,
+    value: level * 10 * getRarityValue(rarity),
+    icon: getItemIcon(type),
+  };
+
+  // Type-specific properties
+  if (type === "potion") {
+    item.effect = pick(POTION_EFFECTS, random);
+    item.value = level * 2;
+    item.consumable = true;
+    item.description = `Grants ${item.effect} boost when used.`;
+  } else if (type === "weapon") {
+    item.damage = level * 5 * getRarityValue(rarity);
+    item.description = `Deals ${item.damage} damage.`;
+    item.slot = getEquipmentSlot(item);
+  } else if (type === "armor") {
+    item.defense = level * 3 * getRarityValue(rarity);
+    item.description = `Provides ${item.defense} defense.`;
+    item.slot = getEquipmentSlot(item);
+  } else {
+    item.description = `A ${rarity} crafting material.`;
+  }
+
+  return item;
+}
+
+/**
+ * One to three items from a chest of the given level; higher levels can
+ * hold rarer items. `createId` names each item.
+ */
+export function generateLoot(chestLevel: number, createId: () => string, random: RandomSource = Math.random): InventoryItem[] {
+  const loot: InventoryItem[] = [];
+  const itemCount = Math.floor(random() * 3) + 1;
+
+  for (let i = 0; i < itemCount; i++) {
+    // Determine rarity based on chest level
+    let rarity: ItemRarity = "common";
+    const rarityRoll = random() * 100;
+    if (chestLevel >= 3 && rarityRoll >= 95) {
+      rarity = "legendary";
+    } else if (chestLevel >= 2 && rarityRoll >= 85) {
+      rarity = "epic";
+    } else if (rarityRoll >= 70) {
+      rarity = "rare";
+    } else if (rarityRoll >= 40) {
+      rarity = "uncommon";
+    }
+
+    loot.push(createItem(pick(ITEM_TYPES, random), rarity, chestLevel, createId(), random));
+  }
+
+  return loot;
+}
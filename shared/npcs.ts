@@ -0,0 +1,30 @@
+// The kinds of NPC that roam the worlds. The server spawns and moves them;
+// clients only draw them, so both sides read their stats from here.
+
+export type NpcMovementStyle = "ground" | "flying" | "ghost";
+
+export interface NpcKind {
+  speed: number; // distance moved per 60 FPS frame
+  movementStyle: NpcMovementStyle;
+  jumpHeight: number; // how far flying NPCs bob up and down
+  strength: number; // hits it takes to destroy
+  crushable: boolean; // can be destroyed by jumping on it
+  hostile: boolean; // hurts players that walk into it
+}
+
+export const NPC_KINDS: Record<string, NpcKind> = {
+  Crawler: { speed: 0.03, movementStyle: "ground", jumpHeight: 0, strength: 1, crushable: true, hostile: false },
+  Sentinel: { speed: 0.02, movementStyle: "ground", jumpHeight: 0, strength: 1, crushable: true, hostile: false },
+  Spiker: { speed: 0.04, movementStyle: "ground", jumpHeight: 0, strength: 2, crushable: false, hostile: true },
+  Glider: { speed: 0.04, movementStyle: "flying", jumpHeight: 2.0, strength: 1, crushable: true, hostile: false },
+  Phantom: { speed: 0.02, movementStyle: "ghost", jumpHeight: 1.5, strength: 1, crushable: false, hostile: false },
+};
+
+// Roughly from easiest to hardest, which is how spawning picks them
+export const NPC_KIND_NAMES = Object.keys(NPC_KINDS);
+
+export const DEFAULT_NPC_KIND = NPC_KINDS.Crawler;
+
+export function getNpcKind(name: string): NpcKind {
+  return NPC_KINDS[name] ?? DEFAULT_NPC_KIND;
+}
@@ -0,0 +1,290 @@
+// Player movement rules shared by the client (local movement) and the
+// server (authoritative simulation). Ported from
+// MultiplayerPlatformer.updatePlayerPosition / checkPlatformCollisions,
+// with THREE.js types replaced by plain objects so it runs under Node.
+
+export interface Vec3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+// Axis-aligned bounding box of a platform the player can stand on or bump into
+export interface PlatformBox {
+  min: Vec3;
+  max: Vec3;
+}
+
+// One frame of player input, identified by a client-side sequence number
+export interface PlayerInput {
+  seq: number;
+  dt: number; // frame duration in milliseconds
+  forward: boolean;
+  backward: boolean;
+  left: boolean;
+  right: boolean;
+  jump: boolean;
+  cameraAngle: number; // horizontal camera angle in radians
+}
+
+export interface PlayerPhysicsState {
+  position: Vec3;
+  velocity: Vec3;
+  rotationY: number;
+  isGrounded: boolean;
+  isJumping: boolean;
+  fallVelocity: number;
+}
+
+// Coarse animation state sent with snapshots so remote players can be animated
+export type PlayerAnimation = "idle" | "run" | "fly" | "fall";
+
+// Things that happened during a step, so the client can play effects
+export interface PlayerStepEvents {
+  jumped: boolean;
+  landed: boolean;
+}
+
+export const PLAYER_PHYSICS = {
+  playerSpeed: 0.25,
+  jumpForce: 0.5,
+  gravity: 0.008,
+  terminalVelocity: -0.5,
+  friction: 0.8,
+  minHeight: 0.5, // half player height, so the player sits on y=0
+  playerSize: 1,
+  worldHalfWidth: 100,
+  frameMs: 16.67, // movement constants are tuned for 60 FPS
+  maxInputDt: 100, // longest frame a single input may claim
+};
+
+// A speed potion's boost: how much faster the player moves, and for how
+// much input time. The server grants it when the potion is used.
+export const SPEED_BOOST = {
+  multiplier: 1.5,
+  durationMs: 15000,
+};
+
+// A jump potion's boost, granted by the server the same way
+export const JUMP_BOOST = {
+  multiplier: 1.3,
+  durationMs: 15000,
+};
+
+// The hub platform generated at the world origin (a cylinder of radius 12, height 2)
+export const HUB_PLATFORM_BOX: PlatformBox = {
+  min: { x: -12, y: -1, z: -12 },
+  max: { x: 12, y: 1, z: 12 },
+};
+
+export function createPlayerState(position: Vec3 = { x: 0, y: PLAYER_PHYSICS.minHeight, z: 0 }): PlayerPhysicsState {
+  return {
+    position: { ...position },
+    velocity: { x: 0, y: 0, z: 0 },
+    rotationY: 0,
+    isGrounded: false,
+    isJumping: false,
+    fallVelocity: 0,
+  };
+}
+
+// Character speed stat is a percentage bonus on top of the base speed
+export function getCharacterSpeedBonus(character?: { speed?: number } | null): number {
+  return character && typeof character.speed === "number" ? character.speed / 100 : 0;
+}
+
+/**
+ * Advance a player by one input frame, mutating `state`.
+ * Every per-frame quantity is scaled by the frame factor so the result does
+ * not depend on how a span of time is sliced into inputs.
+ */
+export function stepPlayer(
+  state: PlayerPhysicsState,
+  input: PlayerInput,
+  platforms: PlatformBox[],
+  speedBonus: number = 0,
+  speedMultiplier: number = 1,
+  jumpMultiplier: number = 1,
+): PlayerStepEvents {
+  const events: PlayerStepEvents = { jumped: false, landed: false };
+  const dt = Math.min(Math.max(input.dt, 0), PLAYER_PHYSICS.maxInputDt);
+  const normalizedDelta = dt / PLAYER_PHYSICS.frameMs;
+  const jumpForce = PLAYER_PHYSICS.jumpForce * jumpMultiplier;
+  const { velocity, position } = state;
+
+  // Gravity, ground jump and in-air flying
+  if (!input.jump) {
+    velocity.y -= PLAYER_PHYSICS.gravity * normalizedDelta;
+    if (velocity.y < PLAYER_PHYSICS.terminalVelocity) {
+      velocity.y = PLAYER_PHYSICS.terminalVelocity;
+    }
+  } else if (state.isGrounded) {
+    velocity.y = jumpForce;
+    state.isGrounded = false;
+    state.isJumping = true;
+    events.jumped = true;
+  } else {
+    velocity.y += jumpForce * 0.03 * normalizedDelta;
+    if (velocity.y > jumpForce * 0.6) {
+      velocity.y = jumpForce * 0.6;
+    }
+  }
+
+  // Horizontal movement relative to the camera angle
+  const speed = PLAYER_PHYSICS.playerSpeed * (1 + speedBonus) * speedMultiplier;
+  let moveX = 0;
+  let moveZ = 0;
+  if (input.forward) moveZ = -speed;
+  if (input.backward) moveZ += speed;
+  if (input.left) moveX = -speed;
+  if (input.right) moveX += speed;
+
+  if (moveX !== 0 || moveZ !== 0) {
+    const cos = Math.cos(input.cameraAngle);
+    const sin = Math.sin(input.cameraAngle);
+    velocity.x = moveX * cos + moveZ * sin;
+    velocity.z = moveZ * cos - moveX * sin;
+    state.rotationY = Math.atan2(velocity.x, velocity.z);
+  } else {
+    const friction = Math.pow(PLAYER_PHYSICS.friction, normalizedDelta);
+    velocity.x *= friction;
+    velocity.z *= friction;
+    if (Math.abs(velocity.x) < 0.01) velocity.x = 0;
+    if (Math.abs(velocity.z) < 0.01) velocity.z = 0;
+  }
+
+  position.x += velocity.x * normalizedDelta;
+  position.y += velocity.y * normalizedDelta;
+  position.z += velocity.z * normalizedDelta;
+
+  // Ground plane
+  state.isGrounded = false;
+  if (position.y <= PLAYER_PHYSICS.minHeight) {
+    position.y = PLAYER_PHYSICS.minHeight;
+    velocity.y = 0;
+    state.isGrounded = true;
+    state.isJumping = false;
+  }
+
+  if (velocity.y < 0) {
+    state.isJumping = false;
+  }
+
+  if (resolvePlatformCollisions(state, platforms)) {
+    events.landed = true;
+  }
+
+  // Keep the player inside the playable width
+  if (Math.abs(position.x) > PLAYER_PHYSICS.worldHalfWidth) {
+    position.x = PLAYER_PHYSICS.worldHalfWidth * Math.sign(position.x);
+    velocity.x = 0;
+  }
+
+  return events;
+}
+
+/**
+ * Ground detection against platform tops followed by overlap resolution on
+ * the axis of least penetration. Returns true on a hard landing.
+ */
+export function resolvePlatformCollisions(state: PlayerPhysicsState, platforms: PlatformBox[]): boolean {
+  const { position, velocity } = state;
+  const half = PLAYER_PHYSICS.playerSize / 2;
+  const rayOriginY = position.y + 0.1;
+  const rayLength = half + 0.2;
+  let onGround = false;
+  let hardLanding = false;
+
+  // Downward ray: the player stands on any platform top just below their feet
+  for (const platform of platforms) {
+    if (
+      position.x < platform.min.x || position.x > platform.max.x ||
+      position.z < platform.min.z || position.z > platform.max.z ||
+      rayOriginY < platform.max.y
+    ) {
+      continue;
+    }
+
+    if (rayOriginY - platform.max.y < rayLength) {
+      onGround = true;
+      state.isGrounded = true;
+      position.y = platform.max.y + half;
+
+      if (velocity.y < 0) {
+        velocity.y = 0;
+        state.isJumping = false;
+        if (state.fallVelocity < -0.3) {
+          hardLanding = true;
+        }
+      }
+
+      state.fallVelocity = velocity.y;
+    }
+  }
+
+  // Push out of any platform the player overlaps
+  const epsilon = 1e-6;
+  for (const platform of platforms) {
+    const sizeX = platform.max.x - platform.min.x;
+    const sizeY = platform.max.y - platform.min.y;
+    const sizeZ = platform.max.z - platform.min.z;
+    const centerX = (platform.min.x + platform.max.x) / 2;
+    const centerY = (platform.min.y + platform.max.y) / 2;
+    const centerZ = (platform.min.z + platform.max.z) / 2;
+
+    const xOverlap = (PLAYER_PHYSICS.playerSize + sizeX) / 2 - Math.abs(position.x - centerX);
+    const yOverlap = (PLAYER_PHYSICS.playerSize + sizeY) / 2 - Math.abs(position.y - centerY);
+    const zOverlap = (PLAYER_PHYSICS.playerSize + sizeZ) / 2 - Math.abs(position.z - centerZ);
+
+    if (xOverlap <= epsilon || yOverlap <= epsilon || zOverlap <= epsilon) {
+      continue;
+    }
+
+    if (onGround && position.y > centerY) {
+      // Already standing on something, only resolve sideways
+      if (xOverlap < zOverlap) {
+        const direction = position.x < centerX ? -1 : 1;
+        position.x = centerX + (direction * (sizeX + PLAYER_PHYSICS.playerSize)) / 2;
+        velocity.x = 0;
+      } else {
+        const direction = position.z < centerZ ? -1 : 1;
+        position.z = centerZ + (direction * (sizeZ + PLAYER_PHYSICS.playerSize)) / 2;
+        velocity.z = 0;
+      }
+    } else if (!onGround) {
+      if (xOverlap < yOverlap && xOverlap < zOverlap) {
+        const direction = position.x < centerX ? -1 : 1;
+        position.x = centerX + (direction * (sizeX + PLAYER_PHYSICS.playerSize)) / 2;
+        velocity.x = 0;
+      } else if (yOverlap < zOverlap) {
+        if (position.y > centerY) {
+          position.y = platform.max.y + half;
+          velocity.y = 0;
+          state.isJumping = false;
+          state.isGrounded = true;
+        } else {
+          // Hit the underside, stop rising
+          position.y = platform.min.y - half;
+          velocity.y = -0.1;
+        }
+      } else {
+        const direction = position.z < centerZ ? -1 : 1;
+        position.z = centerZ + (direction * (sizeZ + PLAYER_PHYSICS.playerSize)) / 2;
+        velocity.z = 0;
+      }
+    }
+  }
+
+  if (!onGround && velocity.y <= 0) {
+    state.isJumping = true;
+  }
+
+  return hardLanding;
+}
+
+export function getPlayerAnimation(state: PlayerPhysicsState): PlayerAnimation {
+  if (!state.isGrounded) {
+    return state.velocity.y > 0 ? "fly" : "fall";
+  }
+  return state.velocity.x !== 0 || state.velocity.z !== 0 ? "run" : "idle";
+}
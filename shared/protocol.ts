@@ -0,0 +1,569 @@
+import { z } from "zod";
+
+// Messages exchanged between the game client and server, in both directions.
+// Each message is an event name plus a payload object. Payloads never use a
+// `type` field because the /ws transport puts the event name there.
+
+// Bump when a message changes shape in a way older peers can't read
+export const PROTOCOL_VERSION = 1;
+
+// Versions this build can speak, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Highest version both sides support, or null when there is none.
+// Clients that don't say which versions they speak are treated as version 1.
+export function negotiateProtocolVersion(requested: number[]): number | null {
+  const candidates = requested.length > 0 ? requested : [1];
+  const common = SUPPORTED_PROTOCOL_VERSIONS.filter(version => candidates.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+// Versions listed in a handshake query value such as "2,1"
+export function parseProtocolVersions(value: unknown): number[] {
+  if (typeof value !== "string" || value === "") return [];
+  return value
+    .split(",")
+    .map(version => Number(version))
+    .filter(version => Number.isInteger(version) && version > 0);
+}
+
+const finiteNumber = z.number().finite();
+
+export const vec3Schema = z.object({
+  x: finiteNumber,
+  y: finiteNumber,
+  z: finiteNumber,
+});
+
+export const characterSchema = z.object({
+  id: z.string().max(32),
+  name: z.string().min(1).max(32),
+  sprite: z.string().max(128).default(""),
+  speed: finiteNumber,
+  jump: finiteNumber,
+});
+
+const objectId = z.string().min(1).max(128);
+const objectKind = z.string().min(1).max(64);
+
+const dimensionsSchema = z.object({
+  width: finiteNumber.positive(),
+  height: finiteNumber.positive(),
+  depth: finiteNumber.positive(),
+});
+
+// Largest side of an element a client may build: as big as the biggest
+// generated platform. Built platforms are solid on the server too.
+export const MAX_ELEMENT_SIZE = 15;
+
+const elementSizeSchema = finiteNumber.positive().max(MAX_ELEMENT_SIZE);
+const builtDimensionsSchema = z.object({
+  width: elementSizeSchema,
+  height: elementSizeSchema,
+  depth: elementSizeSchema,
+});
+
+const playerAnimationSchema = z.enum(["idle", "run", "fly", "fall"]);
+
+// Where a piece of gear is worn. Players wear at most one item in each.
+export const equipmentSlotSchema = z.enum(["weapon", "head", "chest", "boots", "shield"]);
+
+// An inventory item as generated by the server's loot tables
+export const inventoryItemSchema = z.object({
+  id: z.string().min(1).max(64),
+  name: z.string().max(64),
+  type: z.string().max(32),
+  rarity: z.string().max(16),
+  value: finiteNumber,
+  icon: z.string().max(16).optional(),
+  description: z.string().max(256).optional(),
+  effect: z.string().max(32).optional(),
+  consumable: z.boolean().optional(),
+  damage: finiteNumber.optional(),
+  defense: finiteNumber.optional(),
+  slot: equipmentSlotSchema.optional(), // weapons and armor only
+  sellable: z.boolean().optional(), // false for NPC gifts, which merchants won't take
+});
+
+// Id of the inventory item worn in each filled slot
+const equipmentSchema = z.record(equipmentSlotSchema, z.string());
+
+// What others see of a player's equipment: the rarity worn in each filled slot
+const gearSchema = z.record(equipmentSlotSchema, z.string());
+
+// How far a player got with one quest
+export const questProgressSchema = z.object({
+  questId: z.string().min(1).max(64),
+  title: z.string().max(128),
+  description: z.string().max(512),
+  status: z.enum(["active", "completed"]),
+  objectives: z.array(z.object({
+    id: z.string().max(64),
+    description: z.string().max(256),
+    progress: z.number().int().nonnegative(),
+    required: z.number().int().positive(),
+    completed: z.boolean(),
+  })).max(20),
+});
+
+// Game events that quest objectives count
+export const questEventKindSchema = z.enum(["coinCollected", "npcCrushed", "zoneReached", "itemObtained", "npcTalkedTo"]);
+
+// A quest as written in the server's content files, and as clients are told about it
+export const questDefinitionSchema = z.object({
+  id: z.string().min(1).max(64),
+  title: z.string().min(1).max(128),
+  description: z.string().max(512),
+  giver: z.string().min(1).max(64), // id of the friendly NPC offering it
+  prerequisites: z.array(z.string()).default([]), // ids of quests to complete first
+  objectives: z.array(z.object({
+    id: z.string().min(1).max(64),
+    description: z.string().max(256),
+    event: questEventKindSchema,
+    target: z.string().optional(), // any target counts when unset
+    count: z.number().int().positive(),
+    requiresPrevious: z.boolean().optional(), // only counts once the objectives before it are done
+  })).min(1).max(20),
+  rewards: z.object({
+    score: z.number().int().nonnegative(),
+    items: z.array(inventoryItemSchema.omit({ id: true })).default([]),
+  }),
+});
+
+// Per-player game progress the server keeps so a resumed session gets it back
+export const playerProgressSchema = z.object({
+  score: finiteNumber.nonnegative(),
+  lives: z.number().int().min(0).max(99),
+  inventory: z.array(inventoryItemSchema).max(50),
+  activeQuestId: z.string().max(64).nullable(),
+});
+
+// A guest's chosen name. Names starting with "Guest" are left for the
+// ones the server hands out to guests who don't choose.
+export const displayNameSchema = z.string()
+  .trim()
+  .min(3)
+  .max(20)
+  .regex(/^[A-Za-z0-9 _-]+$/, "Only letters, digits, spaces, _ and -")
+  .refine(name => !/^guest/i.test(name), "Names starting with Guest are reserved");
+
+// Longest chat message, in characters
+export const CHAT_MAX_LENGTH = 200;
+
+// World reaches the whole room, proximity the players near the sender, and
+// a whisper one player anywhere on the server
+export const chatChannelSchema = z.enum(["world", "proximity", "whisper"]);
+
+const chatTextSchema = z.string().trim().min(1).max(CHAT_MAX_LENGTH);
+
+// Eight-point compass, with north being -z as on the minimap
+export const compassDirectionSchema = z.enum(["N", "NE", "E", "SE", "S", "SW", "W", "NW"]);
+
+// Messages sent by clients
+export const clientMessageSchemas = {
+  joinRoom: z.object({
+    worldId: z.coerce.number().int().positive(),
+  }),
+  leaveRoom: z.object({}),
+  selectCharacter: z.object({
+    character: characterSchema,
+    displayName: displayNameSchema.optional(), // guests only; accounts play under their username
+  }),
+  playerInput: z.object({
+    seq: z.number().int().nonnegative(),
+    dt: finiteNumber.nonnegative(),
+    forward: z.boolean(),
+    backward: z.boolean(),
+    left: z.boolean(),
+    right: z.boolean(),
+    jump: z.boolean(),
+    cameraAngle: finiteNumber,
+  }),
+  respawn: z.object({
+    seq: z.number().int(),
+  }),
+  // An attack intent; the server works out where it lands and what it hits
+  playerAttack: z.object({
+    direction: z.object({
+      x: finiteNumber,
+      z: finiteNumber,
+    }),
+    color: z.number().int().nonnegative().optional(),
+  }),
+  addWorldElement: z.object({
+    id: objectId,
+    elementType: objectKind,
+    position: vec3Schema,
+    dimensions: builtDimensionsSchema.optional(),
+    theme: z.string().max(64).optional(),
+    isActive: z.boolean().optional(),
+  }),
+  updateParallaxLayer: z.object({
+    layerIndex: z.number().int().nonnegative(),
+    speed: finiteNumber,
+    color: z.string().max(32),
+    depth: finiteNumber,
+    posZ: finiteNumber,
+  }),
+  decorationCollision: z.object({
+    decorationId: objectId,
+    position: vec3Schema,
+    decorationType: objectKind,
+  }),
+  // Lives are tracked by the server, which resolves all damage, and the
+  // inventory is only ever changed by the server
+  progressUpdate: playerProgressSchema.omit({ lives: true, inventory: true }),
+  // Ask to open a chest; the server rolls the loot and grants it
+  openChest: z.object({
+    chestId: objectId,
+  }),
+  // Using a consumable item uses it up
+  useItem: z.object({
+    itemId: z.string().min(1).max(64),
+  }),
+  // Wear a weapon or piece of armor, in place of whatever was in its slot
+  equipItem: z.object({
+    itemId: z.string().min(1).max(64),
+  }),
+  unequipItem: z.object({
+    slot: equipmentSlotSchema,
+  }),
+  // Take a quest from the friendly NPC offering it, who must be nearby
+  acceptQuest: z.object({
+    questId: z.string().min(1).max(64),
+  }),
+  talkToNpc: z.object({
+    npcId: objectId,
+  }),
+  // Trade with a merchant whose shop is open
+  buyItem: z.object({
+    npcId: objectId,
+    entry: z.number().int().nonnegative(), // the stock entry's index
+  }),
+  sellItem: z.object({
+    npcId: objectId,
+    itemId: objectId,
+  }),
+  // Pick one of the choices of the dialogue node last sent for this NPC
+  dialogueChoice: z.object({
+    npcId: objectId,
+    choice: z.number().int().nonnegative(), // the choice's index
+  }),
+  // Echoes a roster's timestamp so the server can measure round-trip time
+  latencyReply: z.object({
+    sentAt: z.number(),
+  }),
+  chatMessage: z.discriminatedUnion("channel", [
+    z.object({ channel: z.literal("world"), text: chatTextSchema }),
+    z.object({ channel: z.literal("proximity"), text: chatTextSchema }),
+    z.object({ channel: z.literal("whisper"), text: chatTextSchema, to: z.string().min(1).max(64) }),
+  ]),
+  // Running totals for the current run, saved to a logged-in player's stats
+  statsReport: z.object({
+    score: finiteNumber.nonnegative(),
+    coinsCollected: z.number().int().nonnegative(),
+    playTime: finiteNumber.nonnegative(), // seconds since the run started
+    gameOver: z.boolean(), // the run ended; the next report starts a new one
+  }),
+};
+
+// A townsperson placed by the server. They don't fight; players talk to
+// them and take their quests. What they say comes one dialogueNode at a time.
+const friendlyNpcSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  role: z.enum(["quest", "villager", "merchant"]),
+  position: vec3Schema,
+  quests: z.array(z.string()), // ids of the quests they offer
+});
+
+// A chest placed by the server; opening it grants loot
+const chestSchema = z.object({
+  id: z.string(),
+  position: vec3Schema,
+  level: z.number().int().positive(),
+  isOpened: z.boolean(),
+});
+
+const playerSummarySchema = z.object({
+  id: z.string(),
+  netId: z.number().int(), // identifies the player in binary state frames
+  name: z.string(),
+  character: characterSchema,
+  position: vec3Schema,
+  gear: gearSchema,
+});
+
+const combatTargetSchema = z.enum(["npc", "player"]);
+
+// Machine-readable reasons carried by `error` messages
+export const errorCodeSchema = z.enum([
+  "UNSUPPORTED_PROTOCOL",
+  "UNKNOWN_EVENT",
+  "INVALID_MESSAGE",
+  "WORLD_UNAVAILABLE",
+  "RATE_LIMITED",
+  "IMPLAUSIBLE_ACTION",
+  "NAME_UNAVAILABLE", // another player has the name
+  "NOT_AVAILABLE", // the chest, item or the like is gone or was never there
+  "INVENTORY_FULL",
+  "NOT_ENOUGH_GOLD",
+  "KICKED",
+  "INTERNAL_ERROR",
+]);
+
+// Messages sent by the server
+export const serverMessageSchemas = {
+  welcome: z.object({
+    id: z.string(),
+    netId: z.number().int(),
+    protocolVersion: z.number().int(),
+    encoding: z.enum(["json", "binary"]),
+    // Present this on the next connection to take this session back over
+    resumeToken: z.string(),
+    resumed: z.boolean(),
+    // The logged-in account this session plays as, null when anonymous
+    account: z.object({ id: z.number().int(), username: z.string() }).nullable(),
+    progress: playerProgressSchema.optional(), // only when resumed
+    message: z.string(),
+    timestamp: z.number(),
+    clients: z.number().int(),
+  }),
+  roomJoined: z.object({
+    worldId: z.number().int(),
+    seed: z.number().int(), // generates the world's terrain and content
+    players: z.array(playerSummarySchema),
+    obstacles: z.array(z.object({
+      id: z.string(),
+      position: vec3Schema,
+      obstacleType: z.string(),
+      isCrushed: z.boolean(),
+    })),
+    elements: z.array(z.object({
+      id: z.string(),
+      type: z.string(),
+      position: vec3Schema,
+      dimensions: dimensionsSchema.optional(),
+      theme: z.string().optional(),
+      isActive: z.boolean().optional(),
+    })),
+    chests: z.array(chestSchema),
+    friendlyNpcs: z.array(friendlyNpcSchema),
+    quests: z.array(questDefinitionSchema),
+    timestamp: z.number(),
+  }),
+  roomLeft: z.object({
+    timestamp: z.number(),
+  }),
+  playerJoin: playerSummarySchema,
+  playerMove: z.object({
+    id: z.string(),
+    position: vec3Schema,
+    velocity: vec3Schema,
+    rotationY: finiteNumber,
+    isGrounded: z.boolean(),
+    animation: playerAnimationSchema,
+    lastProcessedSeq: z.number().int(),
+    timestamp: z.number(),
+  }),
+  playerLeave: z.object({
+    id: z.string(),
+  }),
+  playerAttack: z.object({
+    id: z.string(),
+    position: vec3Schema,
+    color: z.number().optional(),
+  }),
+  chestState: chestSchema,
+  // Everyone in the room, sent every few seconds. Clients answer with
+  // latencyReply carrying the timestamp. Players are placed only relative
+  // to the recipient, since most are outside its area of interest.
+  roster: z.object({
+    players: z.array(z.object({
+      id: z.string(),
+      name: z.string(),
+      character: z.string().nullable(), // its name; null before one is picked
+      score: z.number(),
+      latency: z.number().nullable(), // round trip in ms, null until measured
+      distance: z.number().nullable(), // whole metres from the recipient; null when either isn't playing
+      direction: compassDirectionSchema.nullable(),
+    })),
+    timestamp: z.number(),
+  }),
+  // Filtered by the server before it is sent on
+  chatMessage: z.object({
+    channel: chatChannelSchema,
+    from: z.string(),
+    fromName: z.string(),
+    to: z.string().optional(), // whispers only
+    text: z.string(),
+    timestamp: z.number(),
+  }),
+  // The receiving player's whole inventory, after any change to it
+  inventoryState: z.object({
+    items: z.array(inventoryItemSchema),
+    granted: z.array(inventoryItemSchema), // just added, for notifications
+    gold: z.number().int().nonnegative(),
+    equipment: equipmentSchema,
+  }),
+  // Another player put on or took off gear
+  playerGear: z.object({
+    id: z.string(),
+    gear: gearSchema,
+  }),
+  // Every quest the receiving player has started, sent once per connection
+  questState: z.object({
+    quests: z.array(questProgressSchema),
+  }),
+  // One quest was accepted or moved on
+  questUpdate: questProgressSchema,
+  // Sent along with the quest's final update; the items arrive in inventoryState
+  questCompleted: z.object({
+    questId: z.string(),
+    title: z.string(),
+    score: z.number(),
+    items: z.array(inventoryItemSchema),
+  }),
+  // What an NPC says, and the choices the player has right now
+  dialogueNode: z.object({
+    npcId: z.string(),
+    npcName: z.string(),
+    text: z.string(),
+    choices: z.array(z.object({
+      choice: z.number().int(), // send this back to pick it
+      text: z.string(),
+    })),
+  }),
+  dialogueEnded: z.object({
+    npcId: z.string(),
+  }),
+  // A merchant's goods. Merchants buy any item that isn't marked
+  // sellable: false, at getSellPrice in shared/shops.ts.
+  shopState: z.object({
+    npcId: z.string(),
+    npcName: z.string(),
+    stock: z.array(z.object({
+      entry: z.number().int(), // send this back to buy it
+      item: inventoryItemSchema,
+      price: z.number().int(),
+      quantity: z.number().int(),
+    })),
+  }),
+  obstacleState: z.object({
+    id: z.string(),
+    position: vec3Schema,
+    obstacleType: z.string(),
+    isCrushed: z.boolean(),
+  }),
+  // Positions of the NPCs near the receiving client that moved this tick
+  npcMove: z.object({
+    npcs: z.array(z.object({
+      id: z.string(),
+      position: vec3Schema,
+      rotationY: finiteNumber,
+    })),
+    timestamp: z.number(),
+  }),
+  entityDamaged: z.object({
+    targetKind: combatTargetSchema,
+    targetId: z.string(),
+    attackerId: z.string(),
+    amount: z.number().int(),
+    remaining: z.number().int(), // hit points or lives left
+    health: z.number().int().optional(), // players only: hit points left of the current life
+    position: vec3Schema,
+    knockback: vec3Schema.optional(),
+  }),
+  entityKilled: z.object({
+    targetKind: combatTargetSchema,
+    targetId: z.string(),
+    attackerId: z.string(),
+    position: vec3Schema,
+    score: z.number().int(), // awarded to the attacker
+  }),
+  worldElementState: z.object({
+    id: z.string(),
+    elementType: z.string(),
+    position: vec3Schema,
+    dimensions: dimensionsSchema.optional(),
+    theme: z.string().optional(),
+  }),
+  parallaxLayerUpdate: z.object({
+    layerIndex: z.number().int(),
+    speed: z.number(),
+    color: z.string(),
+    depth: z.number(),
+    posZ: z.number(),
+  }),
+  decorationInteraction: z.object({
+    decorationId: z.string(),
+    position: vec3Schema,
+    decorationType: z.string(),
+    playerId: z.string(),
+  }),
+  error: z.object({
+    code: errorCodeSchema,
+    message: z.string(),
+    event: z.string().optional(),
+    issues: z.array(z.object({
+      path: z.string(),
+      message: z.string(),
+    })).optional(),
+    timestamp: z.number(),
+  }),
+};
+
+export type ClientEvent = keyof typeof clientMessageSchemas;
+export type ServerEvent = keyof typeof serverMessageSchemas;
+export type ClientMessage<E extends ClientEvent> = z.infer<(typeof clientMessageSchemas)[E]>;
+export type ServerMessage<E extends ServerEvent> = z.infer<(typeof serverMessageSchemas)[E]>;
+export type ProtocolErrorCode = z.infer<typeof errorCodeSchema>;
+export type PlayerProgress = z.infer<typeof playerProgressSchema>;
+export type InventoryItem = z.infer<typeof inventoryItemSchema>;
+export type EquipmentSlot = z.infer<typeof equipmentSlotSchema>;
+export type Equipment = z.infer<typeof equipmentSchema>;
+export type Gear = z.infer<typeof gearSchema>;
+export type QuestProgress = z.infer<typeof questProgressSchema>;
+export type QuestEventKind = z.infer<typeof questEventKindSchema>;
+export type CompassDirection = z.infer<typeof compassDirectionSchema>;
+export type QuestDefinition = z.infer<typeof questDefinitionSchema>;
+export type ProtocolIssue = { path: string; message: string };
+
+export type ParsedMessage<T> =
+  | { success: true; data: T }
+  | { success: false; code: ProtocolErrorCode; message: string; issues?: ProtocolIssue[] };
+
+function parseMessage<T>(schemas: Record<string, z.ZodTypeAny>, event: string, payload: unknown): ParsedMessage<T> {
+  if (!Object.prototype.hasOwnProperty.call(schemas, event)) {
+    return { success: false, code: "UNKNOWN_EVENT", message: `Unknown event "${event}"` };
+  }
+
+  const result = schemas[event].safeParse(payload ?? {});
+  if (!result.success) {
+    return {
+      success: false,
+      code: "INVALID_MESSAGE",
+      message: `Invalid ${event} message`,
+      issues: result.error.issues.map(issue => ({
+        path: issue.path.join("."),
+        message: issue.message,
+      })),
+    };
+  }
+
+  return { success: true, data: result.data };
+}
+
+export function isClientEvent(event: string): event is ClientEvent {
+  return Object.prototype.hasOwnProperty.call(clientMessageSchemas, event);
+}
+
+// Validate a message received from a client
+export function parseClientMessage(event: string, payload: unknown): ParsedMessage<any> {
+  return parseMessage(clientMessageSchemas, event, payload);
+}
+
+// Validate a message received from the server
+export function parseServerMessage(event: string, payload: unknown): ParsedMessage<any> {
+  return parseMessage(serverMessageSchemas, event, payload);
+}
@@ -0,0 +1,64 @@
+import type { QuestDefinition, QuestEventKind, QuestProgress } from "./protocol";
+
+// Quests: what a player is asked to do and what finishing earns them. The
+// quests themselves are content the server loads; the server also runs the
+// engine, feeding it the game events it sees. Clients only show the
+// progress they are sent.
+
+// Something that happened to a player that objectives may count. `target`
+// says what it happened to: an NPC kind, a zone key, an item type or a
+// friendly NPC's id.
+export interface QuestEvent {
+  kind: QuestEventKind;
+  target?: string;
+  amount?: number; // defaults to 1
+}
+
+// Whether every quest a quest needs first has been completed
+export function hasMetPrerequisites(definition: QuestDefinition, isCompleted: (questId: string) => boolean): boolean {
+  return definition.prerequisites.every(isCompleted);
+}
+
+// A fresh, active copy of a quest for a player who just accepted it
+export function startQuest(definition: QuestDefinition): QuestProgress {
+  return {
+    questId: definition.id,
+    title: definition.title,
+    description: definition.description,
+    status: "active",
+    objectives: definition.objectives.map(objective => ({
+      id: objective.id,
+      description: objective.description,
+      progress: 0,
+      required: objective.count,
+      completed: false,
+    })),
+  };
+}
+
+/**
+ * Count an event toward an active quest's objectives, completing the quest
+ * once they are all done. Returns whether anything changed.
+ */
+export function applyQuestEvent(progress: QuestProgress, definition: QuestDefinition, event: QuestEvent): boolean {
+  if (progress.status !== "active") return false;
+
+  let changed = false;
+  definition.objectives.forEach((objectiveDefinition, index) => {
+    const objective = progress.objectives.find(candidate => candidate.id === objectiveDefinition.id);
+    if (!objective || objective.completed || objectiveDefinition.event !== event.kind) return;
+    if (objectiveDefinition.target !== undefined && objectiveDefinition.target !== event.target) return;
+    if (objectiveDefinition.requiresPrevious && !progress.objectives.slice(0, index).every(previous => previous.completed)) {
+      return;
+    }
+
+    objective.progress = Math.min(objective.progress + (event.amount ?? 1), objective.required);
+    objective.completed = objective.progress >= objective.required;
+    changed = true;
+  });
+
+  if (changed && progress.objectives.every(objective => objective.completed)) {
+    progress.status = "completed";
+  }
+  return changed;
+}
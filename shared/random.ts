@@ -0,0 +1,38 @@
+// Seedable pseudo-random numbers, so the server and every client can derive
+// the same world content from the same seed.
+
+// A function returning numbers in [0, 1), like Math.random
+export type RandomSource = () => number;
+
+// mulberry32: small, fast and good enough for procedural content
+export function createRandom(seed: number): RandomSource {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Combine a seed with some integers (such as zone coordinates) into a new seed
+export function hashSeed(seed: number, ...values: number[]): number {
+  let hash = seed >>> 0;
+  for (const value of values) {
+    hash = Math.imul(hash ^ (value | 0), 0x9e3779b1) >>> 0;
+    hash = (hash ^ (hash >>> 16)) >>> 0;
+  }
+  return hash;
+}
+
+// An independent stream seeded from `random`, which advances it by exactly
+// one value however much the new stream is used
+export function forkRandom(random: RandomSource): RandomSource {
+  return createRandom(Math.floor(random() * 4294967296));
+}
+
+// A seed for a newly created world, within a Postgres integer column
+export function createWorldSeed(): number {
+  return Math.floor(Math.random() * 2147483647);
+}
@@ -1,6 +1,8 @@
-import { pgTable, text, serial, integer, boolean } from "drizzle-orm/pg-core";
+import { sql } from "drizzle-orm";
+import { pgTable, text, serial, integer, boolean, timestamp, index, jsonb, unique } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
+import type { EquipmentSlot, InventoryItem, QuestProgress } from "./protocol";
 
 export const users = pgTable("users", {
   id: serial("id").primaryKey(),
@@ -32,6 +34,9 @@ export const gameWorlds = pgTable("game_worlds", {
   description: text("description"),
   difficulty: integer("difficulty").default(1),
   isActive: boolean("is_active").default(true),
+  // Seeds the procedural generation, so every client builds the same world.
+  // Existing rows each get their own when the column is added.
+  seed: integer("seed").notNull().default(sql`floor(random() * 2147483647)::integer`),
 });
 
 // World obstacles data
@@ -126,7 +131,9 @@ export const playerStats = pgTable("player_stats", {
   coinsCollected: integer("coins_collected").default(0),
   levelsCompleted: integer("levels_completed").default(0),
   playTime: integer("play_time").default(0), // in seconds
-});
+}, (table) => ({
+  userCharacter: unique("player_stats_user_character").on(table.userId, table.characterId),
+}));
 
 export const insertPlayerStatsSchema = createInsertSchema(playerStats).pick({
   userId: true,
@@ -139,3 +146,58 @@ export const insertPlayerStatsSchema = createInsertSchema(playerStats).pick({
 
 export type InsertPlayerStats = z.infer<typeof insertPlayerStatsSchema>;
 export type PlayerStats = typeof playerStats.$inferSelect;
+
+// Every finished run's score, for leaderboards over a period of time
+export const scoreEntries = pgTable("score_entries", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull().references(() => users.id),
+  characterId: text("character_id").notNull(),
+  score: integer("score").notNull(),
+  achievedAt: timestamp("achieved_at").notNull().defaultNow(),
+}, (table) => ({
+  achievedAtIdx: index("score_entries_achieved_at_idx").on(table.achievedAt),
+}));
+
+export const insertScoreEntrySchema = createInsertSchema(scoreEntries).pick({
+  userId: true,
+  characterId: true,
+  score: true,
+});
+
+export type InsertScoreEntry = z.infer<typeof insertScoreEntrySchema>;
+export type ScoreEntry = typeof scoreEntries.$inferSelect;
+
+// Items a player carries, granted by the server
+export const inventoryItems = pgTable("inventory_items", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull().references(() => users.id),
+  itemId: text("item_id").notNull().unique(),
+  item: jsonb("item").$type<InventoryItem>().notNull(),
+  equippedSlot: text("equipped_slot").$type<EquipmentSlot>(), // null unless worn
+  acquiredAt: timestamp("acquired_at").notNull().defaultNow(),
+});
+
+export type InventoryItemRow = typeof inventoryItems.$inferSelect;
+
+// Gold a player has, earned from coins and spent at merchants
+export const wallets = pgTable("wallets", {
+  userId: integer("user_id").primaryKey().references(() => users.id),
+  gold: integer("gold").notNull().default(0),
+  updatedAt: timestamp("updated_at").notNull().defaultNow(),
+});
+
+// Each quest a player has started and how far they got
+export const questProgress = pgTable("quest_progress", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull().references(() => users.id),
+  questId: text("quest_id").notNull(),
+  title: text("title").notNull(),
+  description: text("description").notNull().default(""),
+  status: text("status").$type<QuestProgress["status"]>().notNull(),
+  objectives: jsonb("objectives").$type<QuestProgress["objectives"]>().notNull(),
+  updatedAt: timestamp("updated_at").notNull().defaultNow(),
+}, (table) => ({
+  userQuest: unique("quest_progress_user_quest").on(table.userId, table.questId),
+}));
+
+export type QuestProgressRow = typeof questProgress.$inferSelect;
@@ -0,0 +1,7 @@
+// Points outside combat (kills score by KILL_SCORE in combat.ts). The
+// server uses these to bound the score a run can plausibly reach.
+
+export const COIN_SCORE = 10;
+
+// The score power-up multiplies points by this much while it lasts
+export const SCORE_BOOST_MULTIPLIER = 2;
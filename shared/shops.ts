@@ -0,0 +1,17 @@
+import type { InventoryItem } from "./protocol";
+
+// What merchants trade at. Prices follow an item's value, so the server
+// charges them and clients can show them without asking.
+
+// Each coin picked up is worth this much gold
+export const GOLD_PER_COIN = 1;
+
+// Merchants sell for double an item's value
+export function getBuyPrice(item: Pick<InventoryItem, "value">): number {
+  return Math.max(Math.ceil(item.value * 2), 1);
+}
+
+// and buy for half of it
+export function getSellPrice(item: Pick<InventoryItem, "value">): number {
+  return Math.max(Math.floor(item.value / 2), 1);
+}
@@ -0,0 +1,284 @@
+import { HUB_PLATFORM_BOX, type PlatformBox, type Vec3 } from "./playerPhysics";
+import { createRandom, hashSeed, type RandomSource } from "./random";
+
+// World layout constants shared by the client generator and the server
+
+// Size of each square world zone (50x50 units)
+export const ZONE_SIZE = 50;
+
+// How far a player can see interactive objects and other players
+export const VISIBLE_RADIUS = 100;
+
+export interface ZoneCoord {
+  gridX: number;
+  gridZ: number;
+}
+
+// Zone containing a world position, matching generateWorldZone's grid
+export function getZoneCoord(position: { x: number; z: number }): ZoneCoord {
+  return {
+    gridX: Math.floor(position.x / ZONE_SIZE),
+    gridZ: Math.floor(position.z / ZONE_SIZE),
+  };
+}
+
+export function getZoneKey(gridX: number, gridZ: number): string {
+  return `${gridX},${gridZ}`;
+}
+
+// How dangerous a zone is: 0 around the hub, rising to 1 ten zones out
+export function getZoneDifficulty(gridX: number, gridZ: number): number {
+  return Math.min(1, Math.sqrt(gridX * gridX + gridZ * gridZ) / 10);
+}
+
+// Where things placed at a spot stand: on the hub platform over the hub,
+// otherwise on the ground
+export function getGroundHeight(spot: { x: number; z: number }): number {
+  const onHub = spot.x >= HUB_PLATFORM_BOX.min.x && spot.x <= HUB_PLATFORM_BOX.max.x
+    && spot.z >= HUB_PLATFORM_BOX.min.z && spot.z <= HUB_PLATFORM_BOX.max.z;
+  return onHub ? HUB_PLATFORM_BOX.max.y : 0;
+}
+
+// A platform the world generator placed. Clients draw it and everyone,
+// server included, collides with its box. `style` says what it is part of.
+export interface PlatformLayout {
+  position: Vec3; // center
+  width: number;
+  height: number;
+  depth: number;
+  shape: "box" | "cylinder"; // cylinders are as deep as they are wide
+  style: "zone" | "pillarTop" | "tower" | "towerTop" | "step" | "challenge" | "challengeGoal";
+  pillarBase?: number; // pillar tops only: where the pillar holding it up starts
+}
+
+// Its own stream, so platforms don't move when other zone content changes
+const PLATFORM_RANDOM_STREAM = 2;
+
+// Chance of a zone other than the hub's having a climbing tower or jump challenge
+const LANDMARK_CHANCE = 0.1;
+
+// Everything in a zone stays this close to the zone's origin, so the zones
+// around a player hold every platform it can touch
+const ZONE_PLATFORM_REACH = ZONE_SIZE / 2;
+
+/**
+ * The platforms of a zone, the same for every client and the server given
+ * the world's seed: scattered platforms, some with pillars, and now and
+ * then a climbing tower or jump challenge around the zone's origin.
+ */
+export function generateZonePlatforms(seed: number, gridX: number, gridZ: number): PlatformLayout[] {
+  const random = createRandom(hashSeed(seed, gridX, gridZ, PLATFORM_RANDOM_STREAM));
+  const originX = gridX * ZONE_SIZE;
+  const originZ = gridZ * ZONE_SIZE;
+  const difficulty = getZoneDifficulty(gridX, gridZ);
+  const platforms: PlatformLayout[] = [];
+
+  // More and higher platforms in outer zones
+  const platformCount = Math.floor(3 + random() * 5 * (1 + difficulty));
+  for (let i = 0; i < platformCount; i++) {
+    const x = originX + (random() - 0.5) * ZONE_SIZE * 0.8;
+    const z = originZ + (random() - 0.5) * ZONE_SIZE * 0.8;
+    const y = 1 + random() * (1 + difficulty * 2);
+    const width = 2 + random() * 3;
+    const depth = 2 + random() * 3;
+    const isCylinder = random() > 0.8;
+    platforms.push({
+      position: { x, y, z },
+      width,
+      height: 0.5,
+      depth: isCylinder ? width : depth,
+      shape: isCylinder ? "cylinder" : "box",
+      style: "zone",
+    });
+
+    // Pillars with a small platform on top, on some of the larger ones
+    if (width >= 3 && random() > 0.9) {
+      const pillarCount = Math.floor(random() * 3) + 1;
+      for (let j = 0; j < pillarCount; j++) {
+        const angle = (j / pillarCount) * Math.PI * 2;
+        const pillarHeight = 2 + random() * 4;
+        platforms.push({
+          position: {
+            x: x + Math.cos(angle) * width * 0.4,
+            y: y + pillarHeight + 0.1,
+            z: z + Math.sin(angle) * width * 0.4,
+          },
+          width: 1.5,
+          height: 0.2,
+          depth: 1.5,
+          shape: "box",
+          style: "pillarTop",
+          pillarBase: y,
+        });
+      }
+    }
+  }
+
+  if ((gridX !== 0 || gridZ !== 0) && random() < LANDMARK_CHANCE) {
+    const landmark = random() < 0.5
+      ? generateClimbingTower(originX, originZ)
+      : generateJumpChallenge(originX, originZ, random);
+    platforms.push(...landmark);
+  }
+  return platforms;
+}
+
+// A tower of shrinking levels joined by spiral steps
+function generateClimbingTower(x: number, z: number): PlatformLayout[] {
+  const height = 20;
+  const baseSize = 8;
+  const levels = 6;
+  const platforms: PlatformLayout[] = [
+    { position: { x, y: 0, z }, width: baseSize, height: 1, depth: baseSize, shape: "box", style: "tower" },
+  ];
+
+  for (let i = 1; i <= levels; i++) {
+    const levelHeight = (height / levels) * i;
+    const size = baseSize * (1 - (i / levels) * 0.7);
+    platforms.push({
+      position: { x, y: levelHeight, z },
+      width: size,
+      height: 0.5,
+      depth: size,
+      shape: "box",
+      style: i === levels ? "towerTop" : "tower",
+    });
+    if (i === 1) continue;
+
+    const previousHeight = (height / levels) * (i - 1);
+    const stepCount = 4;
+    for (let j = 0; j < stepCount; j++) {
+      const angle = (j / stepCount) * Math.PI * 2 + (i * Math.PI) / 2;
+      platforms.push({
+        position: {
+          x: x + Math.cos(angle) * size * 0.6,
+          y: previousHeight + ((levelHeight - previousHeight) * j) / stepCount,
+          z: z + Math.sin(angle) * size * 0.6,
+        },
+        width: 1.5,
+        height: 0.3,
+        depth: 1.5,
+        shape: "box",
+        style: "step",
+      });
+    }
+  }
+  return platforms;
+}
+
+// A run of small platforms to jump along, ending in a larger one
+function generateJumpChallenge(x: number, z: number, random: RandomSource): PlatformLayout[] {
+  const platformCount = 8;
+  const baseSize = 15;
+  const goalSize = 5;
+  const limit = ZONE_PLATFORM_REACH - goalSize; // keeps the run within reach of its zone
+  const platforms: PlatformLayout[] = [
+    { position: { x, y: 0, z }, width: baseSize, height: 1, depth: baseSize, shape: "box", style: "challenge" },
+  ];
+
+  let currentX = x;
+  let currentZ = z;
+  let currentHeight = 0;
+  for (let i = 0; i < platformCount; i++) {
+    const angle = random() * Math.PI * 2;
+    const distance = 3 + random() * 4;
+    currentX = clamp(currentX + Math.cos(angle) * distance, x - limit, x + limit);
+    currentZ = clamp(currentZ + Math.sin(angle) * distance, z - limit, z + limit);
+    currentHeight = 2 + random() * 6;
+    const size = 2 + random() * 2;
+    platforms.push({
+      position: { x: currentX, y: currentHeight, z: currentZ },
+      width: size,
+      height: 0.5,
+      depth: size,
+      shape: "box",
+      style: "challenge",
+    });
+  }
+
+  platforms.push({
+    position: { x: currentX, y: currentHeight + 2, z: currentZ },
+    width: goalSize,
+    height: 1,
+    depth: goalSize,
+    shape: "box",
+    style: "challengeGoal",
+  });
+  return platforms;
+}
+
+// A coin the world generator placed. Clients pick coins up themselves and
+// the server follows along, crediting only the pickups it sees.
+export interface CoinLayout {
+  id: string;
+  position: Vec3;
+}
+
+// How close a player has to come to pick a coin up
+export const COIN_PICKUP_RADIUS = 2;
+
+// How long a picked-up coin takes to come back for that player
+export const COIN_RESPAWN_DELAY = 30 * 1000;
+
+// Its own stream, so coins don't move platforms around
+const COIN_RANDOM_STREAM = 3;
+
+// Chance of a platform having coins, by its style
+const COIN_CHANCES: Partial<Record<PlatformLayout["style"], number>> = {
+  zone: 0.7,
+  pillarTop: 0.7,
+  challenge: 0.5,
+};
+
+/**
+ * The coins of a zone: one to three in a row on some of its platforms.
+ * Callers that already have the zone's platforms can pass them in.
+ */
+export function generateZoneCoins(
+  seed: number,
+  gridX: number,
+  gridZ: number,
+  platforms: PlatformLayout[] = generateZonePlatforms(seed, gridX, gridZ),
+): CoinLayout[] {
+  const random = createRandom(hashSeed(seed, gridX, gridZ, COIN_RANDOM_STREAM));
+  const coins: CoinLayout[] = [];
+  for (const platform of platforms) {
+    if (random() >= (COIN_CHANCES[platform.style] ?? 0)) continue;
+
+    const count = 1 + Math.floor(random() * 3);
+    for (let i = 0; i < count; i++) {
+      const offset = count === 1 ? 0 : (i / (count - 1) - 0.5) * platform.width * 0.7;
+      coins.push({
+        id: `coin-${gridX},${gridZ}-${coins.length}`,
+        position: { x: platform.position.x + offset, y: platform.position.y + 0.5, z: platform.position.z },
+      });
+    }
+  }
+  return coins;
+}
+
+// The box a generated platform collides as
+export function getPlatformBox(platform: PlatformLayout): PlatformBox {
+  const { position, width, height, depth } = platform;
+  return {
+    min: { x: position.x - width / 2, y: position.y - height / 2, z: position.z - depth / 2 },
+    max: { x: position.x + width / 2, y: position.y + height / 2, z: position.z + depth / 2 },
+  };
+}
+
+// Zones whose platforms a player at `position` can touch: its own and the
+// ones around it
+export function getNearbyZones(position: { x: number; z: number }): ZoneCoord[] {
+  const { gridX, gridZ } = getZoneCoord(position);
+  const zones: ZoneCoord[] = [];
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      zones.push({ gridX: gridX + dx, gridZ: gridZ + dz });
+    }
+  }
+  return zones;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}